@@ -0,0 +1,235 @@
+// Versioned schema migrations
+// Each file in migrations/ is named <version>_<name>.js and exports { description, up(db, helpers, callback) }.
+// Applied versions are recorded in schema_version; pending ones run in version order, each inside
+// its own savepoint so a failure leaves the database exactly as it was before that migration.
+//
+//   node migrate.js status [--db file]
+//   node migrate.js up [--dry-run] [--db file]
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Runs SQL strings or [sql, params] pairs one after another, stopping at the first error
+function runStatements(db, statements, callback) {
+  let index = 0;
+  const next = (err) => {
+    if (err || index === statements.length) return callback(err || null);
+    const statement = statements[index++];
+    const [sql, params] = Array.isArray(statement) ? statement : [statement, []];
+    db.run(sql, params, next);
+  };
+  next();
+}
+
+function tableSql(db, table, callback) {
+  db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table], (err, row) => {
+    callback(err, row ? row.sql : null);
+  });
+}
+
+// Adds [table, column, definition] columns that an older database does not have yet
+function addColumnsIfMissing(db, columns, callback) {
+  let index = 0;
+  const next = (err) => {
+    if (err || index === columns.length) return callback(err || null);
+    const [table, column, definition] = columns[index++];
+    db.all(`PRAGMA table_info(${table})`, (err, existing) => {
+      if (err) return next(err);
+      if (existing.some(c => c.name === column)) return next();
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, next);
+    });
+  };
+  next();
+}
+
+// Recreates a table from createSql (a plain CREATE TABLE <table> statement) and copies across
+// every column the old and new definitions share. This is the only way to change a CHECK
+// constraint in SQLite; the table's indexes and triggers are recreated afterwards.
+function rebuildTable(db, table, createSql, callback) {
+  tableSql(db, table, (err, existingSql) => {
+    if (err) return callback(err);
+    if (!existingSql) return db.run(createSql, callback);
+
+    const rebuilt = `${table}_rebuild`;
+    db.all(`PRAGMA table_info(${table})`, (err, oldColumns) => {
+      if (err) return callback(err);
+
+      db.all("SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL",
+        [table], (err, dependents) => {
+          if (err) return callback(err);
+
+          db.run(createSql.replace(new RegExp(`^(\\s*CREATE TABLE\\s+)${table}\\b`, 'i'), `$1${rebuilt}`), (err) => {
+            if (err) return callback(err);
+
+            db.all(`PRAGMA table_info(${rebuilt})`, (err, newColumns) => {
+              if (err) return callback(err);
+              const shared = newColumns.map(c => c.name).filter(name => oldColumns.some(c => c.name === name)).join(', ');
+
+              runStatements(db, [
+                `INSERT INTO ${rebuilt} (${shared}) SELECT ${shared} FROM ${table}`,
+                `DROP TABLE ${table}`,
+                `ALTER TABLE ${rebuilt} RENAME TO ${table}`,
+                ...dependents.map(row => row.sql)
+              ], callback);
+            });
+          });
+        });
+    });
+  });
+}
+
+const helpers = { runStatements, tableSql, addColumnsIfMissing, rebuildTable };
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => MIGRATION_FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return { version: Number(version), name, file, description: migration.description, up: migration.up };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function ensureVersionTable(db, callback) {
+  db.run(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`, callback);
+}
+
+// Applied and pending migrations; refuses a database written by a newer release
+function migrationStatus(db, callback) {
+  let migrations;
+  try {
+    migrations = loadMigrations();
+  } catch (err) {
+    return callback(err);
+  }
+
+  tableSql(db, 'schema_version', (err, exists) => {
+    if (err) return callback(err);
+    const query = exists ? 'SELECT version, name, applied_at FROM schema_version ORDER BY version' : 'SELECT 1 WHERE 0';
+
+    db.all(query, (err, applied) => {
+      if (err) return callback(err);
+
+      const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+      const current = applied.length > 0 ? applied[applied.length - 1].version : 0;
+      if (current > latest) {
+        return callback(new Error(`Database schema version ${current} is newer than this release supports (${latest})`));
+      }
+
+      const pending = migrations.filter(migration => !applied.some(row => row.version === migration.version));
+      callback(null, { current, latest, applied, pending });
+    });
+  });
+}
+
+// Applies pending migrations. With dryRun everything runs inside one transaction that is
+// rolled back at the end, which shows whether the migrations would succeed without keeping them.
+function migrate(db, options, callback) {
+  const { dryRun = false } = options;
+
+  migrationStatus(db, (err, status) => {
+    if (err) return callback(err);
+    if (status.pending.length === 0) return callback(null, { ...status, applied_now: [], dry_run: dryRun });
+
+    const appliedNow = [];
+    const applyEach = (done) => {
+      let index = 0;
+      const next = (err) => {
+        if (err || index === status.pending.length) return done(err || null);
+        const migration = status.pending[index++];
+        const savepoint = `migration_${migration.version}`;
+
+        db.run(`SAVEPOINT ${savepoint}`, (err) => {
+          if (err) return next(err);
+
+          migration.up(db, helpers, (err) => {
+            const fail = (err) => {
+              const error = new Error(`Migration ${migration.file} failed: ${err.message}`);
+              db.run(`ROLLBACK TO ${savepoint}`, () => db.run(`RELEASE ${savepoint}`, () => next(error)));
+            };
+            if (err) return fail(err);
+
+            db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name], (err) => {
+              if (err) return fail(err);
+              db.run(`RELEASE ${savepoint}`, (err) => {
+                if (err) return next(err);
+                appliedNow.push({ version: migration.version, name: migration.name, description: migration.description });
+                next();
+              });
+            });
+          });
+        });
+      };
+      next();
+    };
+
+    const result = (err) => callback(err, { ...status, applied_now: appliedNow, dry_run: dryRun });
+    if (!dryRun) {
+      return ensureVersionTable(db, (err) => err ? callback(err) : applyEach(result));
+    }
+
+    db.run('BEGIN', (err) => {
+      if (err) return callback(err);
+      const rollback = (err) => db.run('ROLLBACK', () => result(err));
+      ensureVersionTable(db, (err) => err ? rollback(err) : applyEach(rollback));
+    });
+  });
+}
+
+// Migrates a database file that is not the live one (an upload or a backup about to be restored)
+function migrateFile(file, options, callback) {
+  const db = new sqlite3.Database(file, (err) => {
+    if (err) return callback(err);
+    migrate(db, options, (err, result) => db.close(() => callback(err, result)));
+  });
+}
+
+module.exports = { migrate, migrateFile, migrationStatus, loadMigrations };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--')) || 'status';
+  const dbIndex = args.indexOf('--db');
+  const file = dbIndex !== -1 ? args[dbIndex + 1] : path.join(__dirname, 'mobile_shop.db');
+
+  const db = new sqlite3.Database(file, (err) => {
+    if (err) {
+      console.error(`Could not open ${file}: ${err.message}`);
+      process.exit(1);
+    }
+
+    const report = (err, result) => {
+      db.close();
+      if (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
+
+      console.log(`Database: ${file}`);
+      console.log(`Schema version: ${result.current} (latest ${result.latest})`);
+      result.applied.forEach(row => console.log(`  applied  ${row.version} ${row.name} (${row.applied_at})`));
+      if (command === 'up') {
+        const verb = result.dry_run ? 'would apply' : 'applied';
+        if (result.applied_now.length === 0) console.log('Nothing to apply');
+        result.applied_now.forEach(m => console.log(`  ${verb} ${m.version} ${m.name}: ${m.description}`));
+        if (result.dry_run) console.log('Dry run: all changes were rolled back');
+      } else {
+        result.pending.forEach(m => console.log(`  pending  ${m.version} ${m.name}: ${m.description}`));
+      }
+    };
+
+    if (command === 'status') return migrationStatus(db, report);
+    if (command === 'up') return migrate(db, { dryRun: args.includes('--dry-run') }, report);
+    db.close();
+    console.error(`Unknown command "${command}" (use status or up)`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,422 @@
+// Baseline: the schema as it stood when versioned migrations were introduced. Databases from
+// earlier releases have no schema_version table and start here too, so every statement is
+// idempotent and columns those releases added over time are only added when missing.
+module.exports = {
+  description: 'Baseline schema',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      // Users table
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        role TEXT NOT NULL CHECK(role IN ('superuser', 'manager', 'admin', 'stock_keeper', 'cashier')),
+        active INTEGER NOT NULL DEFAULT 1,
+        must_change_password INTEGER NOT NULL DEFAULT 0,
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        locked_until DATETIME,
+        last_login_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Categories table
+      `CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Products table
+      `CREATE TABLE IF NOT EXISTS products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        serial_number TEXT,
+        condition TEXT CHECK(condition IN ('new', 'used')) DEFAULT 'new',
+        supplier_phone TEXT,
+        supplier_cnic TEXT,
+        purchase_price REAL NOT NULL,
+        selling_price REAL NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 0,
+        pta_approved BOOLEAN DEFAULT 0,
+        warranty_days INTEGER DEFAULT 0,
+        track_units BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories(id)
+      )`,
+
+      // Product Units table (one row per serialized phone/watch unit)
+      `CREATE TABLE IF NOT EXISTS product_units (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        imei1 TEXT UNIQUE,
+        imei2 TEXT UNIQUE,
+        serial_number TEXT,
+        condition TEXT CHECK(condition IN ('new', 'used')) DEFAULT 'new',
+        pta_status TEXT CHECK(pta_status IN ('approved', 'non_pta', 'pending')) DEFAULT 'approved',
+        purchase_price REAL NOT NULL,
+        supplier_id INTEGER,
+        supplier_name TEXT,
+        supplier_phone TEXT,
+        supplier_cnic TEXT,
+        status TEXT NOT NULL CHECK(status IN ('in_stock', 'sold', 'damaged')) DEFAULT 'in_stock',
+        sale_item_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+        FOREIGN KEY (sale_item_id) REFERENCES sale_items(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Unit Events table (purchase/sale/return history of each unit)
+      `CREATE TABLE IF NOT EXISTS unit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        unit_id INTEGER NOT NULL,
+        event_type TEXT NOT NULL CHECK(event_type IN ('purchased', 'sold', 'returned')),
+        sale_id INTEGER,
+        sale_item_id INTEGER,
+        return_id INTEGER,
+        party_name TEXT,
+        party_phone TEXT,
+        party_cnic TEXT,
+        amount REAL,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (unit_id) REFERENCES product_units(id),
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (return_id) REFERENCES returns(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Sales table
+      `CREATE TABLE IF NOT EXISTS sales (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        invoice_number TEXT UNIQUE NOT NULL,
+        customer_name TEXT,
+        customer_phone TEXT,
+        customer_cnic TEXT,
+        payment_type TEXT CHECK(payment_type IN ('cash', 'bank_transfer', 'card', 'credit')),
+        subtotal REAL NOT NULL,
+        discount_amount REAL DEFAULT 0,
+        discount_type TEXT CHECK(discount_type IN ('flat', 'percentage')),
+        net_total REAL NOT NULL,
+        total_profit REAL NOT NULL,
+        customer_id INTEGER,
+        sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (customer_id) REFERENCES customers(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Sale Items table
+      `CREATE TABLE IF NOT EXISTS sale_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sale_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        product_name TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        returned_quantity INTEGER DEFAULT 0,
+        unit_price REAL NOT NULL,
+        list_price REAL,
+        price_override_by INTEGER,
+        purchase_price REAL NOT NULL,
+        line_total REAL NOT NULL,
+        serial_imei TEXT,
+        profit REAL NOT NULL,
+        warranty_days INTEGER DEFAULT 0,
+        remarks TEXT,
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (price_override_by) REFERENCES users(id)
+      )`,
+
+      // Invoice Sequences table (one gap-free counter per invoice prefix)
+      `CREATE TABLE IF NOT EXISTS invoice_sequences (
+        prefix TEXT PRIMARY KEY,
+        last_number INTEGER NOT NULL
+      )`,
+
+      // Returns table
+      `CREATE TABLE IF NOT EXISTS returns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sale_id INTEGER NOT NULL,
+        sale_item_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL,
+        return_amount REAL NOT NULL,
+        return_profit REAL NOT NULL,
+        reason TEXT,
+        return_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (sale_item_id) REFERENCES sale_items(id),
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Expenses table
+      `CREATE TABLE IF NOT EXISTS expenses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        description TEXT NOT NULL,
+        amount REAL NOT NULL,
+        expense_date DATE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Suppliers table
+      `CREATE TABLE IF NOT EXISTS suppliers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        phone TEXT,
+        cnic TEXT,
+        address TEXT,
+        opening_balance REAL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Purchase Orders table
+      `CREATE TABLE IF NOT EXISTS purchase_orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        po_number TEXT UNIQUE,
+        supplier_id INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('open', 'partial', 'received', 'cancelled')) DEFAULT 'open',
+        order_date DATE NOT NULL,
+        expected_date DATE,
+        total_amount REAL NOT NULL DEFAULT 0,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Purchase Order Items table
+      `CREATE TABLE IF NOT EXISTS purchase_order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        po_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity_ordered INTEGER NOT NULL,
+        quantity_received INTEGER NOT NULL DEFAULT 0,
+        unit_cost REAL NOT NULL,
+        FOREIGN KEY (po_id) REFERENCES purchase_orders(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+      )`,
+
+      // Goods Receipts table (each delivery received against a purchase order)
+      `CREATE TABLE IF NOT EXISTS goods_receipts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        po_id INTEGER NOT NULL,
+        supplier_id INTEGER NOT NULL,
+        extra_costs REAL DEFAULT 0,
+        total_amount REAL NOT NULL,
+        notes TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (po_id) REFERENCES purchase_orders(id),
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Goods Receipt Items table
+      `CREATE TABLE IF NOT EXISTS goods_receipt_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        receipt_id INTEGER NOT NULL,
+        po_item_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL,
+        unit_cost REAL NOT NULL,
+        landed_cost REAL NOT NULL,
+        FOREIGN KEY (receipt_id) REFERENCES goods_receipts(id),
+        FOREIGN KEY (po_item_id) REFERENCES purchase_order_items(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+      )`,
+
+      // Supplier Payments table
+      `CREATE TABLE IF NOT EXISTS supplier_payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        supplier_id INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        payment_date DATE NOT NULL,
+        method TEXT CHECK(method IN ('cash', 'bank_transfer', 'cheque')) DEFAULT 'cash',
+        reference TEXT,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Customers table (deduplicated by phone/CNIC, stored as digits only)
+      `CREATE TABLE IF NOT EXISTS customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        phone TEXT UNIQUE,
+        cnic TEXT UNIQUE,
+        address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Customer Ledger table (udhaar: debits are amounts owed, credits are payments and returns)
+      `CREATE TABLE IF NOT EXISTS customer_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        customer_id INTEGER NOT NULL,
+        entry_type TEXT NOT NULL CHECK(entry_type IN ('sale', 'payment', 'return', 'adjustment')),
+        sale_id INTEGER,
+        return_id INTEGER,
+        debit REAL NOT NULL DEFAULT 0,
+        credit REAL NOT NULL DEFAULT 0,
+        method TEXT,
+        notes TEXT,
+        entry_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (customer_id) REFERENCES customers(id),
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (return_id) REFERENCES returns(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Installment Plans table (EMI plans attached to credit sales)
+      `CREATE TABLE IF NOT EXISTS installment_plans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sale_id INTEGER UNIQUE NOT NULL,
+        customer_id INTEGER NOT NULL,
+        down_payment REAL NOT NULL DEFAULT 0,
+        financed_amount REAL NOT NULL,
+        markup_percent REAL NOT NULL DEFAULT 0,
+        markup_amount REAL NOT NULL DEFAULT 0,
+        total_payable REAL NOT NULL,
+        months INTEGER NOT NULL,
+        due_day INTEGER NOT NULL,
+        late_fee REAL NOT NULL DEFAULT 0,
+        grace_days INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL CHECK(status IN ('active', 'completed')) DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (customer_id) REFERENCES customers(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Installment Schedule table (one row per monthly installment)
+      `CREATE TABLE IF NOT EXISTS installment_schedule (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        plan_id INTEGER NOT NULL,
+        installment_no INTEGER NOT NULL,
+        due_date DATE NOT NULL,
+        amount_due REAL NOT NULL,
+        amount_paid REAL NOT NULL DEFAULT 0,
+        late_fee_charged REAL NOT NULL DEFAULT 0,
+        paid_date DATE,
+        FOREIGN KEY (plan_id) REFERENCES installment_plans(id)
+      )`,
+
+      // Installment Payments table
+      `CREATE TABLE IF NOT EXISTS installment_payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        plan_id INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        late_fees REAL NOT NULL DEFAULT 0,
+        method TEXT,
+        payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (plan_id) REFERENCES installment_plans(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Stock Movements table (every change to a product's quantity, with where it came from)
+      `CREATE TABLE IF NOT EXISTS stock_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        unit_id INTEGER,
+        quantity_change INTEGER NOT NULL,
+        balance_after INTEGER,
+        source TEXT NOT NULL CHECK(source IN ('opening', 'sale', 'return', 'purchase', 'adjustment', 'damage', 'stock_take')),
+        reason_code TEXT,
+        reference_id INTEGER,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (unit_id) REFERENCES product_units(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+
+      // Stock on hand from before the ledger existed becomes each product's opening balance
+      `INSERT INTO stock_movements (product_id, quantity_change, balance_after, source, notes)
+              SELECT id, quantity, quantity, 'opening', 'Opening balance'
+              FROM products
+              WHERE quantity <> 0 AND id NOT IN (SELECT product_id FROM stock_movements)`,
+
+      // Stock Takes table
+      `CREATE TABLE IF NOT EXISTS stock_takes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        category_id INTEGER,
+        status TEXT NOT NULL CHECK(status IN ('open', 'posted', 'cancelled')) DEFAULT 'open',
+        notes TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_by INTEGER,
+        posted_at DATETIME,
+        posted_by INTEGER,
+        FOREIGN KEY (category_id) REFERENCES categories(id),
+        FOREIGN KEY (started_by) REFERENCES users(id),
+        FOREIGN KEY (posted_by) REFERENCES users(id)
+      )`,
+
+      // Stock Take Lines table (system quantity is captured when each count is entered)
+      `CREATE TABLE IF NOT EXISTS stock_take_lines (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        stock_take_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        system_quantity INTEGER NOT NULL,
+        counted_quantity INTEGER,
+        counted_codes TEXT,
+        counted_at DATETIME,
+        counted_by INTEGER,
+        FOREIGN KEY (stock_take_id) REFERENCES stock_takes(id),
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (counted_by) REFERENCES users(id)
+      )`,
+
+      // Audit Log table (hash-chained, append only)
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at DATETIME NOT NULL,
+        user_id INTEGER,
+        username TEXT,
+        method TEXT NOT NULL,
+        route TEXT NOT NULL,
+        entity TEXT NOT NULL,
+        entity_id TEXT,
+        action TEXT NOT NULL,
+        before_data TEXT,
+        after_data TEXT,
+        request_data TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL
+      )`,
+
+      // Settings table (JSON values by key)
+      `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER,
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      )`
+    ], (err) => {
+      if (err) return callback(err);
+      helpers.addColumnsIfMissing(db, [
+        ['products', 'track_units', 'BOOLEAN DEFAULT 0'],
+        ['product_units', 'supplier_id', 'INTEGER REFERENCES suppliers(id)'],
+        ['sales', 'customer_id', 'INTEGER REFERENCES customers(id)'],
+        ['sale_items', 'list_price', 'REAL'],
+        ['sale_items', 'price_override_by', 'INTEGER REFERENCES users(id)']
+      ], callback);
+    });
+  }
+};
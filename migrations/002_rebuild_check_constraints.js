@@ -0,0 +1,57 @@
+const bcrypt = require('bcryptjs');
+
+// SQLite cannot alter a CHECK constraint, so tables created by older releases are rebuilt:
+// sales.payment_type gains 'credit' and users.role gains the manager/stock_keeper/cashier roles
+// (along with the lockout columns). Accounts still on the default password must change it.
+module.exports = {
+  description: "Rebuild sales and users for the 'credit' payment type and the new roles",
+  up(db, helpers, callback) {
+    helpers.tableSql(db, 'users', (err, oldUsersSql) => {
+      if (err) return callback(err);
+
+      helpers.rebuildTable(db, 'sales', `CREATE TABLE sales (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        invoice_number TEXT UNIQUE NOT NULL,
+        customer_name TEXT,
+        customer_phone TEXT,
+        customer_cnic TEXT,
+        payment_type TEXT CHECK(payment_type IN ('cash', 'bank_transfer', 'card', 'credit')),
+        subtotal REAL NOT NULL,
+        discount_amount REAL DEFAULT 0,
+        discount_type TEXT CHECK(discount_type IN ('flat', 'percentage')),
+        net_total REAL NOT NULL,
+        total_profit REAL NOT NULL,
+        customer_id INTEGER,
+        sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (customer_id) REFERENCES customers(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`, (err) => {
+        if (err) return callback(err);
+
+        helpers.rebuildTable(db, 'users', `CREATE TABLE users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT UNIQUE NOT NULL,
+          password TEXT NOT NULL,
+          role TEXT NOT NULL CHECK(role IN ('superuser', 'manager', 'admin', 'stock_keeper', 'cashier')),
+          active INTEGER NOT NULL DEFAULT 1,
+          must_change_password INTEGER NOT NULL DEFAULT 0,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          locked_until DATETIME,
+          last_login_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`, (err) => {
+          if (err) return callback(err);
+          if (oldUsersSql.includes('must_change_password')) return callback(null);
+
+          db.all('SELECT id, password FROM users', (err, users) => {
+            if (err) return callback(err);
+            const defaults = users.filter(user => bcrypt.compareSync('admin123', user.password));
+            helpers.runStatements(db, defaults.map(user =>
+              ['UPDATE users SET must_change_password = 1 WHERE id = ?', [user.id]]), callback);
+          });
+        });
+      });
+    });
+  }
+};
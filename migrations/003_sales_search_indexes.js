@@ -0,0 +1,13 @@
+// Indexes behind the sales list filters (date range, customer phone, IMEI/serial) and the
+// join from sales to their items
+module.exports = {
+  description: 'Index sales by date and customer phone, sale items by sale and IMEI/serial',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      'CREATE INDEX IF NOT EXISTS idx_sales_sale_date ON sales (sale_date)',
+      'CREATE INDEX IF NOT EXISTS idx_sales_customer_phone ON sales (customer_phone)',
+      'CREATE INDEX IF NOT EXISTS idx_sale_items_sale_id ON sale_items (sale_id)',
+      'CREATE INDEX IF NOT EXISTS idx_sale_items_serial_imei ON sale_items (serial_imei)'
+    ], callback);
+  }
+};
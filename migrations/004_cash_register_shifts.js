@@ -0,0 +1,53 @@
+// Cash register shifts: each cashier opens a shift with a float, and every cash sale, cash
+// refund and petty-cash payout is recorded against it until it is closed with a cash count
+module.exports = {
+  description: 'Add cash register shifts and till movements',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS cash_shifts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        opened_by INTEGER NOT NULL,
+        opening_float REAL NOT NULL DEFAULT 0,
+        status TEXT NOT NULL CHECK(status IN ('open', 'closed')) DEFAULT 'open',
+        opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        closed_at DATETIME,
+        closed_by INTEGER,
+        expected_cash REAL,
+        counted_cash REAL,
+        variance REAL,
+        notes TEXT,
+        FOREIGN KEY (opened_by) REFERENCES users(id),
+        FOREIGN KEY (closed_by) REFERENCES users(id)
+      )`,
+
+      // A cashier can only have one open shift at a time
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_cash_shifts_open_user ON cash_shifts (opened_by) WHERE status = 'open'`,
+
+      // Cash Movements table (cash into the till is positive, cash out is negative)
+      `CREATE TABLE IF NOT EXISTS cash_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shift_id INTEGER NOT NULL,
+        movement_type TEXT NOT NULL CHECK(movement_type IN ('sale', 'refund', 'payout')),
+        amount REAL NOT NULL,
+        sale_id INTEGER,
+        return_id INTEGER,
+        expense_id INTEGER,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (return_id) REFERENCES returns(id),
+        FOREIGN KEY (expense_id) REFERENCES expenses(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_cash_movements_shift_id ON cash_movements (shift_id)'
+    ], (err) => {
+      if (err) return callback(err);
+      helpers.addColumnsIfMissing(db, [
+        ['sales', 'shift_id', 'INTEGER REFERENCES cash_shifts(id)'],
+        ['returns', 'shift_id', 'INTEGER REFERENCES cash_shifts(id)']
+      ], callback);
+    });
+  }
+};
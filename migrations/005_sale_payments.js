@@ -0,0 +1,80 @@
+// Split payments: every sale gets one or more payment lines, and refunds are recorded as negative
+// lines against the return. sales.payment_type gains 'mixed' for sales paid more than one way.
+// Existing sales are backfilled so payment-method totals cover their whole history.
+module.exports = {
+  description: 'Add sale payment lines and the mixed payment type',
+  up(db, helpers, callback) {
+    helpers.rebuildTable(db, 'sales', `CREATE TABLE sales (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      invoice_number TEXT UNIQUE NOT NULL,
+      customer_name TEXT,
+      customer_phone TEXT,
+      customer_cnic TEXT,
+      payment_type TEXT CHECK(payment_type IN ('cash', 'bank_transfer', 'card', 'credit', 'mixed')),
+      subtotal REAL NOT NULL,
+      discount_amount REAL DEFAULT 0,
+      discount_type TEXT CHECK(discount_type IN ('flat', 'percentage')),
+      net_total REAL NOT NULL,
+      total_profit REAL NOT NULL,
+      customer_id INTEGER,
+      shift_id INTEGER,
+      sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_by INTEGER,
+      FOREIGN KEY (customer_id) REFERENCES customers(id),
+      FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )`, (err) => {
+      if (err) return callback(err);
+
+      helpers.runStatements(db, [
+        // 'account' is the part of a credit sale left on the customer's ledger
+        `CREATE TABLE IF NOT EXISTS sale_payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sale_id INTEGER NOT NULL,
+          return_id INTEGER,
+          method TEXT NOT NULL CHECK(method IN ('cash', 'card', 'bank_transfer', 'trade_in', 'account')),
+          amount REAL NOT NULL,
+          tendered REAL,
+          change_given REAL NOT NULL DEFAULT 0,
+          reference TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_by INTEGER,
+          FOREIGN KEY (sale_id) REFERENCES sales(id),
+          FOREIGN KEY (return_id) REFERENCES returns(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_sale_payments_sale_id ON sale_payments (sale_id)',
+
+        // Single-method sales paid what they were billed before any returns
+        `INSERT INTO sale_payments (sale_id, method, amount, created_at, created_by)
+         SELECT s.id, s.payment_type,
+                s.net_total + COALESCE((SELECT SUM(r.return_amount) FROM returns r WHERE r.sale_id = s.id), 0),
+                s.sale_date, s.created_by
+         FROM sales s
+         WHERE s.payment_type IN ('cash', 'card', 'bank_transfer')`,
+        `INSERT INTO sale_payments (sale_id, return_id, method, amount, created_at, created_by)
+         SELECT r.sale_id, r.id, s.payment_type, -r.return_amount, r.return_date, r.created_by
+         FROM returns r JOIN sales s ON r.sale_id = s.id
+         WHERE s.payment_type IN ('cash', 'card', 'bank_transfer')`,
+
+        // Credit sales: what was paid at the counter, then the rest on account
+        `INSERT INTO sale_payments (sale_id, method, amount, created_at, created_by)
+         SELECT l.sale_id, COALESCE(l.method, 'cash'), l.credit, l.entry_date, l.created_by
+         FROM customer_ledger l JOIN sales s ON l.sale_id = s.id
+         WHERE s.payment_type = 'credit' AND l.entry_type = 'payment' AND l.notes = 'Paid at sale'`,
+        `INSERT INTO sale_payments (sale_id, method, amount, created_at, created_by)
+         SELECT id, 'account', amount, sale_date, created_by FROM (
+           SELECT s.id, s.sale_date, s.created_by,
+                  s.net_total + COALESCE((SELECT SUM(r.return_amount) FROM returns r WHERE r.sale_id = s.id), 0)
+                    - COALESCE((SELECT SUM(p.amount) FROM sale_payments p WHERE p.sale_id = s.id), 0) as amount
+           FROM sales s
+           WHERE s.payment_type = 'credit'
+         ) WHERE amount > 0`,
+        `INSERT INTO sale_payments (sale_id, return_id, method, amount, created_at, created_by)
+         SELECT r.sale_id, r.id, 'account', -r.return_amount, r.return_date, r.created_by
+         FROM returns r JOIN sales s ON r.sale_id = s.id
+         WHERE s.payment_type = 'credit'`
+      ], callback);
+    });
+  }
+};
@@ -0,0 +1,85 @@
+// Trade-ins: phones bought from walk-in customers, with the seller's CNIC, photos and a grading
+// checklist. Each one becomes a used unit in stock, and is either paid out (cash from the till or a
+// bank transfer) or kept as credit to be spent on a sale. cash_movements gains 'trade_in' for
+// phones paid for from the till, and sale_payments links the trade-in a sale was paid with.
+module.exports = {
+  description: 'Add trade-ins (buy-back register) and link them to till movements and sale payments',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS trade_ins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_in_number TEXT UNIQUE NOT NULL,
+        seller_name TEXT NOT NULL,
+        seller_phone TEXT,
+        seller_cnic TEXT NOT NULL,
+        seller_address TEXT,
+        customer_id INTEGER,
+        product_id INTEGER NOT NULL,
+        unit_id INTEGER NOT NULL,
+        imei1 TEXT,
+        imei2 TEXT,
+        serial_number TEXT,
+        grade TEXT CHECK(grade IN ('A', 'B', 'C', 'D')),
+        grading TEXT,
+        buy_price REAL NOT NULL,
+        settlement TEXT NOT NULL CHECK(settlement IN ('cash', 'bank_transfer', 'sale_credit')),
+        reference TEXT,
+        status TEXT NOT NULL CHECK(status IN ('paid', 'credit_open', 'credit_applied')),
+        shift_id INTEGER,
+        sale_id INTEGER,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (customer_id) REFERENCES customers(id),
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (unit_id) REFERENCES product_units(id),
+        FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_trade_ins_seller_cnic ON trade_ins (seller_cnic)',
+      'CREATE INDEX IF NOT EXISTS idx_trade_ins_imei1 ON trade_ins (imei1)',
+      'CREATE INDEX IF NOT EXISTS idx_trade_ins_imei2 ON trade_ins (imei2)',
+
+      `CREATE TABLE IF NOT EXISTS trade_in_photos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_in_id INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK(kind IN ('cnic', 'device')),
+        file_name TEXT NOT NULL,
+        original_name TEXT,
+        mime_type TEXT,
+        size INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (trade_in_id) REFERENCES trade_ins(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_trade_in_photos_trade_in_id ON trade_in_photos (trade_in_id)'
+    ], (err) => {
+      if (err) return callback(err);
+
+      helpers.rebuildTable(db, 'cash_movements', `CREATE TABLE cash_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shift_id INTEGER NOT NULL,
+        movement_type TEXT NOT NULL CHECK(movement_type IN ('sale', 'refund', 'payout', 'trade_in')),
+        amount REAL NOT NULL,
+        sale_id INTEGER,
+        return_id INTEGER,
+        expense_id INTEGER,
+        trade_in_id INTEGER,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (return_id) REFERENCES returns(id),
+        FOREIGN KEY (expense_id) REFERENCES expenses(id),
+        FOREIGN KEY (trade_in_id) REFERENCES trade_ins(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`, (err) => {
+        if (err) return callback(err);
+        helpers.addColumnsIfMissing(db, [
+          ['sale_payments', 'trade_in_id', 'INTEGER REFERENCES trade_ins(id)']
+        ], callback);
+      });
+    });
+  }
+};
@@ -0,0 +1,138 @@
+// Repair jobs: a phone taken in for repair moves through received → diagnosing → waiting_parts →
+// ready → delivered (or cancelled). Parts come out of product stock as they are fitted, and the
+// job is invoiced on delivery. Advances and final payments are kept in repair_payments; cash ones
+// also go through the till, so cash_movements gains 'repair' and stock_movements gains 'repair'.
+module.exports = {
+  description: 'Add repair jobs with parts, status history and payments',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS repair_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_number TEXT UNIQUE NOT NULL,
+        customer_id INTEGER,
+        customer_name TEXT NOT NULL,
+        customer_phone TEXT NOT NULL,
+        device TEXT NOT NULL,
+        imei TEXT,
+        accessories TEXT,
+        reported_fault TEXT NOT NULL,
+        diagnosis TEXT,
+        estimated_cost REAL NOT NULL DEFAULT 0,
+        advance_paid REAL NOT NULL DEFAULT 0,
+        labour_charge REAL NOT NULL DEFAULT 0,
+        parts_total REAL NOT NULL DEFAULT 0,
+        parts_cost REAL NOT NULL DEFAULT 0,
+        total REAL,
+        profit REAL,
+        status TEXT NOT NULL CHECK(status IN ('received', 'diagnosing', 'waiting_parts', 'ready', 'delivered', 'cancelled'))
+          DEFAULT 'received',
+        technician_id INTEGER,
+        promised_date DATE,
+        invoice_number TEXT UNIQUE,
+        notes TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+        created_by INTEGER,
+        FOREIGN KEY (customer_id) REFERENCES customers(id),
+        FOREIGN KEY (technician_id) REFERENCES users(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_repair_jobs_customer_phone ON repair_jobs (customer_phone)',
+      'CREATE INDEX IF NOT EXISTS idx_repair_jobs_status ON repair_jobs (status)',
+      'CREATE INDEX IF NOT EXISTS idx_repair_jobs_delivered_at ON repair_jobs (delivered_at)',
+
+      `CREATE TABLE IF NOT EXISTS repair_job_parts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        product_name TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        unit_price REAL NOT NULL,
+        purchase_price REAL NOT NULL,
+        line_total REAL NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (job_id) REFERENCES repair_jobs(id),
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_repair_job_parts_job_id ON repair_job_parts (job_id)',
+
+      `CREATE TABLE IF NOT EXISTS repair_job_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (job_id) REFERENCES repair_jobs(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_repair_job_events_job_id ON repair_job_events (job_id)',
+
+      // Payments in are positive; an advance handed back is negative
+      `CREATE TABLE IF NOT EXISTS repair_payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK(kind IN ('advance', 'final', 'refund')),
+        method TEXT NOT NULL CHECK(method IN ('cash', 'card', 'bank_transfer')),
+        amount REAL NOT NULL,
+        tendered REAL,
+        change_given REAL NOT NULL DEFAULT 0,
+        reference TEXT,
+        shift_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (job_id) REFERENCES repair_jobs(id),
+        FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_repair_payments_job_id ON repair_payments (job_id)'
+    ], (err) => {
+      if (err) return callback(err);
+
+      helpers.rebuildTable(db, 'cash_movements', `CREATE TABLE cash_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shift_id INTEGER NOT NULL,
+        movement_type TEXT NOT NULL CHECK(movement_type IN ('sale', 'refund', 'payout', 'trade_in', 'repair')),
+        amount REAL NOT NULL,
+        sale_id INTEGER,
+        return_id INTEGER,
+        expense_id INTEGER,
+        trade_in_id INTEGER,
+        repair_job_id INTEGER,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (return_id) REFERENCES returns(id),
+        FOREIGN KEY (expense_id) REFERENCES expenses(id),
+        FOREIGN KEY (trade_in_id) REFERENCES trade_ins(id),
+        FOREIGN KEY (repair_job_id) REFERENCES repair_jobs(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`, (err) => {
+        if (err) return callback(err);
+
+        helpers.rebuildTable(db, 'stock_movements', `CREATE TABLE stock_movements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          product_id INTEGER NOT NULL,
+          unit_id INTEGER,
+          quantity_change INTEGER NOT NULL,
+          balance_after INTEGER,
+          source TEXT NOT NULL CHECK(source IN ('opening', 'sale', 'return', 'purchase', 'adjustment', 'damage',
+                                                'stock_take', 'repair')),
+          reason_code TEXT,
+          reference_id INTEGER,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_by INTEGER,
+          FOREIGN KEY (product_id) REFERENCES products(id),
+          FOREIGN KEY (unit_id) REFERENCES product_units(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )`, callback);
+      });
+    });
+  }
+};
@@ -0,0 +1,110 @@
+// Warranty claims against sold items. A claim is opened for a sale line (and the unit, for
+// serialized products), can be sent to the supplier or a service centre and comes back before it
+// is resolved by repair, replacement or refund, or rejected. Replacement units leave stock and faulty
+// units can be restocked once fixed, so stock_movements gains 'warranty' and unit_events gains the
+// warranty steps of a unit's history.
+module.exports = {
+  description: 'Add warranty claims and the warranty stock and unit history entries',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS warranty_claims (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        claim_number TEXT UNIQUE NOT NULL,
+        sale_id INTEGER NOT NULL,
+        sale_item_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        unit_id INTEGER,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        customer_name TEXT,
+        customer_phone TEXT,
+        fault TEXT NOT NULL,
+        action TEXT NOT NULL CHECK(action IN ('repair', 'replace', 'refund')),
+        status TEXT NOT NULL CHECK(status IN ('open', 'sent', 'received_back', 'resolved', 'rejected')) DEFAULT 'open',
+        expires_on DATE,
+        in_warranty BOOLEAN NOT NULL DEFAULT 1,
+        sent_to_type TEXT CHECK(sent_to_type IN ('supplier', 'service_centre')),
+        supplier_id INTEGER,
+        service_centre TEXT,
+        sent_reference TEXT,
+        sent_at DATETIME,
+        received_at DATETIME,
+        replacement_unit_id INTEGER,
+        replacement_cost REAL NOT NULL DEFAULT 0,
+        return_id INTEGER,
+        faulty_unit_restocked BOOLEAN NOT NULL DEFAULT 0,
+        resolution_notes TEXT,
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (sale_item_id) REFERENCES sale_items(id),
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (unit_id) REFERENCES product_units(id),
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+        FOREIGN KEY (replacement_unit_id) REFERENCES product_units(id),
+        FOREIGN KEY (return_id) REFERENCES returns(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_warranty_claims_sale_item_id ON warranty_claims (sale_item_id)',
+      'CREATE INDEX IF NOT EXISTS idx_warranty_claims_status ON warranty_claims (status)',
+
+      `CREATE TABLE IF NOT EXISTS warranty_claim_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        claim_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (claim_id) REFERENCES warranty_claims(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_warranty_claim_events_claim_id ON warranty_claim_events (claim_id)'
+    ], (err) => {
+      if (err) return callback(err);
+
+      helpers.rebuildTable(db, 'stock_movements', `CREATE TABLE stock_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        unit_id INTEGER,
+        quantity_change INTEGER NOT NULL,
+        balance_after INTEGER,
+        source TEXT NOT NULL CHECK(source IN ('opening', 'sale', 'return', 'purchase', 'adjustment', 'damage',
+                                              'stock_take', 'repair', 'warranty')),
+        reason_code TEXT,
+        reference_id INTEGER,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (unit_id) REFERENCES product_units(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`, (err) => {
+        if (err) return callback(err);
+
+        // warranty_claim: claim opened; warranty_replaced: faulty unit taken back and replaced;
+        // warranty_replacement: unit handed out as the replacement; restocked: faulty unit back in stock
+        helpers.rebuildTable(db, 'unit_events', `CREATE TABLE unit_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          unit_id INTEGER NOT NULL,
+          event_type TEXT NOT NULL CHECK(event_type IN ('purchased', 'sold', 'returned', 'warranty_claim',
+                                                        'warranty_replaced', 'warranty_replacement', 'restocked')),
+          sale_id INTEGER,
+          sale_item_id INTEGER,
+          return_id INTEGER,
+          party_name TEXT,
+          party_phone TEXT,
+          party_cnic TEXT,
+          amount REAL,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_by INTEGER,
+          FOREIGN KEY (unit_id) REFERENCES product_units(id),
+          FOREIGN KEY (sale_id) REFERENCES sales(id),
+          FOREIGN KEY (return_id) REFERENCES returns(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )`, callback);
+      });
+    });
+  }
+};
@@ -0,0 +1,32 @@
+// SKU and barcode on products, so the counter can scan instead of searching by name. Both are
+// unique when set; existing products get the same generated codes the server gives new products
+// left blank: SKU-000123 and an in-store EAN-13 (prefix 2 + product id + check digit).
+function ean13(digits) {
+  const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+  return digits + ((10 - (sum % 10)) % 10);
+}
+
+module.exports = {
+  description: 'Add SKU and barcode to products and generate them for existing products',
+  up(db, helpers, callback) {
+    helpers.addColumnsIfMissing(db, [
+      ['products', 'sku', 'TEXT'],
+      ['products', 'barcode', 'TEXT']
+    ], (err) => {
+      if (err) return callback(err);
+
+      db.all('SELECT id FROM products WHERE sku IS NULL OR barcode IS NULL', (err, rows) => {
+        if (err) return callback(err);
+
+        helpers.runStatements(db, [
+          ...rows.map(row => [
+            'UPDATE products SET sku = COALESCE(sku, ?), barcode = COALESCE(barcode, ?) WHERE id = ?',
+            [`SKU-${String(row.id).padStart(6, '0')}`, ean13(`2${String(row.id).padStart(11, '0')}`), row.id]
+          ]),
+          'CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products (sku)',
+          'CREATE UNIQUE INDEX IF NOT EXISTS idx_products_barcode ON products (barcode)'
+        ], callback);
+      });
+    });
+  }
+};
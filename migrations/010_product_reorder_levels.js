@@ -0,0 +1,11 @@
+// Per-product reorder level: a product is low on stock once its quantity drops below it. Existing
+// products get 5, the level the low-stock list used for every product until now; 0 turns the
+// warning off (for discontinued lines).
+module.exports = {
+  description: 'Add a reorder level to products',
+  up(db, helpers, callback) {
+    helpers.addColumnsIfMissing(db, [
+      ['products', 'reorder_level', 'INTEGER NOT NULL DEFAULT 5']
+    ], callback);
+  }
+};
@@ -0,0 +1,169 @@
+// Branches. Every shop keeps its own stock, sales, returns, expenses, shifts, repair jobs, stock takes
+// and staff in one database instead of a copy per shop; what is already there belongs to the
+// first branch. products.quantity stays the total across branches and branch_stock holds each
+// branch's share, kept up to date from the stock ledger by a trigger so every existing stock change
+// lands in the right branch. Stock moves between branches on transfer documents: it leaves the
+// source when dispatched ('transfer' ledger entries, units 'in_transit') and arrives when received.
+const BRANCH_COLUMN = 'INTEGER REFERENCES branches(id)';
+const BRANCH_TABLES = ['users', 'sales', 'returns', 'expenses', 'cash_shifts', 'repair_jobs', 'stock_takes'];
+
+module.exports = {
+  description: 'Add branches, per-branch stock and stock transfers between branches',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS branches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        code TEXT UNIQUE NOT NULL,
+        address TEXT,
+        phone TEXT,
+        active BOOLEAN NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      "INSERT OR IGNORE INTO branches (id, name, code) VALUES (1, 'Main Branch', 'MAIN')"
+    ], (err) => {
+      if (err) return callback(err);
+
+      helpers.addColumnsIfMissing(db, BRANCH_TABLES.map(table => [table, 'branch_id', BRANCH_COLUMN]), (err) => {
+        if (err) return callback(err);
+
+        helpers.runStatements(db, BRANCH_TABLES.map(table => `UPDATE ${table} SET branch_id = 1 WHERE branch_id IS NULL`), (err) => {
+          if (err) return callback(err);
+
+          // in_transit: on a transfer that has been dispatched but not received yet
+          helpers.rebuildTable(db, 'product_units', `CREATE TABLE product_units (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            imei1 TEXT UNIQUE,
+            imei2 TEXT UNIQUE,
+            serial_number TEXT,
+            condition TEXT CHECK(condition IN ('new', 'used')) DEFAULT 'new',
+            pta_status TEXT CHECK(pta_status IN ('approved', 'non_pta', 'pending')) DEFAULT 'approved',
+            purchase_price REAL NOT NULL,
+            supplier_id INTEGER,
+            supplier_name TEXT,
+            supplier_phone TEXT,
+            supplier_cnic TEXT,
+            status TEXT NOT NULL CHECK(status IN ('in_stock', 'sold', 'damaged', 'in_transit')) DEFAULT 'in_stock',
+            sale_item_id INTEGER,
+            branch_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_by INTEGER,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+            FOREIGN KEY (sale_item_id) REFERENCES sale_items(id),
+            FOREIGN KEY (branch_id) REFERENCES branches(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+          )`, (err) => {
+            if (err) return callback(err);
+
+            helpers.rebuildTable(db, 'unit_events', `CREATE TABLE unit_events (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              unit_id INTEGER NOT NULL,
+              event_type TEXT NOT NULL CHECK(event_type IN ('purchased', 'sold', 'returned', 'warranty_claim',
+                                                            'warranty_replaced', 'warranty_replacement', 'restocked',
+                                                            'transferred_out', 'transferred_in')),
+              sale_id INTEGER,
+              sale_item_id INTEGER,
+              return_id INTEGER,
+              party_name TEXT,
+              party_phone TEXT,
+              party_cnic TEXT,
+              amount REAL,
+              notes TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              created_by INTEGER,
+              FOREIGN KEY (unit_id) REFERENCES product_units(id),
+              FOREIGN KEY (sale_id) REFERENCES sales(id),
+              FOREIGN KEY (return_id) REFERENCES returns(id),
+              FOREIGN KEY (created_by) REFERENCES users(id)
+            )`, (err) => {
+              if (err) return callback(err);
+
+              helpers.rebuildTable(db, 'stock_movements', `CREATE TABLE stock_movements (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id INTEGER NOT NULL,
+                unit_id INTEGER,
+                branch_id INTEGER,
+                quantity_change INTEGER NOT NULL,
+                balance_after INTEGER,
+                source TEXT NOT NULL CHECK(source IN ('opening', 'sale', 'return', 'purchase', 'adjustment', 'damage',
+                                                      'stock_take', 'repair', 'warranty', 'transfer')),
+                reason_code TEXT,
+                reference_id INTEGER,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_by INTEGER,
+                FOREIGN KEY (product_id) REFERENCES products(id),
+                FOREIGN KEY (unit_id) REFERENCES product_units(id),
+                FOREIGN KEY (branch_id) REFERENCES branches(id),
+                FOREIGN KEY (created_by) REFERENCES users(id)
+              )`, (err) => {
+                if (err) return callback(err);
+
+                helpers.runStatements(db, [
+                  'UPDATE product_units SET branch_id = 1 WHERE branch_id IS NULL',
+                  'UPDATE stock_movements SET branch_id = 1 WHERE branch_id IS NULL',
+                  'CREATE INDEX IF NOT EXISTS idx_product_units_branch_id ON product_units (branch_id, status)',
+                  'CREATE INDEX IF NOT EXISTS idx_sales_branch_id ON sales (branch_id, sale_date)',
+
+                  // Each branch's share of products.quantity
+                  `CREATE TABLE IF NOT EXISTS branch_stock (
+                    product_id INTEGER NOT NULL,
+                    branch_id INTEGER NOT NULL,
+                    quantity INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (product_id, branch_id),
+                    FOREIGN KEY (product_id) REFERENCES products(id),
+                    FOREIGN KEY (branch_id) REFERENCES branches(id)
+                  )`,
+                  `INSERT OR IGNORE INTO branch_stock (product_id, branch_id, quantity)
+                   SELECT id, 1, quantity FROM products`,
+                  `CREATE TRIGGER IF NOT EXISTS trg_stock_movements_branch_stock AFTER INSERT ON stock_movements
+                   BEGIN
+                     INSERT INTO branch_stock (product_id, branch_id, quantity)
+                     VALUES (NEW.product_id, NEW.branch_id, NEW.quantity_change)
+                     ON CONFLICT (product_id, branch_id) DO UPDATE SET quantity = quantity + excluded.quantity;
+                   END`,
+
+                  `CREATE TABLE IF NOT EXISTS stock_transfers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    transfer_number TEXT UNIQUE NOT NULL,
+                    from_branch_id INTEGER NOT NULL,
+                    to_branch_id INTEGER NOT NULL,
+                    status TEXT NOT NULL CHECK(status IN ('in_transit', 'received', 'cancelled')) DEFAULT 'in_transit',
+                    notes TEXT,
+                    dispatched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    dispatched_by INTEGER,
+                    received_at DATETIME,
+                    received_by INTEGER,
+                    cancelled_at DATETIME,
+                    cancelled_by INTEGER,
+                    FOREIGN KEY (from_branch_id) REFERENCES branches(id),
+                    FOREIGN KEY (to_branch_id) REFERENCES branches(id),
+                    FOREIGN KEY (dispatched_by) REFERENCES users(id),
+                    FOREIGN KEY (received_by) REFERENCES users(id),
+                    FOREIGN KEY (cancelled_by) REFERENCES users(id)
+                  )`,
+                  'CREATE INDEX IF NOT EXISTS idx_stock_transfers_status ON stock_transfers (status)',
+
+                  // Serialized products have one line per unit
+                  `CREATE TABLE IF NOT EXISTS stock_transfer_items (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    transfer_id INTEGER NOT NULL,
+                    product_id INTEGER NOT NULL,
+                    unit_id INTEGER,
+                    quantity INTEGER NOT NULL,
+                    FOREIGN KEY (transfer_id) REFERENCES stock_transfers(id),
+                    FOREIGN KEY (product_id) REFERENCES products(id),
+                    FOREIGN KEY (unit_id) REFERENCES product_units(id)
+                  )`,
+                  'CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer_id ON stock_transfer_items (transfer_id)'
+                ], callback);
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+};
@@ -0,0 +1,48 @@
+// Sales tax. Each category has a rate and says whether its prices already include the tax or have
+// it added at the till; a product can override both (NULL keeps the category's). Existing
+// categories get 0% included in the price, so nothing sells at a different price until a rate is
+// set. Sale lines and returns keep the tax they were charged or reversed with, and every sale and
+// return is queued as an invoice for the tax authority's (FBR) POS service when that is switched on.
+module.exports = {
+  description: 'Add sales tax rates, tax on sales and returns, and the fiscal invoice submission queue',
+  up(db, helpers, callback) {
+    helpers.addColumnsIfMissing(db, [
+      ['categories', 'tax_rate', 'REAL NOT NULL DEFAULT 0'],
+      ['categories', 'tax_inclusive', 'BOOLEAN NOT NULL DEFAULT 1'],
+      ['categories', 'pct_code', 'TEXT'],
+      ['products', 'tax_rate', 'REAL'],
+      ['products', 'tax_inclusive', 'BOOLEAN'],
+      ['sale_items', 'tax_rate', 'REAL NOT NULL DEFAULT 0'],
+      ['sale_items', 'tax_inclusive', 'BOOLEAN NOT NULL DEFAULT 1'],
+      ['sale_items', 'tax_amount', 'REAL NOT NULL DEFAULT 0'],
+      ['sales', 'tax_amount', 'REAL NOT NULL DEFAULT 0'],
+      ['sales', 'fiscal_invoice_number', 'TEXT'],
+      ['returns', 'tax_amount', 'REAL NOT NULL DEFAULT 0'],
+      ['returns', 'fiscal_invoice_number', 'TEXT']
+    ], (err) => {
+      if (err) return callback(err);
+
+      helpers.runStatements(db, [
+        // One row per invoice sent (or waiting to be sent); a return is sent as a credit note
+        `CREATE TABLE IF NOT EXISTS fiscal_submissions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sale_id INTEGER NOT NULL,
+          return_id INTEGER,
+          usin TEXT UNIQUE NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL CHECK(status IN ('pending', 'submitted', 'failed')) DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          fiscal_invoice_number TEXT,
+          next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          submitted_at DATETIME,
+          FOREIGN KEY (sale_id) REFERENCES sales(id),
+          FOREIGN KEY (return_id) REFERENCES returns(id)
+        )`,
+        'CREATE INDEX IF NOT EXISTS idx_fiscal_submissions_status ON fiscal_submissions (status, next_attempt_at)',
+        'CREATE INDEX IF NOT EXISTS idx_fiscal_submissions_sale_id ON fiscal_submissions (sale_id)'
+      ], callback);
+    });
+  }
+};
@@ -0,0 +1,89 @@
+// Returns and exchanges as documents. A return document (CN-...) takes back one or more lines of a
+// sale, each with its share of the sale's discount, and is settled as a refund or as store credit
+// on the customer's ledger. An exchange (EX-...) does the same and sells the replacements on a new
+// invoice in one go: the returned value pays for them ('exchange' payment lines on both sales) and
+// only the difference is charged or settled. Returns made before this keep no document.
+module.exports = {
+  description: 'Add return and exchange documents, pro-rated return discounts and store credit',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS return_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_number TEXT UNIQUE NOT NULL,
+        document_type TEXT NOT NULL CHECK(document_type IN ('return', 'exchange')),
+        sale_id INTEGER NOT NULL,
+        exchange_sale_id INTEGER,
+        customer_id INTEGER,
+        settlement TEXT NOT NULL CHECK(settlement IN ('refund', 'store_credit')),
+        returned_total REAL NOT NULL,
+        exchange_total REAL NOT NULL DEFAULT 0,
+        charged REAL NOT NULL DEFAULT 0,
+        refunded REAL NOT NULL DEFAULT 0,
+        store_credit REAL NOT NULL DEFAULT 0,
+        reason TEXT,
+        shift_id INTEGER,
+        branch_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (exchange_sale_id) REFERENCES sales(id),
+        FOREIGN KEY (customer_id) REFERENCES customers(id),
+        FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+        FOREIGN KEY (branch_id) REFERENCES branches(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_return_documents_sale_id ON return_documents (sale_id)'
+    ], (err) => {
+      if (err) return callback(err);
+
+      helpers.addColumnsIfMissing(db, [
+        ['returns', 'document_id', 'INTEGER REFERENCES return_documents(id)'],
+        ['returns', 'discount_amount', 'REAL NOT NULL DEFAULT 0']
+      ], (err) => {
+        if (err) return callback(err);
+
+        // store_credit: paid with (or refunded as) credit on the customer's ledger;
+        // exchange: returned goods' value moved from the old invoice to the new one
+        helpers.rebuildTable(db, 'sale_payments', `CREATE TABLE sale_payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sale_id INTEGER NOT NULL,
+          return_id INTEGER,
+          method TEXT NOT NULL CHECK(method IN ('cash', 'card', 'bank_transfer', 'trade_in', 'account', 'store_credit',
+                                                'exchange')),
+          amount REAL NOT NULL,
+          tendered REAL,
+          change_given REAL NOT NULL DEFAULT 0,
+          reference TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          created_by INTEGER,
+          trade_in_id INTEGER,
+          FOREIGN KEY (sale_id) REFERENCES sales(id),
+          FOREIGN KEY (return_id) REFERENCES returns(id),
+          FOREIGN KEY (trade_in_id) REFERENCES trade_ins(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )`, (err) => {
+          if (err) return callback(err);
+
+          // store_credit entries: credit given on a return, debit when it is spent
+          helpers.rebuildTable(db, 'customer_ledger', `CREATE TABLE customer_ledger (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            customer_id INTEGER NOT NULL,
+            entry_type TEXT NOT NULL CHECK(entry_type IN ('sale', 'payment', 'return', 'adjustment', 'store_credit')),
+            sale_id INTEGER,
+            return_id INTEGER,
+            debit REAL NOT NULL DEFAULT 0,
+            credit REAL NOT NULL DEFAULT 0,
+            method TEXT,
+            notes TEXT,
+            entry_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_by INTEGER,
+            FOREIGN KEY (customer_id) REFERENCES customers(id),
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (return_id) REFERENCES returns(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+          )`, callback);
+        });
+      });
+    });
+  }
+};
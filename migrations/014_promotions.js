@@ -0,0 +1,72 @@
+// Promotions. A promotion is a dated rule the till applies by itself: a percentage or flat amount
+// off a product, a category or the whole bill, a bundle (e.g. a phone with a charger) at a discount,
+// or buy X get Y on a product or category. One with a coupon code only applies when the code is given
+// at checkout and can be limited to a number of uses. What each promotion took off is kept per
+// sale line (sale_items.promotion_amount, sale_promotions) so its cost can be reported; the manual
+// discount typed in at the till now applies after promotions.
+module.exports = {
+  description: 'Add promotions, bundles, buy X get Y, coupons and the promotions applied to each sale',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      // discount: off the target (per unit when flat) or, with no target, off the whole bill;
+      // bundle: off each set of promotion_items found in the bill; buy_x_get_y: in every
+      // buy_quantity + get_quantity units of the target, the get_quantity cheapest get
+      // discount_value percent off
+      `CREATE TABLE IF NOT EXISTS promotions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        promotion_type TEXT NOT NULL CHECK(promotion_type IN ('discount', 'bundle', 'buy_x_get_y')),
+        discount_type TEXT NOT NULL CHECK(discount_type IN ('percentage', 'flat')) DEFAULT 'percentage',
+        discount_value REAL NOT NULL,
+        product_id INTEGER,
+        category_id INTEGER,
+        buy_quantity INTEGER,
+        get_quantity INTEGER,
+        coupon_code TEXT UNIQUE,
+        usage_limit INTEGER,
+        times_used INTEGER NOT NULL DEFAULT 0,
+        starts_on DATE,
+        ends_on DATE,
+        active BOOLEAN NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (category_id) REFERENCES categories(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      // What makes up one bundle: a quantity of a product, or of anything in a category
+      `CREATE TABLE IF NOT EXISTS promotion_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        promotion_id INTEGER NOT NULL,
+        product_id INTEGER,
+        category_id INTEGER,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        FOREIGN KEY (promotion_id) REFERENCES promotions(id),
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        FOREIGN KEY (category_id) REFERENCES categories(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_promotion_items_promotion_id ON promotion_items (promotion_id)',
+      // One row per promotion per sale line it took money off
+      `CREATE TABLE IF NOT EXISTS sale_promotions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sale_id INTEGER NOT NULL,
+        sale_item_id INTEGER NOT NULL,
+        promotion_id INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        FOREIGN KEY (sale_id) REFERENCES sales(id),
+        FOREIGN KEY (sale_item_id) REFERENCES sale_items(id),
+        FOREIGN KEY (promotion_id) REFERENCES promotions(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_sale_promotions_promotion_id ON sale_promotions (promotion_id)',
+      'CREATE INDEX IF NOT EXISTS idx_sale_promotions_sale_id ON sale_promotions (sale_id)'
+    ], (err) => {
+      if (err) return callback(err);
+
+      helpers.addColumnsIfMissing(db, [
+        ['sales', 'promotion_discount', 'REAL NOT NULL DEFAULT 0'],
+        ['sales', 'coupon_code', 'TEXT'],
+        ['sale_items', 'promotion_amount', 'REAL NOT NULL DEFAULT 0']
+      ], callback);
+    });
+  }
+};
@@ -0,0 +1,76 @@
+// Expense categories, payment methods, receipts and recurring expenses. Every expense can sit in a
+// category (rent, salaries, utilities...) so the dashboard and P&L can split expenses by category;
+// existing ones stay uncategorised apart from petty-cash payouts. A recurring expense is a template
+// that posts itself as an expense once a month on its day, and receipt scans (images or PDFs) are
+// kept against the expense they belong to.
+const EXPENSE_CATEGORIES = ['Rent', 'Salaries', 'Utilities', 'Stock Transport', 'Repairs & Maintenance', 'Petty Cash',
+                            'Other'];
+
+module.exports = {
+  description: 'Add expense categories, payment methods, receipt attachments and recurring expenses',
+  up(db, helpers, callback) {
+    helpers.runStatements(db, [
+      `CREATE TABLE IF NOT EXISTS expense_categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+      ...EXPENSE_CATEGORIES.map(name => ['INSERT OR IGNORE INTO expense_categories (name) VALUES (?)', [name]]),
+      // day_of_month is kept to 1-28 so every month has it; last_posted_on is the newest date posted
+      `CREATE TABLE IF NOT EXISTS recurring_expenses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        description TEXT NOT NULL,
+        category_id INTEGER,
+        amount REAL NOT NULL,
+        payment_method TEXT NOT NULL CHECK(payment_method IN ('cash', 'card', 'bank_transfer', 'cheque')) DEFAULT 'cash',
+        day_of_month INTEGER NOT NULL CHECK(day_of_month BETWEEN 1 AND 28),
+        starts_on DATE NOT NULL,
+        ends_on DATE,
+        last_posted_on DATE,
+        branch_id INTEGER,
+        active BOOLEAN NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (category_id) REFERENCES expense_categories(id),
+        FOREIGN KEY (branch_id) REFERENCES branches(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS expense_attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        expense_id INTEGER NOT NULL,
+        file_name TEXT NOT NULL,
+        original_name TEXT,
+        mime_type TEXT,
+        size INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (expense_id) REFERENCES expenses(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_expense_attachments_expense_id ON expense_attachments (expense_id)'
+    ], (err) => {
+      if (err) return callback(err);
+
+      helpers.addColumnsIfMissing(db, [
+        ['expenses', 'category_id', 'INTEGER REFERENCES expense_categories(id)'],
+        ['expenses', 'payment_method', "TEXT NOT NULL DEFAULT 'cash'"],
+        ['expenses', 'reference', 'TEXT'],
+        ['expenses', 'recurring_expense_id', 'INTEGER REFERENCES recurring_expenses(id)'],
+        ['expenses', 'updated_at', 'DATETIME'],
+        ['expenses', 'updated_by', 'INTEGER REFERENCES users(id)']
+      ], (err) => {
+        if (err) return callback(err);
+
+        helpers.runStatements(db, [
+          // A template posts each date once, even if two checks race
+          `CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring_date
+             ON expenses (recurring_expense_id, expense_date) WHERE recurring_expense_id IS NOT NULL`,
+          'CREATE INDEX IF NOT EXISTS idx_expenses_category_id ON expenses (category_id)',
+          `UPDATE expenses SET category_id = (SELECT id FROM expense_categories WHERE name = 'Petty Cash')
+           WHERE category_id IS NULL AND id IN (SELECT expense_id FROM cash_movements WHERE expense_id IS NOT NULL)`
+        ], callback);
+      });
+    });
+  }
+};
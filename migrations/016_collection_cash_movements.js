@@ -0,0 +1,31 @@
+// Cash collected from customers on account or towards an installment plan goes into the till like
+// any other cash, so it is recorded as a 'collection' movement on the shift that took it, linked to
+// the customer's ledger entry. Collections taken before this were never counted in the drawer.
+module.exports = {
+  description: 'Record cash collected from customers as movements on the shift',
+  up(db, helpers, callback) {
+    helpers.rebuildTable(db, 'cash_movements', `CREATE TABLE cash_movements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shift_id INTEGER NOT NULL,
+      movement_type TEXT NOT NULL CHECK(movement_type IN ('sale', 'refund', 'payout', 'trade_in', 'repair', 'collection')),
+      amount REAL NOT NULL,
+      sale_id INTEGER,
+      return_id INTEGER,
+      expense_id INTEGER,
+      trade_in_id INTEGER,
+      repair_job_id INTEGER,
+      ledger_entry_id INTEGER,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_by INTEGER,
+      FOREIGN KEY (shift_id) REFERENCES cash_shifts(id),
+      FOREIGN KEY (sale_id) REFERENCES sales(id),
+      FOREIGN KEY (return_id) REFERENCES returns(id),
+      FOREIGN KEY (expense_id) REFERENCES expenses(id),
+      FOREIGN KEY (trade_in_id) REFERENCES trade_ins(id),
+      FOREIGN KEY (repair_job_id) REFERENCES repair_jobs(id),
+      FOREIGN KEY (ledger_entry_id) REFERENCES customer_ledger(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )`, callback);
+  }
+};
@@ -3,20 +3,58 @@ const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
 const session = require('express-session');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const multer = require('multer');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const bwipjs = require('bwip-js');
+const { PNG } = require('pngjs');
+const net = require('net');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { migrate, migrateFile, migrationStatus } = require('./migrate');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// The database, uploads and local backups are kept here; DATA_DIR moves them, as the tests do to a scratch folder
+const DATA_DIR = process.env.DATA_DIR || __dirname;
 
 // File upload configuration
 const upload = multer({ dest: '/tmp' });
 
+// Trade-in photos (seller CNIC and the device) are kept for compliance, outside the public folder
+const TRADE_IN_PHOTO_DIR = path.join(DATA_DIR, 'uploads', 'trade-ins');
+fs.mkdirSync(TRADE_IN_PHOTO_DIR, { recursive: true });
+const tradeInUpload = multer({
+  dest: TRADE_IN_PHOTO_DIR,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/'))
+});
+
+// Scanned expense receipts: photos or PDFs
+const EXPENSE_RECEIPT_DIR = path.join(DATA_DIR, 'uploads', 'expenses');
+fs.mkdirSync(EXPENSE_RECEIPT_DIR, { recursive: true });
+const expenseReceiptUpload = multer({
+  dest: EXPENSE_RECEIPT_DIR,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf')
+});
+
 
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
+
+// Requests wait out a database import or rollback instead of hitting a closed connection
+app.use('/api', (req, res, next) => {
+  if (databaseSwapping) {
+    return res.status(503).json({ error: 'Database is being replaced, please try again in a moment' });
+  }
+  next();
+});
 app.use(session({
   secret: 'mobile-shop-secret-key-2025',
   resave: false,
@@ -25,174 +63,481 @@ app.use(session({
 }));
 
 // Database Setup
-const db = new sqlite3.Database('./mobile_shop.db', (err) => {
-  if (err) {
-    console.error('Error opening database:', err);
-  } else {
+// db is reassigned when an imported database is swapped in, so always go through this binding
+const DB_PATH = path.join(DATA_DIR, 'mobile_shop.db');
+let db;
+
+function openDatabase(callback) {
+  db = guardConnection(new sqlite3.Database(DB_PATH, AsyncResource.bind((err) => {
+    if (err) return callback(err);
     console.log('Connected to SQLite database');
-    initializeDatabase();
-  }
-});
-
-function initializeDatabase() {
-  db.serialize(() => {
-    // Users table
-    db.run(`CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      role TEXT NOT NULL CHECK(role IN ('admin', 'superuser')),
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Categories table
-    db.run(`CREATE TABLE IF NOT EXISTS categories (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT UNIQUE NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Products table
-    db.run(`CREATE TABLE IF NOT EXISTS products (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      category_id INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      description TEXT,
-      serial_number TEXT,
-      condition TEXT CHECK(condition IN ('new', 'used')) DEFAULT 'new',
-      supplier_phone TEXT,
-      supplier_cnic TEXT,
-      purchase_price REAL NOT NULL,
-      selling_price REAL NOT NULL,
-      quantity INTEGER NOT NULL DEFAULT 0,
-      pta_approved BOOLEAN DEFAULT 0,
-      warranty_days INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (category_id) REFERENCES categories(id)
-    )`);
-
-    // Sales table
-    db.run(`CREATE TABLE IF NOT EXISTS sales (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      invoice_number TEXT UNIQUE NOT NULL,
-      customer_name TEXT,
-      customer_phone TEXT,
-      customer_cnic TEXT,
-      payment_type TEXT CHECK(payment_type IN ('cash', 'bank_transfer', 'card')),
-      subtotal REAL NOT NULL,
-      discount_amount REAL DEFAULT 0,
-      discount_type TEXT CHECK(discount_type IN ('flat', 'percentage')),
-      net_total REAL NOT NULL,
-      total_profit REAL NOT NULL,
-      sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_by INTEGER,
-      FOREIGN KEY (created_by) REFERENCES users(id)
-    )`);
-
-    // Sale Items table
-    db.run(`CREATE TABLE IF NOT EXISTS sale_items (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      sale_id INTEGER NOT NULL,
-      product_id INTEGER NOT NULL,
-      product_name TEXT NOT NULL,
-      quantity INTEGER NOT NULL,
-      returned_quantity INTEGER DEFAULT 0,
-      unit_price REAL NOT NULL,
-      purchase_price REAL NOT NULL,
-      line_total REAL NOT NULL,
-      serial_imei TEXT,
-      profit REAL NOT NULL,
-      warranty_days INTEGER DEFAULT 0,
-      remarks TEXT,
-      FOREIGN KEY (sale_id) REFERENCES sales(id),
-      FOREIGN KEY (product_id) REFERENCES products(id)
-    )`);
-
-    // Returns table
-    db.run(`CREATE TABLE IF NOT EXISTS returns (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      sale_id INTEGER NOT NULL,
-      sale_item_id INTEGER NOT NULL,
-      product_id INTEGER NOT NULL,
-      quantity INTEGER NOT NULL,
-      return_amount REAL NOT NULL,
-      return_profit REAL NOT NULL,
-      reason TEXT,
-      return_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_by INTEGER,
-      FOREIGN KEY (sale_id) REFERENCES sales(id),
-      FOREIGN KEY (sale_item_id) REFERENCES sale_items(id),
-      FOREIGN KEY (product_id) REFERENCES products(id),
-      FOREIGN KEY (created_by) REFERENCES users(id)
-    )`);
-
-    // Expenses table
-    db.run(`CREATE TABLE IF NOT EXISTS expenses (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      description TEXT NOT NULL,
-      amount REAL NOT NULL,
-      expense_date DATE NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_by INTEGER,
-      FOREIGN KEY (created_by) REFERENCES users(id)
-    )`);
-
-    // Insert default categories
-    const defaultCategories = ['Phone', 'Watch', 'Accessory'];
-    const stmt = db.prepare('INSERT OR IGNORE INTO categories (name) VALUES (?)');
-    defaultCategories.forEach(cat => stmt.run(cat));
-    stmt.finalize();
-
-    // Create default users (admin and superuser)
-    const defaultPassword = bcrypt.hashSync('admin123', 10);
-    db.run('INSERT OR IGNORE INTO users (username, password, role) VALUES (?, ?, ?)', 
-      ['admin', defaultPassword, 'admin']);
-    db.run('INSERT OR IGNORE INTO users (username, password, role) VALUES (?, ?, ?)', 
-      ['superuser', defaultPassword, 'superuser']);
-
-    console.log('Database initialized successfully');
+    initializeDatabase(callback);
+  })));
+}
+
+// Requests are only accepted once the schema is migrated and seeded; a failed migration stops the server
+openDatabase((err) => {
+  if (err) {
+    console.error('Error opening database:', err.message);
+    process.exit(1);
+  }
+  startServer();
+});
+
+// Brings the schema up to date with the versioned migrations in migrations/, then seeds the
+// default categories and users; callback runs once everything has completed
+function initializeDatabase(callback = () => {}) {
+  migrate(db, {}, (err, result) => {
+    if (err) {
+      console.error('Error migrating database:', err.message);
+      return callback(err);
+    }
+    result.applied_now.forEach(migration => {
+      console.log(`Applied migration ${migration.version} ${migration.name}`);
+    });
+
+    db.serialize(() => {
+      // Insert default categories
+      const defaultCategories = ['Phone', 'Watch', 'Accessory'];
+      const stmt = db.prepare('INSERT OR IGNORE INTO categories (name) VALUES (?)');
+      defaultCategories.forEach(cat => stmt.run(cat));
+      stmt.finalize();
+
+      // Create default users (admin and superuser) at the first branch; the default password must be
+      // changed on first login
+      const defaultPassword = bcrypt.hashSync('admin123', 10);
+      db.run(`INSERT OR IGNORE INTO users (username, password, role, must_change_password, branch_id)
+              VALUES (?, ?, ?, 1, 1)`, ['admin', defaultPassword, 'admin']);
+      db.run(`INSERT OR IGNORE INTO users (username, password, role, must_change_password, branch_id)
+              VALUES (?, ?, ?, 1, 1)`, ['superuser', defaultPassword, 'superuser'], (err) => {
+        if (err) return callback(err);
+        console.log('Database initialized successfully');
+        callback(null);
+      });
+    });
+  });
+}
+
+// Runs [sql, params] statements one after another, stopping at the first error. A statement given
+// as [sql, params, message] also stops with that message when it changes no rows.
+function runSequence(statements, callback) {
+  let index = 0;
+  const next = (err) => {
+    if (err || index === statements.length) return callback(err || null);
+    const [sql, params, noChangeMessage] = statements[index++];
+    db.run(sql, params, function(err) {
+      if (!err && noChangeMessage && this.changes === 0) return next(new Error(noChangeMessage));
+      next(err);
+    });
+  };
+  next();
+}
+
+// Runs fn(item, index, next) for each item in turn, stopping at the first error
+function runEach(items, fn, callback) {
+  let index = 0;
+  const next = (err) => {
+    if (err || index === items.length) return callback(err || null);
+    const current = index++;
+    fn(items[current], current, next);
+  };
+  next();
+}
+
+// Transactions
+// Every request shares the one connection, so a transaction has to have it to itself. It starts once
+// the statements already running have finished; while it is open, statements from other requests and
+// other transactions wait in connectionQueue and run in order after it commits or rolls back.
+// transactionContext follows a transaction through its callbacks to tell its own statements apart.
+const transactionContext = new AsyncLocalStorage();
+const connectionQueue = [];
+let openTransaction = null;
+let statementsRunning = 0;
+
+function runQueued() {
+  while (connectionQueue.length > 0 && !openTransaction) {
+    if (connectionQueue[0].transaction && statementsRunning > 0) return;
+    connectionQueue.shift().start();
+  }
+}
+
+// Sends run/get/all/each/exec on a connection through the queue
+function guardConnection(connection) {
+  ['run', 'get', 'all', 'each', 'exec'].forEach(method => {
+    const original = connection[method];
+    connection[method] = function(...args) {
+      // Without a completion callback there is no telling when the statement is done
+      const callbacks = args.filter(arg => typeof arg === 'function').length;
+      if (callbacks < (method === 'each' ? 2 : 1)) {
+        args.push((err) => { if (err) connection.emit('error', err); });
+      }
+      args = args.map(arg => typeof arg === 'function' ? AsyncResource.bind(arg) : arg);
+      const queuedArgs = args.slice();
+      const completion = args[args.length - 1];
+      args[args.length - 1] = function(...results) {
+        statementsRunning--;
+        try {
+          return completion.apply(this, results);
+        } finally {
+          runQueued();
+        }
+      };
+
+      const start = () => {
+        // A statement queued behind a database swap runs on the connection that replaced this one
+        if (connection !== db) return db[method](...queuedArgs);
+        statementsRunning++;
+        return original.apply(connection, args);
+      };
+      const inTransaction = openTransaction && transactionContext.getStore() === openTransaction;
+      if (!inTransaction && (openTransaction || connectionQueue.length > 0)) {
+        connectionQueue.push({ start });
+        return connection;
+      }
+      return start();
+    };
+  });
+  return connection;
+}
+
+// Runs work(release) with the connection to itself: it starts once the statements already running
+// have finished, and every other statement and transaction waits until release() is called
+function withConnectionHeld(work, callback) {
+  const start = AsyncResource.bind(() => {
+    const hold = {};
+    openTransaction = hold;
+    const release = (err, result) => {
+      openTransaction = null;
+      callback(err, result);
+      runQueued();
+    };
+    transactionContext.run(hold, () => work(release));
   });
+
+  if (openTransaction || connectionQueue.length > 0 || statementsRunning > 0) {
+    connectionQueue.push({ transaction: true, start });
+  } else {
+    start();
+  }
+}
+
+// Wraps work(done) in a transaction that commits when done() succeeds and rolls back otherwise
+function withTransaction(work, callback) {
+  withConnectionHeld((release) => {
+    db.run('BEGIN TRANSACTION', (err) => {
+      if (err) return release(err);
+      work((err, result) => {
+        if (err) return db.run('ROLLBACK', () => release(err));
+        db.run('COMMIT', (err) => {
+          if (err) return db.run('ROLLBACK', () => release(err));
+          release(null, result);
+        });
+      });
+    });
+  }, callback);
+}
+
+// Roles and Permissions
+const PERMISSIONS = [
+  'products.manage',      // create/edit products and categories, receive units
+  'products.delete',
+  'stock.count',          // run stock takes
+  'stock.adjust',         // adjustments and posting stock takes
+  'stock.transfer',       // dispatch and receive stock transfers between branches
+  'purchasing',           // suppliers and purchase orders
+  'payables',             // supplier statements and payments
+  'sales.create',
+  'sales.override_price', // sell below the listed price
+  'shifts.manage',        // see and close every cashier's shift
+  'tradeins.manage',      // buy used phones from customers and see the buy-back register
+  'repairs.manage',       // repair job intake, parts, delivery and invoicing
+  'warranty.manage',      // warranty claims, replacements and the claims report
+  'returns.process',
+  'customers.manage',     // customers, collections and installment plans
+  'receivables',          // customer aging
+  'profit.view',          // profit columns on sales and returns
+  'dashboard.view',
+  'reports.view',         // profit & loss, sales analysis, stock valuation and slow movers
+  'expenses.manage',
+  'promotions.manage',    // promotions, coupons and the caps on manual discounts
+  'settings.manage',      // shop details on receipts and invoices, receipt printer
+  'database.manage',      // export and import
+  'users.manage',
+  'branches.manage'       // add branches, see every branch's figures and work at any branch
+];
+
+const ROLE_PERMISSIONS = {
+  superuser: PERMISSIONS,
+  // Selling below the listed price stays with the superuser
+  manager: PERMISSIONS.filter(permission => !['database.manage', 'users.manage', 'branches.manage',
+                                              'sales.override_price'].includes(permission)),
+  // Original shop staff role: everything that was open to any logged-in user
+  admin: ['products.manage', 'products.delete', 'stock.count', 'stock.transfer', 'purchasing', 'sales.create',
+          'returns.process', 'customers.manage', 'profit.view', 'tradeins.manage', 'repairs.manage',
+          'warranty.manage'],
+  stock_keeper: ['products.manage', 'stock.count', 'stock.transfer', 'purchasing'],
+  cashier: ['sales.create', 'customers.manage', 'repairs.manage']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
 }
 
+// Routes a user may still reach while a password change is pending
+const PASSWORD_CHANGE_ROUTES = ['/api/current-user', '/api/change-password'];
+
 // Authentication Middleware
+// The user is re-read on every request so disabling an account or changing its role or branch takes
+// effect immediately
 const requireAuth = (req, res, next) => {
-  if (req.session.userId) {
-    next();
-  } else {
-    res.status(401).json({ error: 'Unauthorized' });
+  if (!req.session.userId) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
+
+  db.get(`SELECT u.id, u.username, u.role, u.active, u.must_change_password, u.branch_id, b.name as branch_name
+          FROM users u LEFT JOIN branches b ON u.branch_id = b.id WHERE u.id = ?`,
+    [req.session.userId], (err, user) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!user || !user.active) {
+        req.session.destroy();
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      if (user.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+        return res.status(403).json({ error: 'Password change required', must_change_password: true });
+      }
+
+      req.user = user;
+      req.session.role = user.role;
+      req.session.branchId = user.branch_id;
+      next();
+    });
 };
 
 const requireSuperuser = (req, res, next) => {
-  if (req.session.userId && req.session.role === 'superuser') {
+  requireAuth(req, res, () => {
+    if (req.user.role === 'superuser') {
+      next();
+    } else {
+      res.status(403).json({ error: 'Forbidden - Superuser access required' });
+    }
+  });
+};
+
+const requirePermission = (permission) => (req, res, next) => {
+  requireAuth(req, res, () => {
+    if (hasPermission(req.user.role, permission)) {
+      next();
+    } else {
+      res.status(403).json({ error: `Forbidden - ${permission} permission required` });
+    }
+  });
+};
+
+// Strips profit figures from rows for users who may not see them
+function hideProfit(req, rows) {
+  if (hasPermission(req.user.role, 'profit.view')) return rows;
+  const strip = (row) => {
+    const copy = { ...row };
+    ['profit', 'total_profit', 'return_profit'].forEach(field => delete copy[field]);
+    return copy;
+  };
+  return Array.isArray(rows) ? rows.map(strip) : strip(rows);
+}
+
+// Audit Log
+// Every entry stores the hash of the previous one, so editing or deleting a row breaks the chain
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const AUDIT_HIDDEN_FIELDS = ['password', 'current_password', 'new_password'];
+const AUDIT_ACTIONS = { POST: 'create', PUT: 'update', DELETE: 'delete' };
+
+function auditHash(entry) {
+  return crypto.createHash('sha256').update(JSON.stringify([
+    entry.prev_hash, entry.created_at, entry.user_id, entry.username, entry.method, entry.route,
+    entry.entity, entry.entity_id, entry.action, entry.before_data, entry.after_data, entry.request_data
+  ])).digest('hex');
+}
+
+function auditJson(value) {
+  if (value === null || value === undefined) return null;
+  return JSON.stringify(value, (key, field) => AUDIT_HIDDEN_FIELDS.includes(key) ? undefined : field);
+}
+
+// Chains an entry onto the last one in the given database
+function appendAuditEntry(database, entry, callback) {
+  database.get('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1', (err, last) => {
+    if (err) return callback(err);
+
+    const row = { ...entry, prev_hash: last ? last.hash : AUDIT_GENESIS_HASH };
+    row.hash = auditHash(row);
+    database.run(`INSERT INTO audit_log (created_at, user_id, username, method, route, entity, entity_id, action,
+                  before_data, after_data, request_data, prev_hash, hash)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [row.created_at, row.user_id, row.username, row.method, row.route, row.entity, row.entity_id, row.action,
+       row.before_data, row.after_data, row.request_data, row.prev_hash, row.hash], callback);
+  });
+}
+
+function auditEntry(req, { entity, entityId, action, before, after }) {
+  return {
+    created_at: new Date().toISOString().replace('T', ' ').slice(0, 19),
+    user_id: req.user ? req.user.id : null,
+    username: req.user ? req.user.username : null,
+    method: req.method,
+    route: req.originalUrl,
+    entity,
+    entity_id: entityId === undefined || entityId === null ? null : String(entityId),
+    action: action || AUDIT_ACTIONS[req.method],
+    before_data: auditJson(before),
+    after_data: auditJson(after),
+    request_data: auditJson(req.body && Object.keys(req.body).length > 0 ? req.body : null)
+  };
+}
+
+// Writes are queued so concurrent requests cannot chain onto the same previous hash
+const pendingAudits = [];
+let auditWriting = false;
+
+function recordAudit(req, details, callback) {
+  pendingAudits.push({ entry: auditEntry(req, details), callback });
+  writeNextAudit();
+}
+
+function writeNextAudit() {
+  if (auditWriting || pendingAudits.length === 0) return;
+  auditWriting = true;
+
+  const { entry, callback } = pendingAudits.shift();
+  appendAuditEntry(db, entry, (err) => {
+    auditWriting = false;
+    if (err) console.error('Error writing audit log:', err);
+    callback(err);
+    writeNextAudit();
+  });
+}
+
+// Route middleware that snapshots the affected row before the handler runs and again
+// when it responds successfully, then records both in the audit log.
+// options.table names the table to snapshot; options.id(req, body) picks the row id,
+// defaulting to the :id route parameter or the id in the response
+const audited = (entity, options = {}) => (req, res, next) => {
+  const rowId = options.id || ((req, body) => req.params.id || (body && body.id));
+  const loadRow = (id, callback) => {
+    if (!options.table || id === undefined || id === null) return callback(null);
+    db.get(`SELECT * FROM ${options.table} WHERE id = ?`, [id], (err, row) => callback(row || null));
+  };
+
+  loadRow(rowId(req), (before) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400) return json(body);
+
+      const entityId = rowId(req, body);
+      loadRow(entityId, (after) => {
+        recordAudit(req, { entity, entityId, action: options.action, before, after }, () => json(body));
+      });
+      return res;
+    };
     next();
-  } else {
-    res.status(403).json({ error: 'Forbidden - Superuser access required' });
-  }
+  });
 };
 
 // API Routes
 
 // Auth Routes
+const LOGIN_MAX_ATTEMPTS = 5;        // failed passwords before an account is locked
+const LOGIN_LOCK_MINUTES = 15;
+const LOGIN_IP_MAX_ATTEMPTS = 20;    // failed logins per address within the window
+const LOGIN_IP_WINDOW_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const failedLoginsByIp = new Map();
+
+function loginBlockedForIp(ip) {
+  const entry = failedLoginsByIp.get(ip);
+  if (!entry) return false;
+  if (Date.now() - entry.since > LOGIN_IP_WINDOW_MS) {
+    failedLoginsByIp.delete(ip);
+    return false;
+  }
+  return entry.count >= LOGIN_IP_MAX_ATTEMPTS;
+}
+
+function recordFailedLogin(ip) {
+  const entry = failedLoginsByIp.get(ip) || { count: 0, since: Date.now() };
+  entry.count++;
+  failedLoginsByIp.set(ip, entry);
+}
+
+function validatePassword(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function sessionUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    branch_id: user.branch_id,
+    branch_name: user.branch_name,
+    must_change_password: !!user.must_change_password,
+    permissions: ROLE_PERMISSIONS[user.role] || []
+  };
+}
+
 app.post('/api/login', (req, res) => {
   const { username, password } = req.body;
   
-  db.get('SELECT * FROM users WHERE username = ?', [username], (err, user) => {
+  if (loginBlockedForIp(req.ip)) {
+    return res.status(429).json({ error: 'Too many failed login attempts, try again later' });
+  }
+  
+  db.get(`SELECT u.*, u.locked_until > datetime('now') as is_locked, b.name as branch_name
+          FROM users u LEFT JOIN branches b ON u.branch_id = b.id WHERE u.username = ?`,
+    [username], (err, user) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
     
-    if (!user || !bcrypt.compareSync(password, user.password)) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (user && user.is_locked) {
+      return res.status(423).json({ error: `Account is locked after too many failed attempts, try again in ${LOGIN_LOCK_MINUTES} minutes` });
+    }
+    
+    if (!user || !bcrypt.compareSync(password || '', user.password)) {
+      recordFailedLogin(req.ip);
+      if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+      
+      // The counter restarts once the lock is set so the next lock needs a fresh run of failures
+      const lock = user.failed_attempts + 1 >= LOGIN_MAX_ATTEMPTS;
+      return db.run(`UPDATE users SET failed_attempts = ?,
+                     locked_until = CASE WHEN ? THEN datetime('now', '+${LOGIN_LOCK_MINUTES} minutes') ELSE locked_until END
+                     WHERE id = ?`,
+        [lock ? 0 : user.failed_attempts + 1, lock ? 1 : 0, user.id], () => {
+          res.status(401).json({ error: 'Invalid credentials' });
+        });
     }
     
-    req.session.userId = user.id;
-    req.session.username = user.username;
-    req.session.role = user.role;
+    if (!user.active) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
     
-    res.json({ 
-      success: true, 
-      user: { id: user.id, username: user.username, role: user.role }
+    db.run(`UPDATE users SET failed_attempts = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP
+            WHERE id = ?`, [user.id], (err) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      
+      failedLoginsByIp.delete(req.ip);
+      req.session.userId = user.id;
+      req.session.username = user.username;
+      req.session.role = user.role;
+      req.session.branchId = user.branch_id;
+      
+      res.json({ 
+        success: true, 
+        user: sessionUser(user)
+      });
     });
   });
 });
@@ -203,487 +548,9109 @@ app.post('/api/logout', (req, res) => {
 });
 
 app.get('/api/current-user', requireAuth, (req, res) => {
-  res.json({ 
-    id: req.session.userId, 
-    username: req.session.username, 
-    role: req.session.role 
+  res.json(sessionUser(req.user));
+});
+
+app.post('/api/change-password', requireAuth,
+  audited('user', { table: 'users', action: 'change_password', id: (req) => req.user.id }), (req, res) => {
+  const { current_password, new_password } = req.body;
+  
+  const invalid = validatePassword(new_password);
+  if (invalid) return res.status(400).json({ error: invalid });
+  
+  db.get('SELECT password FROM users WHERE id = ?', [req.user.id], (err, user) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!bcrypt.compareSync(current_password || '', user.password)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    if (bcrypt.compareSync(new_password, user.password)) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+    
+    db.run('UPDATE users SET password = ?, must_change_password = 0 WHERE id = ?',
+      [bcrypt.hashSync(new_password, 10), req.user.id], (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ success: true });
+      });
   });
 });
 
-// Category Routes
-app.get('/api/categories', requireAuth, (req, res) => {
-  db.all('SELECT * FROM categories ORDER BY name', (err, rows) => {
+// User Management Routes
+const USER_COLUMNS = `id, username, role, branch_id, active, must_change_password, failed_attempts,
+  locked_until, last_login_at, created_at`;
+
+app.get('/api/roles', requirePermission('users.manage'), (req, res) => {
+  res.json(ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+});
+
+app.get('/api/users', requirePermission('users.manage'), (req, res) => {
+  db.all(`SELECT ${USER_COLUMNS}, (SELECT name FROM branches WHERE id = users.branch_id) as branch_name
+          FROM users ORDER BY username`, (err, rows) => {
     if (err) return res.status(500).json({ error: err.message });
     res.json(rows);
   });
 });
 
-app.post('/api/categories', requireAuth, (req, res) => {
-  const { name } = req.body;
-  db.run('INSERT INTO categories (name) VALUES (?)', [name], function(err) {
+// New users sign in with the temporary password and must replace it straight away. They work at
+// the given branch, or the branch of the user creating them.
+app.post('/api/users', requirePermission('users.manage'), audited('user', { table: 'users' }), (req, res) => {
+  const { username, password, role } = req.body;
+  
+  if (!username || !String(username).trim()) {
+    return res.status(400).json({ error: 'Username is required' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  const invalid = validatePassword(password);
+  if (invalid) return res.status(400).json({ error: invalid });
+  
+  findActiveBranch(req.body.branch_id || req.user.branch_id, (err, branch) => {
     if (err) return res.status(400).json({ error: err.message });
-    res.json({ id: this.lastID, name });
+    
+    db.run('INSERT INTO users (username, password, role, must_change_password, branch_id) VALUES (?, ?, ?, 1, ?)',
+      [String(username).trim(), bcrypt.hashSync(password, 10), role, branch.id], function(err) {
+        if (err) {
+          const message = err.message.includes('UNIQUE') ? 'Username is already taken' : err.message;
+          return res.status(400).json({ error: message });
+        }
+        res.json({ id: this.lastID, success: true });
+      });
   });
 });
 
-app.delete('/api/categories/:id', requireAuth, (req, res) => {
-  db.get('SELECT COUNT(*) as count FROM products WHERE category_id = ?', [req.params.id], (err, result) => {
+// Refuses changes that would leave the shop without an active superuser
+function checkSuperuserRemains(user, changes, callback) {
+  const losesSuperuser = user.role === 'superuser' &&
+    ((changes.role && changes.role !== 'superuser') || changes.active === 0);
+  if (!losesSuperuser) return callback(null);
+
+  db.get("SELECT COUNT(*) as count FROM users WHERE role = 'superuser' AND active = 1 AND id <> ?",
+    [user.id], (err, row) => {
+      if (err) return callback(err);
+      if (row.count === 0) return callback(new Error('At least one active superuser is required'));
+      callback(null);
+    });
+}
+
+// An open shift belongs to the branch it was opened at, so a user cannot move branch until it is closed
+function checkBranchMove(user, changes, callback) {
+  if (changes.branch_id === undefined || changes.branch_id === user.branch_id) return callback(null);
+
+  findOpenShift(user.id, (err, shift) => {
+    if (err) return callback(err);
+    if (shift) return callback(new Error(`${user.username} has shift #${shift.id} open, close it before changing branch`));
+    callback(null);
+  });
+}
+
+function updateUser(req, res, changes) {
+  db.get('SELECT * FROM users WHERE id = ?', [req.params.id], (err, user) => {
     if (err) return res.status(500).json({ error: err.message });
-    if (result.count > 0) {
-      return res.status(400).json({ error: 'Cannot delete category with existing products' });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.id === req.user.id && (changes.active === 0 || changes.role)) {
+      return res.status(400).json({ error: 'You cannot change your own role or disable yourself' });
     }
     
-    db.run('DELETE FROM categories WHERE id = ?', [req.params.id], (err) => {
+    checkSuperuserRemains(user, changes, (err) => {
       if (err) return res.status(400).json({ error: err.message });
-      res.json({ success: true });
+      
+      checkBranchMove(user, changes, (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        
+        const columns = Object.keys(changes);
+        db.run(`UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => changes[column]), user.id], (err) => {
+            if (err) return res.status(500).json({ error: err.message });
+            res.json({ success: true });
+          });
+      });
     });
   });
+}
+
+// Changes the role and/or the branch a user works at
+app.put('/api/users/:id', requirePermission('users.manage'), audited('user', { table: 'users' }), (req, res) => {
+  const { role, branch_id } = req.body;
+  
+  if (role === undefined && branch_id === undefined) {
+    return res.status(400).json({ error: 'Nothing to change' });
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (branch_id === undefined) return updateUser(req, res, { role });
+  
+  findActiveBranch(branch_id, (err, branch) => {
+    if (err) return res.status(400).json({ error: err.message });
+    updateUser(req, res, role === undefined ? { branch_id: branch.id } : { role, branch_id: branch.id });
+  });
 });
 
-// Product Routes
-app.get('/api/products', requireAuth, (req, res) => {
-  const query = `
-    SELECT p.*, c.name as category_name 
-    FROM products p 
-    JOIN categories c ON p.category_id = c.id
-    ORDER BY p.created_at DESC
-  `;
+app.post('/api/users/:id/disable', requirePermission('users.manage'),
+  audited('user', { table: 'users', action: 'disable' }), (req, res) => {
+  updateUser(req, res, { active: 0 });
+});
+
+app.post('/api/users/:id/enable', requirePermission('users.manage'),
+  audited('user', { table: 'users', action: 'enable' }), (req, res) => {
+  updateUser(req, res, { active: 1, failed_attempts: 0, locked_until: null });
+});
+
+// Sets a temporary password and clears any lockout
+app.post('/api/users/:id/reset-password', requirePermission('users.manage'),
+  audited('user', { table: 'users', action: 'reset_password' }), (req, res) => {
+  const { password } = req.body;
   
-  db.all(query, (err, rows) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
+  const invalid = validatePassword(password);
+  if (invalid) return res.status(400).json({ error: invalid });
+  
+  updateUser(req, res, {
+    password: bcrypt.hashSync(password, 10),
+    must_change_password: 1,
+    failed_attempts: 0,
+    locked_until: null
   });
 });
 
-app.get('/api/products/:id', requireAuth, (req, res) => {
-  db.get('SELECT * FROM products WHERE id = ?', [req.params.id], (err, row) => {
+// Branch Routes
+// Every user works at one branch: their sales, returns, expenses, shifts and stock changes are booked
+// there and lists show that branch only. Users with branches.manage can look at any branch
+// (?branch_id=, or 'all' for the consolidated figures) and move themselves between branches.
+// The branch of the user bound to the placeholder, for statements that only know the user id
+const USER_BRANCH_SQL = '(SELECT branch_id FROM users WHERE id = ?)';
+
+function findActiveBranch(id, callback) {
+  db.get('SELECT * FROM branches WHERE id = ?', [id], (err, branch) => {
+    if (err) return callback(err);
+    if (!branch) return callback(new Error('Branch not found'));
+    if (!branch.active) return callback(new Error(`${branch.name} is closed`));
+    callback(null, branch);
+  });
+}
+
+// Branch a record read by id has to belong to: the user's own, or any with branches.manage (null)
+function recordBranchScope(req) {
+  return hasPermission(req.user.role, 'branches.manage') ? null : req.user.branch_id;
+}
+
+// Branch a list or report covers: the user's own, or for branches.manage the ?branch_id asked for.
+// null means all branches.
+function branchScope(req) {
+  const requested = req.query.branch_id;
+  if (!hasPermission(req.user.role, 'branches.manage') || requested === undefined || requested === '') {
+    return req.user.branch_id;
+  }
+  return requested === 'all' ? null : Number(requested);
+}
+
+function branchFields(body) {
+  return {
+    name: String(body.name || '').trim(),
+    code: String(body.code || '').trim().toUpperCase(),
+    address: body.address || null,
+    phone: body.phone || null
+  };
+}
+
+app.get('/api/branches', requireAuth, (req, res) => {
+  const query = `
+    SELECT b.*, (SELECT COUNT(*) FROM users u WHERE u.branch_id = b.id AND u.active = 1) as active_users
+    FROM branches b
+    ORDER BY b.active DESC, b.name
+  `;
+
+  db.all(query, [], (err, rows) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(row);
+    res.json(rows);
   });
 });
 
-app.post('/api/products', requireAuth, (req, res) => {
-  const { category_id, name, description, serial_number, condition, supplier_phone, 
-          supplier_cnic, purchase_price, selling_price, quantity, pta_approved, warranty_days } = req.body;
-  
-  db.run(`INSERT INTO products (category_id, name, description, serial_number, condition, 
-          supplier_phone, supplier_cnic, purchase_price, selling_price, quantity, pta_approved, warranty_days)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [category_id, name, description, serial_number, condition, supplier_phone, supplier_cnic,
-     purchase_price, selling_price, quantity, pta_approved ? 1 : 0, warranty_days || 0],
-    function(err) {
-      if (err) return res.status(400).json({ error: err.message });
+app.post('/api/branches', requirePermission('branches.manage'), audited('branch', { table: 'branches' }), (req, res) => {
+  const branch = branchFields(req.body);
+
+  if (!branch.name || !branch.code) {
+    return res.status(400).json({ error: 'Branch name and code are required' });
+  }
+
+  db.run('INSERT INTO branches (name, code, address, phone) VALUES (?, ?, ?, ?)',
+    [branch.name, branch.code, branch.address, branch.phone], function(err) {
+      if (err) {
+        const message = err.message.includes('UNIQUE') ? 'A branch with this name or code already exists' : err.message;
+        return res.status(400).json({ error: message });
+      }
       res.json({ id: this.lastID, success: true });
-    }
-  );
+    });
 });
 
-app.put('/api/products/:id', requireAuth, (req, res) => {
-  const { category_id, name, description, serial_number, condition, supplier_phone,
-          supplier_cnic, purchase_price, selling_price, quantity, pta_approved, warranty_days } = req.body;
-  
-  db.run(`UPDATE products SET category_id=?, name=?, description=?, serial_number=?, condition=?,
-          supplier_phone=?, supplier_cnic=?, purchase_price=?, selling_price=?, quantity=?, 
-          pta_approved=?, warranty_days=? WHERE id=?`,
-    [category_id, name, description, serial_number, condition, supplier_phone, supplier_cnic,
-     purchase_price, selling_price, quantity, pta_approved ? 1 : 0, warranty_days || 0, req.params.id],
-    (err) => {
-      if (err) return res.status(400).json({ error: err.message });
-      res.json({ success: true });
+// A branch can only be closed once nobody works there and its stock has been transferred out
+app.put('/api/branches/:id', requirePermission('branches.manage'), audited('branch', { table: 'branches' }), (req, res) => {
+  const branch = branchFields(req.body);
+  const active = req.body.active === undefined ? 1 : (req.body.active ? 1 : 0);
+
+  if (!branch.name || !branch.code) {
+    return res.status(400).json({ error: 'Branch name and code are required' });
+  }
+
+  db.get(`SELECT b.id,
+            (SELECT COUNT(*) FROM users u WHERE u.branch_id = b.id AND u.active = 1) as active_users,
+            (SELECT COALESCE(SUM(bs.quantity), 0) FROM branch_stock bs WHERE bs.branch_id = b.id) as stock
+          FROM branches b WHERE b.id = ?`, [req.params.id], (err, existing) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!existing) return res.status(404).json({ error: 'Branch not found' });
+    if (!active && existing.active_users > 0) {
+      return res.status(400).json({ error: `${existing.active_users} active user(s) still work at this branch` });
     }
-  );
+    if (!active && existing.stock !== 0) {
+      return res.status(400).json({ error: 'Transfer the branch\'s stock out before closing it' });
+    }
+
+    db.run('UPDATE branches SET name = ?, code = ?, address = ?, phone = ?, active = ? WHERE id = ?',
+      [branch.name, branch.code, branch.address, branch.phone, active, existing.id], (err) => {
+        if (err) {
+          const message = err.message.includes('UNIQUE') ? 'A branch with this name or code already exists' : err.message;
+          return res.status(400).json({ error: message });
+        }
+        res.json({ success: true });
+      });
+  });
 });
 
-app.delete('/api/products/:id', requireAuth, (req, res) => {
-  db.run('DELETE FROM products WHERE id = ?', [req.params.id], (err) => {
+// Moves the current user to another branch; from then on they sell and book stock there
+app.post('/api/branches/:id/switch', requirePermission('branches.manage'),
+  audited('user', { table: 'users', action: 'switch_branch', id: (req) => req.user.id }), (req, res) => {
+  findActiveBranch(req.params.id, (err, branch) => {
     if (err) return res.status(400).json({ error: err.message });
-    res.json({ success: true });
+
+    checkBranchMove(req.user, { branch_id: branch.id }, (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+
+      db.run('UPDATE users SET branch_id = ? WHERE id = ?', [branch.id, req.user.id], (err) => {
+        if (err) return res.status(500).json({ error: err.message });
+        req.session.branchId = branch.id;
+        res.json({ success: true, branch_id: branch.id, branch_name: branch.name });
+      });
+    });
   });
 });
 
-// Sales Routes
-app.post('/api/sales', requireAuth, (req, res) => {
-  const { customer_name, customer_phone, customer_cnic, payment_type, items, discount_amount, discount_type } = req.body;
+// Audit Log Routes
+app.get('/api/audit-log', requireSuperuser, (req, res) => {
+  const { user_id, entity, entity_id, start_date, end_date } = req.query;
   
-  const invoiceNumber = 'INV' + Date.now();
+  let query = 'SELECT * FROM audit_log WHERE 1=1';
+  const params = [];
   
-  let subtotal = 0;
-  let totalProfit = 0;
+  if (user_id) {
+    query += ' AND user_id = ?';
+    params.push(user_id);
+  }
   
-  items.forEach(item => {
-    subtotal += item.line_total;
-    totalProfit += item.profit;
-  });
+  if (entity) {
+    query += ' AND entity = ?';
+    params.push(entity);
+  }
+  
+  if (entity_id) {
+    query += ' AND entity_id = ?';
+    params.push(String(entity_id));
+  }
+  
+  if (start_date) {
+    query += ' AND DATE(created_at) >= ?';
+    params.push(start_date);
+  }
   
-  const discountValue = discount_type === 'percentage' 
-    ? (subtotal * discount_amount / 100) 
-    : discount_amount;
+  if (end_date) {
+    query += ' AND DATE(created_at) <= ?';
+    params.push(end_date);
+  }
   
-  const netTotal = subtotal - discountValue;
-  totalProfit -= discountValue;
+  query += ' ORDER BY id DESC';
   
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows.map(row => ({
+      ...row,
+      before_data: row.before_data && JSON.parse(row.before_data),
+      after_data: row.after_data && JSON.parse(row.after_data),
+      request_data: row.request_data && JSON.parse(row.request_data)
+    })));
+  });
+});
+
+// Recomputes the hash chain and reports the first entry that no longer matches
+app.get('/api/audit-log/verify', requireSuperuser, (req, res) => {
+  db.all('SELECT * FROM audit_log ORDER BY id', (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
     
-    db.run(`INSERT INTO sales (invoice_number, customer_name, customer_phone, customer_cnic, payment_type, 
-            subtotal, discount_amount, discount_type, net_total, total_profit, created_by)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [invoiceNumber, customer_name, customer_phone, customer_cnic, payment_type, subtotal, 
-       discount_amount, discount_type, netTotal, totalProfit, req.session.userId],
-      function(err) {
-        if (err) {
-          db.run('ROLLBACK');
-          return res.status(400).json({ error: err.message });
-        }
-        
-        const saleId = this.lastID;
-        const stmt = db.prepare(`INSERT INTO sale_items (sale_id, product_id, product_name, 
-                                 quantity, unit_price, purchase_price, line_total, serial_imei, 
-                                 profit, warranty_days, remarks)
-                                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
-        
-        let completed = 0;
-        items.forEach(item => {
-          stmt.run([saleId, item.product_id, item.product_name, item.quantity, 
-                   item.unit_price, item.purchase_price, item.line_total, 
-                   item.serial_imei, item.profit, item.warranty_days || 0, item.remarks || ''], (err) => {
-            if (err) {
-              db.run('ROLLBACK');
-              return res.status(400).json({ error: err.message });
-            }
-            
-            db.run('UPDATE products SET quantity = quantity - ? WHERE id = ?',
-              [item.quantity, item.product_id]);
-            
-            completed++;
-            if (completed === items.length) {
-              stmt.finalize();
-              db.run('COMMIT');
-              res.json({ success: true, saleId, invoiceNumber });
-            }
-          });
-        });
+    let prevHash = AUDIT_GENESIS_HASH;
+    for (const row of rows) {
+      if (row.prev_hash !== prevHash || auditHash(row) !== row.hash) {
+        return res.json({ valid: false, entries: rows.length, broken_at: row.id });
       }
-    );
+      prevHash = row.hash;
+    }
+    res.json({ valid: true, entries: rows.length });
   });
 });
 
-app.get('/api/sales', requireAuth, (req, res) => {
-  const { start_date, end_date, phone, invoice, customer, serial, date } = req.query;
-  
-  let query = `SELECT s.*, GROUP_CONCAT(si.serial_imei) as serials 
-               FROM sales s 
-               LEFT JOIN sale_items si ON s.id = si.sale_id
-               WHERE 1=1`;
-  const params = [];
-  
-  if (start_date) {
-    query += ' AND DATE(s.sale_date) >= DATE(?)';
-    params.push(start_date);
-  }
-  
-  if (end_date) {
-    query += ' AND DATE(s.sale_date) <= DATE(?)';
-    params.push(end_date);
-  }
-  
-  if (phone) {
-    query += ' AND s.customer_phone LIKE ?';
-    params.push('%' + phone + '%');
-  }
-  
-  if (invoice) {
-    query += ' AND s.invoice_number LIKE ?';
-    params.push('%' + invoice + '%');
-  }
-  
-  if (customer) {
-    query += ' AND s.customer_name LIKE ?';
-    params.push('%' + customer + '%');
-  }
-  
-  if (serial) {
-    query += ' AND si.serial_imei LIKE ?';
-    params.push('%' + serial + '%');
-  }
-  
-  if (date) {
-    query += ' AND DATE(s.sale_date) = DATE(?)';
-    params.push(date);
-  }
-  
-  query += ' GROUP BY s.id ORDER BY s.sale_date DESC';
-  
-  db.all(query, params, (err, rows) => {
+// Category Routes
+app.get('/api/categories', requireAuth, (req, res) => {
+  db.all('SELECT * FROM categories ORDER BY name', (err, rows) => {
     if (err) return res.status(500).json({ error: err.message });
     res.json(rows);
   });
 });
 
-app.get('/api/sales/:id', requireAuth, (req, res) => {
-  db.get('SELECT * FROM sales WHERE id = ?', [req.params.id], (err, sale) => {
-    if (err) return res.status(500).json({ error: err.message });
-    
-    db.all('SELECT * FROM sale_items WHERE sale_id = ?', [req.params.id], (err, items) => {
-      if (err) return res.status(500).json({ error: err.message });
-      res.json({ ...sale, items });
+// Sales tax rate (0-100%) and whether prices include it, from a category or product form. Products
+// may leave either blank (inherit) to use their category's; a category's blanks mean 0% included.
+function taxFields(body, inherit) {
+  const blank = (value) => value === undefined || value === null || value === '';
+  const rate = blank(body.tax_rate) ? (inherit ? null : 0) : Number(body.tax_rate);
+  if (rate !== null && !(rate >= 0 && rate <= 100)) {
+    return { error: 'Tax rate must be between 0 and 100%' };
+  }
+  const inclusive = blank(body.tax_inclusive) ? (inherit ? null : 1)
+    : [true, 1, '1', 'true'].includes(body.tax_inclusive) ? 1 : 0;
+  return { taxRate: rate, taxInclusive: inclusive };
+}
+
+app.post('/api/categories', requirePermission('products.manage'),
+  audited('category', { table: 'categories' }), (req, res) => {
+  const { name, pct_code } = req.body;
+  const { taxRate, taxInclusive, error } = taxFields(req.body, false);
+  if (error) return res.status(400).json({ error });
+
+  db.run('INSERT INTO categories (name, tax_rate, tax_inclusive, pct_code) VALUES (?, ?, ?, ?)',
+    [name, taxRate, taxInclusive, pct_code || null], function(err) {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ id: this.lastID, name });
     });
-  });
 });
 
-// Returns Routes
-app.post('/api/returns', requireAuth, (req, res) => {
-  const { sale_id, sale_item_id, product_id, quantity, reason } = req.body;
-  
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-    
-    db.get('SELECT * FROM sale_items WHERE id = ?', [sale_item_id], (err, item) => {
-      if (err) {
-        db.run('ROLLBACK');
-        return res.status(400).json({ error: err.message });
-      }
-      
-      const availableQty = item.quantity - item.returned_quantity;
-      if (quantity > availableQty) {
-        db.run('ROLLBACK');
-        return res.status(400).json({ error: 'Quantity exceeds available items for return' });
-      }
-      
-      const returnAmount = item.unit_price * quantity;
-      const returnProfit = (item.profit / item.quantity) * quantity;
-      
-      db.run(`INSERT INTO returns (sale_id, sale_item_id, product_id, quantity, return_amount, return_profit, reason, created_by)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [sale_id, sale_item_id, product_id, quantity, returnAmount, returnProfit, reason, req.session.userId],
-        function(err) {
-          if (err) {
-            db.run('ROLLBACK');
-            return res.status(400).json({ error: err.message });
-          }
-          
-          db.run('UPDATE sale_items SET returned_quantity = returned_quantity + ? WHERE id = ?',
-            [quantity, sale_item_id], (err) => {
-              if (err) {
-                db.run('ROLLBACK');
-                return res.status(400).json({ error: err.message });
-              }
-              
-              db.run('UPDATE products SET quantity = quantity + ? WHERE id = ?',
-                [quantity, product_id], (err) => {
-                  if (err) {
-                    db.run('ROLLBACK');
-                    return res.status(400).json({ error: err.message });
-                  }
-                  
-                  db.run(`UPDATE sales SET net_total = net_total - ?, total_profit = total_profit - ?
-                          WHERE id = ?`,
-                    [returnAmount, returnProfit, sale_id], (err) => {
-                      if (err) {
-                        db.run('ROLLBACK');
-                        return res.status(400).json({ error: err.message });
-                      }
-                      
-                      db.run('COMMIT');
-                      res.json({ success: true });
-                    });
-                });
-            });
-        }
-      );
+// Rate changes apply to sales from now on; past sales keep the tax they were charged
+app.put('/api/categories/:id', requirePermission('products.manage'),
+  audited('category', { table: 'categories' }), (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const { taxRate, taxInclusive, error } = taxFields(req.body, false);
+  if (error) return res.status(400).json({ error });
+  if (!name) return res.status(400).json({ error: 'Category name is required' });
+
+  db.run('UPDATE categories SET name = ?, tax_rate = ?, tax_inclusive = ?, pct_code = ? WHERE id = ?',
+    [name, taxRate, taxInclusive, req.body.pct_code || null, req.params.id], function(err) {
+      if (err) return res.status(400).json({ error: err.message });
+      if (this.changes === 0) return res.status(404).json({ error: 'Category not found' });
+      res.json({ success: true });
     });
-  });
 });
 
-app.get('/api/returns', requireAuth, (req, res) => {
-  const query = `
-    SELECT r.*, p.name as product_name, s.invoice_number, s.customer_name, s.customer_phone
-    FROM returns r
-    JOIN products p ON r.product_id = p.id
-    JOIN sales s ON r.sale_id = s.id
-    ORDER BY r.return_date DESC
-  `;
-  
-  db.all(query, (err, rows) => {
+app.delete('/api/categories/:id', requirePermission('products.delete'),
+  audited('category', { table: 'categories' }), (req, res) => {
+  db.get('SELECT COUNT(*) as count FROM products WHERE category_id = ?', [req.params.id], (err, result) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
+    if (result.count > 0) {
+      return res.status(400).json({ error: 'Cannot delete category with existing products' });
+    }
+    
+    db.run('DELETE FROM categories WHERE id = ?', [req.params.id], (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true });
+    });
   });
 });
 
-// Expenses Routes
-app.get('/api/expenses', requireSuperuser, (req, res) => {
-  const { start_date, end_date } = req.query;
-  
-  let query = 'SELECT * FROM expenses WHERE 1=1';
-  const params = [];
-  
-  if (start_date) {
-    query += ' AND DATE(expense_date) >= DATE(?)';
-    params.push(start_date);
+// Product Routes
+// Every product has a SKU and a barcode. Left blank they are generated from the product id:
+// SKU-000123 and an in-store EAN-13 (prefix 2, reserved for codes that never leave the shop).
+const BARCODE_PATTERN = /^[\x21-\x7e]{1,48}$/;   // printable ASCII, all of it fits Code128
+const SKU_PATTERN = /^[A-Za-z0-9._\/-]{1,32}$/;
+
+function ean13CheckDigit(digits) {
+  const sum = digits.split('').reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+function isEan13(code) {
+  return /^\d{13}$/.test(code) && ean13CheckDigit(code.slice(0, 12)) === Number(code[12]);
+}
+
+function generatedProductCodes(productId) {
+  const digits = `2${String(productId).padStart(11, '0')}`;
+  return { sku: `SKU-${String(productId).padStart(6, '0')}`, barcode: digits + ean13CheckDigit(digits) };
+}
+
+// Checks the SKU/barcode entered for a product (blank ones are generated) against the other products
+function validateProductCodes(productId, sku, barcode, callback) {
+  if (sku && !SKU_PATTERN.test(sku)) {
+    return callback(new Error('SKU may only contain letters, digits and - . _ / (up to 32 characters)'));
   }
-  
-  if (end_date) {
-    query += ' AND DATE(expense_date) <= DATE(?)';
-    params.push(end_date);
+  if (barcode && !BARCODE_PATTERN.test(barcode)) {
+    return callback(new Error('Barcode may not contain spaces or special characters (up to 48 characters)'));
   }
+  if (barcode && /^\d{13}$/.test(barcode) && !isEan13(barcode)) {
+    return callback(new Error('Barcode is not a valid EAN-13 (check digit does not match)'));
+  }
+  if (!sku && !barcode) return callback(null);
+
+  db.get('SELECT name, sku, barcode FROM products WHERE (sku = ? OR barcode = ?) AND id != ?',
+    [sku || null, barcode || null, productId || 0], (err, taken) => {
+      if (err) return callback(err);
+      if (taken) {
+        const field = sku && taken.sku === sku ? `SKU ${sku}` : `Barcode ${barcode}`;
+        return callback(new Error(`${field} is already used by ${taken.name}`));
+      }
+      callback(null);
+    });
+}
+
+function productCodeFields(body) {
+  return { sku: String(body.sku || '').trim(), barcode: String(body.barcode || '').trim() };
+}
+
+// Stock below the reorder level shows as low; 0 switches the warning off. null when invalid.
+const DEFAULT_REORDER_LEVEL = 5;
+
+function reorderLevelField(body) {
+  if (body.reorder_level === undefined || body.reorder_level === null || body.reorder_level === '') {
+    return DEFAULT_REORDER_LEVEL;
+  }
+  const level = Number(body.reorder_level);
+  return Number.isInteger(level) && level >= 0 ? level : null;
+}
+
+// Products with quantity as the stock at one branch (all branches when the id is null) and
+// total_quantity as the stock across branches; bind the branch id twice. effective_tax_rate and
+// effective_tax_inclusive are what a sale is taxed with: the product's own or else its category's.
+const PRODUCT_BRANCH_QUANTITY_SQL = 'CASE WHEN ? IS NULL THEN p.quantity ELSE COALESCE(bs.quantity, 0) END';
+const BRANCH_PRODUCTS_SQL = `
+  SELECT p.*, c.name as category_name, p.quantity as total_quantity, ${PRODUCT_BRANCH_QUANTITY_SQL} as quantity,
+         COALESCE(p.tax_rate, c.tax_rate) as effective_tax_rate,
+         COALESCE(p.tax_inclusive, c.tax_inclusive) as effective_tax_inclusive, c.pct_code
+  FROM products p
+  JOIN categories c ON p.category_id = c.id
+  LEFT JOIN branch_stock bs ON bs.product_id = p.id AND bs.branch_id = ?`;
+
+app.get('/api/products', requireAuth, (req, res) => {
+  const branchId = branchScope(req);
   
-  query += ' ORDER BY expense_date DESC';
-  
-  db.all(query, params, (err, rows) => {
+  db.all(`${BRANCH_PRODUCTS_SQL} ORDER BY p.created_at DESC`, [branchId, branchId], (err, rows) => {
     if (err) return res.status(500).json({ error: err.message });
     res.json(rows);
   });
 });
 
-app.post('/api/expenses', requireSuperuser, (req, res) => {
-  const { description, amount, expense_date } = req.body;
-  
-  db.run(`INSERT INTO expenses (description, amount, expense_date, created_by)
-          VALUES (?, ?, ?, ?)`,
-    [description, amount, expense_date, req.session.userId],
-    function(err) {
-      if (err) return res.status(400).json({ error: err.message });
-      res.json({ id: this.lastID, success: true });
+// Resolves a scanned code at the counter: a product barcode or SKU, or the IMEI/serial of a unit
+// (which also gives its product). Product codes win, so a unit scanned by IMEI is never mistaken
+// for a product unless someone has used that IMEI as a barcode.
+app.get('/api/products/lookup/:code', requireAuth, (req, res) => {
+  const code = req.params.code.trim();
+  const branchId = req.user.branch_id;
+  const productQuery = `${BRANCH_PRODUCTS_SQL} WHERE p.id = ?`;
+
+  db.get(`SELECT id, barcode FROM products WHERE barcode = ? OR sku = ? COLLATE NOCASE
+          ORDER BY barcode = ? DESC LIMIT 1`, [code, code, code], (err, match) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    if (match) {
+      return db.get(productQuery, [branchId, branchId, match.id], (err, product) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ match: match.barcode === code ? 'barcode' : 'sku', product, unit: null });
+      });
     }
-  );
-});
 
-app.delete('/api/expenses/:id', requireSuperuser, (req, res) => {
-  db.run('DELETE FROM expenses WHERE id = ?', [req.params.id], (err) => {
-    if (err) return res.status(400).json({ error: err.message });
-    res.json({ success: true });
+    findUnitsByCodes([code], (err, units) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (units.length === 0) return res.status(404).json({ error: `No product or unit found for ${code}` });
+
+      const unit = units[0];
+      db.get(productQuery, [branchId, branchId, unit.product_id], (err, product) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ match: 'unit', product, unit });
+      });
+    });
   });
 });
 
-// Dashboard Stats
-app.get('/api/dashboard/stats', requireSuperuser, (req, res) => {
-  const { start_date, end_date } = req.query;
-  
-  let salesQuery = 'SELECT COUNT(*) as count, SUM(net_total) as total, SUM(total_profit) as profit FROM sales WHERE 1=1';
-  let expensesQuery = 'SELECT SUM(amount) as total FROM expenses WHERE 1=1';
-  const params = [];
-  
-  if (start_date) {
-    salesQuery += ' AND DATE(sale_date) >= DATE(?)';
-    expensesQuery += ' AND DATE(expense_date) >= DATE(?)';
-    params.push(start_date);
+// Label sheet PDF. ?items=12:3,15:1 lists product ids and how many labels each; ?layout=sheet prints
+// on A4 sheets of 3 x 8 labels (?skip leaves the first labels of a used sheet blank) and
+// ?layout=roll gives one page per label for roll label printers.
+const LABEL_LAYOUTS = {
+  sheet: { page: 'A4', columns: 3, rows: 8, width: 70, height: 37, marginTop: 0.5, marginLeft: 0 },
+  roll: { width: 50, height: 25 }
+};
+const MAX_LABELS = 1000;
+const mmToPt = (mm) => mm * 72 / 25.4;
+
+app.get('/api/products/labels.pdf', requirePermission('products.manage'), (req, res) => {
+  const layout = req.query.layout || 'sheet';
+  if (!LABEL_LAYOUTS[layout]) {
+    return res.status(400).json({ error: 'Layout must be sheet or roll' });
   }
-  
-  if (end_date) {
-    salesQuery += ' AND DATE(sale_date) <= DATE(?)';
-    expensesQuery += ' AND DATE(expense_date) <= DATE(?)';
-    params.push(end_date);
+
+  const items = String(req.query.items || '').split(',').filter(entry => entry.trim()).map(entry => {
+    const [id, count] = entry.split(':');
+    return { id: Number(id), count: count === undefined ? 1 : Number(count) };
+  });
+  if (items.length === 0 || items.some(item => !Number.isInteger(item.id) || !Number.isInteger(item.count) || item.count < 1)) {
+    return res.status(400).json({ error: 'Choose the products and how many labels of each' });
   }
-  
-  db.get(salesQuery, params, (err, salesData) => {
-    if (err) return res.status(500).json({ error: err.message });
-    
-    db.get(expensesQuery, params, (err, expensesData) => {
+  const total = items.reduce((sum, item) => sum + item.count, 0);
+  if (total > MAX_LABELS) {
+    return res.status(400).json({ error: `At most ${MAX_LABELS} labels can be printed at once` });
+  }
+  const skip = layout === 'sheet' ? Math.max(0, parseInt(req.query.skip, 10) || 0) : 0;
+
+  const ids = [...new Set(items.map(item => item.id))];
+  db.all(`SELECT id, name, sku, barcode, selling_price FROM products WHERE id IN (${ids.map(() => '?').join(',')})`,
+    ids, (err, rows) => {
       if (err) return res.status(500).json({ error: err.message });
-      
-      const netProfit = (salesData.profit || 0) - (expensesData.total || 0);
-      
-      res.json({
-        transactions: salesData.count || 0,
-        totalSales: salesData.total || 0,
-        totalProfit: salesData.profit || 0,
-        totalExpenses: expensesData.total || 0,
-        netProfit: netProfit
+      const productsById = new Map(rows.map(row => [row.id, row]));
+      const missing = ids.filter(id => !productsById.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({ error: `Product not found: ${missing.join(', ')}` });
+      }
+
+      getSetting('shop', DEFAULT_SHOP_SETTINGS, (err, shop) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        const barcodes = new Map();
+        runEach(rows, (product, index, next) => {
+          barcodePng(product.barcode || product.sku, (err, png) => {
+            if (err) return next(new Error(`${product.name}: ${err.message}`));
+            barcodes.set(product.id, png);
+            next();
+          });
+        }, (err) => {
+          if (err) return res.status(400).json({ error: err.message });
+
+          const labels = [];
+          items.forEach(item => {
+            for (let i = 0; i < item.count; i++) labels.push(productsById.get(item.id));
+          });
+
+          res.setHeader('Content-Type', 'application/pdf');
+          res.setHeader('Content-Disposition', 'inline; filename="labels.pdf"');
+          const doc = renderLabelsPdf(labels, barcodes, shop, LABEL_LAYOUTS[layout], skip);
+          doc.pipe(res);
+          doc.end();
+        });
       });
     });
-  });
 });
 
-app.get('/api/dashboard/top-products', requireSuperuser, (req, res) => {
+// EAN-13 when the barcode is one (so it scans as the product's retail code), Code128 otherwise
+function barcodePng(code, callback) {
+  bwipjs.toBuffer({
+    bcid: isEan13(code) ? 'ean13' : 'code128',
+    text: code,
+    scale: 3,
+    height: 9,
+    includetext: true,
+    textxalign: 'center'
+  }, callback);
+}
+
+function renderLabelsPdf(labels, barcodes, shop, layout, skip) {
+  const labelWidth = mmToPt(layout.width);
+  const labelHeight = mmToPt(layout.height);
+  const pageSize = layout.page || [labelWidth, labelHeight];
+  const perPage = layout.columns ? layout.columns * layout.rows : 1;
+  const doc = new PDFDocument({ size: pageSize, margin: 0, autoFirstPage: false, info: { Title: 'Product labels', Author: shop.name } });
+  const padding = mmToPt(2);
+
+  labels.forEach((product, index) => {
+    const slot = (index + skip) % perPage;
+    if (index === 0 || slot === 0) doc.addPage({ size: pageSize, margin: 0 });
+
+    const x = layout.columns ? mmToPt(layout.marginLeft) + (slot % layout.columns) * labelWidth : 0;
+    const y = layout.columns ? mmToPt(layout.marginTop) + Math.floor(slot / layout.columns) * labelHeight : 0;
+    const innerWidth = labelWidth - padding * 2;
+    const nameSize = labelHeight > 80 ? 8 : 6.5;
+
+    doc.font('Helvetica-Bold').fontSize(nameSize)
+      .text(product.name, x + padding, y + padding, { width: innerWidth, height: nameSize * 2.3, ellipsis: true });
+    doc.font('Helvetica-Bold').fontSize(nameSize + 2)
+      .text(printMoney(product.selling_price), x + padding, y + padding + nameSize * 2.4, { width: innerWidth, align: 'center', lineBreak: false });
+
+    const barcodeTop = y + padding + nameSize * 2.4 + nameSize + 4;
+    doc.image(barcodes.get(product.id), x + padding, barcodeTop, {
+      fit: [innerWidth, y + labelHeight - padding - barcodeTop],
+      align: 'center',
+      valign: 'center'
+    });
+  });
+
+  return doc;
+}
+
+// Stock of a product at each branch, with what is on its way between branches
+app.get('/api/products/:id/stock', requireAuth, (req, res) => {
   const query = `
-    SELECT product_name, SUM(quantity) as total_sold, SUM(line_total) as revenue
-    FROM sale_items
-    GROUP BY product_name
-    ORDER BY total_sold DESC
-    LIMIT 10
+    SELECT b.id as branch_id, b.name as branch_name, COALESCE(bs.quantity, 0) as quantity,
+           COALESCE((SELECT SUM(ti.quantity) FROM stock_transfer_items ti
+                     JOIN stock_transfers t ON ti.transfer_id = t.id
+                     WHERE ti.product_id = ? AND t.to_branch_id = b.id AND t.status = 'in_transit'), 0) as incoming
+    FROM branches b
+    LEFT JOIN branch_stock bs ON bs.branch_id = b.id AND bs.product_id = ?
+    WHERE b.active = 1 OR bs.quantity <> 0
+    ORDER BY b.name
   `;
-  
-  db.all(query, (err, rows) => {
+
+  db.all(query, [req.params.id, req.params.id], (err, rows) => {
     if (err) return res.status(500).json({ error: err.message });
     res.json(rows);
   });
 });
 
-app.get('/api/dashboard/low-stock', requireSuperuser, (req, res) => {
-  const query = `
-    SELECT p.*, c.name as category_name 
-    FROM products p 
-    JOIN categories c ON p.category_id = c.id
-    WHERE p.quantity < 5 
-    ORDER BY p.quantity ASC
-  `;
-  
-  db.all(query, (err, rows) => {
+app.get('/api/products/:id', requireAuth, (req, res) => {
+  db.get('SELECT * FROM products WHERE id = ?', [req.params.id], (err, row) => {
     if (err) return res.status(500).json({ error: err.message });
-    res.json(rows);
+    res.json(row);
   });
 });
 
-// Export/Import Database
-app.get('/api/export/database', requireSuperuser, (req, res) => {
-  const dbPath = path.join(__dirname, 'mobile_shop.db');
-  res.download(dbPath, 'mobile_shop_backup.db');
+app.post('/api/products', requirePermission('products.manage'),
+  audited('product', { table: 'products' }), (req, res) => {
+  const { category_id, name, description, serial_number, condition, supplier_phone, 
+          supplier_cnic, purchase_price, selling_price, quantity, pta_approved, warranty_days,
+          track_units } = req.body;
+  const { sku, barcode } = productCodeFields(req.body);
+  const reorderLevel = reorderLevelField(req.body);
+  if (reorderLevel === null) {
+    return res.status(400).json({ error: 'Reorder level must be a whole number of 0 or more' });
+  }
+  const { taxRate, taxInclusive, error: taxError } = taxFields(req.body, true);
+  if (taxError) return res.status(400).json({ error: taxError });
+  
+  validateProductCodes(null, sku, barcode, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+
+    // Tracked products start empty; their stock comes from the units added to them
+    db.run(`INSERT INTO products (category_id, name, description, serial_number, condition, 
+            supplier_phone, supplier_cnic, purchase_price, selling_price, quantity, pta_approved, warranty_days,
+            track_units, sku, barcode, reorder_level, tax_rate, tax_inclusive)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [category_id, name, description, serial_number, condition, supplier_phone, supplier_cnic,
+       purchase_price, selling_price, track_units ? 0 : quantity || 0, pta_approved ? 1 : 0, warranty_days || 0,
+       track_units ? 1 : 0, sku || null, barcode || null, reorderLevel, taxRate, taxInclusive],
+      function(err) {
+        if (err) return res.status(400).json({ error: err.message });
+        
+        const productId = this.lastID;
+        const generated = generatedProductCodes(productId);
+        const statements = [['UPDATE products SET sku = COALESCE(sku, ?), barcode = COALESCE(barcode, ?) WHERE id = ?',
+                             [generated.sku, generated.barcode, productId]]];
+        if (!track_units && Number(quantity)) {
+          statements.push(stockMovementStatement(productId, Number(quantity), 'opening', req.session.userId,
+            { notes: 'Opening balance' }));
+        }
+
+        runSequence(statements, (err) => {
+          if (err) return res.status(400).json({ error: err.message });
+          res.json({ id: productId, success: true });
+        });
+      }
+    );
+  });
 });
 
-app.post('/api/import/database', requireSuperuser, upload.single('database'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// Quantity is not editable here: stock only changes through purchases, sales, returns,
+// adjustments and stock takes so that every change lands in the stock movements ledger
+app.put('/api/products/:id', requirePermission('products.manage'),
+  audited('product', { table: 'products' }), (req, res) => {
+  const { category_id, name, description, serial_number, condition, supplier_phone,
+          supplier_cnic, purchase_price, selling_price, pta_approved, warranty_days } = req.body;
+  const { sku, barcode } = productCodeFields(req.body);
+  const generated = generatedProductCodes(req.params.id);
+  const reorderLevel = reorderLevelField(req.body);
+  if (reorderLevel === null) {
+    return res.status(400).json({ error: 'Reorder level must be a whole number of 0 or more' });
   }
+  const { taxRate, taxInclusive, error: taxError } = taxFields(req.body, true);
+  if (taxError) return res.status(400).json({ error: taxError });
   
-  const uploadPath = req.file.path;
-  const dbPath = path.join(__dirname, 'mobile_shop.db');
-  
-  db.close(() => {
-    fs.copyFile(uploadPath, dbPath, (err) => {
-      fs.unlinkSync(uploadPath);
-      
-      if (err) {
-        return res.status(500).json({ error: 'Error importing database' });
+  validateProductCodes(req.params.id, sku, barcode, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+
+    db.run(`UPDATE products SET category_id=?, name=?, description=?, serial_number=?, condition=?,
+            supplier_phone=?, supplier_cnic=?, purchase_price=?, selling_price=?,
+            pta_approved=?, warranty_days=?, sku=?, barcode=?, reorder_level=?, tax_rate=?, tax_inclusive=? WHERE id=?`,
+      [category_id, name, description, serial_number, condition, supplier_phone, supplier_cnic,
+       purchase_price, selling_price, pta_approved ? 1 : 0, warranty_days || 0,
+       sku || generated.sku, barcode || generated.barcode, reorderLevel, taxRate, taxInclusive, req.params.id],
+      (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true });
       }
-      
-      res.json({ success: true, message: 'Database imported. Please restart the server.' });
-    });
+    );
   });
 });
 
-// Export to Excel (CSV format)
-app.get('/api/export/excel', requireSuperuser, (req, res) => {
-  const exports = {};
-  
-  db.all('SELECT * FROM sales ORDER BY sale_date DESC', (err, sales) => {
-    exports.sales = sales;
-    
-    db.all('SELECT * FROM expenses ORDER BY expense_date DESC', (err, expenses) => {
-      exports.expenses = expenses;
-      
-      db.all(`SELECT p.*, c.name as category_name FROM products p 
-              JOIN categories c ON p.category_id = c.id`, (err, products) => {
-        exports.products = products;
-        
-        db.all(`SELECT r.*, s.invoice_number, s.customer_name 
-                FROM returns r JOIN sales s ON r.sale_id = s.id`, (err, returns) => {
-          exports.returns = returns;
-          
-          res.json(exports);
+// Tables whose rows keep a product's history; a product that appears in any of them stays
+const PRODUCT_HISTORY_TABLES = ['stock_movements', 'product_units', 'sale_items', 'purchase_order_items', 'stock_take_lines',
+                                'stock_transfer_items', 'repair_job_parts', 'promotions', 'promotion_items'];
+
+// Only a product with no stock and no history can be deleted, so the stock ledger still reconciles
+app.delete('/api/products/:id', requirePermission('products.delete'),
+  audited('product', { table: 'products' }), (req, res) => {
+  const history = PRODUCT_HISTORY_TABLES.map(table => `SELECT 1 FROM ${table} WHERE product_id = ?`)
+    .concat('SELECT 1 FROM branch_stock WHERE product_id = ? AND quantity <> 0')
+    .join(' UNION ALL ');
+
+  db.get('SELECT id, name, quantity FROM products WHERE id = ?', [req.params.id], (err, product) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+
+    db.get(`SELECT EXISTS (${history}) as used`, PRODUCT_HISTORY_TABLES.map(() => product.id).concat(product.id),
+      (err, row) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (row.used || product.quantity !== 0) {
+          return res.status(409).json({ error: `${product.name} has stock or history and cannot be deleted` });
+        }
+
+        withTransaction((done) => runSequence([
+          ['DELETE FROM branch_stock WHERE product_id = ?', [product.id]],
+          ['DELETE FROM products WHERE id = ?', [product.id]]
+        ], done), (err) => {
+          if (err) return res.status(400).json({ error: err.message });
+          res.json({ success: true });
         });
       });
-    });
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('Default credentials:');
-  console.log('Admin - username: admin, password: admin123');
-  console.log('Superuser - username: superuser, password: admin123');
+// Product Unit Routes (serialized IMEI/serial stock)
+const UNIT_CONDITIONS = ['new', 'used'];
+const PTA_STATUSES = ['approved', 'non_pta', 'pending'];
+
+// Splits a free-text serial/IMEI field into individual codes
+function parseSerialCodes(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,;]+/);
+  return list.filter(code => code !== undefined && code !== null)
+    .map(code => String(code).trim()).filter(code => code);
+}
+
+function findUnitsByCodes(codes, callback) {
+  if (codes.length === 0) return callback(null, []);
+  const placeholders = codes.map(() => '?').join(',');
+  db.all(`SELECT * FROM product_units
+          WHERE imei1 IN (${placeholders}) OR imei2 IN (${placeholders}) OR serial_number IN (${placeholders})`,
+    [...codes, ...codes, ...codes], callback);
+}
+
+function unitMatchesCode(unit, code) {
+  return unit.imei1 === code || unit.imei2 === code || unit.serial_number === code;
+}
+
+app.get('/api/products/:id/units', requireAuth, (req, res) => {
+  const { status, branch_id } = req.query;
+
+  let query = `SELECT u.*, b.name as branch_name FROM product_units u
+               LEFT JOIN branches b ON u.branch_id = b.id WHERE u.product_id = ?`;
+  const params = [req.params.id];
+
+  if (status) {
+    query += ' AND u.status = ?';
+    params.push(status);
+  }
+
+  if (branch_id) {
+    query += ' AND u.branch_id = ?';
+    params.push(branch_id);
+  }
+
+  query += ' ORDER BY u.created_at DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+// Checks a batch of incoming units: each needs an IMEI or serial and none may be registered already
+function validateNewUnits(units, callback) {
+  const errors = [];
+  const seen = new Set();
+  units.forEach((unit, index) => {
+    const codes = parseSerialCodes([unit.imei1, unit.imei2, unit.serial_number]);
+    if (codes.length === 0) {
+      errors.push(`Unit ${index + 1}: IMEI or serial number is required`);
+    }
+    codes.forEach(code => {
+      if (seen.has(code)) errors.push(`Unit ${index + 1}: ${code} is entered more than once`);
+      seen.add(code);
+    });
+    if (unit.condition && !UNIT_CONDITIONS.includes(unit.condition)) {
+      errors.push(`Unit ${index + 1}: invalid condition`);
+    }
+    if (unit.pta_status && !PTA_STATUSES.includes(unit.pta_status)) {
+      errors.push(`Unit ${index + 1}: invalid PTA status`);
+    }
+  });
+  if (errors.length > 0) return callback(new Error(errors.join('; ')));
+
+  findUnitsByCodes([...seen], (err, existing) => {
+    if (err) return callback(err);
+    if (existing.length > 0) {
+      const taken = [...seen].filter(code => existing.some(unit => unitMatchesCode(unit, code)));
+      return callback(new Error(`Already registered: ${taken.join(', ')}`));
+    }
+    callback(null);
+  });
+}
+
+// Statements that register one unit at the user's branch and the purchase event in its history
+function unitInsertStatements(product, unit, supplier, purchasePrice, userId) {
+  return [
+    [`INSERT INTO product_units (product_id, imei1, imei2, serial_number, condition, pta_status,
+      purchase_price, supplier_id, supplier_name, supplier_phone, supplier_cnic, branch_id, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${USER_BRANCH_SQL}, ?)`,
+     [product.id, unit.imei1 || null, unit.imei2 || null, unit.serial_number || null,
+      unit.condition || product.condition || 'new', unit.pta_status || (product.pta_approved ? 'approved' : 'non_pta'),
+      purchasePrice, supplier.id || null, supplier.name, supplier.phone, supplier.cnic, userId, userId]],
+    [`INSERT INTO unit_events (unit_id, event_type, party_name, party_phone, party_cnic, amount, notes, created_by)
+      VALUES (last_insert_rowid(), 'purchased', ?, ?, ?, ?, ?, ?)`,
+     [supplier.name, supplier.phone, supplier.cnic, purchasePrice, supplier.reference || null, userId]]
+  ];
+}
+
+app.post('/api/products/:id/units', requirePermission('products.manage'),
+  audited('product', { table: 'products', action: 'receive_units' }), (req, res) => {
+  const { units, supplier_name, supplier_phone, supplier_cnic } = req.body;
+
+  if (!Array.isArray(units) || units.length === 0) {
+    return res.status(400).json({ error: 'At least one unit is required' });
+  }
+
+  db.get('SELECT * FROM products WHERE id = ?', [req.params.id], (err, product) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (!product.track_units) {
+      return res.status(400).json({ error: 'Product does not track individual units' });
+    }
+
+    validateNewUnits(units, (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+
+      const supplier = { name: supplier_name, phone: supplier_phone, cnic: supplier_cnic };
+      let statements = [];
+      units.forEach(unit => {
+        const purchasePrice = unit.purchase_price !== undefined && unit.purchase_price !== ''
+          ? unit.purchase_price : product.purchase_price;
+        statements = statements.concat(unitInsertStatements(product, unit, supplier, purchasePrice, req.session.userId));
+      });
+      statements.push(['UPDATE products SET quantity = quantity + ? WHERE id = ?', [units.length, product.id]]);
+      statements.push(stockMovementStatement(product.id, units.length, 'purchase', req.session.userId,
+        { notes: supplier_name ? `Units from ${supplier_name}` : 'Units added' }));
+
+      withTransaction((done) => runSequence(statements, done), (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true, added: units.length });
+      });
+    });
+  });
+});
+
+app.put('/api/units/:id', requirePermission('products.manage'),
+  audited('unit', { table: 'product_units' }), (req, res) => {
+  const { imei1, imei2, serial_number, condition, pta_status, purchase_price } = req.body;
+
+  if (condition && !UNIT_CONDITIONS.includes(condition)) {
+    return res.status(400).json({ error: 'Invalid condition' });
+  }
+  if (pta_status && !PTA_STATUSES.includes(pta_status)) {
+    return res.status(400).json({ error: 'Invalid PTA status' });
+  }
+
+  db.get('SELECT * FROM product_units WHERE id = ?', [req.params.id], (err, unit) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!unit) return res.status(404).json({ error: 'Unit not found' });
+    if (unit.status !== 'in_stock') {
+      return res.status(400).json({ error: 'Only units in stock can be edited' });
+    }
+
+    // The new codes may not belong to any other unit, in any of its IMEI or serial columns
+    const codes = parseSerialCodes([imei1, imei2, serial_number]);
+    findUnitsByCodes(codes, (err, existing) => {
+      if (err) return res.status(500).json({ error: err.message });
+      const others = existing.filter(other => other.id !== unit.id);
+      if (others.length > 0) {
+        const taken = codes.filter(code => others.some(other => unitMatchesCode(other, code)));
+        return res.status(409).json({ error: `Already registered: ${taken.join(', ')}` });
+      }
+
+      db.run(`UPDATE product_units SET imei1=?, imei2=?, serial_number=?, condition=?, pta_status=?, purchase_price=?
+              WHERE id=?`,
+        [imei1 || null, imei2 || null, serial_number || null, condition || unit.condition,
+         pta_status || unit.pta_status, purchase_price !== undefined ? purchase_price : unit.purchase_price, unit.id],
+        (err) => {
+          if (err && err.message.includes('UNIQUE')) return res.status(409).json({ error: 'Already registered' });
+          if (err) return res.status(400).json({ error: err.message });
+          res.json({ success: true });
+        }
+      );
+    });
+  });
+});
+
+app.get('/api/units/:code/history', requireAuth, (req, res) => {
+  const code = req.params.code.trim();
+
+  const query = `
+    SELECT u.*, p.name as product_name, c.name as category_name
+    FROM product_units u
+    JOIN products p ON u.product_id = p.id
+    JOIN categories c ON p.category_id = c.id
+    WHERE u.imei1 = ? OR u.imei2 = ? OR u.serial_number = ?
+  `;
+
+  db.get(query, [code, code, code], (err, unit) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!unit) return res.status(404).json({ error: 'No unit found with this IMEI/serial' });
+
+    const eventsQuery = `
+      SELECT e.*, s.invoice_number, s.customer_name, s.customer_phone, s.customer_cnic,
+             r.reason as return_reason, us.username as created_by_name
+      FROM unit_events e
+      LEFT JOIN sales s ON e.sale_id = s.id
+      LEFT JOIN returns r ON e.return_id = r.id
+      LEFT JOIN users us ON e.created_by = us.id
+      WHERE e.unit_id = ?
+      ORDER BY e.created_at ASC, e.id ASC
+    `;
+
+    db.all(eventsQuery, [unit.id], (err, events) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      // Write-offs (damage, adjustments, stock takes) are only recorded in the stock ledger
+      db.all(`SELECT m.*, us.username as created_by_name FROM stock_movements m
+              LEFT JOIN users us ON m.created_by = us.id
+              WHERE m.unit_id = ? ORDER BY m.created_at ASC, m.id ASC`, [unit.id], (err, movements) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ ...unit, events, movements });
+      });
+    });
+  });
+});
+
+// Stock Routes (movement ledger, adjustments and stock takes)
+const STOCK_SOURCES = ['opening', 'sale', 'return', 'purchase', 'adjustment', 'damage', 'stock_take', 'repair',
+                       'warranty', 'transfer'];
+const ADJUSTMENT_REASONS = ['damage', 'lost', 'theft', 'found', 'correction', 'internal_use', 'expired'];
+
+// Ledger entry for a quantity change; run it after the products update so balance_after is current.
+// The change is booked at details.branchId, or the user's branch; a trigger on the ledger keeps
+// branch_stock in step.
+function stockMovementStatement(productId, quantityChange, source, userId, details = {}) {
+  return [`INSERT INTO stock_movements (product_id, unit_id, branch_id, quantity_change, balance_after, source,
+           reason_code, reference_id, notes, created_by)
+           VALUES (?, ?, COALESCE(?, ${USER_BRANCH_SQL}), ?, (SELECT quantity FROM products WHERE id = ?), ?, ?, ?, ?, ?)`,
+    [productId, details.unitId || null, details.branchId || null, userId, quantityChange, productId, source,
+     details.reasonCode || null, details.referenceId || null, details.notes || null, userId]];
+}
+
+// Stock of the product in productColumn at the branch bound to the placeholder
+function branchQuantitySql(productColumn) {
+  return `COALESCE((SELECT bs.quantity FROM branch_stock bs WHERE bs.product_id = ${productColumn} AND bs.branch_id = ?), 0)`;
+}
+
+// Takes stock out at a branch; changes nothing when the branch holds less than the quantity
+function deductStockStatement(productId, quantity, branchId) {
+  return [`UPDATE products SET quantity = quantity - ? WHERE id = ? AND ${branchQuantitySql('products.id')} >= ?`,
+    [quantity, productId, branchId, quantity]];
+}
+
+// Takes one serialized unit out of stock (damaged, lost or missing at a count) at the branch holding it
+// Run in a transaction: the write-off stops it if the unit has been sold or written off meanwhile
+function writeOffUnitStatements(unit, source, userId, details = {}) {
+  return [
+    ["UPDATE product_units SET status = 'damaged' WHERE id = ? AND status = 'in_stock'", [unit.id],
+     `${unit.imei1 || unit.serial_number || `Unit #${unit.id}`} is no longer in stock`],
+    ['UPDATE products SET quantity = quantity - 1 WHERE id = ?', [unit.product_id]],
+    stockMovementStatement(unit.product_id, -1, source, userId, { ...details, unitId: unit.id, branchId: unit.branch_id })
+  ];
+}
+
+app.get('/api/stock/movements', requireAuth, (req, res) => {
+  const { product_id, source, start_date, end_date } = req.query;
+
+  let query = `
+    SELECT m.*, p.name as product_name, u.imei1, u.serial_number as unit_serial, us.username as created_by_name,
+           b.name as branch_name
+    FROM stock_movements m
+    JOIN products p ON m.product_id = p.id
+    LEFT JOIN product_units u ON m.unit_id = u.id
+    LEFT JOIN users us ON m.created_by = us.id
+    LEFT JOIN branches b ON m.branch_id = b.id
+    WHERE 1=1
+  `;
+  const params = [];
+  const branchId = branchScope(req);
+
+  if (source && !STOCK_SOURCES.includes(source)) {
+    return res.status(400).json({ error: 'Invalid movement source' });
+  }
+
+  if (branchId) {
+    query += ' AND m.branch_id = ?';
+    params.push(branchId);
+  }
+
+  if (product_id) {
+    query += ' AND m.product_id = ?';
+    params.push(product_id);
+  }
+
+  if (source) {
+    query += ' AND m.source = ?';
+    params.push(source);
+  }
+
+  if (start_date) {
+    query += ' AND DATE(m.created_at) >= ?';
+    params.push(start_date);
+  }
+
+  if (end_date) {
+    query += ' AND DATE(m.created_at) <= ?';
+    params.push(end_date);
+  }
+
+  query += ' ORDER BY m.created_at DESC, m.id DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+// Products whose stored quantity differs from the sum of their ledger entries or of their branches' stock
+app.get('/api/stock/reconciliation', requirePermission('stock.adjust'), (req, res) => {
+  const query = `
+    SELECT p.id, p.name, p.quantity, COALESCE(SUM(m.quantity_change), 0) as ledger_quantity,
+           (SELECT COALESCE(SUM(bs.quantity), 0) FROM branch_stock bs WHERE bs.product_id = p.id) as branch_quantity
+    FROM products p
+    LEFT JOIN stock_movements m ON m.product_id = p.id
+    GROUP BY p.id
+    HAVING p.quantity <> ledger_quantity OR p.quantity <> branch_quantity
+    ORDER BY p.name
+  `;
+
+  db.all(query, [], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ balanced: rows.length === 0, discrepancies: rows });
+  });
+});
+
+app.post('/api/stock/adjustments', requirePermission('stock.adjust'),
+  audited('product', { table: 'products', action: 'stock_adjustment', id: (req) => req.body.product_id }), (req, res) => {
+  const { product_id, quantity_change, reason_code, notes, serial_imei } = req.body;
+  const change = Number(quantity_change);
+
+  if (!Number.isInteger(change) || change === 0) {
+    return res.status(400).json({ error: 'Quantity change must be a whole number other than zero' });
+  }
+  if (!ADJUSTMENT_REASONS.includes(reason_code)) {
+    return res.status(400).json({ error: `Reason code must be one of: ${ADJUSTMENT_REASONS.join(', ')}` });
+  }
+
+  // Adjustments are made to the stock at the user's branch
+  const branchId = req.user.branch_id;
+  db.get(`SELECT p.*, ${branchQuantitySql('p.id')} as branch_quantity FROM products p WHERE p.id = ?`,
+    [branchId, product_id], (err, product) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (product.branch_quantity + change < 0) {
+      return res.status(400).json({ error: `Only ${product.branch_quantity} in stock` });
+    }
+
+    const source = reason_code === 'damage' ? 'damage' : 'adjustment';
+    const details = { reasonCode: reason_code, notes, branchId };
+    const finish = (statements) => {
+      withTransaction((done) => runSequence(statements, done), (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true, quantity: product.branch_quantity + change });
+      });
+    };
+
+    if (!product.track_units) {
+      return finish([
+        ['UPDATE products SET quantity = quantity + ? WHERE id = ?', [change, product.id]],
+        stockMovementStatement(product.id, change, source, req.session.userId, details)
+      ]);
+    }
+
+    // Serialized stock is only added through unit intake so every IMEI is recorded
+    if (change > 0) {
+      return res.status(400).json({ error: 'Add units for this product through the units intake' });
+    }
+
+    const codes = parseSerialCodes(serial_imei);
+    if (codes.length !== -change) {
+      return res.status(400).json({ error: `Enter the IMEI/serial of each of the ${-change} unit(s) being written off` });
+    }
+
+    findUnitsByCodes(codes, (err, found) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const units = [];
+      const missing = [];
+      codes.forEach(code => {
+        const unit = found.find(u => unitMatchesCode(u, code) && u.product_id === product.id &&
+          u.status === 'in_stock' && u.branch_id === branchId);
+        if (!unit) missing.push(code);
+        else if (!units.includes(unit)) units.push(unit);
+      });
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `Not in stock for this product at ${req.user.branch_name}: ${missing.join(', ')}` });
+      }
+      if (units.length !== codes.length) {
+        return res.status(400).json({ error: 'The same unit is entered more than once' });
+      }
+
+      let statements = [];
+      units.forEach(unit => {
+        statements = statements.concat(writeOffUnitStatements(unit, source, req.session.userId, details));
+      });
+      finish(statements);
+    });
+  });
+});
+
+// Stock take lines with variances; serialized products also list scanned codes not in stock
+// and in-stock units that were not scanned. A stock take counts one branch's stock.
+function loadStockTake(id, callback) {
+  db.get(`SELECT st.*, c.name as category_name, us.username as started_by_name, up.username as posted_by_name,
+                 b.name as branch_name
+          FROM stock_takes st
+          LEFT JOIN categories c ON st.category_id = c.id
+          LEFT JOIN users us ON st.started_by = us.id
+          LEFT JOIN users up ON st.posted_by = up.id
+          LEFT JOIN branches b ON st.branch_id = b.id
+          WHERE st.id = ?`, [id], (err, take) => {
+    if (err || !take) return callback(err, take);
+
+    db.all(`SELECT l.*, p.name as product_name, p.track_units, p.purchase_price,
+                   ${branchQuantitySql('p.id')} as current_quantity
+            FROM stock_take_lines l
+            JOIN products p ON l.product_id = p.id
+            WHERE l.stock_take_id = ?
+            ORDER BY p.name`, [take.branch_id, id], (err, lines) => {
+      if (err) return callback(err);
+
+      db.all(`SELECT * FROM product_units WHERE status = 'in_stock' AND branch_id = ? AND product_id IN
+              (SELECT product_id FROM stock_take_lines WHERE stock_take_id = ?)`, [take.branch_id, id], (err, units) => {
+        if (err) return callback(err);
+
+        let countedLines = 0;
+        let varianceValue = 0;
+        take.lines = lines.map(line => {
+          if (line.counted_quantity === null) return { ...line, variance: null, variance_value: null };
+
+          countedLines++;
+          const result = { ...line, variance: line.counted_quantity - line.system_quantity };
+          if (line.track_units) {
+            const codes = JSON.parse(line.counted_codes || '[]');
+            const productUnits = units.filter(unit => unit.product_id === line.product_id);
+            result.counted_codes = codes;
+            result.unknown_codes = codes.filter(code => !productUnits.some(unit => unitMatchesCode(unit, code)));
+            result.missing_units = productUnits.filter(unit =>
+              unit.created_at <= line.counted_at && !codes.some(code => unitMatchesCode(unit, code)));
+            // Unknown codes need a unit intake, so only missing units count towards the variance
+            result.variance = -result.missing_units.length;
+          }
+          result.variance_value = roundMoney(result.variance * line.purchase_price);
+          varianceValue += result.variance_value;
+          return result;
+        });
+        take.summary = {
+          total_lines: lines.length,
+          counted_lines: countedLines,
+          lines_with_variance: take.lines.filter(line => line.variance).length,
+          variance_value: roundMoney(varianceValue)
+        };
+        callback(null, take);
+      });
+    });
+  });
+}
+
+app.get('/api/stock-takes', requireAuth, (req, res) => {
+  const branchId = branchScope(req);
+  const query = `
+    SELECT st.*, c.name as category_name, us.username as started_by_name, b.name as branch_name,
+           COUNT(l.id) as total_lines, COUNT(l.counted_quantity) as counted_lines
+    FROM stock_takes st
+    LEFT JOIN categories c ON st.category_id = c.id
+    LEFT JOIN users us ON st.started_by = us.id
+    LEFT JOIN branches b ON st.branch_id = b.id
+    LEFT JOIN stock_take_lines l ON l.stock_take_id = st.id
+    WHERE ? IS NULL OR st.branch_id = ?
+    GROUP BY st.id
+    ORDER BY st.started_at DESC, st.id DESC
+  `;
+
+  db.all(query, [branchId, branchId], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+app.get('/api/stock-takes/:id', requireAuth, (req, res) => {
+  loadStockTake(req.params.id, (err, take) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!take) return res.status(404).json({ error: 'Stock take not found' });
+    res.json(take);
+  });
+});
+
+// Starts a count of the user's branch for all products, or for one category
+app.post('/api/stock-takes', requirePermission('stock.count'),
+  audited('stock_take', { table: 'stock_takes' }), (req, res) => {
+  const { category_id, notes } = req.body;
+  const branchId = req.user.branch_id;
+
+  db.get("SELECT id FROM stock_takes WHERE status = 'open' AND branch_id = ?", [branchId], (err, open) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (open) return res.status(400).json({ error: `Stock take #${open.id} is still open` });
+
+    withTransaction((done) => {
+      db.run('INSERT INTO stock_takes (category_id, notes, started_by, branch_id) VALUES (?, ?, ?, ?)',
+        [category_id || null, notes, req.session.userId, branchId], function(err) {
+          if (err) return done(err);
+
+          const stockTakeId = this.lastID;
+          db.run(`INSERT INTO stock_take_lines (stock_take_id, product_id, system_quantity)
+                  SELECT ?, p.id, ${branchQuantitySql('p.id')} FROM products p WHERE ? IS NULL OR p.category_id = ?`,
+            [stockTakeId, branchId, category_id || null, category_id || null], (err) => done(err, stockTakeId));
+        });
+    }, (err, stockTakeId) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true, id: stockTakeId });
+    });
+  });
+});
+
+// Records counts; the system quantity is re-read at count time so sales made
+// while the count is running do not show up as variances
+app.put('/api/stock-takes/:id/counts', requirePermission('stock.count'),
+  audited('stock_take', { table: 'stock_takes', action: 'count' }), (req, res) => {
+  const { counts } = req.body;
+
+  if (!Array.isArray(counts) || counts.length === 0) {
+    return res.status(400).json({ error: 'At least one count is required' });
+  }
+
+  db.get('SELECT * FROM stock_takes WHERE id = ?', [req.params.id], (err, take) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!take) return res.status(404).json({ error: 'Stock take not found' });
+    if (take.status !== 'open') return res.status(400).json({ error: `Stock take is ${take.status}` });
+
+    db.all(`SELECT l.id, l.product_id, p.name, p.track_units FROM stock_take_lines l
+            JOIN products p ON l.product_id = p.id WHERE l.stock_take_id = ?`, [take.id], (err, lines) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const errors = [];
+      const statements = [];
+      counts.forEach((count, index) => {
+        const line = lines.find(l => l.product_id === Number(count.product_id));
+        if (!line) return errors.push(`Line ${index + 1}: product is not part of this stock take`);
+
+        let counted = Number(count.counted_quantity);
+        let codes = null;
+        if (line.track_units) {
+          codes = parseSerialCodes(count.serials);
+          counted = codes.length;
+        } else if (!Number.isInteger(counted) || counted < 0) {
+          return errors.push(`Line ${index + 1}: counted quantity for ${line.name} must be zero or more`);
+        }
+
+        statements.push([`UPDATE stock_take_lines SET counted_quantity = ?, counted_codes = ?,
+                          system_quantity = ${branchQuantitySql('?')},
+                          counted_at = CURRENT_TIMESTAMP, counted_by = ?
+                          WHERE id = ?`,
+          [counted, codes && JSON.stringify(codes), line.product_id, take.branch_id, req.session.userId, line.id]]);
+      });
+      if (errors.length > 0) return res.status(400).json({ error: errors.join('; '), errors });
+
+      withTransaction((done) => runSequence(statements, done), (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true, counted: statements.length });
+      });
+    });
+  });
+});
+
+// Applies counted variances to stock; uncounted lines are left untouched
+app.post('/api/stock-takes/:id/post', requirePermission('stock.adjust'),
+  audited('stock_take', { table: 'stock_takes', action: 'post' }), (req, res) => {
+  loadStockTake(req.params.id, (err, take) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!take) return res.status(404).json({ error: 'Stock take not found' });
+    if (take.status !== 'open') return res.status(400).json({ error: `Stock take is ${take.status}` });
+
+    const errors = [];
+    let statements = [];
+    let adjusted = 0;
+    const details = { referenceId: take.id, notes: `Stock take #${take.id}`, branchId: take.branch_id };
+
+    take.lines.forEach(line => {
+      if (line.counted_quantity === null) return;
+
+      if (line.track_units) {
+        line.missing_units.forEach(unit => {
+          statements = statements.concat(writeOffUnitStatements(unit, 'stock_take', req.session.userId, details));
+        });
+        if (line.missing_units.length > 0) adjusted++;
+        return;
+      }
+
+      if (line.variance === 0) return;
+      if (line.current_quantity + line.variance < 0) {
+        return errors.push(`${line.product_name}: more has been sold since the count than was counted, recount it`);
+      }
+      statements.push(['UPDATE products SET quantity = quantity + ? WHERE id = ?', [line.variance, line.product_id]]);
+      statements.push(stockMovementStatement(line.product_id, line.variance, 'stock_take', req.session.userId, details));
+      adjusted++;
+    });
+    if (errors.length > 0) return res.status(400).json({ error: errors.join('; '), errors });
+
+    // Claimed first, so a second post of the same count stops before applying anything
+    statements.unshift([`UPDATE stock_takes SET status = 'posted', posted_at = CURRENT_TIMESTAMP, posted_by = ?
+                         WHERE id = ? AND status = 'open'`, [req.session.userId, take.id], 'Stock take is no longer open']);
+
+    withTransaction((done) => runSequence(statements, done), (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true, adjusted, variance_value: take.summary.variance_value });
+    });
+  });
+});
+
+app.post('/api/stock-takes/:id/cancel', requirePermission('stock.count'),
+  audited('stock_take', { table: 'stock_takes', action: 'cancel' }), (req, res) => {
+  db.run("UPDATE stock_takes SET status = 'cancelled' WHERE id = ? AND status = 'open'", [req.params.id], function(err) {
+    if (err) return res.status(400).json({ error: err.message });
+    if (this.changes === 0) return res.status(400).json({ error: 'Only open stock takes can be cancelled' });
+    res.json({ success: true });
+  });
+});
+
+// Stock Transfer Routes
+// Stock moving between branches. Dispatching a transfer takes the items out of the source branch's
+// stock (serialized units go 'in_transit'); they join the destination's stock when it is received,
+// or go back to the source if the transfer is cancelled on the way. products.quantity leaves out
+// what is in transit, so the ledger still adds up to it.
+const TRANSFER_STATUSES = ['in_transit', 'received', 'cancelled'];
+
+function transferUnitEventStatement(unitId, eventType, notes, userId) {
+  return [`INSERT INTO unit_events (unit_id, event_type, notes, created_by) VALUES (?, ?, ?, ?)`,
+    [unitId, eventType, notes, userId]];
+}
+
+// Checks the requested items against the stock at the source branch: a quantity for ordinary
+// products, the IMEI/serial of every unit for serialized ones (as at the counter). Calls back with
+// the lines to dispatch and an error for every bad line.
+function resolveTransferLines(items, branchId, callback) {
+  const productIds = [...new Set(items.map(item => Number(item.product_id)))];
+  const placeholders = productIds.map(() => '?').join(',');
+
+  db.all(`${BRANCH_PRODUCTS_SQL} WHERE p.id IN (${placeholders})`, [branchId, branchId, ...productIds], (err, products) => {
+    if (err) return callback(err);
+
+    const productsById = new Map(products.map(p => [p.id, p]));
+    resolveSaleUnits(items, productsById, branchId, (err, unitsByItem, unitErrors) => {
+      if (err) return callback(err);
+
+      const errors = [];
+      const requested = new Map();
+      const lines = [];
+      items.forEach((item, index) => {
+        const lineError = (message) => errors.push({ line: index + 1, product_id: item.product_id, message });
+        const product = productsById.get(Number(item.product_id));
+        if (!product) return lineError('Product not found');
+
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) return lineError('Quantity must be a positive whole number');
+        requested.set(product.id, (requested.get(product.id) || 0) + quantity);
+        if (requested.get(product.id) > product.quantity) {
+          return lineError(`Only ${Math.max(product.quantity, 0)} of ${product.name} in stock`);
+        }
+        lines.push({ product, quantity, units: unitsByItem[index] || [] });
+      });
+
+      callback(null, lines, errors.concat(unitErrors).sort((a, b) => a.line - b.line));
+    });
+  });
+}
+
+// Takes one line out of the source branch's stock, one entry per unit for serialized products.
+// The stock and unit updates are guarded so two requests cannot send the same stock.
+function dispatchTransferLine(transfer, line, userId, callback) {
+  const notes = `Transfer ${transfer.transfer_number} to ${transfer.to_branch_name}`;
+  const entries = line.units.length > 0
+    ? line.units.map(unit => ({ unit, quantity: 1 }))
+    : [{ unit: null, quantity: line.quantity }];
+
+  runEach(entries, (entry, index, next) => {
+    const [sql, params] = deductStockStatement(line.product.id, entry.quantity, transfer.from_branch_id);
+    db.run(sql, params, function(err) {
+      if (err) return next(err);
+      if (this.changes === 0) return next(new Error(`Not enough ${line.product.name} in stock at ${transfer.from_branch_name}`));
+
+      const statements = [
+        ['INSERT INTO stock_transfer_items (transfer_id, product_id, unit_id, quantity) VALUES (?, ?, ?, ?)',
+         [transfer.id, line.product.id, entry.unit ? entry.unit.id : null, entry.quantity]],
+        stockMovementStatement(line.product.id, -entry.quantity, 'transfer', userId,
+          { unitId: entry.unit && entry.unit.id, branchId: transfer.from_branch_id, referenceId: transfer.id, notes })
+      ];
+      if (!entry.unit) return runSequence(statements, next);
+
+      db.run(`UPDATE product_units SET status = 'in_transit' WHERE id = ? AND status = 'in_stock' AND branch_id = ?`,
+        [entry.unit.id, transfer.from_branch_id], function(err) {
+          if (err) return next(err);
+          if (this.changes === 0) {
+            return next(new Error(`${entry.unit.imei1 || entry.unit.serial_number} is no longer in stock`));
+          }
+          statements.push(transferUnitEventStatement(entry.unit.id, 'transferred_out', notes, userId));
+          runSequence(statements, next);
+        });
+    });
+  }, callback);
+}
+
+// Statements that book a transfer's items into stock at a branch: the destination when it is
+// received, the source when it is cancelled
+function transferStockInStatements(transfer, branchId, userId, notes) {
+  let statements = [];
+  transfer.items.forEach(item => {
+    statements.push(['UPDATE products SET quantity = quantity + ? WHERE id = ?', [item.quantity, item.product_id]]);
+    statements.push(stockMovementStatement(item.product_id, item.quantity, 'transfer', userId,
+      { unitId: item.unit_id, branchId, referenceId: transfer.id, notes }));
+    if (item.unit_id) {
+      statements = statements.concat([
+        [`UPDATE product_units SET status = 'in_stock', branch_id = ? WHERE id = ? AND status = 'in_transit'`,
+         [branchId, item.unit_id]],
+        transferUnitEventStatement(item.unit_id, 'transferred_in', notes, userId)
+      ]);
+    }
+  });
+  return statements;
+}
+
+const TRANSFERS_QUERY = `
+  SELECT t.*, fb.name as from_branch_name, tb.name as to_branch_name,
+         ud.username as dispatched_by_name, ur.username as received_by_name
+  FROM stock_transfers t
+  JOIN branches fb ON t.from_branch_id = fb.id
+  JOIN branches tb ON t.to_branch_id = tb.id
+  LEFT JOIN users ud ON t.dispatched_by = ud.id
+  LEFT JOIN users ur ON t.received_by = ur.id`;
+
+// A transfer with its items; users without branches.manage only see transfers from or to their branch
+function loadTransfer(req, res, callback) {
+  db.get(`${TRANSFERS_QUERY} WHERE t.id = ?`, [req.params.id], (err, transfer) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!transfer) return res.status(404).json({ error: 'Transfer not found' });
+    if (!hasPermission(req.user.role, 'branches.manage') &&
+        ![transfer.from_branch_id, transfer.to_branch_id].includes(req.user.branch_id)) {
+      return res.status(403).json({ error: 'Forbidden - this transfer is not from or to your branch' });
+    }
+
+    db.all(`SELECT ti.*, p.name as product_name, u.imei1, u.imei2, u.serial_number
+            FROM stock_transfer_items ti
+            JOIN products p ON ti.product_id = p.id
+            LEFT JOIN product_units u ON ti.unit_id = u.id
+            WHERE ti.transfer_id = ?
+            ORDER BY p.name, ti.id`, [transfer.id], (err, items) => {
+      if (err) return res.status(500).json({ error: err.message });
+      callback({ ...transfer, items });
+    });
+  });
+}
+
+app.get('/api/transfers', requireAuth, (req, res) => {
+  const { status } = req.query;
+  const branchId = branchScope(req);
+
+  if (status && !TRANSFER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid transfer status' });
+  }
+
+  let query = `SELECT * FROM (${TRANSFERS_QUERY}) t
+               LEFT JOIN (SELECT transfer_id, SUM(quantity) as total_quantity, COUNT(DISTINCT product_id) as products
+                          FROM stock_transfer_items GROUP BY transfer_id) ti ON ti.transfer_id = t.id
+               WHERE 1=1`;
+  const params = [];
+
+  if (branchId) {
+    query += ' AND (t.from_branch_id = ? OR t.to_branch_id = ?)';
+    params.push(branchId, branchId);
+  }
+  if (status) {
+    query += ' AND t.status = ?';
+    params.push(status);
+  }
+  query += ' ORDER BY t.dispatched_at DESC, t.id DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+app.get('/api/transfers/:id', requireAuth, (req, res) => {
+  loadTransfer(req, res, (transfer) => res.json(transfer));
+});
+
+// Dispatches stock from the user's branch (any branch with branches.manage, from_branch_id) to
+// another branch. items: [{ product_id, quantity, serial_imei }], serial_imei listing the units of
+// serialized products.
+app.post('/api/transfers', requirePermission('stock.transfer'),
+  audited('stock_transfer', { table: 'stock_transfers', action: 'dispatch' }), (req, res) => {
+  const { items, notes } = req.body;
+  const fromBranchId = hasPermission(req.user.role, 'branches.manage') && req.body.from_branch_id
+    ? Number(req.body.from_branch_id) : req.user.branch_id;
+  const toBranchId = Number(req.body.to_branch_id);
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'At least one item is required' });
+  }
+  if (!toBranchId) {
+    return res.status(400).json({ error: 'Choose the branch the stock is going to' });
+  }
+  if (toBranchId === fromBranchId) {
+    return res.status(400).json({ error: 'Stock can only be transferred to another branch' });
+  }
+
+  findActiveBranch(fromBranchId, (err, from) => {
+    if (err) return res.status(400).json({ error: err.message });
+
+    findActiveBranch(toBranchId, (err, to) => {
+      if (err) return res.status(400).json({ error: err.message });
+
+      resolveTransferLines(items, from.id, (err, lines, errors) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (errors.length > 0) return sendSaleErrors(res, errors);
+
+        withTransaction((done) => {
+          nextSequenceNumber('TRF', (err, transferNumber) => {
+            if (err) return done(err);
+
+            db.run(`INSERT INTO stock_transfers (transfer_number, from_branch_id, to_branch_id, notes, dispatched_by)
+                    VALUES (?, ?, ?, ?, ?)`, [transferNumber, from.id, to.id, notes || null, req.session.userId], function(err) {
+                if (err) return done(err);
+
+                const transfer = { id: this.lastID, transfer_number: transferNumber, from_branch_id: from.id,
+                                   from_branch_name: from.name, to_branch_name: to.name };
+                runEach(lines, (line, index, next) => dispatchTransferLine(transfer, line, req.session.userId, next),
+                  (err) => done(err, transfer));
+              });
+          });
+        }, (err, transfer) => {
+          if (err) return res.status(400).json({ error: err.message });
+          res.json({ success: true, id: transfer.id, transfer_number: transfer.transfer_number });
+        });
+      });
+    });
+  });
+});
+
+// Books the items into the receiving branch's stock
+app.post('/api/transfers/:id/receive', requirePermission('stock.transfer'),
+  audited('stock_transfer', { table: 'stock_transfers', action: 'receive' }), (req, res) => {
+  loadTransfer(req, res, (transfer) => {
+    if (transfer.status !== 'in_transit') {
+      return res.status(400).json({ error: `Transfer ${transfer.transfer_number} is ${transfer.status.replace('_', ' ')}` });
+    }
+    if (transfer.to_branch_id !== req.user.branch_id && !hasPermission(req.user.role, 'branches.manage')) {
+      return res.status(403).json({ error: `Forbidden - only ${transfer.to_branch_name} can receive this transfer` });
+    }
+
+    const notes = `Transfer ${transfer.transfer_number} from ${transfer.from_branch_name}`;
+    withTransaction((done) => {
+      db.run(`UPDATE stock_transfers SET status = 'received', received_at = CURRENT_TIMESTAMP, received_by = ?
+              WHERE id = ? AND status = 'in_transit'`, [req.session.userId, transfer.id], function(err) {
+          if (err) return done(err);
+          if (this.changes === 0) return done(new Error(`Transfer ${transfer.transfer_number} has already been updated`));
+          runSequence(transferStockInStatements(transfer, transfer.to_branch_id, req.session.userId, notes), done);
+        });
+    }, (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true, status: 'received' });
+    });
+  });
+});
+
+// Calls a transfer back while it is on the way; the items go back into the source branch's stock
+app.post('/api/transfers/:id/cancel', requirePermission('stock.transfer'),
+  audited('stock_transfer', { table: 'stock_transfers', action: 'cancel' }), (req, res) => {
+  loadTransfer(req, res, (transfer) => {
+    if (transfer.status !== 'in_transit') {
+      return res.status(400).json({ error: `Transfer ${transfer.transfer_number} is ${transfer.status.replace('_', ' ')}` });
+    }
+    if (transfer.from_branch_id !== req.user.branch_id && !hasPermission(req.user.role, 'branches.manage')) {
+      return res.status(403).json({ error: `Forbidden - only ${transfer.from_branch_name} can cancel this transfer` });
+    }
+
+    const notes = `Transfer ${transfer.transfer_number} cancelled${req.body.reason ? `: ${req.body.reason}` : ''}`;
+    withTransaction((done) => {
+      db.run(`UPDATE stock_transfers SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancelled_by = ?
+              WHERE id = ? AND status = 'in_transit'`, [req.session.userId, transfer.id], function(err) {
+          if (err) return done(err);
+          if (this.changes === 0) return done(new Error(`Transfer ${transfer.transfer_number} has already been updated`));
+          runSequence(transferStockInStatements(transfer, transfer.from_branch_id, req.session.userId, notes), done);
+        });
+    }, (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true, status: 'cancelled' });
+    });
+  });
+});
+
+// Supplier Routes
+const SUPPLIER_PAYMENT_METHODS = ['cash', 'bank_transfer', 'cheque'];
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Suppliers with what was received from them, what was paid and the balance still owed
+const SUPPLIER_BALANCES_QUERY = `
+  SELECT b.*, b.opening_balance + b.total_purchased - b.total_paid as balance
+  FROM (
+    SELECT s.*,
+      COALESCE((SELECT SUM(total_amount) FROM goods_receipts WHERE supplier_id = s.id), 0) as total_purchased,
+      COALESCE((SELECT SUM(amount) FROM supplier_payments WHERE supplier_id = s.id), 0) as total_paid
+    FROM suppliers s
+  ) b
+`;
+
+app.get('/api/suppliers', requireAuth, (req, res) => {
+  const { search } = req.query;
+
+  let query = SUPPLIER_BALANCES_QUERY + ' WHERE 1=1';
+  const params = [];
+
+  if (search) {
+    query += ' AND (b.name LIKE ? OR b.phone LIKE ? OR b.cnic LIKE ?)';
+    params.push('%' + search + '%', '%' + search + '%', '%' + search + '%');
+  }
+
+  query += ' ORDER BY b.name';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+app.get('/api/suppliers/payables', requirePermission('payables'), (req, res) => {
+  const query = SUPPLIER_BALANCES_QUERY + ' WHERE b.opening_balance + b.total_purchased - b.total_paid > 0.005 ORDER BY balance DESC';
+
+  db.all(query, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const totalPayable = rows.reduce((sum, row) => sum + row.balance, 0);
+    res.json({ suppliers: rows, totalPayable: roundMoney(totalPayable) });
+  });
+});
+
+app.get('/api/suppliers/:id', requireAuth, (req, res) => {
+  db.get(SUPPLIER_BALANCES_QUERY + ' WHERE b.id = ?', [req.params.id], (err, supplier) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!supplier) return res.status(404).json({ error: 'Supplier not found' });
+    res.json(supplier);
+  });
+});
+
+app.post('/api/suppliers', requirePermission('purchasing'), audited('supplier', { table: 'suppliers' }), (req, res) => {
+  const { name, phone, cnic, address, opening_balance } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Supplier name is required' });
+  }
+
+  db.run('INSERT INTO suppliers (name, phone, cnic, address, opening_balance) VALUES (?, ?, ?, ?, ?)',
+    [name.trim(), phone, cnic, address, opening_balance || 0],
+    function(err) {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ id: this.lastID, success: true });
+    }
+  );
+});
+
+app.put('/api/suppliers/:id', requirePermission('purchasing'),
+  audited('supplier', { table: 'suppliers' }), (req, res) => {
+  const { name, phone, cnic, address, opening_balance } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Supplier name is required' });
+  }
+
+  db.run('UPDATE suppliers SET name=?, phone=?, cnic=?, address=?, opening_balance=? WHERE id=?',
+    [name.trim(), phone, cnic, address, opening_balance || 0, req.params.id],
+    (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true });
+    }
+  );
+});
+
+app.get('/api/suppliers/:id/statement', requirePermission('payables'), (req, res) => {
+  const { start_date, end_date } = req.query;
+
+  db.get('SELECT * FROM suppliers WHERE id = ?', [req.params.id], (err, supplier) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!supplier) return res.status(404).json({ error: 'Supplier not found' });
+
+    const query = `
+      SELECT 'purchase' as type, DATE(gr.received_at) as date, po.po_number as reference, gr.notes,
+             gr.total_amount as debit, 0 as credit, gr.received_at as created_at
+      FROM goods_receipts gr
+      JOIN purchase_orders po ON gr.po_id = po.id
+      WHERE gr.supplier_id = ?
+      UNION ALL
+      SELECT 'payment' as type, DATE(payment_date) as date, reference, notes, 0 as debit, amount as credit, created_at
+      FROM supplier_payments
+      WHERE supplier_id = ?
+      ORDER BY date ASC, created_at ASC
+    `;
+
+    db.all(query, [supplier.id, supplier.id], (err, entries) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      // Entries before the period roll into its opening balance
+      let balance = supplier.opening_balance || 0;
+      let openingBalance = balance;
+      const rows = [];
+      entries.forEach(entry => {
+        if (end_date && entry.date > end_date) return;
+        balance = roundMoney(balance + entry.debit - entry.credit);
+        if (start_date && entry.date < start_date) {
+          openingBalance = balance;
+        } else {
+          rows.push({ ...entry, balance });
+        }
+      });
+
+      res.json({ supplier, openingBalance, entries: rows, closingBalance: balance });
+    });
+  });
+});
+
+app.post('/api/suppliers/:id/payments', requirePermission('payables'),
+  audited('supplier', { table: 'suppliers', action: 'payment' }), (req, res) => {
+  const { amount, payment_date, method, reference, notes } = req.body;
+
+  if (!(Number(amount) > 0)) {
+    return res.status(400).json({ error: 'Payment amount must be greater than zero' });
+  }
+  if (method && !SUPPLIER_PAYMENT_METHODS.includes(method)) {
+    return res.status(400).json({ error: 'Invalid payment method' });
+  }
+
+  db.get('SELECT id FROM suppliers WHERE id = ?', [req.params.id], (err, supplier) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!supplier) return res.status(404).json({ error: 'Supplier not found' });
+
+    db.run(`INSERT INTO supplier_payments (supplier_id, amount, payment_date, method, reference, notes, created_by)
+            VALUES (?, ?, COALESCE(?, DATE('now', 'localtime')), ?, ?, ?, ?)`,
+      [supplier.id, amount, payment_date || null, method || 'cash', reference, notes, req.session.userId],
+      function(err) {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ id: this.lastID, success: true });
+      }
+    );
+  });
+});
+
+// Purchase Order Routes
+app.get('/api/purchase-orders', requirePermission('purchasing'), (req, res) => {
+  const { status, supplier_id, start_date, end_date } = req.query;
+
+  let query = `
+    SELECT po.*, s.name as supplier_name,
+      COALESCE((SELECT SUM(total_amount) FROM goods_receipts WHERE po_id = po.id), 0) as received_amount
+    FROM purchase_orders po
+    JOIN suppliers s ON po.supplier_id = s.id
+    WHERE 1=1`;
+  const params = [];
+
+  if (status) {
+    query += ' AND po.status = ?';
+    params.push(status);
+  }
+
+  if (supplier_id) {
+    query += ' AND po.supplier_id = ?';
+    params.push(supplier_id);
+  }
+
+  if (start_date) {
+    query += ' AND DATE(po.order_date) >= DATE(?)';
+    params.push(start_date);
+  }
+
+  if (end_date) {
+    query += ' AND DATE(po.order_date) <= DATE(?)';
+    params.push(end_date);
+  }
+
+  query += ' ORDER BY po.order_date DESC, po.id DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+app.get('/api/purchase-orders/:id', requirePermission('purchasing'), (req, res) => {
+  const query = `
+    SELECT po.*, s.name as supplier_name, s.phone as supplier_phone, s.cnic as supplier_cnic
+    FROM purchase_orders po
+    JOIN suppliers s ON po.supplier_id = s.id
+    WHERE po.id = ?
+  `;
+
+  db.get(query, [req.params.id], (err, order) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!order) return res.status(404).json({ error: 'Purchase order not found' });
+
+    db.all(`SELECT poi.*, p.name as product_name, p.track_units
+            FROM purchase_order_items poi
+            JOIN products p ON poi.product_id = p.id
+            WHERE poi.po_id = ?`, [order.id], (err, items) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      db.all(`SELECT gri.*, gr.received_at, gr.extra_costs, gr.notes, p.name as product_name
+              FROM goods_receipt_items gri
+              JOIN goods_receipts gr ON gri.receipt_id = gr.id
+              JOIN products p ON gri.product_id = p.id
+              WHERE gr.po_id = ?
+              ORDER BY gr.received_at ASC`, [order.id], (err, receipts) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ ...order, items, receipts });
+      });
+    });
+  });
+});
+
+app.post('/api/purchase-orders', requirePermission('purchasing'),
+  audited('purchase_order', { table: 'purchase_orders' }), (req, res) => {
+  const { supplier_id, items, order_date, expected_date, notes } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'At least one item is required' });
+  }
+
+  const errors = [];
+  items.forEach((item, index) => {
+    if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0) {
+      errors.push(`Line ${index + 1}: quantity must be a positive whole number`);
+    }
+    if (!(Number(item.unit_cost) >= 0) || item.unit_cost === '' || item.unit_cost === null) {
+      errors.push(`Line ${index + 1}: unit cost is required`);
+    }
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+
+  db.get('SELECT id FROM suppliers WHERE id = ?', [supplier_id], (err, supplier) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!supplier) return res.status(400).json({ error: 'Supplier not found' });
+
+    const productIds = [...new Set(items.map(item => Number(item.product_id)))];
+    const placeholders = productIds.map(() => '?').join(',');
+    db.all(`SELECT id FROM products WHERE id IN (${placeholders})`, productIds, (err, products) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (products.length !== productIds.length) {
+        return res.status(400).json({ error: 'One or more products were not found' });
+      }
+
+      const totalAmount = roundMoney(items.reduce((sum, item) => sum + item.quantity * item.unit_cost, 0));
+
+      withTransaction((done) => {
+        db.run(`INSERT INTO purchase_orders (supplier_id, order_date, expected_date, total_amount, notes, created_by)
+                VALUES (?, COALESCE(?, DATE('now', 'localtime')), ?, ?, ?, ?)`,
+          [supplier.id, order_date || null, expected_date || null, totalAmount, notes, req.session.userId],
+          function(err) {
+            if (err) return done(err);
+
+            const poId = this.lastID;
+            const poNumber = 'PO-' + String(poId).padStart(6, '0');
+            const statements = [['UPDATE purchase_orders SET po_number = ? WHERE id = ?', [poNumber, poId]]];
+            items.forEach(item => {
+              statements.push([`INSERT INTO purchase_order_items (po_id, product_id, quantity_ordered, unit_cost)
+                                VALUES (?, ?, ?, ?)`, [poId, item.product_id, item.quantity, item.unit_cost]]);
+            });
+            runSequence(statements, (err) => done(err, { poId, poNumber }));
+          }
+        );
+      }, (err, result) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true, id: result.poId, poNumber: result.poNumber });
+      });
+    });
+  });
+});
+
+// Receives goods against a purchase order. Each line may be partial; serialized products need one
+// unit (IMEI/serial) per piece. extra_costs (freight, loading) are spread over the lines by value to
+// give the landed cost, but are not added to what the supplier is owed.
+app.post('/api/purchase-orders/:id/receive', requirePermission('purchasing'),
+  audited('purchase_order', { table: 'purchase_orders', action: 'receive' }), (req, res) => {
+  const { items, extra_costs, notes } = req.body;
+  const extraCosts = Number(extra_costs) || 0;
+
+  if (extraCosts < 0) {
+    return res.status(400).json({ error: 'Extra costs cannot be negative' });
+  }
+
+  db.get(`SELECT po.*, s.name as supplier_name, s.phone as supplier_phone, s.cnic as supplier_cnic
+          FROM purchase_orders po JOIN suppliers s ON po.supplier_id = s.id
+          WHERE po.id = ?`, [req.params.id], (err, order) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!order) return res.status(404).json({ error: 'Purchase order not found' });
+    if (order.status === 'received' || order.status === 'cancelled') {
+      return res.status(400).json({ error: `Purchase order is already ${order.status}` });
+    }
+
+    db.all(`SELECT poi.*, p.name as product_name, p.track_units, p.condition, p.pta_approved
+            FROM purchase_order_items poi
+            JOIN products p ON poi.product_id = p.id
+            WHERE poi.po_id = ?`, [order.id], (err, poItems) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      // Without a line list, everything still outstanding is received
+      const requested = Array.isArray(items) && items.length > 0
+        ? items
+        : poItems.map(poItem => ({ po_item_id: poItem.id, quantity: poItem.quantity_ordered - poItem.quantity_received }))
+          .filter(line => line.quantity > 0);
+
+      const errors = [];
+      const lines = [];
+      let allUnits = [];
+      requested.forEach((line, index) => {
+        const poItem = poItems.find(poi => poi.id === Number(line.po_item_id));
+        const quantity = Number(line.quantity);
+        if (!poItem) {
+          errors.push(`Line ${index + 1}: not part of this purchase order`);
+          return;
+        }
+        const outstanding = poItem.quantity_ordered - poItem.quantity_received;
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          errors.push(`${poItem.product_name}: quantity must be a positive whole number`);
+        } else if (quantity > outstanding) {
+          errors.push(`${poItem.product_name}: only ${outstanding} outstanding`);
+        }
+        const units = Array.isArray(line.units) ? line.units : [];
+        if (poItem.track_units && units.length !== quantity) {
+          errors.push(`${poItem.product_name}: ${quantity} IMEI/serial(s) required, ${units.length} given`);
+        }
+        const unitCost = line.unit_cost !== undefined && line.unit_cost !== '' ? Number(line.unit_cost) : poItem.unit_cost;
+        if (!(unitCost >= 0)) {
+          errors.push(`${poItem.product_name}: invalid unit cost`);
+        }
+        allUnits = allUnits.concat(poItem.track_units ? units : []);
+        lines.push({ poItem, quantity, unitCost, units });
+      });
+      if (lines.length === 0 && errors.length === 0) {
+        errors.push('Nothing left to receive');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; ') });
+      }
+
+      validateNewUnits(allUnits, (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+
+        const goodsValue = lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+        const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+        lines.forEach(line => {
+          const share = goodsValue > 0 ? (line.quantity * line.unitCost) / goodsValue : line.quantity / totalQuantity;
+          line.landedCost = roundMoney(line.unitCost + (extraCosts * share) / line.quantity);
+        });
+
+        withTransaction((done) => {
+          db.run(`INSERT INTO goods_receipts (po_id, supplier_id, extra_costs, total_amount, notes, created_by)
+                  VALUES (?, ?, ?, ?, ?, ?)`,
+            [order.id, order.supplier_id, extraCosts, roundMoney(goodsValue), notes, req.session.userId],
+            function(err) {
+              if (err) return done(err);
+
+              const receiptId = this.lastID;
+              const supplier = {
+                id: order.supplier_id, name: order.supplier_name, phone: order.supplier_phone,
+                cnic: order.supplier_cnic, reference: order.po_number
+              };
+              let statements = [];
+              lines.forEach(line => {
+                const product = { id: line.poItem.product_id, condition: line.poItem.condition, pta_approved: line.poItem.pta_approved };
+                statements.push([`INSERT INTO goods_receipt_items (receipt_id, po_item_id, product_id, quantity, unit_cost, landed_cost)
+                                  VALUES (?, ?, ?, ?, ?, ?)`,
+                  [receiptId, line.poItem.id, product.id, line.quantity, line.unitCost, line.landedCost]]);
+                statements.push(['UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?',
+                  [line.quantity, line.poItem.id]]);
+                // Moving weighted average keeps the product cost in line with what is on the shelf, rounded
+                // to 2 decimals like every other price
+                statements.push([`UPDATE products SET
+                                  purchase_price = ROUND((MAX(quantity, 0) * purchase_price + ? * ?) / (MAX(quantity, 0) + ?), 2),
+                                  quantity = quantity + ?
+                                  WHERE id = ?`,
+                  [line.quantity, line.landedCost, line.quantity, line.quantity, product.id]]);
+                statements.push(stockMovementStatement(product.id, line.quantity, 'purchase', req.session.userId,
+                  { referenceId: receiptId, notes: order.po_number }));
+                if (line.poItem.track_units) {
+                  line.units.forEach(unit => {
+                    statements = statements.concat(unitInsertStatements(product, unit, supplier, line.landedCost, req.session.userId));
+                  });
+                }
+              });
+              statements.push([`UPDATE purchase_orders SET status = CASE
+                                  WHEN (SELECT SUM(quantity_ordered - quantity_received) FROM purchase_order_items WHERE po_id = ?) > 0
+                                  THEN 'partial' ELSE 'received' END
+                                WHERE id = ?`, [order.id, order.id]]);
+              runSequence(statements, (err) => done(err, receiptId));
+            }
+          );
+        }, (err, receiptId) => {
+          if (err) return res.status(400).json({ error: err.message });
+          res.json({ success: true, receiptId });
+        });
+      });
+    });
+  });
+});
+
+app.post('/api/purchase-orders/:id/cancel', requirePermission('purchasing'),
+  audited('purchase_order', { table: 'purchase_orders', action: 'cancel' }), (req, res) => {
+  db.run(`UPDATE purchase_orders SET status = 'cancelled' WHERE id = ? AND status IN ('open', 'partial')`,
+    [req.params.id], function(err) {
+      if (err) return res.status(400).json({ error: err.message });
+      if (this.changes === 0) {
+        return res.status(400).json({ error: 'Only open or partly received purchase orders can be cancelled' });
+      }
+      res.json({ success: true });
+    });
+});
+
+// Customer Routes
+const PAYMENT_TYPES = ['cash', 'bank_transfer', 'card', 'credit', 'mixed'];
+const COLLECTION_METHODS = ['cash', 'bank_transfer', 'card'];
+
+function normalizeDigits(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits || null;
+}
+
+// Finds the customer by phone or CNIC, creating one when neither is known yet
+function findOrCreateCustomer({ name, phone, cnic }, callback) {
+  const phoneKey = normalizeDigits(phone);
+  const cnicKey = normalizeDigits(cnic);
+  if (!phoneKey && !cnicKey) return callback(null, null);
+
+  db.get('SELECT * FROM customers WHERE phone = ? OR cnic = ? ORDER BY (phone = ?) DESC LIMIT 1',
+    [phoneKey, cnicKey, phoneKey], (err, customer) => {
+      if (err) return callback(err);
+
+      if (customer) {
+        // Fill in whatever the earlier record was missing; a CNIC already used by someone else is left alone
+        return db.run(`UPDATE OR IGNORE customers SET name = COALESCE(NULLIF(name, ''), ?),
+                       phone = COALESCE(phone, ?), cnic = COALESCE(cnic, ?) WHERE id = ?`,
+          [name || null, phoneKey, cnicKey, customer.id], (err) => callback(err, customer.id));
+      }
+
+      db.run('INSERT INTO customers (name, phone, cnic) VALUES (?, ?, ?)', [name || null, phoneKey, cnicKey], function(err) {
+        if (err) return callback(err);
+        callback(null, this.lastID);
+      });
+    });
+}
+
+const CUSTOMER_BALANCES_QUERY = `
+  SELECT b.* FROM (
+    SELECT c.*,
+      COALESCE((SELECT SUM(debit - credit) FROM customer_ledger WHERE customer_id = c.id), 0) as balance,
+      (SELECT MAX(entry_date) FROM customer_ledger WHERE customer_id = c.id AND entry_type = 'payment') as last_payment_date
+    FROM customers c
+  ) b
+`;
+
+app.get('/api/customers', requireAuth, (req, res) => {
+  const { search, with_balance } = req.query;
+
+  let query = CUSTOMER_BALANCES_QUERY + ' WHERE 1=1';
+  const params = [];
+
+  if (search) {
+    query += ' AND (b.name LIKE ? OR b.phone LIKE ? OR b.cnic LIKE ?)';
+    const digits = normalizeDigits(search) || search;
+    params.push('%' + search + '%', '%' + digits + '%', '%' + digits + '%');
+  }
+
+  if (with_balance) {
+    query += ' AND b.balance > 0.005';
+  }
+
+  query += ' ORDER BY b.name';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+// Outstanding balances split by age. Payments and returns settle the oldest amounts first.
+app.get('/api/customers/aging', requirePermission('receivables'), (req, res) => {
+  const asOf = req.query.as_of ? new Date(req.query.as_of) : new Date();
+
+  const query = `
+    SELECT l.*, c.name, c.phone, c.cnic
+    FROM customer_ledger l
+    JOIN customers c ON l.customer_id = c.id
+    ORDER BY l.customer_id, l.entry_date ASC, l.id ASC
+  `;
+
+  db.all(query, (err, entries) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const customers = new Map();
+    entries.forEach(entry => {
+      if (!customers.has(entry.customer_id)) {
+        customers.set(entry.customer_id, {
+          customer_id: entry.customer_id, name: entry.name, phone: entry.phone, cnic: entry.cnic,
+          open: [], unapplied: 0
+        });
+      }
+      const customer = customers.get(entry.customer_id);
+      if (entry.debit > 0) customer.open.push({ date: entry.entry_date, amount: entry.debit });
+
+      let credit = entry.credit + customer.unapplied;
+      customer.unapplied = 0;
+      while (credit > 0 && customer.open.length > 0) {
+        const oldest = customer.open[0];
+        const applied = Math.min(oldest.amount, credit);
+        oldest.amount -= applied;
+        credit -= applied;
+        if (oldest.amount < 0.005) customer.open.shift();
+      }
+      customer.unapplied = credit;
+    });
+
+    const totals = { current: 0, days_31_60: 0, days_61_90: 0, over_90: 0, balance: 0 };
+    const rows = [];
+    customers.forEach(customer => {
+      const row = {
+        customer_id: customer.customer_id, name: customer.name, phone: customer.phone, cnic: customer.cnic,
+        current: 0, days_31_60: 0, days_61_90: 0, over_90: 0, balance: 0
+      };
+      customer.open.forEach(open => {
+        const age = Math.floor((asOf - new Date(open.date)) / (1000 * 60 * 60 * 24));
+        const bucket = age <= 30 ? 'current' : age <= 60 ? 'days_31_60' : age <= 90 ? 'days_61_90' : 'over_90';
+        row[bucket] += open.amount;
+        row.balance += open.amount;
+      });
+      if (row.balance < 0.005) return;
+
+      Object.keys(totals).forEach(key => {
+        row[key] = roundMoney(row[key]);
+        totals[key] = roundMoney(totals[key] + row[key]);
+      });
+      rows.push(row);
+    });
+
+    rows.sort((a, b) => b.balance - a.balance);
+    res.json({ customers: rows, totals });
+  });
+});
+
+app.get('/api/customers/:id', requireAuth, (req, res) => {
+  db.get(CUSTOMER_BALANCES_QUERY + ' WHERE b.id = ?', [req.params.id], (err, customer) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    res.json(customer);
+  });
+});
+
+app.post('/api/customers', requirePermission('customers.manage'),
+  audited('customer', { table: 'customers' }), (req, res) => {
+  const { name, phone, cnic, address } = req.body;
+  const phoneKey = normalizeDigits(phone);
+  const cnicKey = normalizeDigits(cnic);
+
+  if (!phoneKey && !cnicKey) {
+    return res.status(400).json({ error: 'Phone or CNIC is required' });
+  }
+
+  db.get('SELECT id FROM customers WHERE phone = ? OR cnic = ?', [phoneKey, cnicKey], (err, existing) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (existing) {
+      return res.status(400).json({ error: 'A customer with this phone or CNIC already exists', id: existing.id });
+    }
+
+    db.run('INSERT INTO customers (name, phone, cnic, address) VALUES (?, ?, ?, ?)',
+      [name, phoneKey, cnicKey, address],
+      function(err) {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ id: this.lastID, success: true });
+      }
+    );
+  });
+});
+
+app.put('/api/customers/:id', requirePermission('customers.manage'),
+  audited('customer', { table: 'customers' }), (req, res) => {
+  const { name, phone, cnic, address } = req.body;
+  const phoneKey = normalizeDigits(phone);
+  const cnicKey = normalizeDigits(cnic);
+
+  if (!phoneKey && !cnicKey) {
+    return res.status(400).json({ error: 'Phone or CNIC is required' });
+  }
+
+  db.run('UPDATE customers SET name=?, phone=?, cnic=?, address=? WHERE id=?',
+    [name, phoneKey, cnicKey, address, req.params.id],
+    (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true });
+    }
+  );
+});
+
+app.get('/api/customers/:id/statement', requireAuth, (req, res) => {
+  const { start_date, end_date } = req.query;
+
+  db.get('SELECT * FROM customers WHERE id = ?', [req.params.id], (err, customer) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const query = `
+      SELECT l.*, DATE(l.entry_date) as date, s.invoice_number
+      FROM customer_ledger l
+      LEFT JOIN sales s ON l.sale_id = s.id
+      WHERE l.customer_id = ?
+      ORDER BY l.entry_date ASC, l.id ASC
+    `;
+
+    db.all(query, [customer.id], (err, entries) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      // Entries before the period roll into its opening balance
+      let balance = 0;
+      let openingBalance = 0;
+      const rows = [];
+      entries.forEach(entry => {
+        if (end_date && entry.date > end_date) return;
+        balance = roundMoney(balance + entry.debit - entry.credit);
+        if (start_date && entry.date < start_date) {
+          openingBalance = balance;
+        } else {
+          rows.push({ ...entry, balance });
+        }
+      });
+
+      res.json({ customer, openingBalance, entries: rows, closingBalance: balance });
+    });
+  });
+});
+
+// What a customer owes on everything but sales on an active installment plan, and how many such
+// plans they have
+const OFF_PLAN_BALANCE_QUERY = `
+  SELECT COALESCE(SUM(debit - credit), 0) as balance,
+         (SELECT COUNT(*) FROM installment_plans WHERE customer_id = ? AND status = 'active') as plans
+  FROM customer_ledger
+  WHERE customer_id = ? AND (sale_id IS NULL OR sale_id NOT IN (SELECT sale_id FROM installment_plans WHERE status = 'active'))
+`;
+
+// Cash taken goes into the user's open shift. While the customer has an active installment plan,
+// a payment here can only cover what they owe outside it, since it would not reach the plan's
+// schedule; installment payments go through the plan.
+app.post('/api/customers/:id/payments', requirePermission('customers.manage'),
+  audited('customer', { table: 'customers', action: 'payment' }), loadOpenShift, (req, res) => {
+  const { amount, method, notes, payment_date } = req.body;
+
+  if (!(Number(amount) > 0)) {
+    return res.status(400).json({ error: 'Payment amount must be greater than zero' });
+  }
+  if (method && !COLLECTION_METHODS.includes(method)) {
+    return res.status(400).json({ error: 'Invalid payment method' });
+  }
+  const cash = (method || 'cash') === 'cash';
+  if (cash && !req.shift) {
+    return res.status(400).json({ error: 'Open a shift before taking cash', shift_required: true });
+  }
+
+  db.get('SELECT id, name FROM customers WHERE id = ?', [req.params.id], (err, customer) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    withTransaction((done) => {
+      db.get(OFF_PLAN_BALANCE_QUERY, [customer.id, customer.id], (err, owed) => {
+        if (err) return done(err);
+        if (owed.plans > 0 && Number(amount) > owed.balance) {
+          return done(new Error(`Rs. ${Math.max(owed.balance, 0)} is owed outside installment plans; ` +
+            'take installment payments on the plan'));
+        }
+
+        db.run(`INSERT INTO customer_ledger (customer_id, entry_type, credit, method, notes, entry_date, created_by)
+                VALUES (?, 'payment', ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)`,
+          [customer.id, amount, method || 'cash', notes, payment_date || null, req.session.userId],
+          function(err) {
+            if (err) return done(err);
+            const entryId = this.lastID;
+            if (!cash) return done(null, entryId);
+
+            const [sql, params] = collectionMovementStatement(req.shift.id, Number(amount), req.session.userId,
+              `Payment from ${customer.name}`);
+            db.run(sql, params, (err) => done(err, entryId));
+          }
+        );
+      });
+    }, (err, entryId) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ id: entryId, success: true });
+    });
+  });
+});
+
+// Cash Register Shift Routes
+// A shift is one cashier's session at the till: cash sales, cash refunds, petty-cash payouts and cash
+// collected from customers are recorded as cash_movements against it, and closing compares the counted cash with the float plus
+// those movements.
+function findOpenShift(userId, callback) {
+  db.get("SELECT * FROM cash_shifts WHERE opened_by = ? AND status = 'open'", [userId], callback);
+}
+
+// Attaches the user's open shift to req.shift (null when there is none)
+function loadOpenShift(req, res, next) {
+  findOpenShift(req.user.id, (err, shift) => {
+    if (err) return res.status(500).json({ error: err.message });
+    req.shift = shift || null;
+    next();
+  });
+}
+
+const requireOpenShift = (req, res, next) => {
+  loadOpenShift(req, res, () => {
+    if (!req.shift) {
+      return res.status(400).json({ error: 'Open a shift before making sales', shift_required: true });
+    }
+    next();
+  });
+};
+
+function cashMovementStatement(shiftId, type, amount, userId,
+  { saleId = null, returnId = null, expenseId = null, tradeInId = null, repairJobId = null, notes = null } = {}) {
+  return [`INSERT INTO cash_movements (shift_id, movement_type, amount, sale_id, return_id, expense_id, trade_in_id,
+           repair_job_id, notes, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [shiftId, type, roundMoney(amount), saleId, returnId, expenseId, tradeInId, repairJobId, notes, userId]];
+}
+
+// Cash collected from a customer, against the ledger entry inserted just before it
+function collectionMovementStatement(shiftId, amount, userId, notes) {
+  return [`INSERT INTO cash_movements (shift_id, movement_type, amount, ledger_entry_id, notes, created_by)
+           VALUES (?, 'collection', ?, last_insert_rowid(), ?, ?)`, [shiftId, roundMoney(amount), notes, userId]];
+}
+
+function expectedCash(shiftId, callback) {
+  db.get(`SELECT s.opening_float + COALESCE(SUM(m.amount), 0) as expected
+          FROM cash_shifts s LEFT JOIN cash_movements m ON m.shift_id = s.id
+          WHERE s.id = ? GROUP BY s.id`, [shiftId], (err, row) => {
+    callback(err, row ? roundMoney(row.expected) : null);
+  });
+}
+
+// Loads a shift the user may act on: their own, or anyone's at their branch with shifts.manage
+// (at any branch with branches.manage)
+function loadShift(req, res, callback) {
+  const branchId = recordBranchScope(req);
+  db.get('SELECT * FROM cash_shifts WHERE id = ? AND (? IS NULL OR branch_id = ?)', [req.params.id, branchId, branchId],
+    (err, shift) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (!shift) return res.status(404).json({ error: 'Shift not found' });
+      if (shift.opened_by !== req.user.id && !hasPermission(req.user.role, 'shifts.manage')) {
+        return res.status(403).json({ error: 'Forbidden - this shift belongs to another user' });
+      }
+      callback(shift);
+    });
+}
+
+// The manual discount on a sale; a percentage is of the bill after promotions
+const SALE_DISCOUNT_SQL = `CASE WHEN discount_type = 'percentage'
+                             THEN ROUND((subtotal - promotion_discount) * discount_amount / 100, 2) ELSE discount_amount END`;
+
+// Z-report for a shift: sales by payment type, discounts, returns, payouts and the cash count
+function loadShiftReport(shiftId, callback) {
+  db.get(`SELECT s.*, o.username as opened_by_name, c.username as closed_by_name
+          FROM cash_shifts s
+          LEFT JOIN users o ON s.opened_by = o.id
+          LEFT JOIN users c ON s.closed_by = c.id
+          WHERE s.id = ?`, [shiftId], (err, shift) => {
+    if (err || !shift) return callback(err, null);
+
+    db.all(`SELECT payment_type, COUNT(*) as sales, SUM(subtotal) as gross, SUM(promotion_discount) as promotions,
+                   SUM(${SALE_DISCOUNT_SQL}) as discounts, SUM(subtotal - promotion_discount - ${SALE_DISCOUNT_SQL}) as net
+            FROM sales WHERE shift_id = ? GROUP BY payment_type ORDER BY payment_type`, [shiftId], (err, byPaymentType) => {
+      if (err) return callback(err);
+
+      db.all(`SELECT id, invoice_number, customer_name, payment_type, subtotal, discount_type, discount_amount,
+                     ${SALE_DISCOUNT_SQL} as discount_value
+              FROM sales WHERE shift_id = ? AND discount_amount > 0 ORDER BY id`, [shiftId], (err, discounts) => {
+        if (err) return callback(err);
+
+        db.all(`SELECT r.id, r.return_date, r.quantity, r.return_amount, r.reason, p.name as product_name,
+                       s.invoice_number, s.payment_type
+                FROM returns r
+                JOIN sales s ON r.sale_id = s.id
+                LEFT JOIN products p ON r.product_id = p.id
+                WHERE r.shift_id = ? ORDER BY r.id`, [shiftId], (err, returns) => {
+          if (err) return callback(err);
+
+          db.all(`SELECT m.*, u.username as created_by_name
+                  FROM cash_movements m LEFT JOIN users u ON m.created_by = u.id
+                  WHERE m.shift_id = ? ORDER BY m.id`, [shiftId], (err, movements) => {
+            if (err) return callback(err);
+
+            // Payments taken on this shift's sales and refunds made on this shift's returns
+            db.all(`${PAYMENT_METHOD_TOTALS_SQL}
+                    LEFT JOIN returns r ON sp.return_id = r.id
+                    WHERE (sp.return_id IS NULL AND s.shift_id = ?) OR r.shift_id = ?
+                    GROUP BY sp.method ORDER BY sp.method`, [shiftId, shiftId], (err, byPaymentMethod) => {
+              if (err) return callback(err);
+
+              const sumOf = (rows, field) => roundMoney(rows.reduce((sum, row) => sum + (row[field] || 0), 0));
+              const movementTotal = (type) => sumOf(movements.filter(m => m.movement_type === type), 'amount');
+              const expected = roundMoney(shift.opening_float + sumOf(movements, 'amount'));
+
+              callback(null, {
+                shift,
+                by_payment_type: byPaymentType,
+                by_payment_method: byPaymentMethod,
+                totals: {
+                  sales: byPaymentType.reduce((sum, row) => sum + row.sales, 0),
+                  gross: sumOf(byPaymentType, 'gross'),
+                  promotions: sumOf(byPaymentType, 'promotions'),
+                  discounts: sumOf(byPaymentType, 'discounts'),
+                  net: sumOf(byPaymentType, 'net'),
+                  returns: sumOf(returns, 'return_amount'),
+                  net_after_returns: roundMoney(sumOf(byPaymentType, 'net') - sumOf(returns, 'return_amount'))
+                },
+                discounts,
+                returns,
+                payouts: movements.filter(m => m.movement_type === 'payout'),
+                cash: {
+                  opening_float: shift.opening_float,
+                  cash_sales: movementTotal('sale'),
+                  cash_refunds: movementTotal('refund'),
+                  payouts: movementTotal('payout'),
+                  trade_ins: movementTotal('trade_in'),
+                  repairs: movementTotal('repair'),
+                  collections: movementTotal('collection'),
+                  expected: shift.status === 'closed' ? shift.expected_cash : expected,
+                  counted: shift.counted_cash,
+                  variance: shift.variance
+                }
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+app.get('/api/shifts', requirePermission('sales.create'), (req, res) => {
+  const { status, user_id, start_date, end_date } = req.query;
+
+  let query = `SELECT s.*, o.username as opened_by_name, c.username as closed_by_name
+               FROM cash_shifts s
+               LEFT JOIN users o ON s.opened_by = o.id
+               LEFT JOIN users c ON s.closed_by = c.id
+               WHERE 1=1`;
+  const params = [];
+  const branchId = branchScope(req);
+
+  if (branchId) {
+    query += ' AND s.branch_id = ?';
+    params.push(branchId);
+  }
+  // Without shifts.manage a user only sees their own shifts
+  if (!hasPermission(req.user.role, 'shifts.manage')) {
+    query += ' AND s.opened_by = ?';
+    params.push(req.user.id);
+  } else if (user_id) {
+    query += ' AND s.opened_by = ?';
+    params.push(user_id);
+  }
+  if (status) {
+    query += ' AND s.status = ?';
+    params.push(status);
+  }
+  if (start_date) {
+    query += ' AND DATE(s.opened_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    query += ' AND DATE(s.opened_at) <= DATE(?)';
+    params.push(end_date);
+  }
+  query += ' ORDER BY s.opened_at DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+app.get('/api/shifts/current', requirePermission('sales.create'), loadOpenShift, (req, res) => {
+  if (!req.shift) return res.json(null);
+
+  expectedCash(req.shift.id, (err, expected) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ ...req.shift, expected_cash: expected });
+  });
+});
+
+app.post('/api/shifts/open', requirePermission('sales.create'),
+  audited('shift', { table: 'cash_shifts', action: 'open', id: (req, body) => body && body.id }), loadOpenShift, (req, res) => {
+  const openingFloat = Number(req.body.opening_float) || 0;
+
+  if (req.shift) {
+    return res.status(400).json({ error: `Shift #${req.shift.id} is already open` });
+  }
+  if (openingFloat < 0) {
+    return res.status(400).json({ error: 'Opening float cannot be negative' });
+  }
+
+  db.run('INSERT INTO cash_shifts (opened_by, opening_float, notes, branch_id) VALUES (?, ?, ?, ?)',
+    [req.user.id, roundMoney(openingFloat), req.body.notes || null, req.user.branch_id], function(err) {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ id: this.lastID, success: true });
+    });
+});
+
+// Petty-cash payout from the till; it is also booked as an expense
+app.post('/api/shifts/:id/payouts', requirePermission('sales.create'),
+  audited('shift', { table: 'cash_shifts', action: 'payout' }), (req, res) => {
+  const amount = roundMoney(Number(req.body.amount));
+  const reason = (req.body.reason || '').trim();
+
+  if (!(amount > 0)) {
+    return res.status(400).json({ error: 'Payout amount must be greater than zero' });
+  }
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required for a payout' });
+  }
+
+  loadShift(req, res, (shift) => {
+    if (shift.status !== 'open') {
+      return res.status(400).json({ error: 'Shift is closed' });
+    }
+
+    // The cash in the till is counted in the same transaction as the payout, so two payouts (or a
+    // payout and the close) cannot both count the same cash
+    withTransaction((done) => {
+      db.get('SELECT status FROM cash_shifts WHERE id = ?', [shift.id], (err, current) => {
+        if (err) return done(err);
+        if (current.status !== 'open') return done(new Error('Shift is closed'));
+
+        expectedCash(shift.id, (err, expected) => {
+          if (err) return done(err);
+          if (amount > expected) return done(new Error(`Only Rs. ${expected} cash is in the till`));
+
+          db.run(`INSERT INTO expenses (description, amount, expense_date, category_id, payment_method, branch_id, created_by)
+                  VALUES (?, ?, ?, (SELECT id FROM expense_categories WHERE name = 'Petty Cash'), 'cash', ?, ?)`,
+            [`Petty cash: ${reason}`, amount, formatDate(new Date()), shift.branch_id, req.user.id], function(err) {
+              if (err) return done(err);
+              const expenseId = this.lastID;
+              const [sql, params] = cashMovementStatement(shift.id, 'payout', -amount, req.user.id, { expenseId, notes: reason });
+              db.run(sql, params, (err) => done(err, { expenseId, expected: roundMoney(expected - amount) }));
+            });
+        });
+      });
+    }, (err, result) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true, expense_id: result.expenseId, expected_cash: result.expected });
+    });
+  });
+});
+
+app.post('/api/shifts/:id/close', requirePermission('sales.create'),
+  audited('shift', { table: 'cash_shifts', action: 'close' }), (req, res) => {
+  const { counted_cash, notes } = req.body;
+  const counted = roundMoney(Number(counted_cash));
+
+  if (counted_cash === undefined || counted_cash === '' || !(counted >= 0)) {
+    return res.status(400).json({ error: 'Counted cash is required' });
+  }
+
+  loadShift(req, res, (shift) => {
+    if (shift.status !== 'open') {
+      return res.status(400).json({ error: 'Shift is already closed' });
+    }
+
+    // Expected cash is worked out in the transaction that closes the shift, so a payout taken
+    // meanwhile is either counted or refused
+    withTransaction((done) => {
+      expectedCash(shift.id, (err, expected) => {
+        if (err) return done(err);
+
+        runSequence([[`UPDATE cash_shifts SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closed_by = ?,
+                       expected_cash = ?, counted_cash = ?, variance = ?, notes = COALESCE(?, notes)
+                       WHERE id = ? AND status = 'open'`,
+          [req.user.id, expected, counted, roundMoney(counted - expected), notes || null, shift.id],
+          'Shift is already closed']], done);
+      });
+    }, (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+
+      loadShiftReport(shift.id, (err, report) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ success: true, report });
+      });
+    });
+  });
+});
+
+// Z-report (printable end-of-shift summary); for an open shift it shows the running figures
+app.get('/api/shifts/:id/report', requirePermission('sales.create'), (req, res) => {
+  loadShift(req, res, (shift) => {
+    loadShiftReport(shift.id, (err, report) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json(report);
+    });
+  });
+});
+
+// Trade-in Routes
+// Phones bought from walk-in customers. Each trade-in puts a used unit into stock at the buy price
+// and is settled in cash from the till, by bank transfer, or as credit spent on a sale through a
+// 'trade_in' payment line. The register keeps the seller's CNIC, the IMEIs and photos for police/PTA checks.
+const TRADE_IN_SETTLEMENTS = ['cash', 'bank_transfer', 'sale_credit'];
+const TRADE_IN_GRADES = ['A', 'B', 'C', 'D'];
+const TRADE_IN_CHECKS = ['powers_on', 'screen', 'touch', 'cameras', 'speakers_mic', 'buttons', 'charging',
+                         'network', 'wifi_bluetooth', 'biometrics', 'no_water_damage', 'accounts_removed'];
+
+// The grading checklist arrives as JSON (a string in multipart forms): each check passed or failed,
+// plus an optional battery health percentage
+function parseGrading(value) {
+  if (value === undefined || value === null || value === '') return {};
+  const grading = typeof value === 'string' ? JSON.parse(value) : value;
+  if (typeof grading !== 'object' || Array.isArray(grading)) throw new Error('Grading must be a checklist object');
+
+  const result = {};
+  Object.keys(grading).forEach(key => {
+    if (key === 'battery_health') {
+      const health = Number(grading[key]);
+      if (!(health >= 0 && health <= 100)) throw new Error('Battery health must be between 0 and 100');
+      result.battery_health = health;
+    } else if (TRADE_IN_CHECKS.includes(key)) {
+      result[key] = grading[key] === true || grading[key] === 'true' || grading[key] === 1 || grading[key] === '1';
+    } else {
+      throw new Error(`Unknown grading check: ${key}`);
+    }
+  });
+  return result;
+}
+
+function removeUploadedFiles(files) {
+  Object.values(files || {}).forEach(list => list.forEach(file => fs.unlink(file.path, () => {})));
+}
+
+// A phone we sold earlier can come back as a trade-in: its unit is put back in stock rather than
+// registered again, so the unit history runs from the first purchase through every sale
+function findTradeInUnit(codes, productId, callback) {
+  findUnitsByCodes(codes, (err, units) => {
+    if (err) return callback(err);
+    if (units.length === 0) return callback(null, null);
+    if (units.length > 1) return callback(new Error(`${codes.join(', ')} match more than one registered unit`));
+
+    const unit = units[0];
+    if (unit.status !== 'sold') {
+      return callback(new Error(`${unit.imei1 || unit.serial_number} is already in stock`));
+    }
+    if (productId && Number(productId) !== unit.product_id) {
+      return callback(new Error(`${unit.imei1 || unit.serial_number} is registered under another product`));
+    }
+    callback(null, unit);
+  });
+}
+
+// The product the unit goes under: an existing serialized product, or a new used-phone product
+function tradeInProduct(body, buyPrice, callback) {
+  const { product_id, category_id, name, selling_price, warranty_days } = body;
+
+  if (product_id) {
+    return db.get('SELECT * FROM products WHERE id = ?', [product_id], (err, product) => {
+      if (err) return callback(err);
+      if (!product) return callback(new Error('Product not found'));
+      if (!product.track_units) return callback(new Error('Product does not track individual units'));
+      callback(null, product);
+    });
+  }
+
+  if (!category_id || !name || !(Number(selling_price) > 0)) {
+    return callback(new Error('Choose a product, or give a category, name and selling price for a new one'));
+  }
+  db.run(`INSERT INTO products (category_id, name, condition, purchase_price, selling_price, quantity,
+          warranty_days, track_units) VALUES (?, ?, 'used', ?, ?, 0, ?, 1)`,
+    [category_id, name, buyPrice, Number(selling_price), Number(warranty_days) || 0], function(err) {
+      if (err) return callback(err);
+      db.get('SELECT * FROM products WHERE id = ?', [this.lastID], callback);
+    });
+}
+
+// Puts the traded-in unit into stock at the buy price and records the purchase in its history
+function stockTradeInUnit(product, existingUnit, details, callback) {
+  const { seller, buyPrice, ptaStatus, tradeInNumber, userId } = details;
+  const finish = (unitId) => runSequence([
+    ['UPDATE products SET quantity = quantity + 1 WHERE id = ?', [product.id]],
+    stockMovementStatement(product.id, 1, 'purchase', userId, { unitId, notes: `Trade-in ${tradeInNumber}` })
+  ], (err) => callback(err, unitId));
+
+  if (!existingUnit) {
+    const [unitStatement, eventStatement] = unitInsertStatements(product,
+      { ...details.unit, condition: 'used', pta_status: ptaStatus },
+      { ...seller, reference: `Trade-in ${tradeInNumber}` }, buyPrice, userId);
+    return db.run(unitStatement[0], unitStatement[1], function(err) {
+      if (err) return callback(err);
+      const unitId = this.lastID;
+      db.run(eventStatement[0], eventStatement[1], (err) => err ? callback(err) : finish(unitId));
+    });
+  }
+
+  runSequence([
+    [`UPDATE product_units SET status = 'in_stock', sale_item_id = NULL, condition = 'used',
+      pta_status = COALESCE(?, pta_status), purchase_price = ?, supplier_id = NULL,
+      supplier_name = ?, supplier_phone = ?, supplier_cnic = ?, branch_id = ${USER_BRANCH_SQL} WHERE id = ?`,
+     [ptaStatus || null, buyPrice, seller.name, seller.phone, seller.cnic, userId, existingUnit.id]],
+    [`INSERT INTO unit_events (unit_id, event_type, party_name, party_phone, party_cnic, amount, notes, created_by)
+      VALUES (?, 'purchased', ?, ?, ?, ?, ?, ?)`,
+     [existingUnit.id, seller.name, seller.phone, seller.cnic, buyPrice, `Trade-in ${tradeInNumber}`, userId]]
+  ], (err) => err ? callback(err) : finish(existingUnit.id));
+}
+
+// Fills in trade_in payment lines on a sale from the trade-ins they name (by id or by the number on
+// the trade-in slip). The credit is spent whole, so the amount is always the trade-in's buy price.
+const resolveTradeInCredits = (req, res, next) => {
+  const { payments } = req.body;
+  const tradeInLines = Array.isArray(payments) ? payments.filter(payment => payment && payment.method === 'trade_in') : [];
+  if (tradeInLines.length === 0) return next();
+
+  const keys = tradeInLines.map(payment => String(payment.trade_in_id || payment.trade_in_number || '').trim());
+  if (keys.some(key => !key)) {
+    return res.status(400).json({ error: 'Trade-in payments must name the trade-in being used' });
+  }
+
+  const placeholders = keys.map(() => '?').join(',');
+  db.all(`SELECT * FROM trade_ins WHERE id IN (${placeholders}) OR trade_in_number IN (${placeholders})`,
+    [...keys, ...keys], (err, tradeIns) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const used = new Set();
+      for (const [index, payment] of tradeInLines.entries()) {
+        const tradeIn = tradeIns.find(t => String(t.id) === keys[index] || t.trade_in_number === keys[index]);
+        if (!tradeIn) return res.status(400).json({ error: `Trade-in ${keys[index]} not found` });
+        if (used.has(tradeIn.id)) {
+          return res.status(400).json({ error: `Trade-in ${tradeIn.trade_in_number} is used more than once` });
+        }
+        if (tradeIn.status !== 'credit_open') {
+          return res.status(400).json({ error: `Trade-in ${tradeIn.trade_in_number} has already been settled` });
+        }
+        if (payment.amount !== undefined && payment.amount !== '' && payment.amount !== null &&
+            roundMoney(Number(payment.amount)) !== tradeIn.buy_price) {
+          return res.status(400).json({ error: `Trade-in ${tradeIn.trade_in_number} is worth Rs. ${tradeIn.buy_price}` });
+        }
+        used.add(tradeIn.id);
+        payment.trade_in_id = tradeIn.id;
+        payment.amount = tradeIn.buy_price;
+        payment.reference = tradeIn.trade_in_number;
+      }
+      next();
+    });
+};
+
+// Marks the trade-ins a sale was paid with as used; the status check stops two sales spending one credit
+function applyTradeInCredits(saleId, paymentLines, callback) {
+  runEach(paymentLines.filter(line => line.tradeInId), (line, index, next) => {
+    db.run(`UPDATE trade_ins SET status = 'credit_applied', sale_id = ? WHERE id = ? AND status = 'credit_open'`,
+      [saleId, line.tradeInId], function(err) {
+        if (err) return next(err);
+        if (this.changes === 0) return next(new Error(`Trade-in ${line.reference} has already been settled`));
+        next();
+      });
+  }, callback);
+}
+
+const TRADE_IN_REGISTER_QUERY = `
+  SELECT t.*, p.name as product_name, u.status as unit_status, s.invoice_number as credit_invoice_number,
+         us.username as created_by_name,
+         (SELECT COUNT(*) FROM trade_in_photos ph WHERE ph.trade_in_id = t.id) as photo_count
+  FROM trade_ins t
+  JOIN products p ON t.product_id = p.id
+  LEFT JOIN product_units u ON t.unit_id = u.id
+  LEFT JOIN sales s ON t.sale_id = s.id
+  LEFT JOIN users us ON t.created_by = us.id
+`;
+
+// Register filters: IMEI/serial and CNIC match exactly (CNIC by digits), search matches any of
+// the seller's details, the IMEIs or the trade-in number
+function tradeInFilters({ imei, cnic, search, status, settlement, start_date, end_date }) {
+  let where = '';
+  const params = [];
+
+  if (imei) {
+    where += ' AND (t.imei1 = ? OR t.imei2 = ? OR t.serial_number = ?)';
+    params.push(imei.trim(), imei.trim(), imei.trim());
+  }
+  if (cnic) {
+    where += ' AND t.seller_cnic = ?';
+    params.push(normalizeDigits(cnic));
+  }
+  if (search) {
+    const term = `%${search.trim()}%`;
+    where += ` AND (t.trade_in_number LIKE ? OR t.seller_name LIKE ? OR t.seller_phone LIKE ? OR t.seller_cnic LIKE ?
+               OR t.imei1 LIKE ? OR t.imei2 LIKE ? OR t.serial_number LIKE ?)`;
+    params.push(term, term, term, `%${normalizeDigits(search) || search.trim()}%`, term, term, term);
+  }
+  if (status) {
+    where += ' AND t.status = ?';
+    params.push(status);
+  }
+  if (settlement) {
+    where += ' AND t.settlement = ?';
+    params.push(settlement);
+  }
+  if (start_date) {
+    where += ' AND t.created_at >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    where += " AND t.created_at < DATE(?, '+1 day')";
+    params.push(end_date);
+  }
+  return { where, params };
+}
+
+app.get('/api/trade-ins', requirePermission('tradeins.manage'), (req, res) => {
+  const { where, params } = tradeInFilters(req.query);
+
+  db.all(`${TRADE_IN_REGISTER_QUERY} WHERE 1=1${where} ORDER BY t.created_at DESC, t.id DESC`, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows.map(row => ({ ...row, grading: JSON.parse(row.grading || '{}') })));
+  });
+});
+
+app.get('/api/trade-ins/:id', requirePermission('tradeins.manage'), (req, res) => {
+  db.get(`${TRADE_IN_REGISTER_QUERY} WHERE t.id = ?`, [req.params.id], (err, tradeIn) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!tradeIn) return res.status(404).json({ error: 'Trade-in not found' });
+
+    db.all(`SELECT id, kind, original_name, mime_type, size, created_at FROM trade_in_photos
+            WHERE trade_in_id = ? ORDER BY kind, id`, [tradeIn.id], (err, photos) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({
+        ...tradeIn,
+        grading: JSON.parse(tradeIn.grading || '{}'),
+        photos: photos.map(photo => ({ ...photo, url: `/api/trade-ins/${tradeIn.id}/photos/${photo.id}` }))
+      });
+    });
+  });
+});
+
+app.get('/api/trade-ins/:id/photos/:photoId', requirePermission('tradeins.manage'), (req, res) => {
+  db.get('SELECT * FROM trade_in_photos WHERE id = ? AND trade_in_id = ?', [req.params.photoId, req.params.id], (err, photo) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+
+    res.setHeader('Content-Type', photo.mime_type || 'application/octet-stream');
+    res.sendFile(path.join(TRADE_IN_PHOTO_DIR, photo.file_name), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Photo file is missing' });
+    });
+  });
+});
+
+// Multipart form: the fields below plus cnic_photo (required) and device_photos files
+app.post('/api/trade-ins', requirePermission('tradeins.manage'),
+  tradeInUpload.fields([{ name: 'cnic_photo', maxCount: 2 }, { name: 'device_photos', maxCount: 6 }]),
+  audited('trade_in', { table: 'trade_ins', action: 'create', id: (req, body) => body && body.id }), loadOpenShift, (req, res) => {
+  const { seller_name, seller_phone, seller_cnic, seller_address, imei1, imei2, serial_number, pta_status,
+          grade, settlement, reference, notes } = req.body;
+  const files = req.files || {};
+  const buyPrice = roundMoney(Number(req.body.buy_price));
+  const cnic = normalizeDigits(seller_cnic);
+  const codes = parseSerialCodes([imei1, imei2, serial_number]);
+
+  const fail = (status, error) => {
+    removeUploadedFiles(files);
+    res.status(status).json({ error });
+  };
+
+  if (!seller_name || !seller_name.trim()) return fail(400, "Seller's name is required");
+  if (!cnic || cnic.length !== 13) return fail(400, "Seller's 13-digit CNIC is required");
+  if (codes.length === 0) return fail(400, 'IMEI or serial number is required');
+  if (new Set(codes).size !== codes.length) return fail(400, 'The same IMEI/serial is entered more than once');
+  if (!(buyPrice > 0)) return fail(400, 'Buy price must be greater than zero');
+  if (!TRADE_IN_SETTLEMENTS.includes(settlement)) return fail(400, 'Invalid settlement');
+  if (grade && !TRADE_IN_GRADES.includes(grade)) return fail(400, 'Invalid grade');
+  if (pta_status && !PTA_STATUSES.includes(pta_status)) return fail(400, 'Invalid PTA status');
+  if (!files.cnic_photo) return fail(400, "A photo of the seller's CNIC is required");
+
+  let grading;
+  try {
+    grading = parseGrading(req.body.grading);
+  } catch (err) {
+    return fail(400, err.message);
+  }
+
+  if (settlement === 'cash' && !req.shift) {
+    return fail(400, 'Open a shift before paying for a trade-in from the till');
+  }
+
+  const checkTill = (callback) => {
+    if (settlement !== 'cash') return callback();
+    expectedCash(req.shift.id, (err, expected) => {
+      if (err) return fail(500, err.message);
+      if (buyPrice > expected) return fail(400, `Only Rs. ${expected} cash is in the till`);
+      callback();
+    });
+  };
+
+  checkTill(() => {
+    findTradeInUnit(codes, req.body.product_id, (err, existingUnit) => {
+      if (err) return fail(400, err.message);
+
+      const seller = { name: seller_name.trim(), phone: seller_phone || null, cnic };
+      findOrCreateCustomer(seller, (err, customerId) => {
+        if (err) return fail(500, err.message);
+
+        withTransaction((done) => {
+          const productFor = (callback) => existingUnit
+            ? db.get('SELECT * FROM products WHERE id = ?', [existingUnit.product_id], callback)
+            : tradeInProduct(req.body, buyPrice, callback);
+
+          productFor((err, product) => {
+            if (err) return done(err);
+
+            nextSequenceNumber('TI', (err, tradeInNumber) => {
+              if (err) return done(err);
+
+              stockTradeInUnit(product, existingUnit, {
+                seller, buyPrice, ptaStatus: pta_status, tradeInNumber, userId: req.session.userId,
+                unit: { imei1: imei1 || null, imei2: imei2 || null, serial_number: serial_number || null }
+              }, (err, unitId) => {
+                if (err) return done(err);
+
+                db.run(`INSERT INTO trade_ins (trade_in_number, seller_name, seller_phone, seller_cnic, seller_address,
+                        customer_id, product_id, unit_id, imei1, imei2, serial_number, grade, grading, buy_price,
+                        settlement, reference, status, shift_id, notes, created_by)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                  [tradeInNumber, seller.name, seller.phone, cnic, seller_address || null, customerId, product.id, unitId,
+                   existingUnit ? existingUnit.imei1 : imei1 || null, existingUnit ? existingUnit.imei2 : imei2 || null,
+                   existingUnit ? existingUnit.serial_number : serial_number || null, grade || null,
+                   JSON.stringify(grading), buyPrice, settlement, reference || null,
+                   settlement === 'sale_credit' ? 'credit_open' : 'paid',
+                   settlement === 'cash' ? req.shift.id : null, notes || null, req.session.userId],
+                  function(err) {
+                    if (err) return done(err);
+
+                    const tradeInId = this.lastID;
+                    const photos = [
+                      ...(files.cnic_photo || []).map(file => ({ kind: 'cnic', file })),
+                      ...(files.device_photos || []).map(file => ({ kind: 'device', file }))
+                    ];
+                    const statements = photos.map(({ kind, file }) => [
+                      `INSERT INTO trade_in_photos (trade_in_id, kind, file_name, original_name, mime_type, size)
+                       VALUES (?, ?, ?, ?, ?, ?)`,
+                      [tradeInId, kind, file.filename, file.originalname, file.mimetype, file.size]
+                    ]);
+                    if (settlement === 'cash') {
+                      statements.push(cashMovementStatement(req.shift.id, 'trade_in', -buyPrice, req.session.userId,
+                        { tradeInId, notes: `Trade-in ${tradeInNumber}` }));
+                    }
+                    runSequence(statements, (err) => done(err, { id: tradeInId, tradeInNumber, unitId, productId: product.id }));
+                  });
+              });
+            });
+          });
+        }, (err, result) => {
+          if (err) return fail(400, err.message);
+          res.json({
+            success: true,
+            id: result.id,
+            trade_in_number: result.tradeInNumber,
+            product_id: result.productId,
+            unit_id: result.unitId,
+            credit: settlement === 'sale_credit' ? buyPrice : 0
+          });
+        });
+      });
+    });
+  });
+});
+
+// Repair Job Routes
+// Phones taken in for repair. A job moves received → diagnosing → waiting_parts → ready and is
+// invoiced when it is delivered; parts leave stock as soon as they are fitted and go back if they
+// are removed or the job is cancelled. Repair revenue counts on the day the job is delivered.
+const REPAIR_STATUSES = ['received', 'diagnosing', 'waiting_parts', 'ready', 'delivered', 'cancelled'];
+const REPAIR_PAYMENT_METHODS = ['cash', 'card', 'bank_transfer'];
+
+// Status changes made through /status; delivery and cancellation have their own routes
+const REPAIR_TRANSITIONS = {
+  received: ['diagnosing'],
+  diagnosing: ['waiting_parts', 'ready'],
+  waiting_parts: ['diagnosing', 'ready'],
+  ready: ['diagnosing', 'waiting_parts']
+};
+
+function repairEventStatement(jobId, fromStatus, toStatus, notes, userId) {
+  return [`INSERT INTO repair_job_events (job_id, from_status, to_status, notes, created_by) VALUES (?, ?, ?, ?, ?)`,
+    [jobId, fromStatus, toStatus, notes || null, userId]];
+}
+
+function repairPaymentStatement(jobId, kind, line, shiftId, userId) {
+  return [`INSERT INTO repair_payments (job_id, kind, method, amount, tendered, change_given, reference, shift_id, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [jobId, kind, line.method, line.amount, line.tendered || null, line.change || 0, line.reference || null,
+     shiftId, userId]];
+}
+
+// Payment rows plus the till movement for the cash among them
+function repairPaymentStatements(job, kind, lines, shift, userId) {
+  const statements = lines.map(line => repairPaymentStatement(job.id, kind, line, line.method === 'cash' ? shift.id : null, userId));
+  const cash = roundMoney(lines.filter(line => line.method === 'cash').reduce((sum, line) => sum + line.amount, 0));
+  if (cash !== 0) {
+    statements.push(cashMovementStatement(shift.id, 'repair', cash, userId,
+      { repairJobId: job.id, notes: `Repair ${job.job_number} ${kind}` }));
+  }
+  return statements;
+}
+
+// Recomputes the parts figures on the job from its part lines
+function repairTotalsStatement(jobId) {
+  return [`UPDATE repair_jobs SET
+             parts_total = COALESCE((SELECT ROUND(SUM(line_total), 2) FROM repair_job_parts WHERE job_id = ?), 0),
+             parts_cost = COALESCE((SELECT ROUND(SUM(purchase_price * quantity), 2) FROM repair_job_parts WHERE job_id = ?), 0)
+           WHERE id = ?`, [jobId, jobId, jobId]];
+}
+
+function loadRepairJob(req, res, callback) {
+  db.get('SELECT * FROM repair_jobs WHERE id = ?', [req.params.id], (err, job) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!job) return res.status(404).json({ error: 'Repair job not found' });
+    callback(job);
+  });
+}
+
+// A job can be changed until it is delivered or cancelled
+function requireOpenRepair(res, job) {
+  if (job.status === 'delivered' || job.status === 'cancelled') {
+    res.status(400).json({ error: `Job ${job.job_number} is ${job.status}` });
+    return false;
+  }
+  return true;
+}
+
+const REPAIR_JOBS_QUERY = `
+  SELECT j.*, t.username as technician_name,
+         COALESCE((SELECT ROUND(SUM(amount), 2) FROM repair_payments WHERE job_id = j.id), 0) as amount_paid
+  FROM repair_jobs j
+  LEFT JOIN users t ON j.technician_id = t.id
+`;
+
+// The job with its parts, history and payments; balance is what the customer still owes
+// (negative when the advance is more than the bill)
+function loadRepairDetails(jobId, callback) {
+  db.get(`${REPAIR_JOBS_QUERY} WHERE j.id = ?`, [jobId], (err, job) => {
+    if (err || !job) return callback(err, null);
+
+    db.all('SELECT * FROM repair_job_parts WHERE job_id = ? ORDER BY id', [jobId], (err, parts) => {
+      if (err) return callback(err);
+
+      db.all(`SELECT e.*, u.username as created_by_name FROM repair_job_events e
+              LEFT JOIN users u ON e.created_by = u.id WHERE e.job_id = ? ORDER BY e.id`, [jobId], (err, events) => {
+        if (err) return callback(err);
+
+        db.all(`SELECT p.*, u.username as created_by_name FROM repair_payments p
+                LEFT JOIN users u ON p.created_by = u.id WHERE p.job_id = ? ORDER BY p.id`, [jobId], (err, payments) => {
+          if (err) return callback(err);
+
+          const total = job.total !== null ? job.total : roundMoney(job.labour_charge + job.parts_total);
+          callback(null, { ...job, total, balance: roundMoney(total - job.amount_paid), parts, events, payments });
+        });
+      });
+    });
+  });
+}
+
+app.get('/api/repairs', requirePermission('repairs.manage'), (req, res) => {
+  const { search, status, start_date, end_date } = req.query;
+
+  let query = `${REPAIR_JOBS_QUERY} WHERE 1=1`;
+  const params = [];
+  const branchId = branchScope(req);
+
+  if (branchId) {
+    query += ' AND j.branch_id = ?';
+    params.push(branchId);
+  }
+  if (search) {
+    const term = `%${search.trim()}%`;
+    query += ` AND (j.job_number LIKE ? OR j.invoice_number LIKE ? OR j.customer_phone LIKE ? OR j.customer_name LIKE ?
+               OR j.imei LIKE ?)`;
+    params.push(term, term, `%${normalizeDigits(search) || search.trim()}%`, term, term);
+  }
+  if (status) {
+    query += ' AND j.status = ?';
+    params.push(status);
+  }
+  if (start_date) {
+    query += ' AND j.received_at >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    query += " AND j.received_at < DATE(?, '+1 day')";
+    params.push(end_date);
+  }
+  query += ' ORDER BY j.received_at DESC, j.id DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(hideProfit(req, rows));
+  });
+});
+
+app.get('/api/repairs/:id', requirePermission('repairs.manage'), (req, res) => {
+  loadRepairDetails(req.params.id, (err, job) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!job) return res.status(404).json({ error: 'Repair job not found' });
+    res.json(hideProfit(req, job));
+  });
+});
+
+// Job intake. An advance taken in cash goes into the user's open shift.
+app.post('/api/repairs', requirePermission('repairs.manage'),
+  audited('repair_job', { table: 'repair_jobs', action: 'intake', id: (req, body) => body && body.id }), loadOpenShift, (req, res) => {
+  const { customer_name, customer_phone, device, imei, accessories, reported_fault, technician_id, promised_date,
+          notes, advance_method, advance_reference } = req.body;
+  const estimatedCost = roundMoney(Number(req.body.estimated_cost) || 0);
+  const advance = roundMoney(Number(req.body.advance_paid) || 0);
+  const advanceMethod = advance_method || 'cash';
+
+  if (!customer_name || !normalizeDigits(customer_phone)) {
+    return res.status(400).json({ error: "Customer's name and phone are required" });
+  }
+  if (!device || !reported_fault) {
+    return res.status(400).json({ error: 'Device and reported fault are required' });
+  }
+  if (estimatedCost < 0 || advance < 0) {
+    return res.status(400).json({ error: 'Amounts cannot be negative' });
+  }
+  if (!REPAIR_PAYMENT_METHODS.includes(advanceMethod)) {
+    return res.status(400).json({ error: 'Invalid payment method' });
+  }
+  if (advance > 0 && advanceMethod === 'cash' && !req.shift) {
+    return res.status(400).json({ error: 'Open a shift before taking a cash advance', shift_required: true });
+  }
+
+  findOrCreateCustomer({ name: customer_name, phone: customer_phone }, (err, customerId) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    withTransaction((done) => {
+      nextSequenceNumber('RJ', (err, jobNumber) => {
+        if (err) return done(err);
+
+        db.run(`INSERT INTO repair_jobs (job_number, customer_id, customer_name, customer_phone, device, imei, accessories,
+                reported_fault, estimated_cost, advance_paid, technician_id, promised_date, notes, branch_id, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [jobNumber, customerId, customer_name, customer_phone, device, imei || null, accessories || null, reported_fault,
+           estimatedCost, advance, technician_id || null, promised_date || null, notes || null, req.user.branch_id,
+           req.session.userId],
+          function(err) {
+            if (err) return done(err);
+
+            const job = { id: this.lastID, job_number: jobNumber };
+            let statements = [repairEventStatement(job.id, null, 'received', null, req.session.userId)];
+            if (advance > 0) {
+              statements = statements.concat(repairPaymentStatements(job, 'advance',
+                [{ method: advanceMethod, amount: advance, tendered: advanceMethod === 'cash' ? advance : null,
+                   reference: advance_reference }], req.shift, req.session.userId));
+            }
+            runSequence(statements, (err) => done(err, job));
+          });
+      });
+    }, (err, job) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true, id: job.id, job_number: job.job_number });
+    });
+  });
+});
+
+app.put('/api/repairs/:id', requirePermission('repairs.manage'),
+  audited('repair_job', { table: 'repair_jobs' }), (req, res) => {
+  loadRepairJob(req, res, (job) => {
+    if (!requireOpenRepair(res, job)) return;
+
+    const value = (field) => req.body[field] !== undefined ? req.body[field] : job[field];
+    const estimatedCost = roundMoney(Number(value('estimated_cost')) || 0);
+    const labourCharge = roundMoney(Number(value('labour_charge')) || 0);
+    if (estimatedCost < 0 || labourCharge < 0) {
+      return res.status(400).json({ error: 'Amounts cannot be negative' });
+    }
+    if (!value('device') || !value('reported_fault')) {
+      return res.status(400).json({ error: 'Device and reported fault are required' });
+    }
+
+    db.run(`UPDATE repair_jobs SET device = ?, imei = ?, accessories = ?, reported_fault = ?, diagnosis = ?,
+            estimated_cost = ?, labour_charge = ?, technician_id = ?, promised_date = ?, notes = ? WHERE id = ?`,
+      [value('device'), value('imei') || null, value('accessories') || null, value('reported_fault'),
+       value('diagnosis') || null, estimatedCost, labourCharge, value('technician_id') || null,
+       value('promised_date') || null, value('notes') || null, job.id], (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true });
+      });
+  });
+});
+
+app.post('/api/repairs/:id/status', requirePermission('repairs.manage'),
+  audited('repair_job', { table: 'repair_jobs', action: 'status' }), (req, res) => {
+  const { status, notes } = req.body;
+
+  loadRepairJob(req, res, (job) => {
+    if (!requireOpenRepair(res, job)) return;
+    if (!(REPAIR_TRANSITIONS[job.status] || []).includes(status)) {
+      return res.status(400).json({ error: `A job that is ${job.status} cannot move to ${status}` });
+    }
+
+    withTransaction((done) => runSequence([
+      [`UPDATE repair_jobs SET status = ? WHERE id = ? AND status = ?`, [status, job.id, job.status]],
+      repairEventStatement(job.id, job.status, status, notes, req.session.userId)
+    ], done), (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+      res.json({ success: true, status });
+    });
+  });
+});
+
+// Fits a part: it leaves stock straight away and is charged at the selling price unless overridden
+app.post('/api/repairs/:id/parts', requirePermission('repairs.manage'),
+  audited('repair_job', { table: 'repair_jobs', action: 'add_part' }), (req, res) => {
+  const quantity = Number(req.body.quantity) || 1;
+
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({ error: 'Quantity must be a positive whole number' });
+  }
+
+  loadRepairJob(req, res, (job) => {
+    if (!requireOpenRepair(res, job)) return;
+
+    db.get('SELECT * FROM products WHERE id = ?', [req.body.product_id], (err, product) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (!product) return res.status(404).json({ error: 'Product not found' });
+      if (product.track_units) {
+        return res.status(400).json({ error: 'Serialized products cannot be used as repair parts' });
+      }
+
+      let unitPrice = product.selling_price;
+      if (req.body.unit_price !== undefined && req.body.unit_price !== '') {
+        unitPrice = roundMoney(Number(req.body.unit_price));
+        if (!(unitPrice >= 0)) return res.status(400).json({ error: 'Invalid unit price' });
+        if (unitPrice < product.selling_price && !hasPermission(req.user.role, 'sales.override_price')) {
+          return res.status(400).json({ error: `Price below Rs. ${product.selling_price} needs superuser approval` });
+        }
+      }
+
+      // Parts come out of the stock at the user's branch
+      withTransaction((done) => {
+        const [sql, params] = deductStockStatement(product.id, quantity, req.user.branch_id);
+        db.run(sql, params, function(err) {
+          if (err) return done(err);
+          if (this.changes === 0) return done(new Error(`Not enough ${product.name} in stock at ${req.user.branch_name}`));
+
+          db.run(`INSERT INTO repair_job_parts (job_id, product_id, product_name, quantity, unit_price, purchase_price,
+                  line_total, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [job.id, product.id, product.name, quantity, unitPrice, product.purchase_price,
+             roundMoney(unitPrice * quantity), req.session.userId], function(err) {
+              if (err) return done(err);
+              const partId = this.lastID;
+              runSequence([
+                stockMovementStatement(product.id, -quantity, 'repair', req.session.userId,
+                  { referenceId: job.id, notes: `Repair ${job.job_number}` }),
+                repairTotalsStatement(job.id)
+              ], (err) => done(err, partId));
+            });
+        });
+      }, (err, partId) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true, part_id: partId });
+      });
+    });
+  });
+});
+
+// Statements that put a fitted part back into stock
+function returnRepairPartStatements(job, part, userId) {
+  return [
+    ['UPDATE products SET quantity = quantity + ? WHERE id = ?', [part.quantity, part.product_id]],
+    stockMovementStatement(part.product_id, part.quantity, 'repair', userId,
+      { referenceId: job.id, notes: `Repair ${job.job_number}: part removed` }),
+    ['DELETE FROM repair_job_parts WHERE id = ?', [part.id]]
+  ];
+}
+
+app.delete('/api/repairs/:id/parts/:partId', requirePermission('repairs.manage'),
+  audited('repair_job', { table: 'repair_jobs', action: 'remove_part' }), (req, res) => {
+  loadRepairJob(req, res, (job) => {
+    if (!requireOpenRepair(res, job)) return;
+
+    db.get('SELECT * FROM repair_job_parts WHERE id = ? AND job_id = ?', [req.params.partId, job.id], (err, part) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (!part) return res.status(404).json({ error: 'Part not found on this job' });
+
+      withTransaction((done) => runSequence([
+        ...returnRepairPartStatements(job, part, req.session.userId),
+        repairTotalsStatement(job.id)
+      ], done), (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true });
+      });
+    });
+  });
+});
+
+// Hands the phone back: fixes the invoice total (labour + parts), takes the balance with the same
+// payment lines as a sale (payment_type or payments, with change on cash) and refunds any advance
+// that came to more than the bill in cash
+app.post('/api/repairs/:id/deliver', requirePermission('repairs.manage'),
+  audited('repair_job', { table: 'repair_jobs', action: 'deliver' }), loadOpenShift, (req, res) => {
+  loadRepairJob(req, res, (job) => {
+    if (job.status !== 'ready') {
+      return res.status(400).json({ error: 'Only jobs that are ready can be delivered' });
+    }
+
+    db.get('SELECT COALESCE(SUM(amount), 0) as paid FROM repair_payments WHERE job_id = ?', [job.id], (err, row) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const total = roundMoney(job.labour_charge + job.parts_total);
+      const balance = roundMoney(total - row.paid);
+      let lines = [];
+      let change = 0;
+
+      if (balance > 0) {
+        if (req.body.payment_type === 'credit') {
+          return res.status(400).json({ error: 'Repairs cannot be put on credit' });
+        }
+        const resolved = resolveSalePayments({ payment_type: req.body.payment_type || 'cash', payments: req.body.payments }, balance);
+        if (resolved.error) return res.status(400).json({ error: resolved.error });
+        if (resolved.lines.some(line => !REPAIR_PAYMENT_METHODS.includes(line.method))) {
+          return res.status(400).json({ error: 'Repairs can be paid in cash, by card or by bank transfer' });
+        }
+        lines = resolved.lines;
+        change = resolved.change;
+      } else if (balance < 0) {
+        lines = [{ method: 'cash', amount: balance }];
+      }
+
+      if (lines.some(line => line.method === 'cash') && !req.shift) {
+        return res.status(400).json({ error: 'Open a shift before taking or refunding cash', shift_required: true });
+      }
+
+      withTransaction((done) => {
+        nextSequenceNumber('REP', (err, invoiceNumber) => {
+          if (err) return done(err);
+
+          runSequence([
+            [`UPDATE repair_jobs SET status = 'delivered', total = ?, profit = ?, invoice_number = ?,
+              delivered_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'ready'`,
+             [total, roundMoney(total - job.parts_cost), invoiceNumber, job.id]],
+            repairEventStatement(job.id, job.status, 'delivered', req.body.notes, req.session.userId),
+            ...repairPaymentStatements(job, balance < 0 ? 'refund' : 'final', lines, req.shift, req.session.userId)
+          ], (err) => done(err, invoiceNumber));
+        });
+      }, (err, invoiceNumber) => {
+        if (err) return res.status(400).json({ error: err.message });
+
+        loadRepairDetails(job.id, (err, details) => {
+          if (err) return res.status(500).json({ error: err.message });
+          res.json({ success: true, invoice_number: invoiceNumber, change, refunded: balance < 0 ? -balance : 0,
+                     job: hideProfit(req, details) });
+        });
+      });
+    });
+  });
+});
+
+// Cancels a job: fitted parts go back into stock and advances are handed back the way they were paid
+app.post('/api/repairs/:id/cancel', requirePermission('repairs.manage'),
+  audited('repair_job', { table: 'repair_jobs', action: 'cancel' }), loadOpenShift, (req, res) => {
+  loadRepairJob(req, res, (job) => {
+    if (!requireOpenRepair(res, job)) return;
+
+    db.all('SELECT * FROM repair_job_parts WHERE job_id = ?', [job.id], (err, parts) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      db.all(`SELECT method, ROUND(SUM(amount), 2) as amount FROM repair_payments WHERE job_id = ?
+              GROUP BY method HAVING SUM(amount) > 0`, [job.id], (err, paid) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        const refunds = paid.map(row => ({ method: row.method, amount: -row.amount }));
+        if (refunds.some(refund => refund.method === 'cash') && !req.shift) {
+          return res.status(400).json({ error: 'Open a shift before refunding cash', shift_required: true });
+        }
+
+        let statements = [];
+        parts.forEach(part => {
+          statements = statements.concat(returnRepairPartStatements(job, part, req.session.userId));
+        });
+        statements.push(repairTotalsStatement(job.id));
+        statements.push([`UPDATE repair_jobs SET status = 'cancelled' WHERE id = ?`, [job.id]]);
+        statements.push(repairEventStatement(job.id, job.status, 'cancelled', req.body.notes, req.session.userId));
+        statements = statements.concat(repairPaymentStatements(job, 'refund', refunds, req.shift, req.session.userId));
+
+        withTransaction((done) => runSequence(statements, done), (err) => {
+          if (err) return res.status(400).json({ error: err.message });
+          res.json({ success: true, refunds: refunds.map(refund => ({ method: refund.method, amount: -refund.amount })) });
+        });
+      });
+    });
+  });
+});
+
+// Promotion Routes
+// Rules the till applies by itself while they run (starts_on to ends_on, both included):
+//   discount    - discount_value percent, or rupees per unit, off a product or a category; with
+//                 neither, off the whole bill (a flat amount then comes off the bill once)
+//   bundle      - off each complete set of its items (promotion_items) in the bill, e.g. a phone
+//                 with a charger; a flat amount comes off each set
+//   buy_x_get_y - of every buy_quantity + get_quantity units of a product or category, the
+//                 get_quantity cheapest get discount_value percent off (100 = free)
+// A promotion with a coupon code only applies when the code is given and stops once usage_limit
+// sales have used it. Each unit counts towards one bundle or buy X get Y deal at most, and a line
+// gets the best of the product/category discounts on what is left; a whole-bill discount comes
+// last. Lines sold at an overridden price are left out.
+const PROMOTION_TYPES = ['discount', 'bundle', 'buy_x_get_y'];
+
+// Default caps on the manual discount, as a percentage of the bill after promotions; null is no cap
+const DEFAULT_DISCOUNT_CAPS = { superuser: null, manager: null, admin: 10, stock_keeper: 0, cashier: 5 };
+
+function promotionTargets(target, line) {
+  if (target.product_id) return line.product.id === target.product_id;
+  if (target.category_id) return line.product.category_id === target.category_id;
+  return true;
+}
+
+// Running promotions, with the coupon's one if a code is given, and each bundle's items
+function loadActivePromotions(couponCode, callback) {
+  db.all(`SELECT * FROM promotions
+          WHERE active = 1
+            AND (starts_on IS NULL OR starts_on <= DATE('now', 'localtime'))
+            AND (ends_on IS NULL OR ends_on >= DATE('now', 'localtime'))
+            AND (coupon_code IS NULL OR coupon_code = ?)
+          ORDER BY id`, [couponCode || null], (err, promotions) => {
+    if (err) return callback(err);
+
+    db.all('SELECT * FROM promotion_items ORDER BY id', [], (err, items) => {
+      if (err) return callback(err);
+      promotions.forEach(promotion => {
+        promotion.items = items.filter(item => item.promotion_id === promotion.id);
+      });
+      callback(null, promotions);
+    });
+  });
+}
+
+// Works out what the promotions take off priced sale lines. Sets promotionAmount on each line and
+// returns the promotions that applied, each with what it took off every line: { promotion, amount,
+// lines: [{ index, amount }] }.
+function applyPromotions(lines, promotions) {
+  const unitsLeft = lines.map(line => line.overrideBy ? 0 : line.quantity);
+  const applied = [];
+  const record = (promotion, allocations) => {
+    const byLine = new Map();
+    allocations.forEach(({ index, amount }) => byLine.set(index, roundMoney((byLine.get(index) || 0) + amount)));
+    const amounts = [...byLine].map(([index, amount]) => ({ index, amount })).filter(line => line.amount > 0);
+    if (amounts.length === 0) return;
+    const existing = applied.find(entry => entry.promotion === promotion);
+    if (existing) {
+      amounts.forEach(line => existing.lines.push(line));
+      existing.amount = roundMoney(existing.amount + amounts.reduce((sum, line) => sum + line.amount, 0));
+    } else {
+      applied.push({ promotion, amount: roundMoney(amounts.reduce((sum, line) => sum + line.amount, 0)), lines: amounts });
+    }
+  };
+  // Takes a discount off a group of units in proportion to their prices
+  const spreadOver = (units, discount) => spreadDiscount(units.map(unit => lines[unit.index].unitPrice), discount)
+    .map((amount, i) => ({ index: units[i].index, amount }));
+
+  // Bundles: take whole sets while every item of the set is still there
+  promotions.filter(promotion => promotion.promotion_type === 'bundle' && promotion.items.length > 0).forEach(promotion => {
+    for (;;) {
+      const taken = [];
+      const left = unitsLeft.slice();
+      const complete = promotion.items.every(item => {
+        let needed = item.quantity;
+        lines.forEach((line, index) => {
+          const take = Math.min(needed, left[index]);
+          if (take > 0 && promotionTargets(item, line)) {
+            for (let i = 0; i < take; i++) taken.push({ index });
+            left[index] -= take;
+            needed -= take;
+          }
+        });
+        return needed === 0;
+      });
+      if (!complete) break;
+
+      left.forEach((units, index) => { unitsLeft[index] = units; });
+      const value = taken.reduce((sum, unit) => sum + lines[unit.index].unitPrice, 0);
+      const discount = promotion.discount_type === 'percentage' ? value * promotion.discount_value / 100
+        : Math.min(promotion.discount_value, value);
+      record(promotion, spreadOver(taken, roundMoney(discount)));
+    }
+  });
+
+  // Buy X get Y: dearest units first, so the cheapest of each group are the ones discounted
+  promotions.filter(promotion => promotion.promotion_type === 'buy_x_get_y').forEach(promotion => {
+    const groupSize = promotion.buy_quantity + promotion.get_quantity;
+    const units = [];
+    lines.forEach((line, index) => {
+      if (!promotionTargets(promotion, line)) return;
+      for (let i = 0; i < unitsLeft[index]; i++) units.push({ index });
+    });
+    units.sort((a, b) => lines[b.index].unitPrice - lines[a.index].unitPrice);
+
+    const groups = Math.floor(units.length / groupSize);
+    const allocations = [];
+    for (let group = 0; group < groups; group++) {
+      const members = units.slice(group * groupSize, (group + 1) * groupSize);
+      members.forEach(unit => { unitsLeft[unit.index]--; });
+      members.slice(promotion.buy_quantity).forEach(unit => {
+        allocations.push({ index: unit.index, amount: roundMoney(lines[unit.index].unitPrice * promotion.discount_value / 100) });
+      });
+    }
+    record(promotion, allocations);
+  });
+
+  // Product and category discounts: the best one for each line, on the units still undiscounted
+  const targeted = promotions.filter(promotion => promotion.promotion_type === 'discount' &&
+    (promotion.product_id || promotion.category_id));
+  lines.forEach((line, index) => {
+    if (unitsLeft[index] === 0) return;
+    let best = null;
+    targeted.filter(promotion => promotionTargets(promotion, line)).forEach(promotion => {
+      const amount = roundMoney(promotion.discount_type === 'percentage'
+        ? line.unitPrice * unitsLeft[index] * promotion.discount_value / 100
+        : Math.min(promotion.discount_value, line.unitPrice) * unitsLeft[index]);
+      if (!best || amount > best.amount) best = { promotion, amount };
+    });
+    if (best) record(best.promotion, [{ index, amount: best.amount }]);
+  });
+
+  // Whole-bill discounts: the best one, on what the lines come to after the rest
+  const lineAmounts = () => lines.map((line, index) => line.overrideBy ? 0
+    : line.lineTotal - applied.reduce((sum, entry) => sum + entry.lines.filter(l => l.index === index)
+      .reduce((total, l) => total + l.amount, 0), 0));
+  let bestBill = null;
+  promotions.filter(promotion => promotion.promotion_type === 'discount' && !promotion.product_id && !promotion.category_id)
+    .forEach(promotion => {
+      const amounts = lineAmounts();
+      const value = amounts.reduce((sum, amount) => sum + amount, 0);
+      const discount = roundMoney(promotion.discount_type === 'percentage' ? value * promotion.discount_value / 100
+        : Math.min(promotion.discount_value, value));
+      if (discount > 0 && (!bestBill || discount > bestBill.discount)) bestBill = { promotion, discount, amounts };
+    });
+  if (bestBill) {
+    record(bestBill.promotion, spreadDiscount(bestBill.amounts, bestBill.discount).map((amount, index) => ({ index, amount })));
+  }
+
+  lines.forEach((line, index) => {
+    line.promotionAmount = roundMoney(applied.reduce((sum, entry) => sum + entry.lines.filter(l => l.index === index)
+      .reduce((total, l) => total + l.amount, 0), 0));
+  });
+  return applied;
+}
+
+// Finds the coupon a sale was given a code for; calls back with { error } when it cannot be used
+function checkCoupon(code, callback) {
+  if (!code) return callback(null, {});
+  db.get('SELECT * FROM promotions WHERE coupon_code = ?', [code], (err, promotion) => {
+    if (err) return callback(err);
+    if (!promotion || !promotion.active) return callback(null, { error: `Coupon ${code} is not valid` });
+
+    const today = formatDate(new Date());
+    if ((promotion.starts_on && promotion.starts_on > today) || (promotion.ends_on && promotion.ends_on < today)) {
+      return callback(null, { error: `Coupon ${code} is not running today` });
+    }
+    if (promotion.usage_limit !== null && promotion.times_used >= promotion.usage_limit) {
+      return callback(null, { error: `Coupon ${code} has been used up` });
+    }
+    callback(null, { promotion });
+  });
+}
+
+// Applies the running promotions, and the coupon if a code is given, to priced sale lines. Calls
+// back with { error } when the coupon cannot be used, otherwise with what applied and its total.
+function applySalePromotions(lines, couponCode, callback) {
+  checkCoupon(couponCode, (err, coupon) => {
+    if (err) return callback(err);
+    if (coupon.error) return callback(null, { error: coupon.error });
+
+    loadActivePromotions(couponCode, (err, promotions) => {
+      if (err) return callback(err);
+
+      const applied = applyPromotions(lines, promotions);
+      if (coupon.promotion && !applied.some(entry => entry.promotion.id === coupon.promotion.id)) {
+        return callback(null, { error: `Coupon ${couponCode} does not apply to these items` });
+      }
+      callback(null, { applied, promotionDiscount: roundMoney(applied.reduce((sum, entry) => sum + entry.amount, 0)) });
+    });
+  });
+}
+
+// The largest manual discount the user's role may give, as a percentage, or null for no limit
+function discountCap(role, callback) {
+  getSetting('discount_caps', DEFAULT_DISCOUNT_CAPS, (err, caps) => {
+    if (err) return callback(err);
+    const cap = caps[role];
+    callback(null, cap === undefined || cap === null ? null : Number(cap));
+  });
+}
+
+// Counts a coupon's use and links each promotion to the sale lines it took money off. Runs in the
+// sale's transaction; the usage check stops two sales using the last use of a coupon.
+function recordSalePromotions(sale, saleItemIds, applied, callback) {
+  runEach(applied, (entry, index, next) => {
+    const statements = entry.lines.map(line => [
+      'INSERT INTO sale_promotions (sale_id, sale_item_id, promotion_id, amount) VALUES (?, ?, ?, ?)',
+      [sale.id, saleItemIds[line.index], entry.promotion.id, line.amount]
+    ]);
+    db.run(`UPDATE promotions SET times_used = times_used + 1
+            WHERE id = ? AND (usage_limit IS NULL OR times_used < usage_limit)`, [entry.promotion.id], function(err) {
+      if (err) return next(err);
+      if (this.changes === 0) return next(new Error(`${entry.promotion.name} has been used up`));
+      runSequence(statements, next);
+    });
+  }, callback);
+}
+
+function promotionFields(body) {
+  const number = (value) => value === undefined || value === null || value === '' ? null : Number(value);
+  return {
+    name: String(body.name || '').trim(),
+    promotion_type: body.promotion_type,
+    discount_type: body.promotion_type === 'buy_x_get_y' ? 'percentage' : body.discount_type || 'percentage',
+    discount_value: number(body.discount_value),
+    product_id: number(body.product_id),
+    category_id: number(body.category_id),
+    buy_quantity: body.promotion_type === 'buy_x_get_y' ? number(body.buy_quantity) : null,
+    get_quantity: body.promotion_type === 'buy_x_get_y' ? number(body.get_quantity) : null,
+    coupon_code: body.coupon_code ? String(body.coupon_code).trim().toUpperCase() : null,
+    usage_limit: number(body.usage_limit),
+    starts_on: body.starts_on || null,
+    ends_on: body.ends_on || null,
+    active: body.active === undefined ? 1 : body.active ? 1 : 0,
+    items: body.promotion_type === 'bundle' && Array.isArray(body.items)
+      ? body.items.map(item => ({ product_id: number(item.product_id), category_id: number(item.category_id), quantity: number(item.quantity) || 1 }))
+      : []
+  };
+}
+
+function validatePromotion(promotion) {
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  if (!promotion.name) return 'Promotion name is required';
+  if (!PROMOTION_TYPES.includes(promotion.promotion_type)) return 'Type must be discount, bundle or buy_x_get_y';
+  if (!DISCOUNT_TYPES.includes(promotion.discount_type)) return 'Discount type must be percentage or flat';
+  if (!(promotion.discount_value > 0)) return 'Discount must be greater than zero';
+  if (promotion.discount_type === 'percentage' && promotion.discount_value > 100) return 'A percentage cannot be over 100';
+  if (promotion.product_id && promotion.category_id) return 'Choose a product or a category, not both';
+  if (promotion.promotion_type === 'buy_x_get_y') {
+    if (!Number.isInteger(promotion.buy_quantity) || promotion.buy_quantity < 1 ||
+        !Number.isInteger(promotion.get_quantity) || promotion.get_quantity < 1) {
+      return 'Buy and get quantities must be whole numbers of at least 1';
+    }
+  }
+  if (promotion.promotion_type === 'bundle') {
+    if (promotion.items.length < 2 && !(promotion.items.length === 1 && promotion.items[0].quantity > 1)) {
+      return 'A bundle needs at least two items';
+    }
+    if (promotion.items.some(item => !item.product_id === !item.category_id)) {
+      return 'Each bundle item is a product or a category';
+    }
+    if (promotion.items.some(item => !Number.isInteger(item.quantity) || item.quantity < 1)) {
+      return 'Bundle quantities must be whole numbers';
+    }
+  }
+  if (promotion.usage_limit !== null && !(Number.isInteger(promotion.usage_limit) && promotion.usage_limit > 0)) {
+    return 'Usage limit must be a whole number';
+  }
+  if (promotion.usage_limit !== null && !promotion.coupon_code) return 'Only coupons can have a usage limit';
+  if ((promotion.starts_on && !isDate(promotion.starts_on)) || (promotion.ends_on && !isDate(promotion.ends_on))) {
+    return 'Dates must be YYYY-MM-DD';
+  }
+  if (promotion.starts_on && promotion.ends_on && promotion.ends_on < promotion.starts_on) {
+    return 'The promotion ends before it starts';
+  }
+  return null;
+}
+
+function savePromotionItems(promotionId, items, callback) {
+  runSequence([['DELETE FROM promotion_items WHERE promotion_id = ?', [promotionId]]].concat(items.map(item => [
+    'INSERT INTO promotion_items (promotion_id, product_id, category_id, quantity) VALUES (?, ?, ?, ?)',
+    [promotionId, item.product_id, item.category_id, item.quantity]
+  ])), callback);
+}
+
+const PROMOTIONS_QUERY = `
+  SELECT pr.*, p.name as product_name, c.name as category_name, u.username as created_by_name,
+         CASE WHEN pr.active = 0 THEN 'inactive'
+              WHEN pr.starts_on > DATE('now', 'localtime') THEN 'scheduled'
+              WHEN pr.ends_on < DATE('now', 'localtime') THEN 'ended'
+              WHEN pr.usage_limit IS NOT NULL AND pr.times_used >= pr.usage_limit THEN 'used_up'
+              ELSE 'running' END as status
+  FROM promotions pr
+  LEFT JOIN products p ON pr.product_id = p.id
+  LEFT JOIN categories c ON pr.category_id = c.id
+  LEFT JOIN users u ON pr.created_by = u.id
+`;
+
+app.get('/api/promotions', requireAuth, (req, res) => {
+  db.all(`${PROMOTIONS_QUERY} ORDER BY pr.active DESC, pr.id DESC`, [], (err, promotions) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    db.all(`SELECT i.*, p.name as product_name, c.name as category_name FROM promotion_items i
+            LEFT JOIN products p ON i.product_id = p.id
+            LEFT JOIN categories c ON i.category_id = c.id ORDER BY i.id`, [], (err, items) => {
+      if (err) return res.status(500).json({ error: err.message });
+      promotions.forEach(promotion => {
+        promotion.items = items.filter(item => item.promotion_id === promotion.id);
+      });
+      res.json(promotions);
+    });
+  });
+});
+
+app.post('/api/promotions', requirePermission('promotions.manage'),
+  audited('promotion', { table: 'promotions', id: (req, body) => body && body.id }), (req, res) => {
+  const promotion = promotionFields(req.body);
+  const error = validatePromotion(promotion);
+  if (error) return res.status(400).json({ error });
+
+  withTransaction((done) => {
+    db.run(`INSERT INTO promotions (name, promotion_type, discount_type, discount_value, product_id, category_id, buy_quantity,
+            get_quantity, coupon_code, usage_limit, starts_on, ends_on, active, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [promotion.name, promotion.promotion_type, promotion.discount_type, promotion.discount_value, promotion.product_id,
+       promotion.category_id, promotion.buy_quantity, promotion.get_quantity, promotion.coupon_code, promotion.usage_limit,
+       promotion.starts_on, promotion.ends_on, promotion.active, req.session.userId],
+      function(err) {
+        if (err) return done(err);
+        const id = this.lastID;
+        savePromotionItems(id, promotion.items, (err) => done(err, id));
+      });
+  }, (err, id) => {
+    if (err) {
+      const duplicate = err.message.includes('UNIQUE');
+      return res.status(duplicate ? 400 : 500).json({ error: duplicate ? `Coupon ${promotion.coupon_code} already exists` : err.message });
+    }
+    res.json({ success: true, id });
+  });
+});
+
+app.put('/api/promotions/:id', requirePermission('promotions.manage'), audited('promotion', { table: 'promotions' }), (req, res) => {
+  const promotion = promotionFields(req.body);
+  const error = validatePromotion(promotion);
+  if (error) return res.status(400).json({ error });
+
+  withTransaction((done) => {
+    db.run(`UPDATE promotions SET name = ?, promotion_type = ?, discount_type = ?, discount_value = ?, product_id = ?,
+            category_id = ?, buy_quantity = ?, get_quantity = ?, coupon_code = ?, usage_limit = ?, starts_on = ?,
+            ends_on = ?, active = ? WHERE id = ?`,
+      [promotion.name, promotion.promotion_type, promotion.discount_type, promotion.discount_value, promotion.product_id,
+       promotion.category_id, promotion.buy_quantity, promotion.get_quantity, promotion.coupon_code, promotion.usage_limit,
+       promotion.starts_on, promotion.ends_on, promotion.active, req.params.id],
+      function(err) {
+        if (err) return done(err);
+        if (this.changes === 0) return done(new Error('Promotion not found'));
+        savePromotionItems(req.params.id, promotion.items, done);
+      });
+  }, (err) => {
+    if (err) {
+      const duplicate = err.message.includes('UNIQUE');
+      const status = err.message === 'Promotion not found' ? 404 : duplicate ? 400 : 500;
+      return res.status(status).json({ error: duplicate ? `Coupon ${promotion.coupon_code} already exists` : err.message });
+    }
+    res.json({ success: true });
+  });
+});
+
+// What the running promotions (and a coupon, if given) take off a bill, for the till to show before
+// the sale is made: { items: [{ product_id, quantity, unit_price }], coupon_code }
+app.post('/api/promotions/preview', requirePermission('sales.create'), (req, res) => {
+  const { items } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'At least one item is required' });
+  }
+  const couponCode = req.body.coupon_code ? String(req.body.coupon_code).trim().toUpperCase() : null;
+  const productIds = [...new Set(items.map(item => Number(item.product_id)))];
+
+  db.all(`SELECT * FROM products WHERE id IN (${productIds.map(() => '?').join(',')})`, productIds, (err, products) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    // Lines priced as the sale will price them; anything the sale would reject is left out here
+    const lines = items.map(item => {
+      const product = products.find(p => p.id === Number(item.product_id));
+      const quantity = Number(item.quantity);
+      if (!product || !Number.isInteger(quantity) || quantity <= 0) return null;
+      const price = item.unit_price !== undefined && item.unit_price !== null && item.unit_price !== ''
+        ? Number(item.unit_price) : product.selling_price;
+      return { product, quantity, unitPrice: price, lineTotal: roundMoney(price * quantity),
+               overrideBy: price !== product.selling_price ? req.session.userId : null };
+    });
+
+    applySalePromotions(lines.filter(Boolean), couponCode, (err, result) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (result.error) return res.status(400).json({ error: result.error });
+
+      discountCap(req.user.role, (err, cap) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({
+          lines: lines.map(line => ({ promotion_amount: line ? line.promotionAmount : 0 })),
+          promotions: result.applied.map(entry => ({ id: entry.promotion.id, name: entry.promotion.name, amount: entry.amount })),
+          total: result.promotionDiscount,
+          discount_cap: cap
+        });
+      });
+    });
+  });
+});
+
+app.get('/api/settings/discount-caps', requireAuth, (req, res) => {
+  getSetting('discount_caps', DEFAULT_DISCOUNT_CAPS, (err, caps) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(caps);
+  });
+});
+
+// { role: percentage or null for no cap }
+app.put('/api/settings/discount-caps', requirePermission('promotions.manage'), (req, res) => {
+  getSetting('discount_caps', DEFAULT_DISCOUNT_CAPS, (err, current) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const caps = {};
+    for (const role of ROLES) {
+      const value = req.body[role] !== undefined ? req.body[role] : current[role];
+      if (value === null || value === '' || value === undefined) {
+        caps[role] = null;
+      } else if (!(Number(value) >= 0 && Number(value) <= 100)) {
+        return res.status(400).json({ error: `The ${role} cap must be a percentage between 0 and 100` });
+      } else {
+        caps[role] = Number(value);
+      }
+    }
+
+    saveSetting('discount_caps', caps, req.user.id, (err) => {
+      if (err) return res.status(500).json({ error: err.message });
+      recordAudit(req, { entity: 'settings', entityId: 'discount_caps', action: 'update', before: current, after: caps }, () => {
+        res.json(caps);
+      });
+    });
+  });
+});
+
+// Sales Routes
+const DISCOUNT_TYPES = ['flat', 'percentage'];
+
+// Issues the next number from a per-year sequence (INV-2025-000001). It runs inside the caller's
+// transaction, so a sale that rolls back hands its number back and the sequence stays gap-free.
+function nextSequenceNumber(type, callback) {
+  const prefix = `${type}-${new Date().getFullYear()}-`;
+  db.get(`INSERT INTO invoice_sequences (prefix, last_number) VALUES (?, 1)
+          ON CONFLICT(prefix) DO UPDATE SET last_number = last_number + 1
+          RETURNING last_number`, [prefix], (err, row) => {
+    if (err) return callback(err);
+    callback(null, prefix + String(row.last_number).padStart(6, '0'));
+  });
+}
+
+function nextInvoiceNumber(callback) {
+  nextSequenceNumber('INV', callback);
+}
+
+// Matches the IMEIs entered for tracked products against units in stock at the selling branch.
+// Calls back with the units to lock for each line and an error for every bad line.
+function resolveSaleUnits(items, productsById, branchId, callback) {
+  const itemCodes = items.map(item => {
+    const product = productsById.get(Number(item.product_id));
+    return product && product.track_units ? parseSerialCodes(item.serial_imei) : [];
+  });
+
+  findUnitsByCodes([].concat(...itemCodes), (err, units) => {
+    if (err) return callback(err);
+
+    const errors = [];
+    const used = new Set();
+    const unitsByItem = {};
+
+    items.forEach((item, index) => {
+      const product = productsById.get(Number(item.product_id));
+      if (!product || !product.track_units) return;
+
+      const lineError = (message) => errors.push({ line: index + 1, product_id: product.id, message });
+      const codes = itemCodes[index];
+      if (codes.length !== Number(item.quantity)) {
+        return lineError(`${item.quantity} IMEI/serial(s) required, ${codes.length} given`);
+      }
+
+      unitsByItem[index] = [];
+      codes.forEach(code => {
+        const unit = units.find(u => unitMatchesCode(u, code));
+        if (!unit || unit.product_id !== product.id) {
+          lineError(`${code} is not a unit of ${product.name}`);
+        } else if (unit.status === 'sold') {
+          lineError(`${code} has already been sold`);
+        } else if (unit.status === 'in_transit') {
+          lineError(`${code} is on its way between branches`);
+        } else if (unit.status !== 'in_stock') {
+          lineError(`${code} is not in stock`);
+        } else if (unit.branch_id !== branchId) {
+          lineError(`${code} is in stock at another branch`);
+        } else if (used.has(unit.id)) {
+          lineError(`${code} is entered more than once`);
+        } else {
+          used.add(unit.id);
+          unitsByItem[index].push(unit);
+        }
+      });
+    });
+
+    callback(null, unitsByItem, errors);
+  });
+}
+
+// Prices every line from the product record. The client's unit_price is only taken as an
+// override; going below the selling price needs a superuser and is recorded on the line.
+function priceSaleLines(items, productsById, unitsByItem, session) {
+  const errors = [];
+  const requested = new Map();
+  const lines = items.map((item, index) => {
+    const lineError = (message) => errors.push({ line: index + 1, product_id: item.product_id, message });
+    const product = productsById.get(Number(item.product_id));
+    if (!product) {
+      lineError('Product not found');
+      return null;
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      lineError('Quantity must be a positive whole number');
+      return null;
+    }
+    requested.set(product.id, (requested.get(product.id) || 0) + quantity);
+    if (requested.get(product.id) > product.quantity) {
+      lineError(`Only ${Math.max(product.quantity, 0)} of ${product.name} in stock`);
+    }
+
+    let unitPrice = product.selling_price;
+    let overrideBy = null;
+    if (item.unit_price !== undefined && item.unit_price !== null && item.unit_price !== '') {
+      const requestedPrice = Number(item.unit_price);
+      if (!(requestedPrice >= 0)) {
+        lineError('Invalid unit price');
+        return null;
+      }
+      if (requestedPrice < product.selling_price && !hasPermission(session.role, 'sales.override_price')) {
+        lineError(`Price below Rs. ${product.selling_price} needs superuser approval`);
+        return null;
+      }
+      if (requestedPrice !== product.selling_price) {
+        unitPrice = requestedPrice;
+        overrideBy = session.userId;
+      }
+    }
+
+    // Serialized units carry their own cost; everything else uses the product's cost
+    const units = unitsByItem[index] || [];
+    const unitCost = units.length > 0
+      ? units.reduce((sum, unit) => sum + unit.purchase_price, 0) / units.length
+      : product.purchase_price;
+
+    const lineTotal = roundMoney(unitPrice * quantity);
+    return {
+      product, quantity, units, unitPrice, overrideBy,
+      purchasePrice: roundMoney(unitCost),
+      lineTotal,
+      profit: roundMoney(lineTotal - unitCost * quantity),
+      serial: item.serial_imei || null,
+      warrantyDays: item.warranty_days !== undefined && item.warranty_days !== '' ? Number(item.warranty_days) || 0 : product.warranty_days || 0,
+      remarks: item.remarks || ''
+    };
+  });
+
+  return { lines, errors };
+}
+
+// The manual discount a sale was given, in rupees; a percentage is of the bill after promotions
+function saleDiscountValue(sale) {
+  return roundMoney(sale.discount_type === 'percentage'
+    ? (sale.subtotal - (sale.promotion_discount || 0)) * sale.discount_amount / 100 : sale.discount_amount);
+}
+
+// Everything taken off each of a sale's lines: its promotions and its share of the manual discount
+function saleLineDiscounts(sale, items) {
+  const afterPromotions = items.map(item => roundMoney(item.line_total - (item.promotion_amount || 0)));
+  return spreadDiscount(afterPromotions, saleDiscountValue(sale))
+    .map((share, index) => roundMoney(share + (items[index].promotion_amount || 0)));
+}
+
+// Spreads a sale-level discount over its lines in proportion to their value. Shares are rounded to
+// the paisa with the remainder on the last line, so they always add up to the discount.
+function spreadDiscount(lineTotals, discount) {
+  const subtotal = lineTotals.reduce((sum, total) => sum + total, 0);
+  let left = roundMoney(discount);
+  return lineTotals.map((total, index) => {
+    const share = index === lineTotals.length - 1 ? left : roundMoney(subtotal > 0 ? discount * total / subtotal : 0);
+    left = roundMoney(left - share);
+    return share;
+  });
+}
+
+// Tax on an amount charged for a line: taken out of it when prices include tax, added on top otherwise
+function lineTax(amount, rate, inclusive) {
+  return roundMoney(inclusive ? amount * rate / (100 + rate) : amount * rate / 100);
+}
+
+// Taxes each priced line on its value after promotions and its share of the discount. Tax included
+// in the price is not the shop's money, so it comes off the line's profit; tax added at the till goes
+// on the bill.
+function applySaleTax(lines, discountValue) {
+  const afterPromotions = lines.map(line => roundMoney(line.lineTotal - (line.promotionAmount || 0)));
+  const shares = spreadDiscount(afterPromotions, discountValue);
+  lines.forEach((line, index) => {
+    line.taxRate = Number(line.product.effective_tax_rate) || 0;
+    line.taxInclusive = line.product.effective_tax_inclusive ? 1 : 0;
+    line.taxAmount = lineTax(afterPromotions[index] - shares[index], line.taxRate, line.taxInclusive);
+    if (line.taxInclusive) line.profit = roundMoney(line.profit - line.taxAmount);
+  });
+  return {
+    taxAmount: roundMoney(lines.reduce((sum, line) => sum + line.taxAmount, 0)),
+    addedTax: roundMoney(lines.filter(line => !line.taxInclusive).reduce((sum, line) => sum + line.taxAmount, 0))
+  };
+}
+
+function sendSaleErrors(res, errors) {
+  res.status(400).json({
+    error: errors.map(e => `Line ${e.line}: ${e.message}`).join('; '),
+    errors
+  });
+}
+
+// Locks units to a sale item and records the sale in each unit's history
+function markUnitsSold(units, sale, saleItemId, userId, callback) {
+  let remaining = units.length;
+  let failed = false;
+  if (remaining === 0) return callback(null);
+
+  units.forEach(unit => {
+    db.run(`UPDATE product_units SET status = 'sold', sale_item_id = ? WHERE id = ? AND status = 'in_stock'`,
+      [saleItemId, unit.id], function(err) {
+        if (failed) return;
+        if (!err && this.changes === 0) err = new Error(`${unit.imei1 || unit.serial_number} has already been sold`);
+        if (err) {
+          failed = true;
+          return callback(err);
+        }
+
+        db.run(`INSERT INTO unit_events (unit_id, event_type, sale_id, sale_item_id, party_name, party_phone,
+                party_cnic, amount, created_by)
+                VALUES (?, 'sold', ?, ?, ?, ?, ?, ?, ?)`,
+          [unit.id, sale.id, saleItemId, sale.customer_name, sale.customer_phone, sale.customer_cnic,
+           sale.unitPrice, userId], (err) => {
+            if (failed) return;
+            if (err) {
+              failed = true;
+              return callback(err);
+            }
+            remaining--;
+            if (remaining === 0) callback(null);
+          });
+      });
+  });
+}
+
+// Posts a credit sale to the customer's ledger: the full bill as a debit and each payment made
+// at the counter as a credit, so the statement shows both
+function postCreditSale(customerId, saleId, netTotal, paymentLines, userId, callback) {
+  const statements = [[`INSERT INTO customer_ledger (customer_id, entry_type, sale_id, debit, created_by)
+                        VALUES (?, 'sale', ?, ?, ?)`, [customerId, saleId, netTotal, userId]]];
+  paymentLines.filter(line => line.method !== 'account' && line.amount > 0).forEach(line => {
+    statements.push([`INSERT INTO customer_ledger (customer_id, entry_type, sale_id, credit, method, notes, created_by)
+                      VALUES (?, 'payment', ?, ?, ?, 'Paid at sale', ?)`,
+      [customerId, saleId, line.amount, line.method, userId]]);
+  });
+  runSequence(statements, callback);
+}
+
+// Methods a customer can pay with at the counter; 'account' (the unpaid part of a credit sale)
+// and 'exchange' (goods brought back on an exchange) are added by resolveSalePayments
+const SALE_PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'trade_in', 'store_credit'];
+
+// Works out the payment lines for a sale. Without a payments array the whole bill is paid by
+// payment_type (or amount_paid/paid_method on a credit sale). Cash handed over beyond the total
+// is change, taken off the last cash line; only cash can be overpaid. On an exchange, exchangeCredit
+// (the value of what came back, up to the bill) pays first and the customer's payments cover the rest.
+function resolveSalePayments({ payment_type, payments, amount_paid, paid_method }, netTotal, exchangeCredit = 0) {
+  const isCredit = payment_type === 'credit';
+  const due = roundMoney(netTotal - exchangeCredit);
+  let lines;
+  if (Array.isArray(payments) && payments.length > 0) {
+    lines = payments.map(payment => ({
+      method: payment.method,
+      amount: roundMoney(Number(payment.amount)),
+      reference: payment.reference || null,
+      tradeInId: payment.method === 'trade_in' ? Number(payment.trade_in_id) : null
+    }));
+  } else if (isCredit) {
+    const paid = roundMoney(Number(amount_paid) || 0);
+    lines = paid !== 0 ? [{ method: paid_method || 'cash', amount: paid, reference: null }] : [];
+  } else {
+    lines = due > 0 ? [{ method: payment_type, amount: due, reference: null }] : [];
+  }
+  
+  if (lines.some(line => !SALE_PAYMENT_METHODS.includes(line.method))) {
+    return { error: 'Invalid payment method' };
+  }
+  if (lines.some(line => !(line.amount > 0))) {
+    return { error: 'Payment amounts must be greater than zero' };
+  }
+  if (isCredit && lines.some(line => line.method === 'store_credit')) {
+    return { error: "Store credit is already on the customer's account; a credit sale uses it there" };
+  }
+  
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const nonCash = roundMoney(lines.filter(line => line.method !== 'cash').reduce((sum, line) => sum + line.amount, 0));
+  if (nonCash > due) {
+    return { error: 'Card, bank transfer, trade-in and store credit payments cannot exceed the amount due' };
+  }
+  if (isCredit && total > due) {
+    return { error: 'Amount paid must be between 0 and the net total' };
+  }
+  if (!isCredit && total < due) {
+    return { error: `Payments of Rs. ${total} do not cover the amount due of Rs. ${due}` };
+  }
+  
+  const change = isCredit ? 0 : roundMoney(total - due);
+  let changeLeft = change;
+  lines.forEach(line => {
+    line.tendered = line.method === 'cash' ? line.amount : null;
+    line.change = 0;
+  });
+  for (let i = lines.length - 1; i >= 0 && changeLeft > 0; i--) {
+    if (lines[i].method !== 'cash') continue;
+    const taken = Math.min(lines[i].amount, changeLeft);
+    lines[i].amount = roundMoney(lines[i].amount - taken);
+    lines[i].change = roundMoney(taken);
+    changeLeft = roundMoney(changeLeft - taken);
+  }
+  
+  if (exchangeCredit > 0) {
+    lines.unshift({ method: 'exchange', amount: roundMoney(exchangeCredit), reference: null, tendered: null, change: 0 });
+  }
+  const amountPaid = roundMoney(total - change + exchangeCredit);
+  if (isCredit && amountPaid < netTotal) {
+    lines.push({ method: 'account', amount: roundMoney(netTotal - amountPaid), reference: null, tendered: null, change: 0 });
+  }
+  
+  // A sale paid one way over the counter takes that way's name; anything else is mixed
+  const methods = [...new Set(lines.map(line => line.method))];
+  const paymentType = isCredit ? 'credit' : methods.length === 1 && COLLECTION_METHODS.includes(methods[0]) ? methods[0] : 'mixed';
+  return { lines, paymentType, amountPaid, change };
+}
+
+// The customer's store credit: what the ledger owes them (a balance below zero)
+function storeCreditBalance(customerId, callback) {
+  db.get('SELECT COALESCE(SUM(credit - debit), 0) as available FROM customer_ledger WHERE customer_id = ?',
+    [customerId], (err, row) => callback(err, row ? Math.max(roundMoney(row.available), 0) : 0));
+}
+
+// Takes store credit used to pay for a sale off the customer's ledger. Runs in the sale's
+// transaction, so two sales cannot spend the same credit.
+function spendStoreCredit(customerId, sale, paymentLines, userId, callback) {
+  const amount = roundMoney(paymentLines.filter(line => line.method === 'store_credit')
+    .reduce((sum, line) => sum + line.amount, 0));
+  if (amount === 0) return callback(null);
+  if (!customerId) return callback(new Error("Store credit needs the customer's phone or CNIC"));
+
+  storeCreditBalance(customerId, (err, available) => {
+    if (err) return callback(err);
+    if (amount > available) return callback(new Error(`The customer has Rs. ${available} of store credit`));
+
+    db.run(`INSERT INTO customer_ledger (customer_id, entry_type, sale_id, debit, method, notes, created_by)
+            VALUES (?, 'store_credit', ?, ?, 'store_credit', ?, ?)`,
+      [customerId, sale.id, amount, `Spent on ${sale.invoice_number}`, userId], callback);
+  });
+}
+
+function salePaymentStatement(saleId, line, userId, returnId = null) {
+  return [`INSERT INTO sale_payments (sale_id, return_id, method, amount, tendered, change_given, reference, trade_in_id,
+           created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [saleId, returnId, line.method, line.amount, line.tendered || null, line.change || 0, line.reference || null,
+     line.tradeInId || null, userId]];
+}
+
+// Checks and prices a sale from the request body: stock at the user's branch, each line's price,
+// the promotions, the discount (within the user's cap) and the tax. Nothing is written; calls back with { error } or { errors } (per line)
+// for a bad request, otherwise with the priced sale.
+function prepareSale(req, body, callback) {
+  const { customer_phone, customer_cnic, payment_type, items, discount_amount, discount_type,
+          payments, paid_method } = body;
+  const couponCode = body.coupon_code ? String(body.coupon_code).trim().toUpperCase() : null;
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return callback(null, { error: 'At least one item is required' });
+  }
+  // payment_type can be left out when payment lines are given; it is worked out from them
+  const hasPaymentLines = Array.isArray(payments) && payments.length > 0;
+  if (!PAYMENT_TYPES.includes(payment_type) && !(hasPaymentLines && !payment_type)) {
+    return callback(null, { error: 'Invalid payment type' });
+  }
+  if (payments !== undefined && !Array.isArray(payments)) {
+    return callback(null, { error: 'Payments must be a list of payment lines' });
+  }
+  if (payment_type === 'credit' && !normalizeDigits(customer_phone) && !normalizeDigits(customer_cnic)) {
+    return callback(null, { error: 'Customer phone or CNIC is required for a credit sale' });
+  }
+  if (paid_method && !COLLECTION_METHODS.includes(paid_method)) {
+    return callback(null, { error: 'Invalid payment method' });
+  }
+  
+  const discountType = discount_type || 'flat';
+  const discountAmount = Number(discount_amount) || 0;
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    return callback(null, { error: 'Invalid discount type' });
+  }
+  if (discountAmount < 0 || (discountType === 'percentage' && discountAmount > 100)) {
+    return callback(null, { error: 'Invalid discount amount' });
+  }
+  
+  const productIds = [...new Set(items.map(item => Number(item.product_id)))];
+  const placeholders = productIds.map(() => '?').join(',');
+  
+  // Stock is checked against what the user's branch holds
+  const branchId = req.user.branch_id;
+  db.all(`${BRANCH_PRODUCTS_SQL} WHERE p.id IN (${placeholders})`, [branchId, branchId, ...productIds], (err, products) => {
+    if (err) return callback(err);
+    
+    const productsById = new Map(products.map(p => [p.id, p]));
+    resolveSaleUnits(items, productsById, branchId, (err, unitsByItem, unitErrors) => {
+      if (err) return callback(err);
+      
+      const { lines, errors } = priceSaleLines(items, productsById, unitsByItem, req.session);
+      const lineErrors = errors.concat(unitErrors).sort((a, b) => a.line - b.line);
+      if (lineErrors.length > 0) return callback(null, { errors: lineErrors });
+      
+      applySalePromotions(lines, couponCode, (err, promotions) => {
+        if (err) return callback(err);
+        if (promotions.error) return callback(null, { error: promotions.error });
+        
+        // The manual discount comes off what is left after promotions
+        const { applied, promotionDiscount } = promotions;
+        const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+        const discountBase = roundMoney(subtotal - promotionDiscount);
+        const discountValue = roundMoney(discountType === 'percentage' ? discountBase * discountAmount / 100 : discountAmount);
+        if (discountValue > discountBase) {
+          return callback(null, { error: 'Discount cannot exceed the subtotal after promotions' });
+        }
+        
+        discountCap(req.user.role, (err, cap) => {
+          if (err) return callback(err);
+          if (cap !== null && discountValue > 0 && discountValue > roundMoney(discountBase * cap / 100)) {
+            return callback(null, { error: cap > 0 ? `Discounts above ${cap}% need a manager` : 'Discounts need a manager' });
+          }
+          
+          const { taxAmount, addedTax } = applySaleTax(lines, discountValue);
+          callback(null, {
+            lines, branchId, subtotal, discountType, discountAmount, discountValue, taxAmount,
+            promotions: applied, promotionDiscount, couponCode: couponCode && applied.length > 0 ? couponCode : null,
+            netTotal: roundMoney(discountBase - discountValue + addedTax),
+            totalProfit: roundMoney(lines.reduce((sum, line) => sum + line.profit, 0) - promotionDiscount - discountValue)
+          });
+        });
+      });
+    });
+  });
+}
+
+function sendPreparedSaleError(res, prepared) {
+  if (prepared.errors) return sendSaleErrors(res, prepared.errors);
+  res.status(400).json({ error: prepared.error });
+}
+
+// Writes a prepared sale with its lines, stock movements, units, payments and ledger entries.
+// Runs inside the caller's transaction; calls back with the new sale's id and invoice number.
+function insertSale(req, body, prepared, payment, customerId, callback) {
+  const { customer_name, customer_phone, customer_cnic } = body;
+  const { lines, branchId } = prepared;
+  const { lines: paymentLines, paymentType } = payment;
+  
+  nextInvoiceNumber((err, invoiceNumber) => {
+    if (err) return callback(err);
+    
+    db.run(`INSERT INTO sales (invoice_number, customer_name, customer_phone, customer_cnic, payment_type, 
+            subtotal, promotion_discount, coupon_code, discount_amount, discount_type, tax_amount, net_total, total_profit,
+            customer_id, shift_id, branch_id, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [invoiceNumber, customer_name, customer_phone, customer_cnic, paymentType, prepared.subtotal,
+       prepared.promotionDiscount, prepared.couponCode, prepared.discountAmount, prepared.discountType,
+       prepared.taxAmount, prepared.netTotal, prepared.totalProfit, customerId, req.shift.id, branchId,
+       req.session.userId],
+      function(err) {
+        if (err) return callback(err);
+        
+        const sale = { id: this.lastID, invoice_number: invoiceNumber, customer_name, customer_phone, customer_cnic };
+        const saleItemIds = [];
+        runEach(lines, (line, index, next) => {
+          db.run(`INSERT INTO sale_items (sale_id, product_id, product_name, quantity, unit_price, list_price,
+                  price_override_by, purchase_price, line_total, promotion_amount, serial_imei, profit, warranty_days,
+                  remarks, tax_rate, tax_inclusive, tax_amount)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [sale.id, line.product.id, line.product.name, line.quantity, line.unitPrice, line.product.selling_price,
+             line.overrideBy, line.purchasePrice, line.lineTotal, line.promotionAmount || 0, line.serial, line.profit,
+             line.warrantyDays, line.remarks, line.taxRate, line.taxInclusive, line.taxAmount],
+            function(err) {
+              if (err) return next(err);
+              
+              const saleItemId = this.lastID;
+              saleItemIds[index] = saleItemId;
+              const [deductSql, deductParams] = deductStockStatement(line.product.id, line.quantity, branchId);
+              db.run(deductSql, deductParams, function(err) {
+                if (err) return next(err);
+                if (this.changes === 0) return next(new Error(`${line.product.name} is out of stock`));
+                
+                const [sql, params] = stockMovementStatement(line.product.id, -line.quantity, 'sale',
+                  req.session.userId, { referenceId: sale.id, branchId });
+                db.run(sql, params, (err) => {
+                  if (err) return next(err);
+                  markUnitsSold(line.units, { ...sale, unitPrice: line.unitPrice }, saleItemId, req.session.userId, next);
+                });
+              });
+            });
+        }, (err) => {
+          if (err) return callback(err);
+          
+          recordSalePromotions(sale, saleItemIds, prepared.promotions, (err) => {
+            if (err) return callback(err);
+            
+            // Cash kept at the counter (after change) goes into the shift's till
+            const cashPaid = roundMoney(paymentLines.filter(line => line.method === 'cash')
+              .reduce((sum, line) => sum + line.amount, 0));
+            const statements = paymentLines.map(line => salePaymentStatement(sale.id, line, req.session.userId));
+            if (cashPaid > 0) {
+              statements.push(cashMovementStatement(req.shift.id, 'sale', cashPaid, req.session.userId, { saleId: sale.id }));
+            }
+            runSequence(statements, (err) => {
+              if (err) return callback(err);
+            
+              applyTradeInCredits(sale.id, paymentLines, (err) => {
+                if (err) return callback(err);
+              
+                spendStoreCredit(customerId, sale, paymentLines, req.session.userId, (err) => {
+                  if (err) return callback(err);
+                  const queueInvoice = (err) => {
+                    if (err) return callback(err);
+                    queueFiscalInvoice(sale.id, null, (err) => callback(err, { saleId: sale.id, invoiceNumber }));
+                  };
+                  if (paymentType !== 'credit') return queueInvoice(null);
+                
+                  postCreditSale(customerId, sale.id, prepared.netTotal, paymentLines, req.session.userId, queueInvoice);
+                });
+              });
+            });
+          });
+        });
+      }
+    );
+  });
+}
+
+app.post('/api/sales', requirePermission('sales.create'),
+  audited('sale', { table: 'sales', id: (req, body) => body && body.saleId }), requireOpenShift, resolveTradeInCredits,
+  (req, res) => {
+  const { customer_name, customer_phone, customer_cnic } = req.body;
+  
+  prepareSale(req, req.body, (err, prepared) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (prepared.error || prepared.errors) return sendPreparedSaleError(res, prepared);
+    
+    // Only credit sales can be part-paid; the rest of the bill goes on the customer's account
+    const { netTotal } = prepared;
+    const payment = resolveSalePayments(req.body, netTotal);
+    if (payment.error) {
+      return res.status(400).json({ error: payment.error });
+    }
+    
+    // The customer is added with the sale, so a sale that fails leaves no customer behind
+    withTransaction((done) => {
+      findOrCreateCustomer({ name: customer_name, phone: customer_phone, cnic: customer_cnic }, (err, customerId) => {
+        if (err) return done(err);
+        insertSale(req, req.body, prepared, payment, customerId, done);
+      });
+    }, (err, result) => {
+      if (err) return res.status(400).json({ error: err.message });
+      processFiscalQueue();
+      
+      res.json({
+        success: true,
+        saleId: result.saleId,
+        invoiceNumber: result.invoiceNumber,
+        subtotal: prepared.subtotal,
+        promotions: prepared.promotionDiscount,
+        discount: prepared.discountValue,
+        tax: prepared.taxAmount,
+        netTotal,
+        paymentType: payment.paymentType,
+        payments: payment.lines,
+        change: payment.change,
+        balanceDue: roundMoney(netTotal - payment.amountPaid)
+      });
+    });
+  });
+});
+
+// Date range and search filters shared by the sales list and the sales exports;
+// dateColumn and branchColumn let returns filter on their own date and branch
+function salesFilters(filters, dateColumn = 's.sale_date', branchColumn = 's.branch_id') {
+  const { start_date, end_date, phone, invoice, customer, serial, date, customer_id, branch_id } = filters;
+  
+  let where = '';
+  const params = [];
+  
+  if (branch_id) {
+    where += ` AND ${branchColumn} = ?`;
+    params.push(branch_id);
+  }
+  
+  // Compared as plain ranges (not DATE(column)) so the sale_date index can be used
+  if (start_date) {
+    where += ` AND ${dateColumn} >= DATE(?)`;
+    params.push(start_date);
+  }
+  
+  if (end_date) {
+    where += ` AND ${dateColumn} < DATE(?, '+1 day')`;
+    params.push(end_date);
+  }
+  
+  if (phone) {
+    where += ' AND s.customer_phone LIKE ?';
+    params.push('%' + phone + '%');
+  }
+  
+  if (invoice) {
+    where += ' AND s.invoice_number LIKE ?';
+    params.push('%' + invoice + '%');
+  }
+  
+  if (customer) {
+    where += ' AND s.customer_name LIKE ?';
+    params.push('%' + customer + '%');
+  }
+  
+  if (serial) {
+    where += ' AND si.serial_imei LIKE ?';
+    params.push('%' + serial + '%');
+  }
+  
+  if (date) {
+    where += ` AND ${dateColumn} >= DATE(?) AND ${dateColumn} < DATE(?, '+1 day')`;
+    params.push(date, date);
+  }
+  
+  if (customer_id) {
+    where += ' AND s.customer_id = ?';
+    params.push(customer_id);
+  }
+  
+  return { where, params };
+}
+
+app.get('/api/sales', requireAuth, (req, res) => {
+  const { where, params } = salesFilters({ ...req.query, branch_id: branchScope(req) });
+  
+  const query = `SELECT s.*, GROUP_CONCAT(si.serial_imei) as serials 
+                 FROM sales s 
+                 LEFT JOIN sale_items si ON s.id = si.sale_id
+                 WHERE 1=1${where}
+                 GROUP BY s.id ORDER BY s.sale_date DESC`;
+  
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(hideProfit(req, rows));
+  });
+});
+
+app.get('/api/sales/:id', requireAuth, (req, res) => {
+  loadSaleDetails(req.params.id, recordBranchScope(req), (err, sale) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!sale) return res.status(404).json({ error: 'Sale not found' });
+    res.json({ ...hideProfit(req, sale), items: hideProfit(req, sale.items) });
+  });
+});
+
+// Shop Settings Routes
+// Shop details printed on receipts and invoices, and the receipt printer they are sent to.
+// receipt_printer.host is a network thermal printer taking raw ESC/POS on port 9100. ntn and strn
+// are the shop's income and sales tax registration numbers, printed once set.
+const DEFAULT_SHOP_SETTINGS = {
+  name: 'Zam Zam Mobiles',
+  address: 'Minar-e-Raza Masjid, Madina Center Pattoki',
+  contact: 'Muhammad Saleem 0300-8383959 | Muhammad Tanveer 0304-7820786',
+  email: 'zamzammobilesptk@gmail.com',
+  website: 'www.zamzammobilespattoki.com',
+  ntn: '',
+  strn: '',
+  footer: 'Thank you for shopping with us!',
+  terms: '',
+  show_logo: true,
+  receipt_width: 80,
+  invoice_size: 'A4',
+  receipt_printer: { host: '', port: 9100 }
+};
+const RECEIPT_WIDTHS = [58, 80];
+const INVOICE_SIZES = ['A4', 'A5'];
+const SHOP_LOGO_PATH = path.join(__dirname, 'public', 'logo.png');
+
+app.get('/api/settings/shop', requireAuth, (req, res) => {
+  getSetting('shop', DEFAULT_SHOP_SETTINGS, (err, settings) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(settings);
+  });
+});
+
+app.put('/api/settings/shop', requirePermission('settings.manage'), (req, res) => {
+  getSetting('shop', DEFAULT_SHOP_SETTINGS, (err, current) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const value = (field) => req.body[field] !== undefined ? req.body[field] : current[field];
+    const printer = { ...current.receipt_printer, ...(req.body.receipt_printer || {}) };
+    const settings = {
+      name: String(value('name') || '').trim(),
+      address: value('address') || '',
+      contact: value('contact') || '',
+      email: value('email') || '',
+      website: value('website') || '',
+      ntn: String(value('ntn') || '').trim(),
+      strn: String(value('strn') || '').trim(),
+      footer: value('footer') || '',
+      terms: value('terms') || '',
+      show_logo: !!value('show_logo'),
+      receipt_width: Number(value('receipt_width')),
+      invoice_size: value('invoice_size'),
+      receipt_printer: { host: String(printer.host || '').trim(), port: Number(printer.port) || 9100 }
+    };
+
+    if (!settings.name) {
+      return res.status(400).json({ error: 'Shop name is required' });
+    }
+    if (!RECEIPT_WIDTHS.includes(settings.receipt_width)) {
+      return res.status(400).json({ error: 'Receipt width must be 58 or 80 mm' });
+    }
+    if (!INVOICE_SIZES.includes(settings.invoice_size)) {
+      return res.status(400).json({ error: 'Invoice size must be A4 or A5' });
+    }
+    if (!Number.isInteger(settings.receipt_printer.port) || settings.receipt_printer.port < 1 || settings.receipt_printer.port > 65535) {
+      return res.status(400).json({ error: 'Invalid printer port' });
+    }
+
+    saveSetting('shop', settings, req.user.id, (err) => {
+      if (err) return res.status(500).json({ error: err.message });
+      recordAudit(req, { entity: 'settings', entityId: 'shop', action: 'update', before: current, after: settings }, () => {
+        res.json(settings);
+      });
+    });
+  });
+});
+
+// Invoice Printing Routes
+// Sales rendered on the server from the same data as GET /api/sales/:id: ESC/POS bytes for 58/80mm
+// thermal printers and an A4/A5 PDF to print or send to the customer.
+// branchId limits it to a sale made at that branch (null for any)
+function loadSaleDetails(saleId, branchId, callback) {
+  const branchWhere = branchId ? ' AND s.branch_id = ?' : '';
+  const params = branchId ? [saleId, branchId] : [saleId];
+  db.get(`SELECT s.*, (SELECT f.status FROM fiscal_submissions f WHERE f.sale_id = s.id AND f.return_id IS NULL) as fiscal_status
+          FROM sales s WHERE s.id = ?${branchWhere}`, params, (err, sale) => {
+    if (err || !sale) return callback(err, null);
+
+    db.all('SELECT * FROM sale_items WHERE sale_id = ?', [saleId], (err, items) => {
+      if (err) return callback(err);
+
+      db.all('SELECT * FROM sale_payments WHERE sale_id = ? ORDER BY id', [saleId], (err, payments) => {
+        if (err) return callback(err);
+
+        // Each promotion the sale got, with what it took off in all
+        db.all(`SELECT sp.promotion_id, pr.name, SUM(sp.amount) as amount FROM sale_promotions sp
+                JOIN promotions pr ON sp.promotion_id = pr.id
+                WHERE sp.sale_id = ? GROUP BY sp.promotion_id ORDER BY MIN(sp.id)`, [saleId], (err, promotions) => {
+          if (err) return callback(err);
+          callback(null, { ...sale, items, payments, promotions });
+        });
+      });
+    });
+  });
+}
+
+// Loads the sale and the shop settings for a printing route
+function loadPrintableSale(req, res, callback) {
+  loadSaleDetails(req.params.id, recordBranchScope(req), (err, sale) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!sale) return res.status(404).json({ error: 'Sale not found' });
+
+    getSetting('shop', DEFAULT_SHOP_SETTINGS, (err, shop) => {
+      if (err) return res.status(500).json({ error: err.message });
+      callback(sale, shop);
+    });
+  });
+}
+
+function printMoney(value) {
+  return `Rs. ${roundMoney(Number(value) || 0).toLocaleString('en-US')}`;
+}
+
+// Stored timestamps are UTC; printed ones are shop time
+function printDateTime(value) {
+  const date = new Date(`${String(value).replace(' ', 'T')}Z`);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Warranty line for an item; the expiry matches the warranty lookup (sale date + warranty_days)
+function warrantyLine(sale, item) {
+  if (!(item.warranty_days > 0)) return null;
+  const expires = new Date(`${String(sale.sale_date).replace(' ', 'T')}Z`);
+  expires.setDate(expires.getDate() + item.warranty_days);
+  return `Warranty: ${item.warranty_days} days (until ${formatDate(expires)})`;
+}
+
+// Sales tax on a sale split into what was added to the bill and what the prices already included
+function saleTaxTotals(sale) {
+  const sum = (items) => roundMoney(items.reduce((total, item) => total + item.tax_amount, 0));
+  return {
+    added: sum(sale.items.filter(item => !item.tax_inclusive)),
+    included: sum(sale.items.filter(item => item.tax_inclusive))
+  };
+}
+
+function taxRegistrationLine(shop) {
+  return [shop.ntn ? `NTN: ${shop.ntn}` : null, shop.strn ? `STRN: ${shop.strn}` : null].filter(text => text).join('  ');
+}
+
+// The tax authority's invoice number once the sale has been reported, or a note while it waits
+function fiscalInvoiceLine(sale) {
+  if (sale.fiscal_invoice_number) return `FBR Invoice #: ${sale.fiscal_invoice_number}`;
+  return sale.fiscal_status ? 'FBR Invoice #: pending' : null;
+}
+
+// What the customer paid at the counter (refund lines from returns are left out)
+function printedPayments(sale) {
+  return sale.payments.filter(payment => !payment.return_id);
+}
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const RECEIPT_COLUMNS = { 58: 32, 80: 48 };
+const RECEIPT_DOTS = { 58: 384, 80: 576 };
+
+// Thermal printers use a single-byte code page, so text is reduced to plain ASCII
+function receiptText(value) {
+  return String(value === null || value === undefined ? '' : value).normalize('NFKD').replace(/[^\x20-\x7e]/g, '');
+}
+
+function wrapText(text, width) {
+  const lines = [];
+  receiptText(text).split(/\s+/).filter(word => word).forEach(word => {
+    while (word.length > width) {
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    const last = lines.length > 0 ? lines[lines.length - 1] : null;
+    if (last !== null && last.length + 1 + word.length <= width) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+  });
+  return lines;
+}
+
+// Monochrome raster of a PNG (GS v 0), scaled down to fit the given number of dots
+function escposImage(pngBuffer, maxDots) {
+  const png = PNG.sync.read(pngBuffer);
+  const scale = Math.min(1, maxDots / png.width);
+  const width = Math.max(1, Math.floor(png.width * scale));
+  const height = Math.max(1, Math.floor(png.height * scale));
+  const bytesPerRow = Math.ceil(width / 8);
+  const raster = Buffer.alloc(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (Math.floor(y / scale) * png.width + Math.floor(x / scale)) * 4;
+      const alpha = png.data[offset + 3] / 255;
+      const luminance = (0.299 * png.data[offset] + 0.587 * png.data[offset + 1] + 0.114 * png.data[offset + 2]) * alpha
+        + 255 * (1 - alpha);
+      if (luminance < 128) raster[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return Buffer.concat([
+    Buffer.from([GS, 0x76, 0x30, 0, bytesPerRow & 0xff, bytesPerRow >> 8, height & 0xff, height >> 8]),
+    raster
+  ]);
+}
+
+// QR code printed by the printer itself (GS ( k, model 2)
+function escposQrCode(data, moduleSize) {
+  const payload = Buffer.from(receiptText(data));
+  const store = payload.length + 3;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0]),
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize]),
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31]),
+    Buffer.from([GS, 0x28, 0x6b, store & 0xff, store >> 8, 0x31, 0x50, 0x30]),
+    payload,
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30])
+  ]);
+}
+
+// Line-by-line ESC/POS output for a 58 or 80mm printer; bytes() ends the receipt and cuts the paper
+function receiptWriter(paperWidth) {
+  const columns = RECEIPT_COLUMNS[paperWidth];
+  const chunks = [Buffer.from([ESC, 0x40, ESC, 0x74, 0])];
+  const out = {
+    paperWidth,
+    raw: (...bytes) => chunks.push(Buffer.from(bytes)),
+    push: (buffer) => chunks.push(buffer),
+    align: (n) => out.raw(ESC, 0x61, n),
+    bold: (on) => out.raw(ESC, 0x45, on ? 1 : 0),
+    size: (n) => out.raw(GS, 0x21, n),
+    line: (text = '') => chunks.push(Buffer.from(`${receiptText(text)}\n`, 'ascii')),
+    wrapped: (text, indent = '') => wrapText(text, columns - indent.length).forEach(part => out.line(indent + part)),
+    pair: (left, right, indent = '') => {
+      const rightText = receiptText(right);
+      const leftLines = wrapText(left, columns - indent.length - rightText.length - 1).map(part => indent + part);
+      leftLines.slice(0, -1).forEach(part => out.line(part));
+      const last = leftLines.length > 0 ? leftLines[leftLines.length - 1] : indent;
+      out.line(last + ' '.repeat(Math.max(1, columns - last.length - rightText.length)) + rightText);
+    },
+    rule: () => out.line('-'.repeat(columns)),
+    bytes: () => {
+      out.raw(ESC, 0x64, 4);
+      out.raw(GS, 0x56, 0x42, 0);
+      return Buffer.concat(chunks);
+    }
+  };
+  return out;
+}
+
+// Logo, shop name and details at the top of a receipt
+function receiptShopHeader(out, shop) {
+  const columns = RECEIPT_COLUMNS[out.paperWidth];
+  out.align(1);
+  if (shop.show_logo && fs.existsSync(SHOP_LOGO_PATH)) {
+    out.push(escposImage(fs.readFileSync(SHOP_LOGO_PATH), Math.floor(RECEIPT_DOTS[out.paperWidth] * 0.6)));
+    out.line();
+  }
+  out.bold(true);
+  out.size(0x11);
+  wrapText(shop.name, Math.floor(columns / 2)).forEach(part => out.line(part));
+  out.size(0);
+  out.bold(false);
+  [shop.address, shop.contact, shop.email, shop.website, taxRegistrationLine(shop)]
+    .filter(text => text).forEach(text => out.wrapped(text));
+  out.align(0);
+}
+
+// FBR invoice number, QR code, footer and terms at the bottom of a receipt
+function receiptShopFooter(out, shop, fiscalLine, qrData) {
+  out.align(1);
+  if (fiscalLine) out.wrapped(fiscalLine);
+  out.push(escposQrCode(qrData, out.paperWidth === 58 ? 5 : 6));
+  out.line();
+  if (shop.footer) out.wrapped(shop.footer);
+  out.align(0);
+  if (shop.terms) {
+    out.line();
+    shop.terms.split(/\r?\n/).forEach(text => out.wrapped(text));
+  }
+}
+
+// Builds the receipt as ESC/POS bytes for a 58 or 80mm printer
+function renderReceipt(sale, shop, paperWidth) {
+  const out = receiptWriter(paperWidth);
+  receiptShopHeader(out, shop);
+  out.rule();
+  out.pair('Invoice', sale.invoice_number);
+  out.pair('Date', printDateTime(sale.sale_date));
+  if (sale.customer_name) out.pair('Customer', sale.customer_name);
+  if (sale.customer_phone) out.pair('Phone', sale.customer_phone);
+  out.rule();
+
+  sale.items.forEach(item => {
+    out.bold(true);
+    out.wrapped(item.product_name);
+    out.bold(false);
+    out.pair(`${item.quantity} x ${printMoney(item.unit_price)}`, printMoney(item.line_total), '  ');
+    if (item.promotion_amount > 0) out.pair('Promotion', `- ${printMoney(item.promotion_amount)}`, '  ');
+    if (item.serial_imei) out.wrapped(`IMEI/SN: ${item.serial_imei}`, '  ');
+    const warranty = warrantyLine(sale, item);
+    if (warranty) out.wrapped(warranty, '  ');
+  });
+  out.rule();
+
+  const tax = saleTaxTotals(sale);
+  out.pair('Subtotal', printMoney(sale.subtotal));
+  sale.promotions.forEach(promotion => out.pair(promotion.name, `- ${printMoney(promotion.amount)}`));
+  if (sale.discount_amount > 0) out.pair('Discount', `- ${printMoney(saleDiscountValue(sale))}`);
+  if (tax.added > 0) out.pair('Sales tax', printMoney(tax.added));
+  out.bold(true);
+  out.size(0x01);
+  out.pair('TOTAL', printMoney(sale.net_total));
+  out.size(0);
+  out.bold(false);
+  if (tax.included > 0) out.pair('Includes sales tax', printMoney(tax.included));
+  printedPayments(sale).forEach(payment => {
+    out.pair(paymentMethodName(payment.method), printMoney(payment.tendered || payment.amount));
+    if (payment.change_given > 0) out.pair('Change', printMoney(payment.change_given));
+  });
+  out.rule();
+
+  receiptShopFooter(out, shop, fiscalInvoiceLine(sale), sale.fiscal_invoice_number || sale.invoice_number);
+  return out.bytes();
+}
+
+function paymentMethodName(method) {
+  return { cash: 'Cash', card: 'Card', bank_transfer: 'Bank transfer', trade_in: 'Trade-in', account: 'On account',
+           store_credit: 'Store credit', exchange: 'Exchange', credit: 'Credit', mixed: 'Mixed' }[method] || method;
+}
+
+// Sends receipt bytes to a network printer (raw TCP, usually port 9100)
+function sendToPrinter(printer, bytes, callback) {
+  let finished = false;
+  const finish = (err) => {
+    if (finished) return;
+    finished = true;
+    socket.destroy();
+    callback(err);
+  };
+  const socket = net.connect({ host: printer.host, port: printer.port }, () => {
+    socket.end(bytes, () => finish(null));
+  });
+  socket.setTimeout(5000, () => finish(new Error(`Printer ${printer.host}:${printer.port} did not respond`)));
+  socket.on('error', (err) => finish(new Error(`Printer ${printer.host}:${printer.port}: ${err.message}`)));
+}
+
+// Raw ESC/POS bytes, for a print agent or a printer shared on this machine
+app.get('/api/sales/:id/receipt', requireAuth, (req, res) => {
+  loadPrintableSale(req, res, (sale, shop) => {
+    const width = Number(req.query.width || shop.receipt_width);
+    if (!RECEIPT_WIDTHS.includes(width)) {
+      return res.status(400).json({ error: 'Receipt width must be 58 or 80 mm' });
+    }
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${sale.invoice_number}-${width}mm.bin"`);
+    res.send(renderReceipt(sale, shop, width));
+  });
+});
+
+// Prints the receipt on the network printer from the shop settings
+app.post('/api/sales/:id/receipt/print', requireAuth, (req, res) => {
+  loadPrintableSale(req, res, (sale, shop) => {
+    const width = Number(req.query.width || shop.receipt_width);
+    if (!RECEIPT_WIDTHS.includes(width)) {
+      return res.status(400).json({ error: 'Receipt width must be 58 or 80 mm' });
+    }
+    if (!shop.receipt_printer.host) {
+      return res.status(400).json({ error: 'No receipt printer is set up in the shop settings', printer_required: true });
+    }
+
+    sendToPrinter(shop.receipt_printer, renderReceipt(sale, shop, width), (err) => {
+      if (err) return res.status(502).json({ error: err.message });
+      res.json({ success: true });
+    });
+  });
+});
+
+// A4/A5 PDF invoice
+app.get('/api/sales/:id/invoice.pdf', requireAuth, (req, res) => {
+  loadPrintableSale(req, res, (sale, shop) => {
+    const pageSize = String(req.query.size || shop.invoice_size).toUpperCase();
+    if (!INVOICE_SIZES.includes(pageSize)) {
+      return res.status(400).json({ error: 'Invoice size must be A4 or A5' });
+    }
+
+    QRCode.toBuffer(sale.fiscal_invoice_number || sale.invoice_number, { margin: 1, width: 240 }, (err, qrPng) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition',
+        `${req.query.download ? 'attachment' : 'inline'}; filename="${sale.invoice_number}.pdf"`);
+      const doc = renderInvoicePdf(sale, shop, pageSize, qrPng);
+      doc.pipe(res);
+      doc.end();
+    });
+  });
+});
+
+// A blank A4/A5 document with the measurements the invoice layouts share
+function createPdfPage(shop, pageSize, title) {
+  const small = pageSize === 'A5';
+  const margin = small ? 28 : 40;
+  const doc = new PDFDocument({ size: pageSize, margin, info: { Title: title, Author: shop.name } });
+  return {
+    doc,
+    small,
+    left: margin,
+    width: doc.page.width - margin * 2,
+    fontSize: small ? 8 : 10,
+    bottom: () => doc.page.height - margin
+  };
+}
+
+// Header: logo, shop details, QR code of the document number
+function pdfShopHeader(page, shop, qrPng) {
+  const { doc, left, width, small, fontSize } = page;
+  const qrSize = small ? 60 : 80;
+  const top = doc.y;
+  let textLeft = left;
+  if (shop.show_logo && fs.existsSync(SHOP_LOGO_PATH)) {
+    doc.image(SHOP_LOGO_PATH, left, top, { fit: [qrSize, qrSize] });
+    textLeft = left + qrSize + 10;
+  }
+  doc.image(qrPng, left + width - qrSize, top, { width: qrSize });
+  const textWidth = left + width - qrSize - 10 - textLeft;
+  doc.font('Helvetica-Bold').fontSize(small ? 14 : 18).text(shop.name, textLeft, top, { width: textWidth });
+  doc.font('Helvetica').fontSize(fontSize);
+  [shop.address, shop.contact, [shop.email, shop.website].filter(text => text).join(' | '), taxRegistrationLine(shop)]
+    .filter(text => text).forEach(text => doc.text(text, textLeft, doc.y, { width: textWidth }));
+  doc.y = Math.max(doc.y, top + qrSize) + 10;
+}
+
+// Title and document lines on the left, the customer on the right
+function pdfDocumentDetails(page, title, details, customer) {
+  const { doc, left, width, small, fontSize } = page;
+  const detailsTop = doc.y;
+  doc.font('Helvetica-Bold').fontSize(small ? 11 : 13).text(title, left, detailsTop);
+  doc.font('Helvetica').fontSize(fontSize);
+  details.filter(text => text).forEach(text => doc.text(text));
+  const leftBottom = doc.y;
+  doc.y = detailsTop;
+  ['customer_name', 'customer_phone', 'customer_cnic'].forEach((field, index) => {
+    if (customer[field]) doc.text(`${['Customer', 'Phone', 'CNIC'][index]}: ${customer[field]}`, left + width / 2, doc.y, { width: width / 2, align: 'right' });
+  });
+  doc.y = Math.max(doc.y, leftBottom) + 10;
+}
+
+// Item table: the first column is the name with smaller detail lines under it, the rest are right-aligned
+// values. cols are fractions of the page width; rows are { name, details, values }.
+function pdfItemTable(page, cols, rows) {
+  const { doc, left, width, fontSize, bottom } = page;
+  let x = left;
+  const placed = cols.map(col => {
+    const placedCol = { ...col, x, width: width * col.width };
+    x += placedCol.width;
+    return placedCol;
+  });
+  const headerRow = () => {
+    const y = doc.y;
+    doc.rect(left, y - 3, width, fontSize + 8).fill('#eeeeee').fillColor('black');
+    doc.font('Helvetica-Bold');
+    placed.forEach(col => doc.text(col.header, col.x + 3, y, { width: col.width - 6, align: col.align || 'left' }));
+    doc.font('Helvetica');
+    doc.y = y + fontSize + 8;
+  };
+  headerRow();
+
+  rows.forEach(row => {
+    const details = row.details.filter(text => text);
+    const nameHeight = doc.heightOfString(row.name, { width: placed[0].width - 6 })
+      + details.reduce((sum, text) => sum + doc.fontSize(fontSize - 1).heightOfString(text, { width: placed[0].width - 6 }), 0);
+    doc.fontSize(fontSize);
+    if (doc.y + nameHeight + 6 > bottom()) {
+      doc.addPage();
+      headerRow();
+    }
+
+    const y = doc.y;
+    doc.text(row.name, placed[0].x + 3, y, { width: placed[0].width - 6 });
+    doc.fontSize(fontSize - 1).fillColor('#555555');
+    details.forEach(text => doc.text(text, placed[0].x + 3, doc.y, { width: placed[0].width - 6 }));
+    doc.fontSize(fontSize).fillColor('black');
+    const rowBottom = doc.y;
+    row.values.forEach((text, index) => {
+      const col = placed[index + 1];
+      doc.text(text, col.x + 3, y, { width: col.width - 6, align: 'right' });
+    });
+    doc.y = rowBottom + 4;
+    doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).strokeColor('#dddddd').stroke();
+  });
+}
+
+// Label/value rows on the right half; [label, value, strong]
+function pdfTotals(page, totals) {
+  const { doc, left, width, fontSize, bottom } = page;
+  if (doc.y + totals.length * (fontSize + 6) + 10 > bottom()) doc.addPage();
+  doc.y += 6;
+  totals.forEach(([label, value, strong]) => {
+    const y = doc.y;
+    doc.font(strong ? 'Helvetica-Bold' : 'Helvetica').fontSize(strong ? fontSize + 2 : fontSize);
+    doc.text(label, left + width * 0.5, y, { width: width * 0.25 });
+    doc.text(value, left + width * 0.75, y, { width: width * 0.25, align: 'right' });
+    doc.moveDown(0.2);
+  });
+  doc.font('Helvetica').fontSize(fontSize);
+}
+
+// Footer and terms
+function pdfShopFooter(page, shop) {
+  const { doc, left, width, fontSize } = page;
+  doc.moveDown(1.5);
+  if (shop.footer) doc.font('Helvetica-Bold').text(shop.footer, left, doc.y, { width, align: 'center' }).font('Helvetica');
+  if (shop.terms) {
+    doc.moveDown(0.5).fontSize(fontSize - 1).fillColor('#555555')
+      .text('Terms & Conditions', left, doc.y, { width }).text(shop.terms, { width });
+    doc.fillColor('black');
+  }
+}
+
+function renderInvoicePdf(sale, shop, pageSize, qrPng) {
+  const page = createPdfPage(shop, pageSize, `Invoice ${sale.invoice_number}`);
+  pdfShopHeader(page, shop, qrPng);
+  pdfDocumentDetails(page, sale.tax_amount > 0 ? 'SALES TAX INVOICE' : 'INVOICE', [
+    `Invoice #: ${sale.invoice_number}`,
+    `Date: ${printDateTime(sale.sale_date)}`,
+    `Payment: ${paymentMethodName(sale.payment_type)}`,
+    fiscalInvoiceLine(sale)
+  ], sale);
+
+  pdfItemTable(page, [
+    { header: 'Item', width: 0.52 },
+    { header: 'Qty', width: 0.1, align: 'right' },
+    { header: 'Price', width: 0.18, align: 'right' },
+    { header: 'Total', width: 0.2, align: 'right' }
+  ], sale.items.map(item => ({
+    name: item.product_name,
+    details: [item.promotion_amount > 0 ? `Promotion: - ${printMoney(item.promotion_amount)}` : null,
+      item.serial_imei ? `IMEI/SN: ${item.serial_imei}` : null, warrantyLine(sale, item), item.remarks,
+      item.tax_amount > 0 ? `Sales tax ${item.tax_rate}%${item.tax_inclusive ? ' incl.' : ''}: ${printMoney(item.tax_amount)}` : null],
+    values: [String(item.quantity), printMoney(item.unit_price), printMoney(item.line_total)]
+  })));
+
+  // Totals and payments
+  const tax = saleTaxTotals(sale);
+  const totals = [['Subtotal', printMoney(sale.subtotal)]];
+  sale.promotions.forEach(promotion => totals.push([promotion.name, `- ${printMoney(promotion.amount)}`]));
+  if (sale.discount_amount > 0) totals.push(['Discount', `- ${printMoney(saleDiscountValue(sale))}`]);
+  if (tax.added > 0) totals.push(['Sales Tax', printMoney(tax.added)]);
+  totals.push(['Net Total', printMoney(sale.net_total), true]);
+  if (tax.included > 0) totals.push(['Includes Sales Tax', printMoney(tax.included)]);
+  printedPayments(sale).forEach(payment => {
+    totals.push([`${paymentMethodName(payment.method)}${payment.reference ? ` (${payment.reference})` : ''}`,
+      printMoney(payment.tendered || payment.amount)]);
+    if (payment.change_given > 0) totals.push(['Change', printMoney(payment.change_given)]);
+  });
+  pdfTotals(page, totals);
+  pdfShopFooter(page, shop);
+  return page.doc;
+}
+
+// Fiscal Invoice Routes (tax authority POS integration)
+// Every sale, and every return as a credit note against it, is reported to the FBR POS service,
+// which answers with a fiscal invoice number to print on the receipt. Invoices are queued in the
+// same transaction as the sale and sent in the background, so the counter keeps selling while the
+// shop is offline. Settings live under 'fiscal'; url can point at tools/fbr-stub.js for testing.
+const DEFAULT_FISCAL_SETTINGS = {
+  enabled: false,
+  pos_id: '',
+  url: 'https://gw.fbr.gov.pk/imsp/v1/api/Live/PostData',
+  token: ''
+};
+const FISCAL_INVOICE_TYPES = { sale: 1, credit_note: 3 };
+// Cash and card have their own codes; everything else is reported as mixed
+const FISCAL_PAYMENT_MODES = { cash: 1, card: 2 };
+const FISCAL_CHECK_INTERVAL_MS = 60 * 1000;
+const FISCAL_TIMEOUT_MS = 15 * 1000;
+const FISCAL_MAX_RETRY_MINUTES = 60;
+const fiscalState = { running: false, last_run_at: null, last_error: null };
+
+// Shop time with seconds, as the service expects
+function fiscalDateTime(value) {
+  const date = new Date(`${String(value).replace(' ', 'T')}Z`);
+  return `${printDateTime(value)}:${String(date.getSeconds()).padStart(2, '0')}`;
+}
+
+function fiscalItem(item, { quantity, value, tax, discount, invoiceType, refUsin }) {
+  return {
+    ItemCode: item.sku || String(item.product_id),
+    ItemName: item.product_name,
+    Quantity: quantity,
+    PCTCode: item.pct_code || '',
+    TaxRate: item.tax_rate,
+    SaleValue: value,
+    TotalAmount: roundMoney(value + tax),
+    TaxCharged: tax,
+    Discount: discount,
+    FurtherTax: 0,
+    InvoiceType: invoiceType,
+    RefUSIN: refUsin
+  };
+}
+
+function fiscalPayload(sale, settings, { usin, dateTime, items, discount, invoiceType, refUsin }) {
+  const total = (field) => roundMoney(items.reduce((sum, item) => sum + item[field], 0));
+  return {
+    InvoiceNumber: '',
+    POSID: Number(settings.pos_id),
+    USIN: usin,
+    DateTime: fiscalDateTime(dateTime),
+    BuyerNTN: '',
+    BuyerCNIC: sale.customer_cnic || '',
+    BuyerName: sale.customer_name || '',
+    BuyerPhoneNumber: sale.customer_phone || '',
+    TotalBillAmount: total('TotalAmount'),
+    TotalQuantity: items.reduce((sum, item) => sum + item.Quantity, 0),
+    TotalSaleValue: total('SaleValue'),
+    TotalTaxCharged: total('TaxCharged'),
+    Discount: discount,
+    FurtherTax: 0,
+    PaymentMode: FISCAL_PAYMENT_MODES[sale.payment_type] || 5,
+    RefUSIN: refUsin,
+    InvoiceType: invoiceType,
+    Items: items
+  };
+}
+
+// The sale as it was invoiced: each line with its promotions and share of the discount, and the tax
+// it was charged
+function fiscalSalePayload(sale, items, settings) {
+  const shares = saleLineDiscounts(sale, items);
+  const discount = roundMoney(shares.reduce((sum, share) => sum + share, 0));
+  return fiscalPayload(sale, settings, {
+    usin: sale.invoice_number,
+    dateTime: sale.sale_date,
+    discount,
+    invoiceType: FISCAL_INVOICE_TYPES.sale,
+    refUsin: null,
+    items: items.map((item, index) => {
+      const charged = roundMoney(item.line_total - shares[index]);
+      return fiscalItem(item, {
+        quantity: item.quantity,
+        value: item.tax_inclusive ? roundMoney(charged - item.tax_amount) : charged,
+        tax: item.tax_amount,
+        discount: shares[index],
+        invoiceType: FISCAL_INVOICE_TYPES.sale,
+        refUsin: null
+      });
+    })
+  });
+}
+
+// A return as a credit note against the sale's invoice, for what was refunded and the tax reversed.
+// The returns on one document go on one credit note numbered as the document; a return made before
+// there were documents is numbered from its sale.
+function fiscalReturnPayload(sale, items, returns, documentNumber, settings) {
+  const usin = documentNumber || `${sale.invoice_number}-R${returns[0].id}`;
+  return fiscalPayload(sale, settings, {
+    usin,
+    dateTime: returns[0].return_date,
+    discount: roundMoney(returns.reduce((sum, ret) => sum + ret.discount_amount, 0)),
+    invoiceType: FISCAL_INVOICE_TYPES.credit_note,
+    refUsin: sale.invoice_number,
+    items: returns.map(ret => fiscalItem(items.find(line => line.id === ret.sale_item_id), {
+      quantity: ret.quantity,
+      value: roundMoney(ret.return_amount - ret.tax_amount),
+      tax: ret.tax_amount,
+      discount: ret.discount_amount,
+      invoiceType: FISCAL_INVOICE_TYPES.credit_note,
+      refUsin: sale.invoice_number
+    }))
+  });
+}
+
+// Queues a sale's invoice (or, given a return, its credit note) when reporting is switched on.
+// Runs inside the caller's transaction so a sale is never left unreported. A credit note is only
+// queued against a sale that was itself queued, since there is no invoice to credit otherwise.
+function queueFiscalInvoice(saleId, returnId, callback) {
+  getSetting('fiscal', DEFAULT_FISCAL_SETTINGS, (err, settings) => {
+    if (err) return callback(err);
+    if (!settings.enabled) return callback(null);
+
+    db.get(`SELECT s.*, (SELECT COUNT(*) FROM fiscal_submissions f WHERE f.sale_id = s.id AND f.return_id IS NULL) as reported
+            FROM sales s WHERE s.id = ?`, [saleId], (err, sale) => {
+      if (err) return callback(err);
+      if (!sale) return callback(new Error('Sale not found'));
+      if (returnId && !sale.reported) return callback(null);
+
+      db.all(`SELECT si.*, p.sku, c.pct_code
+              FROM sale_items si
+              LEFT JOIN products p ON si.product_id = p.id
+              LEFT JOIN categories c ON p.category_id = c.id
+              WHERE si.sale_id = ? ORDER BY si.id`, [saleId], (err, items) => {
+        if (err) return callback(err);
+
+        const insert = (payload) => db.run(`INSERT INTO fiscal_submissions (sale_id, return_id, usin, payload)
+                                            VALUES (?, ?, ?, ?)`,
+          [saleId, returnId, payload.USIN, JSON.stringify(payload)], callback);
+        if (!returnId) return insert(fiscalSalePayload(sale, items, settings));
+
+        db.all(`SELECT r.*, d.document_number FROM returns r
+                LEFT JOIN return_documents d ON r.document_id = d.id
+                WHERE r.id = ? OR r.document_id = (SELECT document_id FROM returns WHERE id = ?)
+                ORDER BY r.id`, [returnId, returnId], (err, returns) => {
+          if (err) return callback(err);
+          if (returns.length === 0) return callback(new Error('Return not found'));
+          insert(fiscalReturnPayload(sale, items, returns, returns[0].document_number, settings));
+        });
+      });
+    });
+  });
+}
+
+// Sends one queued invoice. Calls back with an error only when the service could not be reached
+// (or failed on its side): the invoice is retried after a growing delay and the rest of the batch
+// waits. An invoice the service rejects is marked failed until someone retries it.
+function submitFiscalInvoice(submission, settings, callback) {
+  const record = (statements, err) => runSequence(statements, (dbErr) => callback(dbErr || err));
+  const retry = (message) => {
+    const delay = Math.min(2 ** submission.attempts, FISCAL_MAX_RETRY_MINUTES);
+    record([[`UPDATE fiscal_submissions SET attempts = attempts + 1, last_error = ?, next_attempt_at = DATETIME('now', ?)
+              WHERE id = ?`, [message, `+${delay} minutes`, submission.id]]], new Error(message));
+  };
+  const reject = (message) => {
+    record([[`UPDATE fiscal_submissions SET status = 'failed', attempts = attempts + 1, last_error = ? WHERE id = ?`,
+             [message, submission.id]]]);
+  };
+
+  fetch(settings.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${settings.token}` },
+    body: submission.payload,
+    signal: AbortSignal.timeout(FISCAL_TIMEOUT_MS)
+  }).then(response => response.text().then(text => {
+    let result = null;
+    try {
+      result = JSON.parse(text);
+    } catch (err) {
+      result = null;
+    }
+
+    if (response.status >= 500) return retry(`FBR service error (HTTP ${response.status})`);
+    if (!result) return reject(`Unexpected answer (HTTP ${response.status}): ${text.slice(0, 200)}`);
+    if (String(result.Code) !== '100' || !result.InvoiceNumber) {
+      return reject(`${result.Code || response.status}: ${result.Response || 'Rejected'}${result.Errors ? ` (${result.Errors})` : ''}`);
+    }
+
+    record([
+      [`UPDATE fiscal_submissions SET status = 'submitted', fiscal_invoice_number = ?, attempts = attempts + 1,
+        last_error = NULL, submitted_at = CURRENT_TIMESTAMP WHERE id = ?`, [result.InvoiceNumber, submission.id]],
+      submission.return_id
+        ? [`UPDATE returns SET fiscal_invoice_number = ?
+            WHERE id = ? OR document_id = (SELECT document_id FROM returns WHERE id = ?)`,
+          [result.InvoiceNumber, submission.return_id, submission.return_id]]
+        : ['UPDATE sales SET fiscal_invoice_number = ? WHERE id = ?', [result.InvoiceNumber, submission.sale_id]]
+    ]);
+  }), (err) => {
+    retry(err.name === 'TimeoutError' ? 'FBR service did not respond' : `FBR service unreachable: ${(err.cause || err).message}`);
+  });
+}
+
+// Pending credit notes against a sale whose invoice the service turned down; they fail with it
+const FAIL_ORPHANED_CREDIT_NOTES = `
+  UPDATE fiscal_submissions SET status = 'failed', last_error = 'The sale''s invoice was not accepted'
+  WHERE status = 'pending' AND return_id IS NOT NULL
+    AND sale_id IN (SELECT sale_id FROM fiscal_submissions WHERE return_id IS NULL AND status = 'failed')
+`;
+
+// Sends what is due, oldest first. A credit note waits until the sale it refers to has gone through,
+// and fails when the sale's invoice has failed.
+function processFiscalQueue(callback = () => {}) {
+  if (!db || fiscalState.running || databaseSwapping) return callback(null, 0);
+
+  getSetting('fiscal', DEFAULT_FISCAL_SETTINGS, (err, settings) => {
+    if (err) return callback(err);
+    if (!settings.enabled) return callback(null, 0);
+    fiscalState.running = true;
+    const stop = (err, sent) => {
+      fiscalState.running = false;
+      callback(err, sent);
+    };
+
+    db.run(FAIL_ORPHANED_CREDIT_NOTES, [], (err) => {
+      if (err) return stop(err);
+
+      db.all(`SELECT f.* FROM fiscal_submissions f
+              WHERE f.status = 'pending' AND f.next_attempt_at <= CURRENT_TIMESTAMP
+                AND NOT (f.return_id IS NOT NULL AND EXISTS (
+                  SELECT 1 FROM fiscal_submissions o
+                  WHERE o.sale_id = f.sale_id AND o.return_id IS NULL AND o.status <> 'submitted'))
+              ORDER BY f.id LIMIT 50`, [], (err, submissions) => {
+        if (err) return stop(err);
+
+        runEach(submissions, (submission, index, next) => submitFiscalInvoice(submission, settings, next), (err) => {
+          fiscalState.last_run_at = new Date();
+          fiscalState.last_error = err ? err.message : null;
+          db.run(FAIL_ORPHANED_CREDIT_NOTES, [], (err) => stop(err, submissions.length));
+        });
+      });
+    });
+  });
+}
+
+function startFiscalQueue() {
+  setTimeout(() => processFiscalQueue(), 5000).unref();
+  setInterval(() => processFiscalQueue(), FISCAL_CHECK_INTERVAL_MS).unref();
+}
+
+// The access token is never sent back; leaving it blank on save keeps the current one
+app.get('/api/settings/fiscal', requirePermission('settings.manage'), (req, res) => {
+  getSetting('fiscal', DEFAULT_FISCAL_SETTINGS, (err, settings) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ ...settings, token: '', token_set: !!settings.token });
+  });
+});
+
+app.put('/api/settings/fiscal', requirePermission('settings.manage'), (req, res) => {
+  getSetting('fiscal', DEFAULT_FISCAL_SETTINGS, (err, current) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const { enabled, pos_id, url, token } = req.body;
+    const settings = {
+      enabled: enabled !== undefined ? !!enabled : current.enabled,
+      pos_id: pos_id !== undefined ? String(pos_id).trim() : current.pos_id,
+      url: url !== undefined ? String(url).trim() : current.url,
+      token: token ? String(token).trim() : current.token
+    };
+
+    if (settings.enabled && !/^\d+$/.test(settings.pos_id)) {
+      return res.status(400).json({ error: 'POS ID must be the number issued by FBR' });
+    }
+    if (settings.enabled && !/^https?:\/\//.test(settings.url)) {
+      return res.status(400).json({ error: 'Service URL must start with http:// or https://' });
+    }
+
+    saveSetting('fiscal', settings, req.user.id, (err) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const hidden = (value) => ({ ...value, token: value.token ? '(set)' : '' });
+      recordAudit(req, { entity: 'settings', entityId: 'fiscal', action: 'update', before: hidden(current), after: hidden(settings) }, () => {
+        res.json({ ...settings, token: '', token_set: !!settings.token });
+      });
+    });
+  });
+});
+
+app.get('/api/fiscal/submissions', requirePermission('settings.manage'), (req, res) => {
+  const { status } = req.query;
+  let query = `SELECT f.id, f.sale_id, f.return_id, f.usin, f.status, f.attempts, f.last_error, f.fiscal_invoice_number,
+                      f.next_attempt_at, f.created_at, f.submitted_at, s.invoice_number, s.customer_name
+               FROM fiscal_submissions f
+               JOIN sales s ON f.sale_id = s.id
+               WHERE 1=1`;
+  const params = [];
+  if (status) {
+    query += ' AND f.status = ?';
+    params.push(status);
+  }
+  query += ' ORDER BY f.id DESC LIMIT 200';
+
+  db.all(query, params, (err, submissions) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    db.all('SELECT status, COUNT(*) as count FROM fiscal_submissions GROUP BY status', [], (err, rows) => {
+      if (err) return res.status(500).json({ error: err.message });
+      const counts = { pending: 0, submitted: 0, failed: 0 };
+      rows.forEach(row => { counts[row.status] = row.count; });
+      res.json({ counts, state: fiscalState, submissions });
+    });
+  });
+});
+
+// Sends everything waiting now instead of at its next retry time; failed invoices are
+// retried too once they are named (?ids=3,4), along with the credit notes against a named sale,
+// or with ?failed=1
+app.post('/api/fiscal/submissions/send', requirePermission('settings.manage'), (req, res) => {
+  const ids = String(req.query.ids || '').split(',').map(Number).filter(id => Number.isInteger(id) && id > 0);
+  let sql = `UPDATE fiscal_submissions SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP
+             WHERE status = 'pending'`;
+  if (ids.length > 0) {
+    const list = ids.map(() => '?').join(',');
+    sql += ` OR (status = 'failed' AND (id IN (${list}) OR (return_id IS NOT NULL AND sale_id IN (
+               SELECT sale_id FROM fiscal_submissions WHERE return_id IS NULL AND id IN (${list})))))`;
+  } else if (req.query.failed) {
+    sql += " OR status = 'failed'";
+  }
+
+  db.run(sql, ids.concat(ids), (err) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    processFiscalQueue((err, sent) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ success: !fiscalState.last_error, processed: sent, error: fiscalState.last_error });
+    });
+  });
+});
+
+// Returns Routes
+
+// Picks the sold units being returned for a sale item. Units can be named by IMEI/serial;
+// when nothing is named and the whole remaining quantity comes back, all of them are used.
+function selectReturnUnits(item, quantity, serials, callback) {
+  db.all(`SELECT * FROM product_units WHERE sale_item_id = ? AND status = 'sold'`, [item.id], (err, units) => {
+    if (err) return callback(err);
+    if (units.length === 0) return callback(null, []);
+
+    const codes = parseSerialCodes(serials);
+    if (codes.length === 0) {
+      if (units.length === Number(quantity)) return callback(null, units);
+      return callback(new Error('Specify the IMEI/serial of each unit being returned'));
+    }
+    if (codes.length !== Number(quantity)) {
+      return callback(new Error(`${quantity} IMEI/serial(s) required, ${codes.length} given`));
+    }
+
+    const selected = [];
+    for (const code of codes) {
+      const unit = units.find(u => unitMatchesCode(u, code));
+      if (!unit) return callback(new Error(`${code} was not sold on this invoice line`));
+      if (!selected.includes(unit)) selected.push(unit);
+    }
+    if (selected.length !== codes.length) {
+      return callback(new Error('The same unit is entered more than once'));
+    }
+    callback(null, selected);
+  });
+}
+
+// Puts returned units back in stock at the user's branch and records the return in each unit's history
+function markUnitsReturned(units, item, returnId, userId, callback) {
+  let remaining = units.length;
+  let failed = false;
+  if (remaining === 0) return callback(null);
+
+  units.forEach(unit => {
+    db.run(`UPDATE product_units SET status = 'in_stock', sale_item_id = NULL, branch_id = ${USER_BRANCH_SQL} WHERE id = ?`,
+      [userId, unit.id], (err) => {
+        if (failed) return;
+        if (err) {
+          failed = true;
+          return callback(err);
+        }
+
+        db.run(`INSERT INTO unit_events (unit_id, event_type, sale_id, sale_item_id, return_id, amount, created_by)
+                VALUES (?, 'returned', ?, ?, ?, ?, ?)`,
+          [unit.id, item.sale_id, item.id, returnId, item.unit_price, userId], (err) => {
+            if (failed) return;
+            if (err) {
+              failed = true;
+              return callback(err);
+            }
+            remaining--;
+            if (remaining === 0) callback(null);
+          });
+      });
+  });
+}
+
+// Where the refund of each way a sale was paid goes: card and bank transfer payments back the same
+// way, store credit back onto the customer's ledger, the unpaid part of a credit sale off what the
+// customer owes, and the rest (cash, trade-in value, goods given in exchange) in cash
+const REFUND_METHODS = { card: 'card', bank_transfer: 'bank_transfer', store_credit: 'store_credit', account: 'account' };
+// The customer ledger entry each ledger share of a refund is credited as
+const LEDGER_REFUND_ENTRIES = { account: 'return', store_credit: 'store_credit' };
+// Shares are worked out in this order and cash last, so the rounding falls on the cash refunded
+const REFUND_SPLIT_ORDER = ['account', 'store_credit', 'card', 'bank_transfer', 'trade_in', 'exchange', 'cash'];
+
+// Splits a refund across the ways the sale was paid, in proportion to what was paid each way, and
+// records it as negative payment lines. The customer's ledger is credited with the account and
+// store credit shares (the account share also comes off an installment plan on the sale), and the
+// cash share is paid out of the user's open shift.
+function allocateRefund(shift, saleId, returnId, amount, userId, callback) {
+  db.get('SELECT customer_id FROM sales WHERE id = ?', [saleId], (err, sale) => {
+    if (err) return callback(err);
+    if (!sale) return callback(new Error('Sale not found'));
+
+    db.all('SELECT method, SUM(amount) as paid FROM sale_payments WHERE sale_id = ? AND amount > 0 GROUP BY method',
+      [saleId], (err, rows) => {
+        if (err) return callback(err);
+
+        const paid = rows.filter(row => REFUND_SPLIT_ORDER.includes(row.method))
+          .sort((a, b) => REFUND_SPLIT_ORDER.indexOf(a.method) - REFUND_SPLIT_ORDER.indexOf(b.method));
+        const totalPaid = paid.reduce((sum, row) => sum + row.paid, 0);
+        const refunds = [];
+        let left = roundMoney(amount);
+        paid.forEach((row, index) => {
+          const share = index === paid.length - 1 ? left : Math.min(left, roundMoney(amount * row.paid / totalPaid));
+          let method = REFUND_METHODS[row.method] || 'cash';
+          // The ledger shares need a customer to go back to
+          if (LEDGER_REFUND_ENTRIES[method] && !sale.customer_id) method = 'cash';
+          if (share <= 0) return;
+
+          const refund = refunds.find(r => r.method === method);
+          if (refund) refund.amount = roundMoney(refund.amount + share);
+          else refunds.push({ method, amount: share });
+          left = roundMoney(left - share);
+        });
+        if (left > 0) refunds.push({ method: 'cash', amount: left });
+
+        const cashRefund = refunds.find(refund => refund.method === 'cash');
+        if (cashRefund && !shift) return callback(new Error('Open a shift before refunding cash'));
+
+        const statements = refunds.map(refund =>
+          salePaymentStatement(saleId, { method: refund.method, amount: -refund.amount }, userId, returnId));
+        refunds.filter(refund => LEDGER_REFUND_ENTRIES[refund.method]).forEach(refund => {
+          statements.push([`INSERT INTO customer_ledger (customer_id, entry_type, sale_id, return_id, credit, method, created_by)
+                            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [sale.customer_id, LEDGER_REFUND_ENTRIES[refund.method], saleId, returnId, refund.amount,
+             refund.method === 'store_credit' ? 'store_credit' : null, userId]]);
+        });
+        if (cashRefund) {
+          statements.push(cashMovementStatement(shift.id, 'refund', -cashRefund.amount, userId, { saleId, returnId }));
+        }
+        const accountRefund = refunds.find(refund => refund.method === 'account');
+        installmentReturnStatements(saleId, accountRefund ? accountRefund.amount : 0, (err, planStatements) => {
+          if (err) return callback(err);
+          runSequence(statements.concat(planStatements), (err) => callback(err, refunds));
+        });
+      });
+  });
+}
+
+// Return and exchange documents. A return takes back one or more lines of a sale (or all of it),
+// each line with its share of the sale's discount, and settles the value as a refund or as store
+// credit. An exchange also sells replacements on a new invoice in the same transaction: the
+// returned value pays for them and only the difference is charged, or refunded / credited.
+const RETURN_SETTLEMENTS = ['refund', 'store_credit'];
+
+// What comes back on a returned line: its share of the line's discount, the tax reversed (refunded
+// too when it had been added to the bill) and the profit taken back
+function priceReturnLine(item, quantity, lineDiscount) {
+  const discount = roundMoney(lineDiscount * quantity / item.quantity);
+  const tax = roundMoney(item.tax_amount * quantity / item.quantity);
+  return {
+    discount,
+    tax,
+    amount: roundMoney(item.unit_price * quantity - discount + (item.tax_inclusive ? 0 : tax)),
+    profit: roundMoney(item.profit * quantity / item.quantity - discount)
+  };
+}
+
+// Works out a return: the sale, and for each requested line ({ sale_item_id, quantity, serial_imei })
+// or, with wholeInvoice, everything still with the customer, the units and amounts coming back.
+// The sale has to be from branchId unless that is null. Nothing is written; calls back with { error }
+// for a bad request.
+function prepareReturn(saleId, branchId, requested, wholeInvoice, callback) {
+  db.get('SELECT * FROM sales WHERE id = ? AND (? IS NULL OR branch_id = ?)', [saleId, branchId, branchId], (err, sale) => {
+    if (err) return callback(err);
+    if (!sale) return callback(null, { error: 'Sale not found' });
+
+    db.all('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY id', [sale.id], (err, items) => {
+      if (err) return callback(err);
+
+      const discounts = saleLineDiscounts(sale, items);
+      const wanted = wholeInvoice
+        ? items.filter(item => item.quantity > item.returned_quantity)
+          .map(item => ({ sale_item_id: item.id, quantity: item.quantity - item.returned_quantity }))
+        : requested;
+      if (wanted.length === 0) {
+        return callback(null, { error: wholeInvoice ? `Everything on ${sale.invoice_number} has already been returned`
+          : 'Choose at least one item to return' });
+      }
+
+      const lines = [];
+      for (const request of wanted) {
+        const index = items.findIndex(item => item.id === Number(request.sale_item_id));
+        if (index === -1) return callback(null, { error: `Item ${request.sale_item_id} is not on ${sale.invoice_number}` });
+        const item = items[index];
+        if (lines.some(line => line.item === item)) {
+          return callback(null, { error: `${item.product_name} is entered more than once` });
+        }
+        const quantity = Number(request.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          return callback(null, { error: `${item.product_name}: quantity must be a positive whole number` });
+        }
+        if (quantity > item.quantity - item.returned_quantity) {
+          return callback(null, { error: `${item.product_name}: only ${item.quantity - item.returned_quantity} left to return` });
+        }
+        lines.push({ item, quantity, serials: request.serial_imei, ...priceReturnLine(item, quantity, discounts[index]) });
+      }
+
+      let lineError = null;
+      runEach(lines, (line, index, next) => {
+        selectReturnUnits(line.item, line.quantity, line.serials, (err, units) => {
+          if (err) lineError = `${line.item.product_name}: ${err.message}`;
+          line.units = units || [];
+          next(err);
+        });
+      }, () => {
+        if (lineError) return callback(null, { error: lineError });
+        const total = (field) => roundMoney(lines.reduce((sum, line) => sum + line[field], 0));
+        callback(null, { sale, lines, amount: total('amount'), tax: total('tax'), discount: total('discount'), profit: total('profit') });
+      });
+    });
+  });
+}
+
+// Finds who store credit goes to: the sale's customer, or the one named by phone/CNIC now
+function returnCustomer(sale, body, callback) {
+  if (sale.customer_id) return callback(null, sale.customer_id);
+  findOrCreateCustomer({
+    name: body.customer_name || sale.customer_name,
+    phone: body.customer_phone || sale.customer_phone,
+    cnic: body.customer_cnic || sale.customer_cnic
+  }, callback);
+}
+
+// Checks the settlement asked for. A credit sale's returns are always refunded the ways it was
+// paid, so the unpaid part comes off the customer's account, which is their store credit already.
+function returnSettlement(sale, settlement) {
+  if (settlement !== undefined && settlement !== '' && !RETURN_SETTLEMENTS.includes(settlement)) {
+    return { error: 'Settle a return as a refund or as store credit' };
+  }
+  return { settlement: sale.payment_type === 'credit' ? 'refund' : settlement || 'refund' };
+}
+
+function insertReturnDocument(req, document, callback) {
+  nextSequenceNumber(document.type === 'exchange' ? 'EX' : 'CN', (err, documentNumber) => {
+    if (err) return callback(err);
+
+    db.run(`INSERT INTO return_documents (document_number, document_type, sale_id, customer_id, settlement, returned_total,
+            exchange_total, charged, refunded, store_credit, reason, shift_id, branch_id, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [documentNumber, document.type, document.saleId, document.customerId, document.settlement, document.returnedTotal,
+       document.exchangeTotal || 0, document.charged || 0, document.refunded || 0, document.storeCredit || 0,
+       document.reason || null, req.shift ? req.shift.id : null, req.user.branch_id, req.session.userId],
+      function(err) {
+        if (err) return callback(err);
+        callback(null, { id: this.lastID, number: documentNumber });
+      });
+  });
+}
+
+// Writes the returned lines of a document: stock and units go back in at the user's branch and the
+// lines come off the sale's totals. Runs inside the caller's transaction; calls back with the return ids.
+function insertReturnLines(req, prepared, documentId, reason, callback) {
+  const returnIds = [];
+  runEach(prepared.lines, (line, index, next) => {
+    const { item, quantity } = line;
+    db.run(`INSERT INTO returns (sale_id, sale_item_id, product_id, quantity, return_amount, return_profit, tax_amount,
+            discount_amount, document_id, reason, shift_id, branch_id, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [item.sale_id, item.id, item.product_id, quantity, line.amount, line.profit, line.tax, line.discount, documentId,
+       reason || null, req.shift ? req.shift.id : null, req.user.branch_id, req.session.userId],
+      function(err) {
+        if (err) return next(err);
+
+        const returnId = this.lastID;
+        returnIds.push(returnId);
+        // The quantity check stops two returns taking back the same items
+        db.run(`UPDATE sale_items SET returned_quantity = returned_quantity + ?
+                WHERE id = ? AND returned_quantity + ? <= quantity`, [quantity, item.id, quantity], function(err) {
+          if (err) return next(err);
+          if (this.changes === 0) return next(new Error(`${item.product_name} has already been returned`));
+
+          runSequence([
+            ['UPDATE products SET quantity = quantity + ? WHERE id = ?', [quantity, item.product_id]],
+            stockMovementStatement(item.product_id, quantity, 'return', req.session.userId, { referenceId: returnId })
+          ], (err) => {
+            if (err) return next(err);
+            markUnitsReturned(line.units, item, returnId, req.session.userId, next);
+          });
+        });
+      });
+  }, (err) => {
+    if (err) return callback(err);
+    db.run('UPDATE sales SET net_total = net_total - ?, total_profit = total_profit - ? WHERE id = ?',
+      [prepared.amount, prepared.profit, prepared.sale.id], (err) => callback(err, returnIds));
+  });
+}
+
+// Pays out what a return leaves over after any exchange: refunded the way the sale was paid (see
+// allocateRefund), or kept as store credit on the customer's ledger. The money is recorded
+// against the document's first return line.
+function settleReturn(req, sale, document, returnId, amount, callback) {
+  if (!(amount > 0)) return callback(null, []);
+  const userId = req.session.userId;
+
+  if (document.settlement === 'store_credit') {
+    return runSequence([
+      salePaymentStatement(sale.id, { method: 'store_credit', amount: -amount, reference: document.number }, userId, returnId),
+      [`INSERT INTO customer_ledger (customer_id, entry_type, sale_id, return_id, credit, method, notes, created_by)
+        VALUES (?, 'store_credit', ?, ?, ?, 'store_credit', ?, ?)`,
+        [document.customerId, sale.id, returnId, amount, `Credit note ${document.number}`, userId]]
+    ], (err) => callback(err, [{ method: 'store_credit', amount }]));
+  }
+
+  allocateRefund(req.shift, sale.id, returnId, amount, userId, callback);
+}
+
+// Returns one or more lines of a sale: { sale_id, items: [{ sale_item_id, quantity, serial_imei }]
+// or whole_invoice, settlement, reason }. A single line can still be sent as sale_item_id, quantity
+// and serial_imei.
+app.post('/api/returns', requirePermission('returns.process'),
+  audited('return', { table: 'return_documents', id: (req, body) => body && body.documentId }), loadOpenShift, (req, res) => {
+  const { sale_id, items, sale_item_id, quantity, serial_imei, whole_invoice, reason } = req.body;
+  const requested = Array.isArray(items) ? items : sale_item_id ? [{ sale_item_id, quantity, serial_imei }] : [];
+
+  prepareReturn(sale_id, recordBranchScope(req), requested, !!whole_invoice, (err, prepared) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (prepared.error) return res.status(400).json({ error: prepared.error });
+
+    const { sale } = prepared;
+    const { settlement, error } = returnSettlement(sale, req.body.settlement);
+    if (error) return res.status(400).json({ error });
+
+    returnCustomer(sale, req.body, (err, customerId) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (settlement === 'store_credit' && !customerId) {
+        return res.status(400).json({ error: "Store credit needs the customer's phone or CNIC" });
+      }
+
+      const document = {
+        type: 'return', saleId: sale.id, customerId, settlement, reason,
+        returnedTotal: prepared.amount,
+        refunded: settlement === 'refund' ? prepared.amount : 0,
+        storeCredit: settlement === 'store_credit' ? prepared.amount : 0
+      };
+      withTransaction((done) => {
+        insertReturnDocument(req, document, (err, inserted) => {
+          if (err) return done(err);
+          Object.assign(document, inserted);
+
+          insertReturnLines(req, prepared, document.id, reason, (err, returnIds) => {
+            if (err) return done(err);
+
+            settleReturn(req, sale, document, returnIds[0], prepared.amount, (err, refunds) => {
+              if (err) return done(err);
+              queueFiscalInvoice(sale.id, returnIds[0], (err) => done(err, { returnIds, refunds }));
+            });
+          });
+        });
+      }, (err, result) => {
+        if (err) return res.status(400).json({ error: err.message });
+        processFiscalQueue();
+        res.json({
+          success: true,
+          documentId: document.id,
+          documentNumber: document.number,
+          returnId: result.returnIds[0],
+          returnIds: result.returnIds,
+          amount: prepared.amount,
+          discount: prepared.discount,
+          tax: prepared.tax,
+          settlement,
+          refunds: result.refunds
+        });
+      });
+    });
+  });
+});
+
+// Exchanges goods from a sale for others in one document: { sale_id, return_items (as items on a
+// return) or whole_invoice, items (the replacements, as on a sale), discount_amount, discount_type,
+// payment_type / payments for any difference due, settlement for any value left over, reason }.
+// The replacements go on a new invoice for the same customer.
+app.post('/api/exchanges', requirePermission('returns.process'), requirePermission('sales.create'),
+  audited('exchange', { table: 'return_documents', id: (req, body) => body && body.documentId }), requireOpenShift,
+  resolveTradeInCredits, (req, res) => {
+  const { sale_id, return_items, whole_invoice, reason } = req.body;
+
+  const requested = Array.isArray(return_items) ? return_items : [];
+  prepareReturn(sale_id, recordBranchScope(req), requested, !!whole_invoice, (err, returned) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (returned.error) return res.status(400).json({ error: returned.error });
+
+    const { sale } = returned;
+    const { settlement, error } = returnSettlement(sale, req.body.settlement);
+    if (error) return res.status(400).json({ error });
+
+    const saleBody = {
+      ...req.body,
+      customer_name: sale.customer_name,
+      customer_phone: req.body.customer_phone || sale.customer_phone,
+      customer_cnic: req.body.customer_cnic || sale.customer_cnic
+    };
+    prepareSale(req, saleBody, (err, prepared) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (prepared.error || prepared.errors) return sendPreparedSaleError(res, prepared);
+
+      // The returned value pays for the replacements; the rest is charged or paid back
+      const applied = roundMoney(Math.min(returned.amount, prepared.netTotal));
+      const leftOver = roundMoney(returned.amount - applied);
+      const payment = resolveSalePayments(saleBody, prepared.netTotal, applied);
+      if (payment.error) return res.status(400).json({ error: payment.error });
+
+      returnCustomer(sale, saleBody, (err, customerId) => {
+        if (err) return res.status(500).json({ error: err.message });
+        if (settlement === 'store_credit' && leftOver > 0 && !customerId) {
+          return res.status(400).json({ error: "Store credit needs the customer's phone or CNIC" });
+        }
+
+        const document = {
+          type: 'exchange', saleId: sale.id, customerId, settlement, reason,
+          returnedTotal: returned.amount,
+          exchangeTotal: prepared.netTotal,
+          charged: roundMoney(prepared.netTotal - applied),
+          refunded: settlement === 'refund' ? leftOver : 0,
+          storeCredit: settlement === 'store_credit' ? leftOver : 0
+        };
+        withTransaction((done) => {
+          insertReturnDocument(req, document, (err, inserted) => {
+            if (err) return done(err);
+            Object.assign(document, inserted);
+
+            insertReturnLines(req, returned, document.id, reason, (err, returnIds) => {
+              if (err) return done(err);
+
+              const statements = applied > 0 ? [salePaymentStatement(sale.id,
+                { method: 'exchange', amount: -applied, reference: document.number }, req.session.userId, returnIds[0])] : [];
+              runSequence(statements, (err) => {
+                if (err) return done(err);
+
+                settleReturn(req, sale, document, returnIds[0], leftOver, (err, refunds) => {
+                  if (err) return done(err);
+
+                  payment.lines.filter(line => line.method === 'exchange').forEach(line => { line.reference = document.number; });
+                  insertSale(req, saleBody, prepared, payment, customerId, (err, newSale) => {
+                    if (err) return done(err);
+
+                    db.run('UPDATE return_documents SET exchange_sale_id = ? WHERE id = ?', [newSale.saleId, document.id], (err) => {
+                      if (err) return done(err);
+                      queueFiscalInvoice(sale.id, returnIds[0], (err) => done(err, { returnIds, refunds, newSale }));
+                    });
+                  });
+                });
+              });
+            });
+          });
+        }, (err, result) => {
+          if (err) return res.status(400).json({ error: err.message });
+          processFiscalQueue();
+          res.json({
+            success: true,
+            documentId: document.id,
+            documentNumber: document.number,
+            returnIds: result.returnIds,
+            saleId: result.newSale.saleId,
+            invoiceNumber: result.newSale.invoiceNumber,
+            returned: returned.amount,
+            netTotal: prepared.netTotal,
+            charged: document.charged,
+            settlement,
+            refunds: result.refunds,
+            payments: payment.lines,
+            change: payment.change
+          });
+        });
+      });
+    });
+  });
+});
+
+app.get('/api/returns', requireAuth, (req, res) => {
+  const branchId = branchScope(req);
+  const query = `
+    SELECT r.*, p.name as product_name, s.invoice_number, s.customer_name, s.customer_phone,
+           d.document_number, d.document_type, d.settlement
+    FROM returns r
+    JOIN products p ON r.product_id = p.id
+    JOIN sales s ON r.sale_id = s.id
+    LEFT JOIN return_documents d ON r.document_id = d.id
+    WHERE ? IS NULL OR r.branch_id = ?
+    ORDER BY r.return_date DESC
+  `;
+  
+  db.all(query, [branchId, branchId], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(hideProfit(req, rows));
+  });
+});
+
+// A return or exchange document with its lines (the units that came back on each), the money paid
+// out on it and the new invoice of an exchange. It has to be against a sale from branchId unless that is null.
+function loadReturnDocument(documentId, branchId, callback) {
+  db.get(`SELECT d.*, s.invoice_number, s.sale_date, s.customer_name, s.customer_phone, s.customer_cnic,
+                 x.invoice_number as exchange_invoice_number, u.username as created_by_name
+          FROM return_documents d
+          JOIN sales s ON d.sale_id = s.id
+          LEFT JOIN sales x ON d.exchange_sale_id = x.id
+          LEFT JOIN users u ON d.created_by = u.id
+          WHERE d.id = ? AND (? IS NULL OR s.branch_id = ?)`, [documentId, branchId, branchId], (err, document) => {
+    if (err || !document) return callback(err, null);
+
+    db.all(`SELECT r.*, si.product_name, si.unit_price, si.tax_rate, si.tax_inclusive,
+                   (SELECT GROUP_CONCAT(COALESCE(pu.imei1, pu.serial_number), ', ')
+                    FROM unit_events e JOIN product_units pu ON e.unit_id = pu.id
+                    WHERE e.return_id = r.id AND e.event_type = 'returned') as serials
+            FROM returns r
+            JOIN sale_items si ON r.sale_item_id = si.id
+            WHERE r.document_id = ? ORDER BY r.id`, [document.id], (err, lines) => {
+      if (err) return callback(err);
+
+      db.all(`SELECT * FROM sale_payments
+              WHERE sale_id = ? AND return_id IN (SELECT id FROM returns WHERE document_id = ?) ORDER BY id`,
+        [document.sale_id, document.id], (err, payments) => {
+          if (err) return callback(err);
+
+          const first = lines.length > 0 ? lines[0].id : null;
+          db.get('SELECT status FROM fiscal_submissions WHERE return_id = ?', [first], (err, fiscal) => {
+            if (err) return callback(err);
+            callback(null, {
+              ...document,
+              lines,
+              payments,
+              tax_amount: roundMoney(lines.reduce((sum, line) => sum + line.tax_amount, 0)),
+              fiscal_invoice_number: first ? lines[0].fiscal_invoice_number : null,
+              fiscal_status: fiscal ? fiscal.status : null
+            });
+          });
+        });
+    });
+  });
+}
+
+function loadPrintableReturnDocument(req, res, callback) {
+  loadReturnDocument(req.params.id, recordBranchScope(req), (err, document) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!document) return res.status(404).json({ error: 'Return document not found' });
+
+    getSetting('shop', DEFAULT_SHOP_SETTINGS, (err, shop) => {
+      if (err) return res.status(500).json({ error: err.message });
+      callback(document, shop);
+    });
+  });
+}
+
+function returnDocumentTitle(document) {
+  return document.document_type === 'exchange' ? 'EXCHANGE NOTE' : 'CREDIT NOTE';
+}
+
+// How the returned value was settled, as printed: what went to the new invoice, what was charged
+// on top, and what was paid back (or kept as store credit) and how
+function returnDocumentTotals(document) {
+  const rows = [];
+  if (document.document_type === 'exchange') {
+    rows.push([`New invoice ${document.exchange_invoice_number || ''}`.trim(), printMoney(document.exchange_total)]);
+    if (document.charged > 0) rows.push(['Paid by customer', printMoney(document.charged)]);
+  }
+  document.payments.filter(payment => payment.method !== 'exchange').forEach(payment => {
+    rows.push([payment.method === 'store_credit' ? 'Store credit' : `Refund: ${paymentMethodName(payment.method)}`,
+      printMoney(-payment.amount)]);
+  });
+  return rows;
+}
+
+function renderCreditNoteReceipt(document, shop, paperWidth) {
+  const out = receiptWriter(paperWidth);
+  receiptShopHeader(out, shop);
+  out.align(1);
+  out.bold(true);
+  out.line(returnDocumentTitle(document));
+  out.bold(false);
+  out.align(0);
+  out.rule();
+  out.pair(document.document_type === 'exchange' ? 'Exchange' : 'Credit note', document.document_number);
+  out.pair('Date', printDateTime(document.created_at));
+  out.pair('Invoice', document.invoice_number);
+  if (document.customer_name) out.pair('Customer', document.customer_name);
+  if (document.customer_phone) out.pair('Phone', document.customer_phone);
+  out.rule();
+
+  document.lines.forEach(line => {
+    out.bold(true);
+    out.wrapped(line.product_name);
+    out.bold(false);
+    out.pair(`${line.quantity} x ${printMoney(line.unit_price)}`, printMoney(line.unit_price * line.quantity), '  ');
+    if (line.discount_amount > 0) out.pair('Less discount', `- ${printMoney(line.discount_amount)}`, '  ');
+    if (line.tax_amount > 0 && !line.tax_inclusive) out.pair(`Sales tax ${line.tax_rate}%`, printMoney(line.tax_amount), '  ');
+    if (line.serials) out.wrapped(`IMEI/SN: ${line.serials}`, '  ');
+  });
+  out.rule();
+
+  out.bold(true);
+  out.size(0x01);
+  out.pair('RETURNED', printMoney(document.returned_total));
+  out.size(0);
+  out.bold(false);
+  if (document.tax_amount > 0) out.pair('Sales tax reversed', printMoney(document.tax_amount));
+  returnDocumentTotals(document).forEach(([label, value]) => out.pair(label, value));
+  if (document.reason) {
+    out.rule();
+    out.wrapped(`Reason: ${document.reason}`);
+  }
+  out.rule();
+
+  receiptShopFooter(out, shop, fiscalInvoiceLine(document), document.fiscal_invoice_number || document.document_number);
+  return out.bytes();
+}
+
+function renderCreditNotePdf(document, shop, pageSize, qrPng) {
+  const page = createPdfPage(shop, pageSize, `${returnDocumentTitle(document)} ${document.document_number}`);
+  pdfShopHeader(page, shop, qrPng);
+  pdfDocumentDetails(page, returnDocumentTitle(document), [
+    `${document.document_type === 'exchange' ? 'Exchange' : 'Credit note'} #: ${document.document_number}`,
+    `Date: ${printDateTime(document.created_at)}`,
+    `Against invoice: ${document.invoice_number} (${printDateTime(document.sale_date)})`,
+    fiscalInvoiceLine(document)
+  ], document);
+
+  pdfItemTable(page, [
+    { header: 'Item', width: 0.46 },
+    { header: 'Qty', width: 0.08, align: 'right' },
+    { header: 'Price', width: 0.16, align: 'right' },
+    { header: 'Discount', width: 0.14, align: 'right' },
+    { header: 'Amount', width: 0.16, align: 'right' }
+  ], document.lines.map(line => ({
+    name: line.product_name,
+    details: [line.serials ? `IMEI/SN: ${line.serials}` : null,
+      line.tax_amount > 0 ? `Sales tax ${line.tax_rate}%${line.tax_inclusive ? ' incl.' : ''} reversed: ${printMoney(line.tax_amount)}` : null],
+    values: [String(line.quantity), printMoney(line.unit_price),
+      line.discount_amount > 0 ? `- ${printMoney(line.discount_amount)}` : '-', printMoney(line.return_amount)]
+  })));
+
+  const totals = [['Returned', printMoney(document.returned_total), true]];
+  if (document.tax_amount > 0) totals.push(['Sales Tax Reversed', printMoney(document.tax_amount)]);
+  pdfTotals(page, totals.concat(returnDocumentTotals(document)));
+  if (document.reason) page.doc.moveDown(0.5).text(`Reason: ${document.reason}`, page.left, page.doc.y, { width: page.width });
+  pdfShopFooter(page, shop);
+  return page.doc;
+}
+
+app.get('/api/returns/documents/:id', requireAuth, (req, res) => {
+  loadReturnDocument(req.params.id, recordBranchScope(req), (err, document) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!document) return res.status(404).json({ error: 'Return document not found' });
+    document.lines = hideProfit(req, document.lines);
+    res.json(document);
+  });
+});
+
+app.get('/api/returns/documents/:id/receipt', requireAuth, (req, res) => {
+  loadPrintableReturnDocument(req, res, (document, shop) => {
+    const width = Number(req.query.width || shop.receipt_width);
+    if (!RECEIPT_WIDTHS.includes(width)) {
+      return res.status(400).json({ error: 'Receipt width must be 58 or 80 mm' });
+    }
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${document.document_number}-${width}mm.bin"`);
+    res.send(renderCreditNoteReceipt(document, shop, width));
+  });
+});
+
+app.post('/api/returns/documents/:id/receipt/print', requireAuth, (req, res) => {
+  loadPrintableReturnDocument(req, res, (document, shop) => {
+    const width = Number(req.query.width || shop.receipt_width);
+    if (!RECEIPT_WIDTHS.includes(width)) {
+      return res.status(400).json({ error: 'Receipt width must be 58 or 80 mm' });
+    }
+    if (!shop.receipt_printer.host) {
+      return res.status(400).json({ error: 'No receipt printer is set up in the shop settings', printer_required: true });
+    }
+
+    sendToPrinter(shop.receipt_printer, renderCreditNoteReceipt(document, shop, width), (err) => {
+      if (err) return res.status(502).json({ error: err.message });
+      res.json({ success: true });
+    });
+  });
+});
+
+app.get('/api/returns/documents/:id/credit-note.pdf', requireAuth, (req, res) => {
+  loadPrintableReturnDocument(req, res, (document, shop) => {
+    const pageSize = String(req.query.size || shop.invoice_size).toUpperCase();
+    if (!INVOICE_SIZES.includes(pageSize)) {
+      return res.status(400).json({ error: 'Invoice size must be A4 or A5' });
+    }
+
+    QRCode.toBuffer(document.fiscal_invoice_number || document.document_number, { margin: 1, width: 240 }, (err, qrPng) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition',
+        `${req.query.download ? 'attachment' : 'inline'}; filename="${document.document_number}.pdf"`);
+      const doc = renderCreditNotePdf(document, shop, pageSize, qrPng);
+      doc.pipe(res);
+      doc.end();
+    });
+  });
+});
+
+// Warranty Routes
+// Claims against sold items. The warranty runs for the line's warranty_days from the sale date, and a
+// replacement unit carries on the warranty of the line it replaced. A claim goes open → sent (to the
+// supplier or a service centre) → received_back → resolved, or is rejected; the shop can also resolve
+// it straight away. A replacement leaves stock, and the faulty item is kept aside as damaged until it
+// is restocked.
+const WARRANTY_ACTIONS = ['repair', 'replace', 'refund'];
+const WARRANTY_SENT_TO = ['supplier', 'service_centre'];
+const WARRANTY_OPEN_STATUSES = ['open', 'sent', 'received_back'];
+
+// Sale lines with the date their warranty runs out (null when they were sold without one)
+const WARRANTY_ITEMS_QUERY = `
+  SELECT si.id as sale_item_id, si.sale_id, si.product_id, si.product_name, si.quantity, si.returned_quantity,
+         si.unit_price, si.serial_imei, si.warranty_days, s.invoice_number, s.sale_date, s.customer_name,
+         s.customer_phone, p.track_units,
+         CASE WHEN si.warranty_days > 0
+              THEN DATE(s.sale_date, 'localtime', '+' || si.warranty_days || ' days') END as expires_on
+  FROM sale_items si
+  JOIN sales s ON si.sale_id = s.id
+  JOIN products p ON si.product_id = p.id
+`;
+
+// Adds days_left (negative once expired) and in_warranty; the expiry day itself is still covered
+function warrantyStatus(item) {
+  if (!item.expires_on) return { ...item, days_left: null, in_warranty: false };
+  const daysLeft = Math.round((Date.parse(item.expires_on) - Date.parse(formatDate(new Date()))) / 86400000);
+  return { ...item, days_left: daysLeft, in_warranty: daysLeft >= 0 };
+}
+
+// Sale lines for an invoice, or the lines an IMEI/serial was sold or given as a replacement on,
+// from sales made at branchId unless that is null
+function findWarrantyItems({ code, invoice }, branchId, callback) {
+  if (invoice) {
+    return db.all(`${WARRANTY_ITEMS_QUERY} WHERE s.invoice_number = ? AND (? IS NULL OR s.branch_id = ?) ORDER BY si.id`,
+      [invoice.trim(), branchId, branchId], callback);
+  }
+  const value = code.trim();
+  db.all(`${WARRANTY_ITEMS_QUERY}
+          WHERE (si.id IN (SELECT e.sale_item_id FROM unit_events e JOIN product_units u ON e.unit_id = u.id
+                           WHERE e.event_type IN ('sold', 'warranty_replacement')
+                             AND (u.imei1 = ? OR u.imei2 = ? OR u.serial_number = ?))
+                 OR si.serial_imei = ?)
+            AND (? IS NULL OR s.branch_id = ?)
+          ORDER BY s.sale_date DESC, si.id`, [value, value, value, value, branchId, branchId], callback);
+}
+
+const WARRANTY_CLAIMS_QUERY = `
+  SELECT c.*, s.invoice_number, s.sale_date, p.name as product_name,
+         u.imei1, u.imei2, u.serial_number, u.status as unit_status,
+         r.imei1 as replacement_imei1, r.serial_number as replacement_serial,
+         sp.name as supplier_name, us.username as created_by_name
+  FROM warranty_claims c
+  JOIN sales s ON c.sale_id = s.id
+  JOIN products p ON c.product_id = p.id
+  LEFT JOIN product_units u ON c.unit_id = u.id
+  LEFT JOIN product_units r ON c.replacement_unit_id = r.id
+  LEFT JOIN suppliers sp ON c.supplier_id = sp.id
+  LEFT JOIN users us ON c.created_by = us.id
+`;
+
+// Claim list filters: search matches the claim or invoice number, the customer and the IMEI/serial
+function warrantyClaimFilters({ search, status, action, product_id, start_date, end_date }) {
+  let where = '';
+  const params = [];
+
+  if (search) {
+    const term = `%${search.trim()}%`;
+    where += ` AND (c.claim_number LIKE ? OR s.invoice_number LIKE ? OR c.customer_name LIKE ? OR c.customer_phone LIKE ?
+               OR u.imei1 LIKE ? OR u.imei2 LIKE ? OR u.serial_number LIKE ?)`;
+    params.push(term, term, term, `%${normalizeDigits(search) || search.trim()}%`, term, term, term);
+  }
+  if (status === 'active') {
+    where += ` AND c.status IN (${WARRANTY_OPEN_STATUSES.map(() => '?').join(',')})`;
+    params.push(...WARRANTY_OPEN_STATUSES);
+  } else if (status) {
+    where += ' AND c.status = ?';
+    params.push(status);
+  }
+  if (action) {
+    where += ' AND c.action = ?';
+    params.push(action);
+  }
+  if (product_id) {
+    where += ' AND c.product_id = ?';
+    params.push(product_id);
+  }
+  if (start_date) {
+    where += ' AND c.created_at >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    where += " AND c.created_at < DATE(?, '+1 day')";
+    params.push(end_date);
+  }
+  return { where, params };
+}
+
+function warrantyEventStatement(claimId, fromStatus, toStatus, notes, userId) {
+  return [`INSERT INTO warranty_claim_events (claim_id, from_status, to_status, notes, created_by) VALUES (?, ?, ?, ?, ?)`,
+    [claimId, fromStatus, toStatus, notes || null, userId]];
+}
+
+function warrantyUnitEventStatement(unitId, eventType, claim, userId, notes) {
+  return [`INSERT INTO unit_events (unit_id, event_type, sale_id, sale_item_id, party_name, party_phone, notes, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [unitId, eventType, claim.sale_id, claim.sale_item_id, claim.customer_name, claim.customer_phone,
+     notes ? `${claim.claim_number}: ${notes}` : claim.claim_number, userId]];
+}
+
+function loadWarrantyClaim(req, res, callback) {
+  db.get('SELECT * FROM warranty_claims WHERE id = ?', [req.params.id], (err, claim) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!claim) return res.status(404).json({ error: 'Warranty claim not found' });
+    callback(claim);
+  });
+}
+
+// Moves a claim on when it is in one of the given statuses; the status check in the update stops
+// two requests moving the same claim
+function updateClaimStatus(claim, fromStatuses, toStatus, sql, params, extra, req, res) {
+  if (!fromStatuses.includes(claim.status)) {
+    return res.status(400).json({ error: `Claim ${claim.claim_number} is ${claim.status}` });
+  }
+
+  withTransaction((done) => {
+    db.run(`UPDATE warranty_claims SET status = ?${sql} WHERE id = ? AND status = ?`,
+      [toStatus, ...params, claim.id, claim.status], function(err) {
+        if (err) return done(err);
+        if (this.changes === 0) return done(new Error(`Claim ${claim.claim_number} has already been updated`));
+        runSequence([
+          warrantyEventStatement(claim.id, claim.status, toStatus, req.body.notes, req.session.userId),
+          ...extra
+        ], done);
+      });
+  }, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    res.json({ success: true, status: toStatus });
+  });
+}
+
+// Warranty check at the counter: every line of the invoice, or the lines the IMEI/serial was sold on,
+// with the expiry date, the units still with the customer and any claims made
+app.get('/api/warranty/lookup', requireAuth, (req, res) => {
+  const { code, invoice } = req.query;
+  if (!(code && code.trim()) && !(invoice && invoice.trim())) {
+    return res.status(400).json({ error: 'Enter an IMEI/serial or an invoice number' });
+  }
+
+  findWarrantyItems({ code, invoice }, recordBranchScope(req), (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (rows.length === 0) {
+      return res.status(404).json({ error: invoice ? 'Invoice not found' : 'No sale found for this IMEI/serial' });
+    }
+
+    const items = rows.map(warrantyStatus);
+    runEach(items, (item, index, next) => {
+      db.all(`SELECT id, imei1, imei2, serial_number FROM product_units WHERE sale_item_id = ? AND status = 'sold'`,
+        [item.sale_item_id], (err, units) => {
+          if (err) return next(err);
+          db.all(`SELECT id, claim_number, unit_id, quantity, action, status, created_at FROM warranty_claims
+                  WHERE sale_item_id = ? ORDER BY id`, [item.sale_item_id], (err, claims) => {
+            if (err) return next(err);
+            item.units = units;
+            item.claims = claims;
+            next();
+          });
+        });
+    }, (err) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json(items);
+    });
+  });
+});
+
+app.get('/api/warranty/claims', requirePermission('warranty.manage'), (req, res) => {
+  const { where, params } = warrantyClaimFilters(req.query);
+
+  db.all(`${WARRANTY_CLAIMS_QUERY} WHERE 1=1${where} ORDER BY c.created_at DESC, c.id DESC`, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+// Claims by product (with the share of units sold that came back) and by the supplier the faulty
+// units were bought from, falling back to the supplier the claim was sent to
+app.get('/api/warranty/report', requirePermission('warranty.manage'), (req, res) => {
+  const { start_date, end_date } = req.query;
+  let where = '';
+  const params = [];
+  if (start_date) {
+    where += ' AND c.created_at >= DATE(?)';
+    params.push(start_date);
+  }
+  if (end_date) {
+    where += " AND c.created_at < DATE(?, '+1 day')";
+    params.push(end_date);
+  }
+
+  const outcomes = `COUNT(*) as claims,
+    SUM(c.status IN ('open', 'sent', 'received_back')) as open_claims,
+    SUM(c.status = 'resolved' AND c.action = 'repair') as repaired,
+    SUM(c.status = 'resolved' AND c.action = 'replace') as replaced,
+    SUM(c.status = 'resolved' AND c.action = 'refund') as refunded,
+    SUM(c.status = 'rejected') as rejected,
+    ROUND(SUM(c.replacement_cost), 2) as replacement_cost`;
+
+  db.all(`SELECT c.product_id, p.name as product_name, ${outcomes},
+          (SELECT COALESCE(SUM(si.quantity), 0) FROM sale_items si
+           WHERE si.product_id = c.product_id) as units_sold
+          FROM warranty_claims c
+          JOIN products p ON c.product_id = p.id
+          WHERE 1=1${where}
+          GROUP BY c.product_id ORDER BY claims DESC, p.name`, params, (err, byProduct) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    db.all(`SELECT COALESCE(us.name, u.supplier_name, cs.name, 'Unknown') as supplier_name, ${outcomes},
+            COUNT(DISTINCT c.product_id) as products
+            FROM warranty_claims c
+            LEFT JOIN product_units u ON c.unit_id = u.id
+            LEFT JOIN suppliers us ON u.supplier_id = us.id
+            LEFT JOIN suppliers cs ON c.supplier_id = cs.id
+            WHERE 1=1${where}
+            GROUP BY 1 ORDER BY claims DESC, supplier_name`, params, (err, bySupplier) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      res.json({
+        by_product: byProduct.map(row => ({
+          ...row,
+          claim_rate: row.units_sold > 0 ? roundMoney(row.claims / row.units_sold * 100) : null
+        })),
+        by_supplier: bySupplier
+      });
+    });
+  });
+});
+
+app.get('/api/warranty/claims/:id', requirePermission('warranty.manage'), (req, res) => {
+  db.get(`${WARRANTY_CLAIMS_QUERY} WHERE c.id = ?`, [req.params.id], (err, claim) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!claim) return res.status(404).json({ error: 'Warranty claim not found' });
+
+    db.all(`SELECT e.*, u.username as created_by_name FROM warranty_claim_events e
+            LEFT JOIN users u ON e.created_by = u.id WHERE e.claim_id = ? ORDER BY e.id`, [claim.id], (err, events) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ ...claim, events });
+    });
+  });
+});
+
+// Opens a claim for a sale line. Serialized products are claimed one unit at a time by IMEI/serial.
+// An expired warranty is only accepted as goodwill, and is recorded as such.
+app.post('/api/warranty/claims', requirePermission('warranty.manage'),
+  audited('warranty_claim', { table: 'warranty_claims', action: 'open', id: (req, body) => body && body.id }), (req, res) => {
+  const { sale_item_id, code, fault, action, notes, goodwill } = req.body;
+
+  if (!fault || !String(fault).trim()) {
+    return res.status(400).json({ error: 'Describe the fault' });
+  }
+  if (!WARRANTY_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: 'Action must be repair, replace or refund' });
+  }
+
+  const branchId = recordBranchScope(req);
+  const query = `${WARRANTY_ITEMS_QUERY} WHERE si.id = ? AND (? IS NULL OR s.branch_id = ?)`;
+  db.get(query, [sale_item_id, branchId, branchId], (err, row) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!row) return res.status(404).json({ error: 'Sale item not found' });
+
+    const item = warrantyStatus(row);
+    if (!item.in_warranty && !goodwill) {
+      return res.status(400).json({
+        error: item.expires_on ? `Warranty expired on ${item.expires_on}` : 'This item was sold without warranty',
+        expired: true
+      });
+    }
+
+    db.get(`SELECT COALESCE(SUM(quantity), 0) as claimed FROM warranty_claims WHERE sale_item_id = ?
+            AND status IN ('open', 'sent', 'received_back')`, [item.sale_item_id], (err, open) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const pickUnit = (callback) => {
+        if (!item.track_units) return callback(null, null);
+        if (!code || !String(code).trim()) return callback(new Error('Enter the IMEI/serial of the faulty unit'));
+        db.all(`SELECT * FROM product_units WHERE sale_item_id = ? AND status = 'sold'`, [item.sale_item_id], (err, units) => {
+          if (err) return callback(err);
+          const unit = units.find(u => unitMatchesCode(u, String(code).trim()));
+          if (!unit) return callback(new Error(`${code} is not with the customer on this invoice line`));
+          db.get(`SELECT claim_number FROM warranty_claims WHERE unit_id = ? AND status IN ('open', 'sent', 'received_back')`,
+            [unit.id], (err, existing) => {
+              if (err) return callback(err);
+              if (existing) return callback(new Error(`${code} already has open claim ${existing.claim_number}`));
+              callback(null, unit);
+            });
+        });
+      };
+
+      pickUnit((err, unit) => {
+        if (err) return res.status(400).json({ error: err.message });
+
+        const quantity = unit ? 1 : Number(req.body.quantity) || 1;
+        const claimable = item.quantity - item.returned_quantity - open.claimed;
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          return res.status(400).json({ error: 'Quantity must be a positive whole number' });
+        }
+        if (quantity > claimable) {
+          return res.status(400).json({ error: `Only ${Math.max(claimable, 0)} of this line can be claimed` });
+        }
+
+        withTransaction((done) => {
+          nextSequenceNumber('WC', (err, claimNumber) => {
+            if (err) return done(err);
+
+            db.run(`INSERT INTO warranty_claims (claim_number, sale_id, sale_item_id, product_id, unit_id, quantity,
+                    customer_name, customer_phone, fault, action, expires_on, in_warranty, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              [claimNumber, item.sale_id, item.sale_item_id, item.product_id, unit ? unit.id : null, quantity,
+               item.customer_name, item.customer_phone, String(fault).trim(), action, item.expires_on,
+               item.in_warranty ? 1 : 0, req.session.userId], function(err) {
+                if (err) return done(err);
+
+                const claim = { id: this.lastID, claim_number: claimNumber, sale_id: item.sale_id,
+                                sale_item_id: item.sale_item_id, customer_name: item.customer_name,
+                                customer_phone: item.customer_phone };
+                const statements = [warrantyEventStatement(claim.id, null, 'open',
+                  item.in_warranty ? notes : `Goodwill (warranty expired ${item.expires_on || 'n/a'})${notes ? `: ${notes}` : ''}`,
+                  req.session.userId)];
+                if (unit) statements.push(warrantyUnitEventStatement(unit.id, 'warranty_claim', claim, req.session.userId, fault));
+                runSequence(statements, (err) => done(err, claim));
+              });
+          });
+        }, (err, claim) => {
+          if (err) return res.status(400).json({ error: err.message });
+          res.json({ success: true, id: claim.id, claim_number: claim.claim_number, in_warranty: item.in_warranty });
+        });
+      });
+    });
+  });
+});
+
+app.post('/api/warranty/claims/:id/send', requirePermission('warranty.manage'),
+  audited('warranty_claim', { table: 'warranty_claims', action: 'send' }), (req, res) => {
+  const { sent_to_type, supplier_id, service_centre, reference } = req.body;
+
+  if (!WARRANTY_SENT_TO.includes(sent_to_type)) {
+    return res.status(400).json({ error: 'Send the claim to a supplier or a service centre' });
+  }
+  if (sent_to_type === 'service_centre' && !(service_centre && service_centre.trim())) {
+    return res.status(400).json({ error: 'Service centre name is required' });
+  }
+
+  loadWarrantyClaim(req, res, (claim) => {
+    db.get('SELECT id FROM suppliers WHERE id = ?', [sent_to_type === 'supplier' ? supplier_id : null], (err, supplier) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (sent_to_type === 'supplier' && !supplier) {
+        return res.status(400).json({ error: 'Supplier not found' });
+      }
+
+      updateClaimStatus(claim, ['open'], 'sent',
+        ', sent_to_type = ?, supplier_id = ?, service_centre = ?, sent_reference = ?, sent_at = CURRENT_TIMESTAMP',
+        [sent_to_type, supplier ? supplier.id : null, sent_to_type === 'service_centre' ? service_centre.trim() : null,
+         reference || null], [], req, res);
+    });
+  });
+});
+
+app.post('/api/warranty/claims/:id/receive', requirePermission('warranty.manage'),
+  audited('warranty_claim', { table: 'warranty_claims', action: 'receive' }), (req, res) => {
+  loadWarrantyClaim(req, res, (claim) => {
+    updateClaimStatus(claim, ['sent'], 'received_back', ', received_at = CURRENT_TIMESTAMP', [], [], req, res);
+  });
+});
+
+app.post('/api/warranty/claims/:id/reject', requirePermission('warranty.manage'),
+  audited('warranty_claim', { table: 'warranty_claims', action: 'reject' }), (req, res) => {
+  if (!req.body.notes || !String(req.body.notes).trim()) {
+    return res.status(400).json({ error: 'Give the reason for rejecting the claim' });
+  }
+
+  loadWarrantyClaim(req, res, (claim) => {
+    updateClaimStatus(claim, WARRANTY_OPEN_STATUSES, 'rejected',
+      ', resolution_notes = ?, resolved_at = CURRENT_TIMESTAMP', [req.body.notes], [], req, res);
+  });
+});
+
+// The unit handed out as a replacement: one in stock at the branch named by IMEI/serial, or one the
+// supplier sent back (replacement_unit), which is booked into stock at the faulty unit's cost and
+// straight out again
+function warrantyReplacementUnit(claim, faultyUnit, body, userId, branchId, callback) {
+  const incoming = body.replacement_unit;
+  const code = incoming ? parseSerialCodes([incoming.imei1, incoming.imei2, incoming.serial_number])[0]
+    : String(body.replacement_code || '').trim();
+  if (!code) return callback(new Error('Enter the IMEI/serial of the replacement unit'));
+
+  const pickFromStock = () => {
+    findUnitsByCodes([code], (err, units) => {
+      if (err) return callback(err);
+      const unit = units[0];
+      if (!unit || unit.status !== 'in_stock') return callback(new Error(`${code} is not in stock`));
+      if (unit.branch_id !== branchId) return callback(new Error(`${code} is in stock at another branch`));
+      if (unit.product_id !== claim.product_id) {
+        return callback(new Error(`${code} is not the same product as the faulty unit`));
+      }
+      callback(null, unit, incoming ? 0 : unit.purchase_price);
+    });
+  };
+
+  if (!incoming) return pickFromStock();
+
+  validateNewUnits([incoming], (err) => {
+    if (err) return callback(err);
+    db.get(`SELECT p.*, s.name as claim_supplier_name, s.phone as claim_supplier_phone, s.cnic as claim_supplier_cnic
+            FROM products p LEFT JOIN suppliers s ON s.id = ? WHERE p.id = ?`, [claim.supplier_id, claim.product_id], (err, product) => {
+      if (err) return callback(err);
+      const supplier = { id: claim.supplier_id, name: product.claim_supplier_name || claim.service_centre,
+                         phone: product.claim_supplier_phone, cnic: product.claim_supplier_cnic,
+                         reference: `Warranty replacement for ${claim.claim_number}` };
+      runSequence([
+        ...unitInsertStatements(product, incoming, supplier, faultyUnit.purchase_price, userId),
+        ['UPDATE products SET quantity = quantity + 1 WHERE id = ?', [product.id]],
+        stockMovementStatement(product.id, 1, 'warranty', userId,
+          { referenceId: claim.id, notes: `Warranty ${claim.claim_number}: replacement received` })
+      ], (err) => {
+        if (err) return callback(err);
+        pickFromStock();
+      });
+    });
+  });
+}
+
+// Statements that hand a replacement unit to the customer on the claimed sale line and take the
+// faulty unit back as damaged
+function warrantyReplaceStatements(claim, faultyUnit, replacement, userId) {
+  return [
+    [`UPDATE product_units SET status = 'sold', sale_item_id = ? WHERE id = ? AND status = 'in_stock'`,
+     [claim.sale_item_id, replacement.id]],
+    ['UPDATE products SET quantity = quantity - 1 WHERE id = ?', [claim.product_id]],
+    stockMovementStatement(claim.product_id, -1, 'warranty', userId,
+      { unitId: replacement.id, branchId: replacement.branch_id, referenceId: claim.id,
+        notes: `Warranty ${claim.claim_number}: replacement` }),
+    warrantyUnitEventStatement(replacement.id, 'warranty_replacement', claim, userId,
+      `replaces ${faultyUnit.imei1 || faultyUnit.serial_number}`),
+    [`UPDATE product_units SET status = 'damaged', sale_item_id = NULL WHERE id = ?`, [faultyUnit.id]],
+    warrantyUnitEventStatement(faultyUnit.id, 'warranty_replaced', claim, userId,
+      `replaced by ${replacement.imei1 || replacement.serial_number}`)
+  ];
+}
+
+// Resolves a claim that is open or back from the supplier/service centre. The action can still be
+// changed here (a repair may end in a replacement):
+//   repair  - the item goes back to the customer fixed; stock is not touched
+//   replace - serialized: a replacement unit (see warrantyReplacementUnit); others: the same quantity
+//             from stock. The faulty item is kept aside as damaged.
+//   refund  - the money goes back through a return on the same line (POST /api/returns, return_id);
+//             the returned item is taken out of sellable stock as damaged
+app.post('/api/warranty/claims/:id/resolve', requirePermission('warranty.manage'),
+  audited('warranty_claim', { table: 'warranty_claims', action: 'resolve' }), (req, res) => {
+  const action = req.body.action || null;
+  const notes = req.body.notes || null;
+  const userId = req.session.userId;
+
+  if (action && !WARRANTY_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: 'Action must be repair, replace or refund' });
+  }
+
+  loadWarrantyClaim(req, res, (claim) => {
+    if (!['open', 'received_back'].includes(claim.status)) {
+      return res.status(400).json({
+        error: claim.status === 'sent' ? 'Mark the claim as received back first' : `Claim ${claim.claim_number} is ${claim.status}`
+      });
+    }
+    const finalAction = action || claim.action;
+
+    db.get('SELECT * FROM product_units WHERE id = ?', [claim.unit_id], (err, faultyUnit) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      db.get('SELECT * FROM returns WHERE id = ?', [finalAction === 'refund' ? req.body.return_id : null], (err, ret) => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        if (finalAction === 'refund') {
+          if (!ret || ret.sale_item_id !== claim.sale_item_id) {
+            return res.status(400).json({ error: 'Process the refund as a return on the same invoice line and give its return_id' });
+          }
+          if (ret.quantity < claim.quantity) {
+            return res.status(400).json({ error: `The return covers ${ret.quantity} of the ${claim.quantity} claimed` });
+          }
+          if (faultyUnit && !(faultyUnit.status === 'in_stock' && faultyUnit.sale_item_id === null)) {
+            return res.status(400).json({ error: `${faultyUnit.imei1 || faultyUnit.serial_number} has not been returned yet` });
+          }
+        }
+
+        withTransaction((done) => {
+          db.get('SELECT id FROM warranty_claims WHERE return_id = ?', [ret ? ret.id : null], (err, used) => {
+            if (err) return done(err);
+            if (used) return done(new Error('That return is already linked to another claim'));
+
+            const finish = (statements, replacementUnitId, replacementCost) => {
+              db.run(`UPDATE warranty_claims SET status = 'resolved', action = ?, replacement_unit_id = ?, replacement_cost = ?,
+                      return_id = ?, resolution_notes = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+                [finalAction, replacementUnitId, roundMoney(replacementCost), ret ? ret.id : null, notes, claim.id,
+                 claim.status], function(err) {
+                  if (err) return done(err);
+                  if (this.changes === 0) return done(new Error(`Claim ${claim.claim_number} has already been updated`));
+                  runSequence([
+                    warrantyEventStatement(claim.id, claim.status, 'resolved', notes ? `${finalAction}: ${notes}` : finalAction, userId),
+                    ...statements
+                  ], done);
+                });
+            };
+
+            if (finalAction === 'repair') return finish([], null, 0);
+
+            if (finalAction === 'refund') {
+              if (faultyUnit) {
+                return finish(writeOffUnitStatements(faultyUnit, 'warranty', userId,
+                  { referenceId: claim.id, notes: `Warranty ${claim.claim_number}: refunded, kept aside` }), null, 0);
+              }
+              const [sql, params] = deductStockStatement(claim.product_id, claim.quantity, req.user.branch_id);
+              return db.run(sql, params, function(err) {
+                if (err) return done(err);
+                if (this.changes === 0) return done(new Error('The returned items are no longer in stock'));
+                finish([stockMovementStatement(claim.product_id, -claim.quantity, 'warranty', userId,
+                  { referenceId: claim.id, notes: `Warranty ${claim.claim_number}: refunded, kept aside` })], null, 0);
+              });
+            }
+
+            if (faultyUnit) {
+              return warrantyReplacementUnit(claim, faultyUnit, req.body, userId, req.user.branch_id, (err, replacement, cost) => {
+                if (err) return done(err);
+                finish(warrantyReplaceStatements(claim, faultyUnit, replacement, userId), replacement.id, cost);
+              });
+            }
+
+            db.get('SELECT purchase_price, name FROM products WHERE id = ?', [claim.product_id], (err, product) => {
+              if (err) return done(err);
+              const [sql, params] = deductStockStatement(claim.product_id, claim.quantity, req.user.branch_id);
+              db.run(sql, params, function(err) {
+                if (err) return done(err);
+                if (this.changes === 0) return done(new Error(`Not enough ${product.name} in stock for the replacement`));
+                finish([stockMovementStatement(claim.product_id, -claim.quantity, 'warranty', userId,
+                  { referenceId: claim.id, notes: `Warranty ${claim.claim_number}: replacement` })],
+                  null, product.purchase_price * claim.quantity);
+              });
+            });
+          });
+        }, (err) => {
+          if (err) return res.status(400).json({ error: err.message });
+          res.json({ success: true, status: 'resolved', action: finalAction });
+        });
+      });
+    });
+  });
+});
+
+// Puts the faulty item from a replaced or refunded claim back into sellable stock once it has been
+// fixed or swapped by the supplier
+app.post('/api/warranty/claims/:id/restock', requirePermission('warranty.manage'),
+  audited('warranty_claim', { table: 'warranty_claims', action: 'restock' }), (req, res) => {
+  const userId = req.session.userId;
+
+  loadWarrantyClaim(req, res, (claim) => {
+    if (claim.status !== 'resolved' || !['replace', 'refund'].includes(claim.action)) {
+      return res.status(400).json({ error: 'Only the faulty item of a replaced or refunded claim can be restocked' });
+    }
+    if (claim.faulty_unit_restocked) {
+      return res.status(400).json({ error: 'The faulty item has already been restocked' });
+    }
+
+    const notes = `Warranty ${claim.claim_number}: faulty item restocked${req.body.notes ? ` (${req.body.notes})` : ''}`;
+    const statements = [
+      ['UPDATE warranty_claims SET faulty_unit_restocked = 1 WHERE id = ?', [claim.id]],
+      ['UPDATE products SET quantity = quantity + ? WHERE id = ?', [claim.quantity, claim.product_id]],
+      stockMovementStatement(claim.product_id, claim.quantity, 'warranty', userId,
+        { unitId: claim.unit_id, referenceId: claim.id, notes })
+    ];
+    if (claim.unit_id) {
+      statements.unshift([`UPDATE product_units SET status = 'in_stock', branch_id = ? WHERE id = ? AND status = 'damaged'`,
+        [req.user.branch_id, claim.unit_id]]);
+      statements.push([`INSERT INTO unit_events (unit_id, event_type, notes, created_by) VALUES (?, 'restocked', ?, ?)`,
+        [claim.unit_id, notes, userId]]);
+    }
+
+    db.get('SELECT status FROM product_units WHERE id = ?', [claim.unit_id], (err, unit) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (unit && unit.status !== 'damaged') {
+        return res.status(400).json({ error: 'The faulty unit is no longer set aside as damaged' });
+      }
+
+      withTransaction((done) => runSequence(statements, done), (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        res.json({ success: true });
+      });
+    });
+  });
+});
+
+// Installment Plan Routes
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(toDate + 'T00:00:00') - new Date(fromDate + 'T00:00:00')) / (1000 * 60 * 60 * 24));
+}
+
+// Due date of an installment: the due day of the month, pulled back to the month's last day if needed
+function installmentDueDate(startDate, monthsAhead, dueDay) {
+  const start = new Date(startDate + 'T00:00:00');
+  const year = start.getFullYear();
+  const month = start.getMonth() + monthsAhead;
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return formatDate(new Date(year, month, Math.min(dueDay, lastDay)));
+}
+
+// Adds balance, status, days overdue and any late fee not yet charged to each schedule row
+function describeInstallments(plan, rows, today) {
+  return rows.map(row => {
+    const balance = roundMoney(row.amount_due - row.amount_paid);
+    const daysOverdue = balance > 0 ? Math.max(daysBetween(row.due_date, today), 0) : 0;
+    let status = 'upcoming';
+    if (balance <= 0) status = 'paid';
+    else if (daysOverdue > 0) status = 'overdue';
+    else if (row.due_date === today) status = 'due';
+
+    const lateFeeDue = status === 'overdue' && daysOverdue > plan.grace_days && !row.late_fee_charged ? plan.late_fee : 0;
+    return { ...row, balance, status, days_overdue: daysOverdue, late_fee_due: lateFeeDue };
+  });
+}
+
+function summarizeInstallments(plan, schedule, payments) {
+  const feesCharged = schedule.reduce((sum, row) => sum + row.late_fee_charged, 0);
+  const feesPaid = payments.reduce((sum, payment) => sum + payment.late_fees, 0);
+  const unpaid = schedule.filter(row => row.balance > 0);
+  return {
+    total_paid: roundMoney(schedule.reduce((sum, row) => sum + row.amount_paid, 0)),
+    remaining: roundMoney(unpaid.reduce((sum, row) => sum + row.balance, 0)),
+    overdue_amount: roundMoney(unpaid.filter(row => row.status === 'overdue').reduce((sum, row) => sum + row.balance, 0)),
+    late_fees_outstanding: roundMoney(feesCharged - feesPaid + schedule.reduce((sum, row) => sum + row.late_fee_due, 0)),
+    next_due_date: unpaid.length > 0 ? unpaid[0].due_date : null
+  };
+}
+
+// A plan with its schedule and payments; its sale has to be from branchId unless that is null
+function loadInstallmentPlan(planId, branchId, callback) {
+  const query = `
+    SELECT ip.*, s.invoice_number, s.net_total, s.branch_id, c.name as customer_name, c.phone as customer_phone
+    FROM installment_plans ip
+    JOIN sales s ON ip.sale_id = s.id
+    JOIN customers c ON ip.customer_id = c.id
+    WHERE ip.id = ? AND (? IS NULL OR s.branch_id = ?)
+  `;
+
+  db.get(query, [planId, branchId, branchId], (err, plan) => {
+    if (err || !plan) return callback(err, plan);
+
+    db.all('SELECT * FROM installment_schedule WHERE plan_id = ? ORDER BY installment_no', [plan.id], (err, rows) => {
+      if (err) return callback(err);
+
+      db.all('SELECT * FROM installment_payments WHERE plan_id = ? ORDER BY payment_date', [plan.id], (err, payments) => {
+        if (err) return callback(err);
+
+        const schedule = describeInstallments(plan, rows, formatDate(new Date()));
+        callback(null, { ...plan, ...summarizeInstallments(plan, schedule, payments), schedule, payments });
+      });
+    });
+  });
+}
+
+// Puts a credit sale on a monthly plan. Whatever was paid at the counter counts as the down payment,
+// the rest of the sale's balance is financed, and the markup is added to the customer's account
+// and to the sale's profit.
+app.post('/api/sales/:id/installment-plan', requirePermission('customers.manage'),
+  audited('installment_plan', { table: 'installment_plans', id: (req, body) => body && body.plan.id }), (req, res) => {
+  const { months, markup_percent, due_day, late_fee, grace_days, first_due_date } = req.body;
+  const monthCount = Number(months);
+  const markupPercent = Number(markup_percent) || 0;
+  const dueDay = Number(due_day) || new Date().getDate();
+
+  if (!Number.isInteger(monthCount) || monthCount < 1 || monthCount > 60) {
+    return res.status(400).json({ error: 'Months must be a whole number between 1 and 60' });
+  }
+  if (markupPercent < 0) {
+    return res.status(400).json({ error: 'Markup cannot be negative' });
+  }
+  if (!Number.isInteger(dueDay) || dueDay < 1 || dueDay > 31) {
+    return res.status(400).json({ error: 'Due day must be between 1 and 31' });
+  }
+  if ((Number(late_fee) || 0) < 0 || (Number(grace_days) || 0) < 0) {
+    return res.status(400).json({ error: 'Late fee and grace days cannot be negative' });
+  }
+  if (first_due_date && !isDate(first_due_date)) {
+    return res.status(400).json({ error: 'First due date must be a date (YYYY-MM-DD)' });
+  }
+
+  const branchId = recordBranchScope(req);
+  const saleQuery = 'SELECT * FROM sales WHERE id = ? AND (? IS NULL OR branch_id = ?)';
+  db.get(saleQuery, [req.params.id, branchId, branchId], (err, sale) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!sale) return res.status(404).json({ error: 'Sale not found' });
+    if (sale.payment_type !== 'credit' || !sale.customer_id) {
+      return res.status(400).json({ error: 'Installment plans can only be attached to credit sales' });
+    }
+
+    const ledgerQuery = `
+      SELECT COALESCE(SUM(debit - credit), 0) as balance,
+             COALESCE(SUM(CASE WHEN entry_type = 'payment' THEN credit ELSE 0 END), 0) as paid,
+             (SELECT COUNT(*) FROM installment_plans WHERE sale_id = ?) as plans
+      FROM customer_ledger WHERE sale_id = ?
+    `;
+
+    db.get(ledgerQuery, [sale.id, sale.id], (err, ledger) => {
+      if (err) return res.status(500).json({ error: err.message });
+      if (ledger.plans > 0) {
+        return res.status(400).json({ error: 'This sale already has an installment plan' });
+      }
+
+      const financed = roundMoney(ledger.balance);
+      if (financed <= 0) {
+        return res.status(400).json({ error: 'Nothing is left to finance on this sale' });
+      }
+
+      const markupAmount = roundMoney(financed * markupPercent / 100);
+      const totalPayable = roundMoney(financed + markupAmount);
+      const installment = Math.floor(totalPayable / monthCount * 100) / 100;
+
+      // The first installment falls on the next due day at least a month away, unless given
+      let startDate = first_due_date;
+      let offset = 0;
+      if (!startDate) {
+        startDate = formatDate(new Date());
+        offset = 1;
+      }
+
+      withTransaction((done) => {
+        db.run(`INSERT INTO installment_plans (sale_id, customer_id, down_payment, financed_amount, markup_percent,
+                markup_amount, total_payable, months, due_day, late_fee, grace_days, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [sale.id, sale.customer_id, ledger.paid, financed, markupPercent, markupAmount, totalPayable,
+           monthCount, dueDay, Number(late_fee) || 0, Number(grace_days) || 0, req.session.userId],
+          function(err) {
+            if (err) return done(err);
+
+            const planId = this.lastID;
+            const statements = [];
+            for (let i = 0; i < monthCount; i++) {
+              // The last installment absorbs the rounding
+              const amount = i === monthCount - 1 ? roundMoney(totalPayable - installment * (monthCount - 1)) : installment;
+              const dueDate = first_due_date && i === 0 ? first_due_date : installmentDueDate(startDate, i + offset, dueDay);
+              statements.push([`INSERT INTO installment_schedule (plan_id, installment_no, due_date, amount_due)
+                                VALUES (?, ?, ?, ?)`, [planId, i + 1, dueDate, amount]]);
+            }
+            if (markupAmount > 0) {
+              statements.push([`INSERT INTO customer_ledger (customer_id, entry_type, sale_id, debit, notes, created_by)
+                                VALUES (?, 'adjustment', ?, ?, 'Installment markup', ?)`,
+                [sale.customer_id, sale.id, markupAmount, req.session.userId]]);
+              statements.push(['UPDATE sales SET total_profit = total_profit + ? WHERE id = ?', [markupAmount, sale.id]]);
+            }
+            runSequence(statements, (err) => done(err, planId));
+          }
+        );
+      }, (err, planId) => {
+        if (err) return res.status(400).json({ error: err.message });
+
+        loadInstallmentPlan(planId, null, (err, plan) => {
+          if (err) return res.status(500).json({ error: err.message });
+          res.json({ success: true, plan });
+        });
+      });
+    });
+  });
+});
+
+app.get('/api/installment-plans', requireAuth, (req, res) => {
+  const { status, customer_id } = req.query;
+
+  let query = `
+    SELECT ip.*, s.invoice_number, c.name as customer_name, c.phone as customer_phone,
+      COALESCE((SELECT SUM(amount_paid) FROM installment_schedule WHERE plan_id = ip.id), 0) as total_paid,
+      (SELECT MIN(due_date) FROM installment_schedule WHERE plan_id = ip.id AND amount_paid < amount_due) as next_due_date
+    FROM installment_plans ip
+    JOIN sales s ON ip.sale_id = s.id
+    JOIN customers c ON ip.customer_id = c.id
+    WHERE 1=1`;
+  const params = [];
+  const branchId = branchScope(req);
+
+  if (branchId) {
+    query += ' AND s.branch_id = ?';
+    params.push(branchId);
+  }
+
+  if (status) {
+    query += ' AND ip.status = ?';
+    params.push(status);
+  }
+
+  if (customer_id) {
+    query += ' AND ip.customer_id = ?';
+    params.push(customer_id);
+  }
+
+  query += ' ORDER BY ip.created_at DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+app.get('/api/installment-plans/:id', requireAuth, (req, res) => {
+  loadInstallmentPlan(req.params.id, recordBranchScope(req), (err, plan) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!plan) return res.status(404).json({ error: 'Installment plan not found' });
+    res.json(plan);
+  });
+});
+
+// Works out an installment payment against the plan as read: late fees that have fallen due are
+// charged first, then the payment settles outstanding fees and the oldest installments in order.
+// Each schedule row is only updated as it was read, so a payment that raced another one stops.
+// Calls back with { error } for a payment the plan cannot take.
+function installmentPaymentStatements(req, plan, paymentAmount, method) {
+  const outstanding = roundMoney(plan.remaining + plan.late_fees_outstanding);
+  if (plan.status !== 'active') return { error: 'Installment plan is already completed' };
+  if (paymentAmount > outstanding) return { error: `Payment exceeds the remaining balance of Rs. ${outstanding}` };
+
+  const changed = 'The installment plan has just been updated, try again';
+  const today = formatDate(new Date());
+  const statements = [];
+  plan.schedule.filter(row => row.late_fee_due > 0).forEach(row => {
+    statements.push(['UPDATE installment_schedule SET late_fee_charged = ? WHERE id = ? AND late_fee_charged = 0',
+      [row.late_fee_due, row.id], changed]);
+    statements.push([`INSERT INTO customer_ledger (customer_id, entry_type, sale_id, debit, notes, created_by)
+                      VALUES (?, 'adjustment', ?, ?, ?, ?)`,
+      [plan.customer_id, plan.sale_id, row.late_fee_due, `Late fee on installment ${row.installment_no}`, req.session.userId]]);
+    statements.push(['UPDATE sales SET total_profit = total_profit + ? WHERE id = ?', [row.late_fee_due, plan.sale_id]]);
+  });
+
+  const feesPaid = Math.min(paymentAmount, plan.late_fees_outstanding);
+  let remaining = roundMoney(paymentAmount - feesPaid);
+  plan.schedule.filter(row => row.balance > 0).forEach(row => {
+    if (remaining <= 0) return;
+    const applied = Math.min(row.balance, remaining);
+    remaining = roundMoney(remaining - applied);
+    statements.push([`UPDATE installment_schedule SET amount_paid = amount_paid + ?,
+                      paid_date = CASE WHEN amount_paid + ? >= amount_due - 0.005 THEN ? ELSE paid_date END
+                      WHERE id = ? AND amount_paid = ?`, [applied, applied, today, row.id, row.amount_paid], changed]);
+  });
+
+  statements.push([`INSERT INTO installment_payments (plan_id, amount, late_fees, method, created_by)
+                    VALUES (?, ?, ?, ?, ?)`, [plan.id, paymentAmount, feesPaid, method, req.session.userId]]);
+  statements.push([`INSERT INTO customer_ledger (customer_id, entry_type, sale_id, credit, method, notes, created_by)
+                    VALUES (?, 'payment', ?, ?, ?, 'Installment payment', ?)`,
+    [plan.customer_id, plan.sale_id, paymentAmount, method, req.session.userId]]);
+  if (method === 'cash') {
+    statements.push(collectionMovementStatement(req.shift.id, paymentAmount, req.session.userId,
+      `Installment payment on ${plan.invoice_number}`));
+  }
+  if (paymentAmount >= outstanding) {
+    statements.push([`UPDATE installment_plans SET status = 'completed' WHERE id = ? AND status = 'active'`, [plan.id], changed]);
+  }
+  return { statements };
+}
+
+// Takes a return credited to the customer's account off the sale's active installment plan, from the
+// last installment back, and completes the plan once nothing is left to pay on it. Calls back with
+// the statements to run (none when the sale is not on an active plan).
+function installmentReturnStatements(saleId, amount, callback) {
+  db.get("SELECT id FROM installment_plans WHERE sale_id = ? AND status = 'active'", [saleId], (err, found) => {
+    if (err || !found || !(amount > 0)) return callback(err, []);
+
+    loadInstallmentPlan(found.id, null, (err, plan) => {
+      if (err) return callback(err);
+
+      const changed = 'The installment plan has just been updated, try again';
+      const statements = [];
+      let left = roundMoney(amount);
+      plan.schedule.filter(row => row.balance > 0).reverse().forEach(row => {
+        if (left <= 0) return;
+        const reduced = Math.min(row.balance, left);
+        left = roundMoney(left - reduced);
+        statements.push(['UPDATE installment_schedule SET amount_due = amount_due - ? WHERE id = ? AND amount_paid = ?',
+          [reduced, row.id, row.amount_paid], changed]);
+      });
+
+      const feesOwed = roundMoney(plan.late_fees_outstanding - plan.schedule.reduce((sum, row) => sum + row.late_fee_due, 0));
+      if (amount >= plan.remaining && feesOwed <= 0) {
+        statements.push([`UPDATE installment_plans SET status = 'completed' WHERE id = ? AND status = 'active'`,
+          [plan.id], changed]);
+      }
+      callback(null, statements);
+    });
+  });
+}
+
+// Takes an installment payment. The plan is read again inside the transaction, so two payments
+// taken together cannot both settle the same installment or both charge its late fee.
+app.post('/api/installment-plans/:id/payments', requirePermission('customers.manage'),
+  audited('installment_plan', { table: 'installment_plans', action: 'payment' }), loadOpenShift, (req, res) => {
+  const { amount } = req.body;
+  const method = req.body.method || 'cash';
+  const paymentAmount = roundMoney(Number(amount));
+
+  if (!(paymentAmount > 0)) {
+    return res.status(400).json({ error: 'Payment amount must be greater than zero' });
+  }
+  if (!COLLECTION_METHODS.includes(method)) {
+    return res.status(400).json({ error: 'Invalid payment method' });
+  }
+  if (method === 'cash' && !req.shift) {
+    return res.status(400).json({ error: 'Open a shift before taking cash', shift_required: true });
+  }
+
+  loadInstallmentPlan(req.params.id, recordBranchScope(req), (err, found) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!found) return res.status(404).json({ error: 'Installment plan not found' });
+
+    withTransaction((done) => {
+      loadInstallmentPlan(found.id, null, (err, plan) => {
+        if (err) return done(err);
+        const { statements, error } = installmentPaymentStatements(req, plan, paymentAmount, method);
+        if (error) return done(new Error(error));
+        runSequence(statements, done);
+      });
+    }, (err) => {
+      if (err) return res.status(400).json({ error: err.message });
+
+      loadInstallmentPlan(found.id, null, (err, updated) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ success: true, plan: updated });
+      });
+    });
+  });
+});
+
+// Expenses Routes
+// Each expense has a category and a payment method. Petty-cash payouts are booked by the shift
+// routes and keep the amount taken from the till. Receipt scans (images or PDFs) are stored with
+// the expense, and recurring templates post themselves once a month (see postRecurringExpenses).
+const EXPENSE_PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'cheque'];
+
+// Filters for the expense list, its export and the reports; columns are on expenses e
+function expenseFilters(filters) {
+  const { start_date, end_date, branch_id, category_id } = filters;
+  
+  let where = '';
+  const params = [];
+  
+  if (branch_id) {
+    where += ' AND e.branch_id = ?';
+    params.push(branch_id);
+  }
+  
+  if (category_id) {
+    where += category_id === 'none' ? ' AND e.category_id IS NULL' : ' AND e.category_id = ?';
+    if (category_id !== 'none') params.push(category_id);
+  }
+  
+  if (start_date) {
+    where += ' AND DATE(e.expense_date) >= DATE(?)';
+    params.push(start_date);
+  }
+  
+  if (end_date) {
+    where += ' AND DATE(e.expense_date) <= DATE(?)';
+    params.push(end_date);
+  }
+  
+  return { where, params };
+}
+
+const EXPENSES_QUERY = `
+  SELECT e.*, c.name as category_name, u.username as created_by_name,
+         (SELECT m.shift_id FROM cash_movements m WHERE m.expense_id = e.id) as payout_shift_id,
+         (SELECT COUNT(*) FROM expense_attachments a WHERE a.expense_id = e.id) as attachment_count
+  FROM expenses e
+  LEFT JOIN expense_categories c ON e.category_id = c.id
+  LEFT JOIN users u ON e.created_by = u.id
+`;
+
+// An expense read by id, provided it was booked at a branch the user can see
+function loadExpense(req, callback) {
+  const branchId = recordBranchScope(req);
+  db.get(`${EXPENSES_QUERY} WHERE e.id = ? AND (? IS NULL OR e.branch_id = ?)`, [req.params.id, branchId, branchId],
+    callback);
+}
+
+function loadExpenseAttachment(req, callback) {
+  loadExpense(req, (err, expense) => {
+    if (err || !expense) return callback(err, null);
+    db.get('SELECT * FROM expense_attachments WHERE id = ? AND expense_id = ?', [req.params.attachmentId, expense.id],
+      callback);
+  });
+}
+
+// Checks the fields of an expense or a recurring template; calls back with { error } or the clean values
+function expenseFields(body, callback) {
+  const description = String(body.description || '').trim();
+  const amount = roundMoney(Number(body.amount));
+  const paymentMethod = body.payment_method || 'cash';
+  const categoryId = body.category_id ? Number(body.category_id) : null;
+
+  if (!description) return callback(null, { error: 'Description is required' });
+  if (!(amount > 0)) return callback(null, { error: 'Amount must be greater than zero' });
+  if (!EXPENSE_PAYMENT_METHODS.includes(paymentMethod)) {
+    return callback(null, { error: `Payment method must be one of: ${EXPENSE_PAYMENT_METHODS.join(', ')}` });
+  }
+  if (!categoryId) return callback(null, { description, amount, paymentMethod, categoryId });
+
+  db.get('SELECT id, active FROM expense_categories WHERE id = ?', [categoryId], (err, category) => {
+    if (err) return callback(err);
+    if (!category) return callback(null, { error: 'Expense category not found' });
+    callback(null, { description, amount, paymentMethod, categoryId });
+  });
+}
+
+// A real calendar date written YYYY-MM-DD
+function isDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+  return formatDate(new Date(value + 'T00:00:00')) === value;
+}
+
+function removeReceiptFiles(files) {
+  (files || []).forEach(file => fs.unlink(file.path, () => {}));
+}
+
+function receiptStatements(expenseId, files, userId) {
+  return (files || []).map(file => [
+    `INSERT INTO expense_attachments (expense_id, file_name, original_name, mime_type, size, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [expenseId, file.filename, file.originalname, file.mimetype, file.size, userId]
+  ]);
+}
+
+app.get('/api/expense-categories', requirePermission('expenses.manage'), (req, res) => {
+  db.all(`SELECT c.*, (SELECT COUNT(*) FROM expenses e WHERE e.category_id = c.id) as expense_count
+          FROM expense_categories c ORDER BY c.active DESC, c.name`, [], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+app.post('/api/expense-categories', requirePermission('expenses.manage'),
+  audited('expense_category', { table: 'expense_categories' }), (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Category name is required' });
+
+  db.run('INSERT INTO expense_categories (name) VALUES (?)', [name], function(err) {
+    if (err) {
+      const duplicate = err.message.includes('UNIQUE');
+      return res.status(duplicate ? 400 : 500).json({ error: duplicate ? `${name} already exists` : err.message });
+    }
+    res.json({ success: true, id: this.lastID });
+  });
+});
+
+// A category with expenses in it is switched off rather than deleted
+app.put('/api/expense-categories/:id', requirePermission('expenses.manage'),
+  audited('expense_category', { table: 'expense_categories' }), (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Category name is required' });
+
+  db.run('UPDATE expense_categories SET name = ?, active = ? WHERE id = ?',
+    [name, req.body.active === undefined || req.body.active ? 1 : 0, req.params.id], function(err) {
+      if (err) {
+        const duplicate = err.message.includes('UNIQUE');
+        return res.status(duplicate ? 400 : 500).json({ error: duplicate ? `${name} already exists` : err.message });
+      }
+      if (this.changes === 0) return res.status(404).json({ error: 'Expense category not found' });
+      res.json({ success: true });
+    });
+});
+
+app.get('/api/expenses', requirePermission('expenses.manage'), (req, res) => {
+  const { where, params } = expenseFilters({ ...req.query, branch_id: branchScope(req) });
+  
+  const query = `${EXPENSES_QUERY} WHERE 1=1${where} ORDER BY e.expense_date DESC, e.id DESC`;
+  
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+app.get('/api/expenses/:id', requirePermission('expenses.manage'), (req, res) => {
+  loadExpense(req, (err, expense) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+
+    db.all(`SELECT id, original_name, mime_type, size, created_at FROM expense_attachments
+            WHERE expense_id = ? ORDER BY id`, [expense.id], (err, attachments) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({
+        ...expense,
+        attachments: attachments.map(file => ({ ...file, url: `/api/expenses/${expense.id}/attachments/${file.id}` }))
+      });
+    });
+  });
+});
+
+// JSON, or a multipart form with the same fields and up to 5 receipt files
+app.post('/api/expenses', requirePermission('expenses.manage'), expenseReceiptUpload.array('receipts', 5),
+  audited('expense', { table: 'expenses' }), (req, res) => {
+  const fail = (status, error) => {
+    removeReceiptFiles(req.files);
+    res.status(status).json({ error });
+  };
+  if (!isDate(req.body.expense_date)) return fail(400, 'Expense date is required');
+
+  expenseFields(req.body, (err, fields) => {
+    if (err) return fail(500, err.message);
+    if (fields.error) return fail(400, fields.error);
+
+    withTransaction((done) => {
+      db.run(`INSERT INTO expenses (description, amount, expense_date, category_id, payment_method, reference, branch_id,
+              created_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [fields.description, fields.amount, req.body.expense_date, fields.categoryId, fields.paymentMethod,
+         req.body.reference || null, req.user.branch_id, req.session.userId],
+        function(err) {
+          if (err) return done(err);
+          const expenseId = this.lastID;
+          runSequence(receiptStatements(expenseId, req.files, req.session.userId), (err) => done(err, expenseId));
+        });
+    }, (err, expenseId) => {
+      if (err) return fail(400, err.message);
+      res.json({ id: expenseId, success: true });
+    });
+  });
+});
+
+// Same fields as adding one; receipts sent are added to those already kept. A petty-cash payout's
+// amount and method are fixed by the till it came out of.
+app.put('/api/expenses/:id', requirePermission('expenses.manage'), expenseReceiptUpload.array('receipts', 5),
+  audited('expense', { table: 'expenses' }), (req, res) => {
+  const fail = (status, error) => {
+    removeReceiptFiles(req.files);
+    res.status(status).json({ error });
+  };
+  if (!isDate(req.body.expense_date)) return fail(400, 'Expense date is required');
+
+  loadExpense(req, (err, expense) => {
+    if (err) return fail(500, err.message);
+    if (!expense) return fail(404, 'Expense not found');
+
+    expenseFields(req.body, (err, fields) => {
+      if (err) return fail(500, err.message);
+      if (fields.error) return fail(400, fields.error);
+      if (expense.payout_shift_id && (fields.amount !== expense.amount || fields.paymentMethod !== 'cash')) {
+        return fail(400, `This expense is a petty-cash payout from shift #${expense.payout_shift_id}; its amount cannot be changed`);
+      }
+
+      withTransaction((done) => {
+        db.run(`UPDATE expenses SET description = ?, amount = ?, expense_date = ?, category_id = ?, payment_method = ?,
+                reference = ?, updated_at = CURRENT_TIMESTAMP, updated_by = ? WHERE id = ?`,
+          [fields.description, fields.amount, req.body.expense_date, fields.categoryId, fields.paymentMethod,
+           req.body.reference || null, req.session.userId, expense.id],
+          (err) => {
+            if (err) return done(err);
+            runSequence(receiptStatements(expense.id, req.files, req.session.userId), done);
+          });
+      }, (err) => {
+        if (err) return fail(400, err.message);
+        res.json({ success: true });
+      });
+    });
+  });
+});
+
+app.delete('/api/expenses/:id', requirePermission('expenses.manage'),
+  audited('expense', { table: 'expenses' }), (req, res) => {
+  loadExpense(req, (err, expense) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!expense) return res.status(404).json({ error: 'Expense not found' });
+    if (expense.payout_shift_id) {
+      return res.status(400).json({ error: `This expense is a petty-cash payout from shift #${expense.payout_shift_id} and cannot be deleted` });
+    }
+    
+    db.all('SELECT file_name FROM expense_attachments WHERE expense_id = ?', [expense.id], (err, attachments) => {
+      if (err) return res.status(500).json({ error: err.message });
+      
+      runSequence([
+        ['DELETE FROM expense_attachments WHERE expense_id = ?', [expense.id]],
+        ['DELETE FROM expenses WHERE id = ?', [expense.id]]
+      ], (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        attachments.forEach(file => fs.unlink(path.join(EXPENSE_RECEIPT_DIR, file.file_name), () => {}));
+        res.json({ success: true });
+      });
+    });
+  });
+});
+
+app.get('/api/expenses/:id/attachments/:attachmentId', requirePermission('expenses.manage'), (req, res) => {
+  loadExpenseAttachment(req, (err, file) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!file) return res.status(404).json({ error: 'Receipt not found' });
+
+    res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${String(file.original_name || 'receipt').replace(/"/g, '')}"`);
+    res.sendFile(path.join(EXPENSE_RECEIPT_DIR, file.file_name), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Receipt file is missing' });
+    });
+  });
+});
+
+app.delete('/api/expenses/:id/attachments/:attachmentId', requirePermission('expenses.manage'),
+  audited('expense_attachment', { table: 'expense_attachments', id: (req) => req.params.attachmentId }), (req, res) => {
+  loadExpenseAttachment(req, (err, file) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (!file) return res.status(404).json({ error: 'Receipt not found' });
+
+    db.run('DELETE FROM expense_attachments WHERE id = ?', [file.id], (err) => {
+      if (err) return res.status(500).json({ error: err.message });
+      fs.unlink(path.join(EXPENSE_RECEIPT_DIR, file.file_name), () => {});
+      res.json({ success: true });
+    });
+  });
+});
+
+// Recurring expenses: a template posts an expense on day_of_month of every month from starts_on
+// until ends_on (or until it is stopped), booked to the branch it was set up at. Months missed while
+// the server was off are caught up on the next check.
+const RECURRING_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// The dates a template still has to post, up to and including today
+function recurringDatesDue(template, today) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const last = template.ends_on && template.ends_on < today ? template.ends_on : today;
+  let [year, month] = (template.last_posted_on || template.starts_on).split('-').map(Number);
+  if (template.last_posted_on) month++;
+
+  const dates = [];
+  for (;;) {
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+    const date = `${year}-${pad(month)}-${pad(template.day_of_month)}`;
+    if (date > last) break;
+    if (date >= template.starts_on) dates.push(date);
+    month++;
+  }
+  return dates;
+}
+
+// Posts every recurring expense that has come due; calls back with how many were posted
+function postRecurringExpenses(callback) {
+  const today = formatDate(new Date());
+  db.all('SELECT * FROM recurring_expenses WHERE active = 1 AND starts_on <= ? ORDER BY id', [today], (err, templates) => {
+    if (err) return callback(err);
+
+    let posted = 0;
+    runEach(templates, (template, index, next) => {
+      const dates = recurringDatesDue(template, today);
+      if (dates.length === 0) return next();
+
+      runEach(dates, (date, i, nextDate) => {
+        db.run(`INSERT OR IGNORE INTO expenses (description, amount, expense_date, category_id, payment_method,
+                recurring_expense_id, branch_id, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [template.description, template.amount, date, template.category_id, template.payment_method, template.id,
+           template.branch_id, template.created_by], function(err) {
+            if (!err) posted += this.changes;
+            nextDate(err);
+          });
+      }, (err) => {
+        if (err) return next(err);
+        db.run('UPDATE recurring_expenses SET last_posted_on = ? WHERE id = ?', [dates[dates.length - 1], template.id], next);
+      });
+    }, (err) => callback(err, posted));
+  });
+}
+
+function startRecurringExpenses() {
+  const check = () => {
+    if (!db || databaseSwapping) return;
+    postRecurringExpenses((err, posted) => {
+      if (err) return console.error('Error posting recurring expenses:', err.message);
+      if (posted > 0) console.log(`Posted ${posted} recurring expense(s)`);
+    });
+  };
+  setTimeout(check, 5000).unref();
+  setInterval(check, RECURRING_CHECK_INTERVAL_MS).unref();
+}
+
+const RECURRING_EXPENSES_QUERY = `
+  SELECT r.*, c.name as category_name, b.name as branch_name,
+         (SELECT COUNT(*) FROM expenses e WHERE e.recurring_expense_id = r.id) as times_posted
+  FROM recurring_expenses r
+  LEFT JOIN expense_categories c ON r.category_id = c.id
+  LEFT JOIN branches b ON r.branch_id = b.id
+`;
+
+app.get('/api/recurring-expenses', requirePermission('expenses.manage'), (req, res) => {
+  const branchId = branchScope(req);
+  db.all(`${RECURRING_EXPENSES_QUERY} WHERE 1=1${branchId ? ' AND r.branch_id = ?' : ''}
+          ORDER BY r.active DESC, r.day_of_month, r.id`, branchId ? [branchId] : [], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+function recurringExpenseFields(body, callback) {
+  const dayOfMonth = Number(body.day_of_month);
+  if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 28) {
+    return callback(null, { error: 'Day of the month must be between 1 and 28' });
+  }
+  if (!isDate(body.starts_on)) return callback(null, { error: 'Start date is required' });
+  if (body.ends_on && !isDate(body.ends_on)) return callback(null, { error: 'End date must be YYYY-MM-DD' });
+  if (body.ends_on && body.ends_on < body.starts_on) return callback(null, { error: 'The expense ends before it starts' });
+
+  expenseFields(body, (err, fields) => {
+    if (err || fields.error) return callback(err, fields);
+    callback(null, { ...fields, dayOfMonth, startsOn: body.starts_on, endsOn: body.ends_on || null });
+  });
+}
+
+// Saving a template posts anything it already has due
+app.post('/api/recurring-expenses', requirePermission('expenses.manage'),
+  audited('recurring_expense', { table: 'recurring_expenses' }), (req, res) => {
+  recurringExpenseFields(req.body, (err, fields) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (fields.error) return res.status(400).json({ error: fields.error });
+
+    db.run(`INSERT INTO recurring_expenses (description, category_id, amount, payment_method, day_of_month, starts_on,
+            ends_on, branch_id, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [fields.description, fields.categoryId, fields.amount, fields.paymentMethod, fields.dayOfMonth, fields.startsOn,
+       fields.endsOn, req.user.branch_id, req.session.userId],
+      function(err) {
+        if (err) return res.status(500).json({ error: err.message });
+        const id = this.lastID;
+        postRecurringExpenses((err, posted) => {
+          if (err) return res.status(500).json({ error: err.message });
+          res.json({ success: true, id, posted });
+        });
+      });
+  });
+});
+
+// Changes apply to expenses posted from now on; those already posted are edited on their own
+app.put('/api/recurring-expenses/:id', requirePermission('expenses.manage'),
+  audited('recurring_expense', { table: 'recurring_expenses' }), (req, res) => {
+  recurringExpenseFields(req.body, (err, fields) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (fields.error) return res.status(400).json({ error: fields.error });
+
+    db.run(`UPDATE recurring_expenses SET description = ?, category_id = ?, amount = ?, payment_method = ?,
+            day_of_month = ?, starts_on = ?, ends_on = ?, active = ? WHERE id = ?`,
+      [fields.description, fields.categoryId, fields.amount, fields.paymentMethod, fields.dayOfMonth, fields.startsOn,
+       fields.endsOn, req.body.active === undefined || req.body.active ? 1 : 0, req.params.id],
+      function(err) {
+        if (err) return res.status(500).json({ error: err.message });
+        if (this.changes === 0) return res.status(404).json({ error: 'Recurring expense not found' });
+        postRecurringExpenses((err, posted) => {
+          if (err) return res.status(500).json({ error: err.message });
+          res.json({ success: true, posted });
+        });
+      });
+  });
+});
+
+// Dashboard Stats
+// Money received and refunded per payment method; payments count on the day they were taken
+const PAYMENT_METHOD_TOTALS_SQL = `SELECT sp.method,
+         ROUND(SUM(CASE WHEN sp.amount > 0 THEN sp.amount ELSE 0 END), 2) as received,
+         ROUND(SUM(CASE WHEN sp.amount < 0 THEN -sp.amount ELSE 0 END), 2) as refunded,
+         ROUND(SUM(sp.amount), 2) as net
+       FROM sale_payments sp
+       JOIN sales s ON sp.sale_id = s.id`;
+
+function paymentMethodTotals(filters, callback) {
+  const { where, params } = salesFilters({ start_date: filters.start_date, end_date: filters.end_date,
+                                           branch_id: filters.branch_id }, 'sp.created_at');
+  db.all(`${PAYMENT_METHOD_TOTALS_SQL} WHERE 1=1${where} GROUP BY sp.method ORDER BY sp.method`, params, callback);
+}
+
+function expensesByCategory(filters, callback) {
+  const { where, params } = expenseFilters(filters);
+  db.all(`SELECT COALESCE(c.name, 'Uncategorised') as category, ROUND(SUM(e.amount), 2) as total, COUNT(*) as count
+          FROM expenses e LEFT JOIN expense_categories c ON e.category_id = c.id
+          WHERE 1=1${where} GROUP BY e.category_id ORDER BY total DESC`, params, callback);
+}
+
+// Figures for the user's branch; with branches.manage for any branch or all of them (?branch_id=all)
+app.get('/api/dashboard/stats', requirePermission('dashboard.view'), (req, res) => {
+  const { start_date, end_date } = req.query;
+  const branchId = branchScope(req);
+  
+  let salesQuery = 'SELECT COUNT(*) as count, SUM(net_total) as total, SUM(total_profit) as profit FROM sales WHERE 1=1';
+  let expensesQuery = 'SELECT SUM(amount) as total FROM expenses WHERE 1=1';
+  // Repairs are revenue on the day they are delivered
+  let repairsQuery = `SELECT COUNT(*) as count, SUM(total) as total, SUM(profit) as profit
+                      FROM repair_jobs WHERE status = 'delivered'`;
+  const params = [];
+  
+  if (branchId) {
+    salesQuery += ' AND branch_id = ?';
+    expensesQuery += ' AND branch_id = ?';
+    repairsQuery += ' AND branch_id = ?';
+    params.push(branchId);
+  }
+  
+  if (start_date) {
+    salesQuery += ' AND DATE(sale_date) >= DATE(?)';
+    expensesQuery += ' AND DATE(expense_date) >= DATE(?)';
+    repairsQuery += ' AND DATE(delivered_at) >= DATE(?)';
+    params.push(start_date);
+  }
+  
+  if (end_date) {
+    salesQuery += ' AND DATE(sale_date) <= DATE(?)';
+    expensesQuery += ' AND DATE(expense_date) <= DATE(?)';
+    repairsQuery += ' AND DATE(delivered_at) <= DATE(?)';
+    params.push(end_date);
+  }
+  
+  db.get(salesQuery, params, (err, salesData) => {
+    if (err) return res.status(500).json({ error: err.message });
+    
+    db.get(expensesQuery, params, (err, expensesData) => {
+      if (err) return res.status(500).json({ error: err.message });
+      
+      db.get(repairsQuery, params, (err, repairsData) => {
+        if (err) return res.status(500).json({ error: err.message });
+        
+        const totalSales = roundMoney((salesData.total || 0) + (repairsData.total || 0));
+        const totalProfit = roundMoney((salesData.profit || 0) + (repairsData.profit || 0));
+        const netProfit = roundMoney(totalProfit - (expensesData.total || 0));
+        
+        paymentMethodTotals({ start_date, end_date, branch_id: branchId }, (err, paymentMethods) => {
+          if (err) return res.status(500).json({ error: err.message });
+          
+          expensesByCategory({ start_date, end_date, branch_id: branchId }, (err, expenseCategories) => {
+            if (err) return res.status(500).json({ error: err.message });
+          
+            res.json({
+              transactions: (salesData.count || 0) + (repairsData.count || 0),
+              totalSales,
+              totalProfit,
+              totalExpenses: expensesData.total || 0,
+              netProfit: netProfit,
+              repairs: {
+                jobs: repairsData.count || 0,
+                revenue: repairsData.total || 0,
+                profit: repairsData.profit || 0
+              },
+              paymentMethods,
+              expensesByCategory: expenseCategories
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// Best sellers over the dashboard's date range, net of returns
+app.get('/api/dashboard/top-products', requirePermission('dashboard.view'), (req, res) => {
+  const { where, params } = salesFilters({ start_date: req.query.start_date, end_date: req.query.end_date,
+                                           branch_id: branchScope(req) });
+  const query = `
+    SELECT si.product_id, COALESCE(p.name, MAX(si.product_name)) as product_name,
+           SUM(si.quantity - si.returned_quantity) as total_sold,
+           ROUND(SUM(si.line_total - si.unit_price * si.returned_quantity), 2) as revenue
+    FROM sale_items si
+    JOIN sales s ON si.sale_id = s.id
+    LEFT JOIN products p ON si.product_id = p.id
+    WHERE 1=1${where}
+    GROUP BY si.product_id
+    HAVING total_sold > 0
+    ORDER BY total_sold DESC, revenue DESC
+    LIMIT 10
+  `;
+  
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+// Reorder levels are per branch: each branch is low once its own stock drops below the level
+app.get('/api/dashboard/low-stock', requirePermission('dashboard.view'), (req, res) => {
+  const branchId = branchScope(req);
+  const query = `${BRANCH_PRODUCTS_SQL}
+    WHERE ${PRODUCT_BRANCH_QUANTITY_SQL} < p.reorder_level
+    ORDER BY ${PRODUCT_BRANCH_QUANTITY_SQL} ASC`;
+  
+  db.all(query, [branchId, branchId, branchId, branchId], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(rows);
+  });
+});
+
+// Installments due in the next 7 days and those already overdue, with late fees accrued so far
+app.get('/api/dashboard/installments', requirePermission('dashboard.view'), (req, res) => {
+  const branchId = branchScope(req);
+  const today = formatDate(new Date());
+  const weekEnd = new Date();
+  weekEnd.setDate(weekEnd.getDate() + 7);
+
+  const query = `
+    SELECT sch.*, ip.sale_id, ip.late_fee, ip.grace_days, s.invoice_number,
+           c.id as customer_id, c.name as customer_name, c.phone as customer_phone
+    FROM installment_schedule sch
+    JOIN installment_plans ip ON sch.plan_id = ip.id
+    JOIN sales s ON ip.sale_id = s.id
+    JOIN customers c ON ip.customer_id = c.id
+    WHERE ip.status = 'active' AND sch.amount_paid < sch.amount_due AND sch.due_date <= ?
+      AND (? IS NULL OR s.branch_id = ?)
+    ORDER BY sch.due_date ASC
+  `;
+
+  db.all(query, [formatDate(weekEnd), branchId, branchId], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const described = rows.map(row => describeInstallments(row, [row], today)[0]);
+    const overdue = described.filter(row => row.status === 'overdue');
+    const dueThisWeek = described.filter(row => row.status !== 'overdue');
+
+    res.json({
+      dueThisWeek,
+      overdue,
+      totalDueThisWeek: roundMoney(dueThisWeek.reduce((sum, row) => sum + row.balance, 0)),
+      totalOverdue: roundMoney(overdue.reduce((sum, row) => sum + row.balance, 0)),
+      lateFeesDue: roundMoney(overdue.reduce((sum, row) => sum + row.late_fee_due, 0))
+    });
+  });
+});
+
+// Report Routes
+// Worked out from the sale lines rather than sales.total_profit so that figures can be split by
+// month, product, category, cashier or payment type. Discounts are what the promotions took off each
+// line plus the line's share of the sale's manual discount, spread in proportion to what the lines
+// came to after promotions; returns come off at the price they were refunded at (less the share
+// of the discount they took back with them). Sales tax is
+// not the shop's income: tax included in prices is taken out of net sales (tax added at the till
+// never is in them).
+const LINE_DISCOUNT_SQL = `(si.promotion_amount + CASE WHEN s.subtotal - s.promotion_discount > 0
+                             THEN (si.line_total - si.promotion_amount) * (${SALE_DISCOUNT_SQL}) / (s.subtotal - s.promotion_discount)
+                             ELSE 0 END)`;
+const LINE_INCLUDED_TAX_SQL = `(CASE WHEN si.tax_inclusive THEN si.tax_amount * (si.quantity - si.returned_quantity) / si.quantity
+                                ELSE 0 END)`;
+const LINE_RETURNS_SQL = `(si.unit_price * si.returned_quantity
+                           - (SELECT COALESCE(SUM(r.discount_amount), 0) FROM returns r WHERE r.sale_item_id = si.id))`;
+const LINE_NET_SALES_SQL = `(si.line_total - ${LINE_DISCOUNT_SQL} - ${LINE_RETURNS_SQL} - ${LINE_INCLUDED_TAX_SQL})`;
+const LINE_COST_SQL = '(si.purchase_price * (si.quantity - si.returned_quantity))';
+
+// Stock at cost: tracked products by what each unit in stock was bought for
+// Stock the valuation reports work from, as st (product_id, branch_id, quantity): one branch's
+// share from branch_stock, or with no branch every branch's (branch_id NULL)
+function reportStock(branchId) {
+  return branchId
+    ? { join: 'JOIN branch_stock st ON st.product_id = p.id AND st.branch_id = ?', params: [branchId] }
+    : { join: 'JOIN (SELECT id as product_id, NULL as branch_id, quantity FROM products) st ON st.product_id = p.id', params: [] };
+}
+
+const STOCK_COST_SQL = `CASE WHEN p.track_units
+    THEN COALESCE((SELECT SUM(u.purchase_price) FROM product_units u WHERE u.product_id = p.id AND u.status = 'in_stock'
+                   AND (st.branch_id IS NULL OR u.branch_id = st.branch_id)), 0)
+    ELSE st.quantity * p.purchase_price END`;
+
+const REPORT_GROUPS = {
+  category: { key: 'p.category_id', label: "COALESCE(c.name, 'Uncategorised')" },
+  product: { key: 'si.product_id', label: 'COALESCE(p.name, MAX(si.product_name))' },
+  user: { key: 's.created_by', label: "COALESCE(u.username, 'Unknown')" },
+  payment_type: { key: 's.payment_type', label: 's.payment_type' }
+};
+const REPORT_PERIODS = {
+  day: 'DATE(s.sale_date)',
+  week: "DATE(s.sale_date, 'weekday 0', '-6 days')",   // the Monday the week starts on
+  month: "strftime('%Y-%m', s.sale_date)"
+};
+const SALES_REPORT_FIELDS = ['sales', 'quantity_sold', 'quantity_returned', 'gross_sales', 'discounts', 'returns',
+                             'sales_tax', 'net_sales', 'cost', 'profit'];
+const PROFIT_LOSS_FIELDS = ['gross_sales', 'discounts', 'returns', 'sales_tax', 'net_sales', 'cogs', 'gross_profit',
+                            'repair_revenue', 'repair_costs', 'installment_charges', 'warranty_costs', 'expenses',
+                            'net_profit'];
+
+// Reports default to the year so far
+// Dates and branch a report covers; the branch is the user's own unless they have branches.manage
+function reportRange(req) {
+  const today = formatDate(new Date());
+  const range = {
+    start_date: req.query.start_date || `${today.slice(0, 4)}-01-01`,
+    end_date: req.query.end_date || today,
+    branch_id: branchScope(req)
+  };
+  const valid = [range.start_date, range.end_date].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+  return valid && range.start_date <= range.end_date ? range : null;
+}
+
+function monthsBetween(start, end) {
+  const months = [];
+  let [year, month] = start.split('-').map(Number);
+  for (let key = start.slice(0, 7); key <= end.slice(0, 7);) {
+    months.push(key);
+    if (++month > 12) {
+      month = 1;
+      year++;
+    }
+    key = `${year}-${String(month).padStart(2, '0')}`;
+  }
+  return months;
+}
+
+function sumFields(rows, fields) {
+  const totals = {};
+  fields.forEach(field => { totals[field] = roundMoney(rows.reduce((sum, row) => sum + (Number(row[field]) || 0), 0)); });
+  return totals;
+}
+
+// Each source is summed per month on its own date and merged into the monthly P&L.
+// Sales count in the month they were made and returns in the month they came back (taking
+// their cost back out of COGS), repairs when delivered, warranty replacements when resolved.
+// sales_tax is the tax included in gross sales, less what was reversed on returns of such lines;
+// returns are counted without the tax that had been added to the bill. Installment charges and
+// warranty replacements go to the branch that made the sale.
+const PROFIT_LOSS_SOURCES = [
+  { dateColumn: 's.sale_date', branchColumn: 's.branch_id', sql: (where) => `
+      SELECT strftime('%Y-%m', s.sale_date) as month, SUM(s.subtotal) as gross_sales,
+             SUM(s.promotion_discount + ${SALE_DISCOUNT_SQL}) as discounts
+      FROM sales s WHERE 1=1${where} GROUP BY month` },
+  { dateColumn: 's.sale_date', branchColumn: 's.branch_id', sql: (where) => `
+      SELECT strftime('%Y-%m', s.sale_date) as month, SUM(si.purchase_price * si.quantity) as cogs,
+             SUM(CASE WHEN si.tax_inclusive THEN si.tax_amount ELSE 0 END) as sales_tax
+      FROM sale_items si JOIN sales s ON si.sale_id = s.id WHERE 1=1${where} GROUP BY month` },
+  { dateColumn: 'r.return_date', branchColumn: 'r.branch_id', sql: (where) => `
+      SELECT strftime('%Y-%m', r.return_date) as month,
+             SUM(r.return_amount - CASE WHEN si.tax_inclusive THEN 0 ELSE r.tax_amount END) as returns,
+             -SUM(CASE WHEN si.tax_inclusive THEN r.tax_amount ELSE 0 END) as sales_tax,
+             -SUM(r.return_amount - r.tax_amount - r.return_profit) as cogs
+      FROM returns r LEFT JOIN sale_items si ON r.sale_item_id = si.id WHERE 1=1${where} GROUP BY month` },
+  { dateColumn: 'j.delivered_at', branchColumn: 'j.branch_id', sql: (where) => `
+      SELECT strftime('%Y-%m', j.delivered_at) as month, SUM(j.total) as repair_revenue,
+             SUM(j.total - j.profit) as repair_costs
+      FROM repair_jobs j WHERE j.status = 'delivered'${where} GROUP BY month` },
+  // Installment markup and late fees are booked as adjustments on the plan's sale
+  { dateColumn: 'l.entry_date', branchColumn: '(SELECT s.branch_id FROM sales s WHERE s.id = l.sale_id)', sql: (where) => `
+      SELECT strftime('%Y-%m', l.entry_date) as month, SUM(l.debit) as installment_charges
+      FROM customer_ledger l
+      WHERE l.entry_type = 'adjustment' AND l.sale_id IN (SELECT sale_id FROM installment_plans)${where}
+      GROUP BY month` },
+  { dateColumn: 'w.resolved_at', branchColumn: '(SELECT s.branch_id FROM sales s WHERE s.id = w.sale_id)', sql: (where) => `
+      SELECT strftime('%Y-%m', w.resolved_at) as month, SUM(w.replacement_cost) as warranty_costs
+      FROM warranty_claims w WHERE w.status = 'resolved'${where} GROUP BY month` },
+  { dateColumn: 'e.expense_date', branchColumn: 'e.branch_id', sql: (where) => `
+      SELECT strftime('%Y-%m', e.expense_date) as month, SUM(e.amount) as expenses
+      FROM expenses e WHERE 1=1${where} GROUP BY month` }
+];
+
+app.get('/api/reports/profit-loss', requirePermission('reports.view'), (req, res) => {
+  const range = reportRange(req);
+  if (!range) return res.status(400).json({ error: 'Invalid date range' });
+
+  const months = new Map(monthsBetween(range.start_date, range.end_date).map(month => {
+    const row = { month };
+    PROFIT_LOSS_FIELDS.forEach(field => { row[field] = 0; });
+    return [month, row];
+  }));
+
+  runEach(PROFIT_LOSS_SOURCES, (source, index, next) => {
+    const { where, params } = salesFilters(range, source.dateColumn, source.branchColumn);
+    db.all(source.sql(where), params, (err, rows) => {
+      if (err) return next(err);
+      rows.forEach(row => {
+        const month = months.get(row.month);
+        if (!month) return;
+        Object.keys(row).filter(field => field !== 'month').forEach(field => { month[field] += row[field] || 0; });
+      });
+      next();
+    });
+  }, (err) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const rows = [...months.values()].map(row => {
+      row.net_sales = row.gross_sales - row.discounts - row.returns - row.sales_tax;
+      row.gross_profit = row.net_sales - row.cogs + row.repair_revenue - row.repair_costs + row.installment_charges
+        - row.warranty_costs;
+      row.net_profit = row.gross_profit - row.expenses;
+      PROFIT_LOSS_FIELDS.forEach(field => { row[field] = roundMoney(row[field]); });
+      return row;
+    });
+    // Expenses split by category, each with its monthly amounts
+    const { where, params } = salesFilters(range, 'e.expense_date', 'e.branch_id');
+    db.all(`SELECT strftime('%Y-%m', e.expense_date) as month, COALESCE(c.name, 'Uncategorised') as category,
+                   SUM(e.amount) as total
+            FROM expenses e LEFT JOIN expense_categories c ON e.category_id = c.id
+            WHERE 1=1${where} GROUP BY month, e.category_id`, params, (err, expenseRows) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      const categories = new Map();
+      expenseRows.forEach(row => {
+        if (!categories.has(row.category)) categories.set(row.category, { category: row.category, total: 0, months: {} });
+        const category = categories.get(row.category);
+        category.months[row.month] = roundMoney(row.total);
+        category.total = roundMoney(category.total + row.total);
+      });
+      res.json({
+        ...range,
+        months: rows,
+        totals: sumFields(rows, PROFIT_LOSS_FIELDS),
+        expense_categories: [...categories.values()].sort((a, b) => b.total - a.total)
+      });
+    });
+  });
+});
+
+app.get('/api/reports/sales', requirePermission('reports.view'), (req, res) => {
+  const range = reportRange(req);
+  if (!range) return res.status(400).json({ error: 'Invalid date range' });
+  const groupBy = req.query.group_by || 'category';
+  const group = REPORT_GROUPS[groupBy];
+  if (!group) return res.status(400).json({ error: 'Group by category, product, user or payment_type' });
+  const period = req.query.period || null;
+  if (period && !REPORT_PERIODS[period]) return res.status(400).json({ error: 'Period must be day, week or month' });
+
+  const { where, params } = salesFilters(range);
+  const query = `
+    SELECT ${period ? `${REPORT_PERIODS[period]} as period, ` : ''}${group.key} as group_key, ${group.label} as label,
+           COUNT(DISTINCT s.id) as sales,
+           SUM(si.quantity) as quantity_sold,
+           SUM(si.returned_quantity) as quantity_returned,
+           ROUND(SUM(si.line_total), 2) as gross_sales,
+           ROUND(SUM(${LINE_DISCOUNT_SQL}), 2) as discounts,
+           ROUND(SUM(${LINE_RETURNS_SQL}), 2) as returns,
+           ROUND(SUM(${LINE_INCLUDED_TAX_SQL}), 2) as sales_tax,
+           ROUND(SUM(${LINE_NET_SALES_SQL}), 2) as net_sales,
+           ROUND(SUM(${LINE_COST_SQL}), 2) as cost,
+           ROUND(SUM(${LINE_NET_SALES_SQL} - ${LINE_COST_SQL}), 2) as profit
+    FROM sale_items si
+    JOIN sales s ON si.sale_id = s.id
+    LEFT JOIN products p ON si.product_id = p.id
+    LEFT JOIN categories c ON p.category_id = c.id
+    LEFT JOIN users u ON s.created_by = u.id
+    WHERE 1=1${where}
+    GROUP BY ${period ? 'period, ' : ''}group_key
+    ORDER BY ${period ? 'period, ' : ''}net_sales DESC
+  `;
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+    if (groupBy === 'payment_type') rows.forEach(row => { row.label = paymentMethodName(row.label); });
+
+    // A sale with lines in several groups is counted once in the total
+    db.get(`SELECT COUNT(*) as sales FROM sales s WHERE 1=1${where}`, params, (err, count) => {
+      if (err) return res.status(500).json({ error: err.message });
+      const totals = { ...sumFields(rows, SALES_REPORT_FIELDS), sales: count.sales };
+      res.json({ ...range, group_by: groupBy, period, rows: hideProfit(req, rows), totals: hideProfit(req, totals) });
+    });
+  });
+});
+
+// Sales tax for a period by month and rate: output tax on sales by the sale date and tax reversed
+// by credit notes (returns) by the return date. Values are net of tax and after discounts.
+const TAX_REPORT_FIELDS = ['sales_value', 'output_tax', 'returns_value', 'tax_reversed', 'net_tax'];
+
+app.get('/api/reports/tax', requirePermission('reports.view'), (req, res) => {
+  const range = reportRange(req);
+  if (!range) return res.status(400).json({ error: 'Invalid date range' });
+
+  const sales = salesFilters(range);
+  const returns = salesFilters(range, 'r.return_date', 'r.branch_id');
+  const query = `
+    SELECT month, tax_rate, SUM(sales_value) as sales_value, SUM(output_tax) as output_tax,
+           SUM(returns_value) as returns_value, SUM(tax_reversed) as tax_reversed
+    FROM (
+      SELECT strftime('%Y-%m', s.sale_date) as month, si.tax_rate,
+             si.line_total - ${LINE_DISCOUNT_SQL} - CASE WHEN si.tax_inclusive THEN si.tax_amount ELSE 0 END as sales_value,
+             si.tax_amount as output_tax, 0 as returns_value, 0 as tax_reversed
+      FROM sale_items si JOIN sales s ON si.sale_id = s.id
+      WHERE 1=1${sales.where}
+      UNION ALL
+      SELECT strftime('%Y-%m', r.return_date), COALESCE(si.tax_rate, 0), 0, 0, r.return_amount - r.tax_amount, r.tax_amount
+      FROM returns r LEFT JOIN sale_items si ON r.sale_item_id = si.id
+      WHERE 1=1${returns.where}
+    )
+    GROUP BY month, tax_rate
+    ORDER BY month, tax_rate
+  `;
+
+  db.all(query, [...sales.params, ...returns.params], (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    rows.forEach(row => {
+      row.net_tax = row.output_tax - row.tax_reversed;
+      TAX_REPORT_FIELDS.forEach(field => { row[field] = roundMoney(row[field]); });
+    });
+    const rates = [...new Set(rows.map(row => row.tax_rate))].map(rate => ({
+      tax_rate: rate, ...sumFields(rows.filter(row => row.tax_rate === rate), TAX_REPORT_FIELDS)
+    }));
+
+    db.all(`SELECT f.status, COUNT(*) as count FROM fiscal_submissions f JOIN sales s ON f.sale_id = s.id
+            WHERE 1=1${sales.where} AND f.return_id IS NULL GROUP BY f.status`, sales.params, (err, fiscal) => {
+      if (err) return res.status(500).json({ error: err.message });
+      const invoices = { pending: 0, submitted: 0, failed: 0 };
+      fiscal.forEach(row => { invoices[row.status] = row.count; });
+      res.json({ ...range, months: rows, by_rate: rates, totals: sumFields(rows, TAX_REPORT_FIELDS), fiscal_invoices: invoices });
+    });
+  });
+});
+
+// What each promotion cost in margin over a period, by the sale date: what it took off the lines it
+// applied to, less what came back with returned units, and without the sales tax that was included
+// in it (that part was never the shop's money)
+const PROMOTION_REPORT_FIELDS = ['sales', 'discount_given', 'returned', 'margin_cost'];
+
+app.get('/api/reports/promotions', requirePermission('reports.view'), (req, res) => {
+  const range = reportRange(req);
+  if (!range) return res.status(400).json({ error: 'Invalid date range' });
+
+  const { where, params } = salesFilters(range);
+  const kept = 'sp.amount * (si.quantity - si.returned_quantity) / si.quantity';
+  db.all(`SELECT pr.id, pr.name, pr.promotion_type, pr.coupon_code, pr.times_used,
+                 COUNT(DISTINCT sp.sale_id) as sales,
+                 ROUND(SUM(sp.amount), 2) as discount_given,
+                 ROUND(SUM(sp.amount - ${kept}), 2) as returned,
+                 ROUND(SUM(CASE WHEN si.tax_inclusive THEN ${kept} * 100 / (100 + si.tax_rate) ELSE ${kept} END), 2) as margin_cost
+          FROM sale_promotions sp
+          JOIN promotions pr ON sp.promotion_id = pr.id
+          JOIN sale_items si ON sp.sale_item_id = si.id
+          JOIN sales s ON sp.sale_id = s.id
+          WHERE 1=1${where}
+          GROUP BY pr.id ORDER BY margin_cost DESC`, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    db.get(`SELECT COUNT(DISTINCT sp.sale_id) as sales FROM sale_promotions sp JOIN sales s ON sp.sale_id = s.id
+            WHERE 1=1${where}`, params, (err, count) => {
+      if (err) return res.status(500).json({ error: err.message });
+      res.json({ ...range, promotions: rows, totals: { ...sumFields(rows, PROMOTION_REPORT_FIELDS), sales: count.sales } });
+    });
+  });
+});
+
+// filters.branch_id values one branch's stock; without it, every branch's
+function inventoryValuationQuery(filters) {
+  const stock = reportStock(filters.branch_id);
+  const params = [...stock.params];
+  let sql = `
+    SELECT p.id, p.name, p.sku, p.category_id, c.name as category_name, st.quantity, p.reorder_level,
+           p.purchase_price, p.selling_price,
+           ROUND(${STOCK_COST_SQL}, 2) as cost_value,
+           ROUND(st.quantity * p.selling_price, 2) as retail_value
+    FROM products p
+    JOIN categories c ON p.category_id = c.id
+    ${stock.join}
+    WHERE st.quantity > 0`;
+  if (filters.category_id) {
+    sql += ' AND p.category_id = ?';
+    params.push(filters.category_id);
+  }
+  return { sql: `${sql} ORDER BY cost_value DESC`, params };
+}
+
+app.get('/api/reports/inventory-valuation', requirePermission('reports.view'), (req, res) => {
+  const branchId = branchScope(req);
+  const { sql, params } = inventoryValuationQuery({ ...req.query, branch_id: branchId });
+  db.all(sql, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const fields = ['quantity', 'cost_value', 'retail_value', 'potential_profit'];
+    rows.forEach(row => { row.potential_profit = roundMoney(row.retail_value - row.cost_value); });
+
+    const categories = new Map();
+    rows.forEach(row => {
+      if (!categories.has(row.category_id)) {
+        categories.set(row.category_id, { category_id: row.category_id, category_name: row.category_name, products: 0, rows: [] });
+      }
+      const category = categories.get(row.category_id);
+      category.products++;
+      category.rows.push(row);
+    });
+    const byCategory = [...categories.values()]
+      .map(({ rows: categoryRows, ...category }) => ({ ...category, ...sumFields(categoryRows, fields) }))
+      .sort((a, b) => b.cost_value - a.cost_value);
+
+    res.json({ branch_id: branchId, products: rows, by_category: byCategory, totals: sumFields(rows, fields) });
+  });
+});
+
+// Products in stock that have not sold in the last ?days (dead) or would take longer than that to
+// sell at the rate they sold over the period (slow). Products added within the period are left out.
+app.get('/api/reports/slow-moving', requirePermission('reports.view'), (req, res) => {
+  const days = req.query.days === undefined ? 90 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 3650) {
+    return res.status(400).json({ error: 'Days must be between 1 and 3650' });
+  }
+
+  // Stock and sales of the branch in scope, or of all of them
+  const branchId = branchScope(req);
+  const stock = reportStock(branchId);
+  const saleBranch = 'AND (st.branch_id IS NULL OR s.branch_id = st.branch_id)';
+  const params = [`-${days} days`, ...stock.params, `-${days} days`];
+  let query = `
+    SELECT p.id, p.name, p.sku, c.name as category_name, st.quantity, p.created_at,
+           ROUND(${STOCK_COST_SQL}, 2) as cost_value,
+           (SELECT MAX(s.sale_date) FROM sale_items si JOIN sales s ON si.sale_id = s.id
+            WHERE si.product_id = p.id ${saleBranch}) as last_sold_at,
+           COALESCE((SELECT SUM(si.quantity - si.returned_quantity) FROM sale_items si JOIN sales s ON si.sale_id = s.id
+                     WHERE si.product_id = p.id ${saleBranch} AND s.sale_date >= DATETIME('now', ?)), 0) as sold_in_period
+    FROM products p
+    JOIN categories c ON p.category_id = c.id
+    ${stock.join}
+    WHERE st.quantity > 0 AND p.created_at < DATETIME('now', ?)
+  `;
+  if (req.query.category_id) {
+    query += ' AND p.category_id = ?';
+    params.push(req.query.category_id);
+  }
+
+  db.all(query, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const now = Date.now();
+    const daysSince = (value) => Math.floor((now - new Date(`${String(value).replace(' ', 'T')}Z`)) / 86400000);
+    const products = rows.map(row => {
+      const daysOfCover = row.sold_in_period > 0 ? Math.round(row.quantity * days / row.sold_in_period) : null;
+      return {
+        ...row,
+        days_since_sale: row.last_sold_at ? daysSince(row.last_sold_at) : null,
+        days_in_stock: daysSince(row.created_at),
+        days_of_cover: daysOfCover,
+        status: row.sold_in_period <= 0 ? 'dead' : daysOfCover > days ? 'slow' : null
+      };
+    }).filter(row => row.status)
+      .sort((a, b) => (a.status === b.status ? b.cost_value - a.cost_value : a.status === 'dead' ? -1 : 1));
+
+    const summary = (status) => {
+      const matching = products.filter(row => row.status === status);
+      return { products: matching.length, ...sumFields(matching, ['quantity', 'cost_value']) };
+    };
+    res.json({ days, branch_id: branchId, products, dead: summary('dead'), slow: summary('slow') });
+  });
+});
+
+// Export/Import Database
+// Downloads a consistent copy made with the backup API rather than the live file
+app.get('/api/export/database', requirePermission('database.manage'), (req, res) => {
+  const copyPath = path.join(os.tmpdir(), `export-${Date.now()}.db`);
+  onlineBackup(copyPath, (err) => {
+    if (err) {
+      fs.unlink(copyPath, () => {});
+      return res.status(500).json({ error: `Could not copy the database: ${err.message}` });
+    }
+    res.download(copyPath, 'mobile_shop_backup.db', () => fs.unlink(copyPath, () => {}));
+  });
+});
+
+// Tables and columns an upload must have to be accepted as a shop database;
+// anything newer is added by the migrations before it is swapped in
+const REQUIRED_SCHEMA = {
+  users: ['id', 'username', 'password', 'role'],
+  categories: ['id', 'name'],
+  products: ['id', 'category_id', 'name', 'purchase_price', 'selling_price', 'quantity'],
+  sales: ['id', 'invoice_number', 'subtotal', 'net_total', 'total_profit', 'sale_date'],
+  sale_items: ['id', 'sale_id', 'product_id', 'quantity', 'unit_price', 'line_total'],
+  returns: ['id', 'sale_id', 'sale_item_id', 'quantity', 'return_amount'],
+  expenses: ['id', 'description', 'amount', 'expense_date']
+};
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'backups', 'snapshots');
+let databaseSwapping = false;
+
+function fileSha256(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+// Checks the SQLite header, runs integrity_check and compares the schema against REQUIRED_SCHEMA
+function validateDatabaseFile(file, callback) {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(file, 'r');
+  const bytesRead = fs.readSync(fd, header, 0, 16, 0);
+  fs.closeSync(fd);
+  if (bytesRead < 16 || header.toString('latin1') !== 'SQLite format 3\0') {
+    return callback(new Error('File is not a SQLite database'));
+  }
+
+  const candidate = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (err) => {
+    if (err) return callback(new Error('File could not be opened as a database'));
+
+    const done = (err) => candidate.close(() => callback(err));
+    candidate.all('PRAGMA integrity_check', (err, rows) => {
+      if (err) return done(new Error(`Integrity check failed: ${err.message}`));
+      const problems = rows.map(row => row.integrity_check).filter(result => result !== 'ok');
+      if (problems.length > 0) return done(new Error(`Integrity check failed: ${problems.slice(0, 3).join('; ')}`));
+
+      const missing = [];
+      runEach(Object.keys(REQUIRED_SCHEMA), (table, index, next) => {
+        candidate.all(`PRAGMA table_info(${table})`, (err, columns) => {
+          if (err) return next(err);
+          if (columns.length === 0) {
+            missing.push(`table ${table}`);
+          } else {
+            REQUIRED_SCHEMA[table].filter(column => !columns.some(c => c.name === column))
+              .forEach(column => missing.push(`${table}.${column}`));
+          }
+          next();
+        });
+      }, (err) => {
+        if (err) return done(err);
+        if (missing.length > 0) return done(new Error(`Not a shop database, missing ${missing.join(', ')}`));
+        done(null);
+      });
+    });
+  });
+}
+
+// Consistent copy of the live database taken with VACUUM INTO
+function snapshotDatabase(label, callback) {
+  fs.mkdir(SNAPSHOT_DIR, { recursive: true }, (err) => {
+    if (err) return callback(err);
+    const name = `${label}-${new Date().toISOString().replace(/[:.]/g, '-')}.db`;
+    const snapshotPath = path.join(SNAPSHOT_DIR, name);
+    db.run('VACUUM INTO ?', [snapshotPath], (err) => callback(err, name, snapshotPath));
+  });
+}
+
+// Replaces the live database with sourcePath and reopens it (running initializeDatabase, which
+// applies any pending migrations) without a restart. If that fails the snapshot is put back. The
+// connection is held for the whole swap, so statements and transactions from other requests wait
+// for the database that replaces it instead of meeting a closed connection.
+function swapDatabase(sourcePath, snapshotPath, callback) {
+  databaseSwapping = true;
+
+  withConnectionHeld((release) => {
+    const restore = (cause) => {
+      db.close(AsyncResource.bind(() => {
+        fs.copyFile(snapshotPath, DB_PATH, (err) => {
+          if (err) return release(new Error(`${cause.message}; restoring the snapshot also failed: ${err.message}`));
+          openDatabase((err) => release(err ? new Error(`${cause.message}; reopening the snapshot failed: ${err.message}`) : cause));
+        });
+      }));
+    };
+
+    // Callbacks straight from the connection are bound so the swap's own statements keep the hold
+    db.close(AsyncResource.bind((err) => {
+      if (err) return release(err);
+
+      fs.copyFile(sourcePath, DB_PATH, (err) => {
+        if (err) return restore(err);
+        openDatabase((err) => {
+          if (err) return restore(err);
+          release(null);
+        });
+      });
+    }));
+  }, (err) => {
+    databaseSwapping = false;
+    callback(err);
+  });
+}
+
+// Validates an uploaded or restored database and brings it up to the current schema version.
+// Migrating the copy before it is swapped in means a failing migration never touches the
+// live database. Calls back with the migrations that were applied.
+function prepareDatabaseFile(file, callback) {
+  validateDatabaseFile(file, (err) => {
+    if (err) return callback(err);
+
+    migrateFile(file, {}, (err, result) => {
+      if (err) return callback(err);
+      callback(null, result.applied_now.map(migration => `${migration.version}_${migration.name}`));
+    });
+  });
+}
+
+function listSnapshots(callback) {
+  fs.readdir(SNAPSHOT_DIR, (err, files) => {
+    if (err && err.code === 'ENOENT') return callback(null, []);
+    if (err) return callback(err);
+    const snapshots = files.filter(file => file.endsWith('.db')).map(file => {
+      const stats = fs.statSync(path.join(SNAPSHOT_DIR, file));
+      return { name: file, size: stats.size, created_at: stats.mtime };
+    });
+    snapshots.sort((a, b) => b.created_at - a.created_at);
+    callback(null, snapshots);
+  });
+}
+
+app.post('/api/import/database', requirePermission('database.manage'), upload.single('database'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  const uploadPath = req.file.path;
+  const discardUpload = () => fs.unlink(uploadPath, () => {});
+  
+  prepareDatabaseFile(uploadPath, (err, migrated) => {
+    if (err) {
+      discardUpload();
+      return res.status(400).json({ error: err.message });
+    }
+    
+    const before = { size: fs.statSync(DB_PATH).size, sha256: fileSha256(DB_PATH) };
+    const after = { file: req.file.originalname, size: req.file.size, sha256: fileSha256(uploadPath), migrations: migrated };
+    
+    snapshotDatabase('pre-import', (err, snapshot, snapshotPath) => {
+      if (err) {
+        discardUpload();
+        return res.status(500).json({ error: `Could not snapshot the current database: ${err.message}` });
+      }
+      
+      swapDatabase(uploadPath, snapshotPath, (err) => {
+        discardUpload();
+        if (err) {
+          return res.status(500).json({ error: `Import failed and the previous database was restored: ${err.message}` });
+        }
+        
+        recordAudit(req, { entity: 'database', entityId: snapshot, action: 'import', before, after }, () => {
+          res.json({ success: true, message: 'Database imported successfully', snapshot });
+        });
+      });
+    });
+  });
+});
+
+app.get('/api/migrations', requirePermission('database.manage'), (req, res) => {
+  migrationStatus(db, (err, status) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({
+      current: status.current,
+      latest: status.latest,
+      applied: status.applied,
+      pending: status.pending.map(({ version, name, description }) => ({ version, name, description }))
+    });
+  });
+});
+
+app.get('/api/import/snapshots', requirePermission('database.manage'), (req, res) => {
+  listSnapshots((err, snapshots) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json(snapshots);
+  });
+});
+
+// Restores a pre-import snapshot (the most recent one unless ?snapshot= names another).
+// The database being replaced is itself snapshotted first so the rollback can be undone.
+app.post('/api/import/rollback', requirePermission('database.manage'), (req, res) => {
+  listSnapshots((err, snapshots) => {
+    if (err) return res.status(500).json({ error: err.message });
+    
+    const requested = (req.body && req.body.snapshot) || req.query.snapshot;
+    const target = requested
+      ? snapshots.find(snapshot => snapshot.name === requested)
+      : snapshots.find(snapshot => snapshot.name.startsWith('pre-import-'));
+    if (!target) return res.status(404).json({ error: 'No snapshot to roll back to' });
+    
+    const targetPath = path.join(SNAPSHOT_DIR, target.name);
+    validateDatabaseFile(targetPath, (err) => {
+      if (err) return res.status(400).json({ error: `Snapshot is not usable: ${err.message}` });
+      
+      snapshotDatabase('pre-rollback', (err, safetySnapshot, safetyPath) => {
+        if (err) return res.status(500).json({ error: `Could not snapshot the current database: ${err.message}` });
+        
+        swapDatabase(targetPath, safetyPath, (err) => {
+          if (err) {
+            return res.status(500).json({ error: `Rollback failed and the current database was kept: ${err.message}` });
+          }
+          
+          recordAudit(req, {
+            entity: 'database',
+            entityId: target.name,
+            action: 'rollback',
+            after: { snapshot: target.name, replaced_copy: safetySnapshot }
+          }, () => {
+            res.json({ success: true, message: `Restored ${target.name}`, snapshot: safetySnapshot });
+          });
+        });
+      });
+    });
+  });
+});
+
+// Backup Routes (scheduled online backups with retention)
+// Settings live in the settings table under 'backup'. Google Drive credentials come from the
+// environment: GOOGLE_DRIVE_KEY_FILE is a service account key file, and GOOGLE_DRIVE_ROOT_URL
+// points the client at another server such as tools/drive-stub.js for testing.
+const DEFAULT_BACKUP_SETTINGS = {
+  enabled: true,
+  interval_minutes: 60,
+  retention: { hourly: 24, daily: 7, weekly: 4 },
+  target: 'local',
+  local_dir: path.join(DATA_DIR, 'backups', 'auto'),
+  google_drive: { folder_id: null }
+};
+const BACKUP_TARGETS = ['local', 'google_drive'];
+const BACKUP_NAME_PATTERN = /^backup-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.db$/;
+const BACKUP_CHECK_INTERVAL_MS = 60 * 1000;
+const backupState = { running: false, last: null, next_run_at: null };
+
+function getSetting(key, defaults, callback) {
+  db.get('SELECT value FROM settings WHERE key = ?', [key], (err, row) => {
+    if (err) return callback(err);
+    callback(null, { ...defaults, ...(row ? JSON.parse(row.value) : {}) });
+  });
+}
+
+function saveSetting(key, value, userId, callback) {
+  db.run(`INSERT INTO settings (key, value, updated_by) VALUES (?, ?, ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP,
+          updated_by = excluded.updated_by`, [key, JSON.stringify(value), userId], callback);
+}
+
+// Copies the live database page by page with the SQLite backup API, so writes in progress
+// never leave a half-written copy
+function onlineBackup(destination, callback) {
+  const backup = db.backup(destination, (err) => {
+    if (err) return callback(err);
+    backup.step(-1, (err) => {
+      backup.finish(() => {
+        if (err) return callback(err);
+        callback(backup.completed ? null : new Error('Backup did not complete'));
+      });
+    });
+  });
+}
+
+function backupName(date) {
+  return `backup-${date.toISOString().replace(/[:.]/g, '-')}.db`;
+}
+
+function backupDate(name) {
+  const [, day, hours, minutes, seconds, millis] = name.match(/^backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  return new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+// Backup targets share one shape: upload(file, name), list(), download(name, destination), remove(name)
+function localBackupTarget(settings) {
+  const dir = settings.local_dir || DEFAULT_BACKUP_SETTINGS.local_dir;
+  return {
+    name: 'local',
+    upload(file, name, callback) {
+      fs.mkdir(dir, { recursive: true }, (err) => {
+        if (err) return callback(err);
+        fs.copyFile(file, path.join(dir, name), callback);
+      });
+    },
+    list(callback) {
+      fs.readdir(dir, (err, files) => {
+        if (err && err.code === 'ENOENT') return callback(null, []);
+        if (err) return callback(err);
+        callback(null, files.filter(file => BACKUP_NAME_PATTERN.test(file)).map(file => ({
+          name: file,
+          size: fs.statSync(path.join(dir, file)).size
+        })));
+      });
+    },
+    download(name, destination, callback) {
+      fs.copyFile(path.join(dir, name), destination, callback);
+    },
+    remove(name, callback) {
+      fs.unlink(path.join(dir, name), callback);
+    }
+  };
+}
+
+function googleDriveBackupTarget(settings) {
+  const keyFile = process.env.GOOGLE_DRIVE_KEY_FILE;
+  const rootUrl = process.env.GOOGLE_DRIVE_ROOT_URL;
+  if (!keyFile && !rootUrl) {
+    throw new Error('Google Drive backups need GOOGLE_DRIVE_KEY_FILE to be set');
+  }
+
+  // Loaded on demand: the googleapis package is large and only this target needs it
+  const { google } = require('googleapis');
+  const auth = keyFile
+    ? new google.auth.GoogleAuth({ keyFile, scopes: ['https://www.googleapis.com/auth/drive.file'] })
+    : 'local-stub';
+  const drive = google.drive({ version: 'v3', auth });
+  const options = rootUrl ? { rootUrl } : {};
+  const folderId = settings.google_drive && settings.google_drive.folder_id;
+
+  const listFiles = (callback) => {
+    let q = "name contains 'backup-' and trashed = false";
+    if (folderId) q += ` and '${folderId.replace(/'/g, "\\'")}' in parents`;
+    drive.files.list({ q, fields: 'files(id, name, size)', pageSize: 1000 }, options, (err, response) => {
+      if (err) return callback(err);
+      callback(null, response.data.files.filter(file => BACKUP_NAME_PATTERN.test(file.name)));
+    });
+  };
+  const findFile = (name, callback) => {
+    listFiles((err, files) => {
+      if (err) return callback(err);
+      const file = files.find(f => f.name === name);
+      if (!file) return callback(new Error(`${name} was not found on Google Drive`));
+      callback(null, file);
+    });
+  };
+
+  return {
+    name: 'google_drive',
+    upload(file, name, callback) {
+      drive.files.create({
+        requestBody: { name, parents: folderId ? [folderId] : undefined },
+        media: { mimeType: 'application/x-sqlite3', body: fs.createReadStream(file) },
+        fields: 'id, name, size'
+      }, options, (err) => callback(err || null));
+    },
+    list(callback) {
+      listFiles((err, files) => {
+        if (err) return callback(err);
+        callback(null, files.map(file => ({ name: file.name, size: Number(file.size), id: file.id })));
+      });
+    },
+    download(name, destination, callback) {
+      findFile(name, (err, file) => {
+        if (err) return callback(err);
+        drive.files.get({ fileId: file.id, alt: 'media' }, { ...options, responseType: 'stream' }, (err, response) => {
+          if (err) return callback(err);
+          response.data.on('error', callback)
+            .pipe(fs.createWriteStream(destination))
+            .on('error', callback)
+            .on('finish', () => callback(null));
+        });
+      });
+    },
+    remove(name, callback) {
+      findFile(name, (err, file) => {
+        if (err) return callback(err);
+        drive.files.delete({ fileId: file.id }, options, (err) => callback(err || null));
+      });
+    }
+  };
+}
+
+function createBackupTarget(settings, callback) {
+  try {
+    callback(null, settings.target === 'google_drive' ? googleDriveBackupTarget(settings) : localBackupTarget(settings));
+  } catch (err) {
+    callback(err);
+  }
+}
+
+function listBackups(target, callback) {
+  target.list((err, backups) => {
+    if (err) return callback(err);
+    const dated = backups.map(backup => ({ ...backup, created_at: backupDate(backup.name) }));
+    dated.sort((a, b) => b.created_at - a.created_at);
+    callback(null, dated);
+  });
+}
+
+// Grandfather-father-son retention: the newest backup in each of the last N hours, days and
+// (Monday-based) weeks is kept; a backup can satisfy more than one rule
+function backupsToKeep(backups, retention) {
+  const keep = new Set();
+  const rules = [
+    ['hourly', date => date.toISOString().slice(0, 13)],
+    ['daily', date => date.toISOString().slice(0, 10)],
+    ['weekly', date => Math.floor((date.getTime() / 86400000 + 3) / 7)]
+  ];
+
+  rules.forEach(([rule, bucketOf]) => {
+    const buckets = new Set();
+    backups.forEach(backup => {
+      const bucket = bucketOf(backup.created_at);
+      if (buckets.has(bucket) || buckets.size >= (retention[rule] || 0)) return;
+      buckets.add(bucket);
+      keep.add(backup.name);
+    });
+  });
+  return keep;
+}
+
+function applyRetention(target, retention, callback) {
+  listBackups(target, (err, backups) => {
+    if (err) return callback(err);
+    const keep = backupsToKeep(backups, retention);
+    const expired = backups.filter(backup => !keep.has(backup.name));
+    runEach(expired, (backup, index, next) => target.remove(backup.name, next), (err) => {
+      callback(err, expired.map(backup => backup.name));
+    });
+  });
+}
+
+// Takes a backup, verifies it (integrity_check plus schema) before and after upload,
+// then prunes old backups according to the retention policy
+function runBackup(reason, callback) {
+  if (backupState.running) return callback(new Error('A backup is already running'));
+  if (databaseSwapping) return callback(new Error('Database is being replaced'));
+  backupState.running = true;
+
+  const startedAt = new Date();
+  const name = backupName(startedAt);
+  const tempPath = path.join(os.tmpdir(), name);
+
+  const finish = (err, details = {}) => {
+    fs.unlink(tempPath, () => {});
+    backupState.running = false;
+    backupState.last = {
+      name, reason, started_at: startedAt, finished_at: new Date(),
+      success: !err, error: err ? err.message : null, ...details
+    };
+    if (err) console.error('Backup failed:', err.message);
+    callback(err, backupState.last);
+  };
+
+  getSetting('backup', DEFAULT_BACKUP_SETTINGS, (err, settings) => {
+    if (err) return finish(err);
+
+    createBackupTarget(settings, (err, target) => {
+      if (err) return finish(err);
+
+      onlineBackup(tempPath, (err) => {
+        if (err) return finish(err);
+
+        validateDatabaseFile(tempPath, (err) => {
+          if (err) return finish(new Error(`Verification failed: ${err.message}`));
+
+          const size = fs.statSync(tempPath).size;
+          const sha256 = fileSha256(tempPath);
+          target.upload(tempPath, name, (err) => {
+            if (err) return finish(err);
+
+            target.list((err, stored) => {
+              if (err) return finish(err);
+              const copy = stored.find(backup => backup.name === name);
+              if (!copy || copy.size !== size) {
+                return finish(new Error(`Uploaded copy on ${target.name} does not match the backup`));
+              }
+
+              applyRetention(target, settings.retention, (err, removed) => {
+                finish(err, { target: target.name, size, sha256, removed });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Checks once a minute whether the configured interval has passed since the newest backup
+function startBackupScheduler() {
+  const check = () => {
+    if (!db || backupState.running || databaseSwapping) return;
+
+    getSetting('backup', DEFAULT_BACKUP_SETTINGS, (err, settings) => {
+      if (err || !settings.enabled) {
+        backupState.next_run_at = null;
+        return;
+      }
+
+      createBackupTarget(settings, (err, target) => {
+        if (err) return console.error('Backup target unavailable:', err.message);
+
+        listBackups(target, (err, backups) => {
+          if (err) return console.error('Could not list backups:', err.message);
+
+          const latest = backups.length > 0 ? backups[0].created_at.getTime() : 0;
+          const due = latest + settings.interval_minutes * 60 * 1000;
+          backupState.next_run_at = new Date(Math.max(due, Date.now()));
+          if (Date.now() >= due) runBackup('scheduled', () => {});
+        });
+      });
+    });
+  };
+
+  setTimeout(check, 5000).unref();
+  setInterval(check, BACKUP_CHECK_INTERVAL_MS).unref();
+}
+
+app.get('/api/backups', requirePermission('database.manage'), (req, res) => {
+  getSetting('backup', DEFAULT_BACKUP_SETTINGS, (err, settings) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    createBackupTarget(settings, (err, target) => {
+      if (err) return res.status(400).json({ error: err.message });
+
+      listBackups(target, (err, backups) => {
+        if (err) return res.status(500).json({ error: err.message });
+        res.json({ target: target.name, backups });
+      });
+    });
+  });
+});
+
+app.get('/api/backups/status', requirePermission('database.manage'), (req, res) => {
+  res.json(backupState);
+});
+
+app.post('/api/backups', requirePermission('database.manage'), (req, res) => {
+  runBackup('manual', (err, result) => {
+    if (err) return res.status(500).json({ error: err.message, backup: result });
+    res.json({ success: true, backup: result });
+  });
+});
+
+app.get('/api/backups/settings', requirePermission('database.manage'), (req, res) => {
+  getSetting('backup', DEFAULT_BACKUP_SETTINGS, (err, settings) => {
+    if (err) return res.status(500).json({ error: err.message });
+    res.json({ ...settings, google_drive_configured: !!(process.env.GOOGLE_DRIVE_KEY_FILE || process.env.GOOGLE_DRIVE_ROOT_URL) });
+  });
+});
+
+app.put('/api/backups/settings', requirePermission('database.manage'), (req, res) => {
+  getSetting('backup', DEFAULT_BACKUP_SETTINGS, (err, current) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    const { enabled, interval_minutes, retention, target, local_dir, google_drive } = req.body;
+    const settings = {
+      enabled: enabled !== undefined ? !!enabled : current.enabled,
+      interval_minutes: interval_minutes !== undefined ? Number(interval_minutes) : current.interval_minutes,
+      retention: { ...current.retention, ...(retention || {}) },
+      target: target || current.target,
+      local_dir: local_dir !== undefined ? local_dir || null : current.local_dir,
+      google_drive: { ...current.google_drive, ...(google_drive || {}) }
+    };
+
+    if (!Number.isInteger(settings.interval_minutes) || settings.interval_minutes < 1) {
+      return res.status(400).json({ error: 'Interval must be a whole number of minutes' });
+    }
+    const counts = ['hourly', 'daily', 'weekly'].map(rule => settings.retention[rule]);
+    if (counts.some(count => !Number.isInteger(count) || count < 0) || counts.every(count => count === 0)) {
+      return res.status(400).json({ error: 'Retention counts must be whole numbers and keep at least one backup' });
+    }
+    if (!BACKUP_TARGETS.includes(settings.target)) {
+      return res.status(400).json({ error: `Target must be one of: ${BACKUP_TARGETS.join(', ')}` });
+    }
+
+    saveSetting('backup', settings, req.user.id, (err) => {
+      if (err) return res.status(500).json({ error: err.message });
+
+      recordAudit(req, { entity: 'settings', entityId: 'backup', action: 'update', before: current, after: settings }, () => {
+        res.json({ success: true, settings });
+      });
+    });
+  });
+});
+
+// Restores a backup through the same validate, snapshot and hot-swap path as an import
+app.post('/api/backups/:name/restore', requirePermission('database.manage'), (req, res) => {
+  const { name } = req.params;
+  if (!BACKUP_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: 'Invalid backup name' });
+  }
+
+  getSetting('backup', DEFAULT_BACKUP_SETTINGS, (err, settings) => {
+    if (err) return res.status(500).json({ error: err.message });
+
+    createBackupTarget(settings, (err, target) => {
+      if (err) return res.status(400).json({ error: err.message });
+
+      const downloadPath = path.join(os.tmpdir(), `restore-${Date.now()}-${name}`);
+      const discard = () => fs.unlink(downloadPath, () => {});
+      target.download(name, downloadPath, (err) => {
+        if (err) {
+          discard();
+          return res.status(404).json({ error: `Could not fetch ${name}: ${err.message}` });
+        }
+
+        prepareDatabaseFile(downloadPath, (err, migrated) => {
+          if (err) {
+            discard();
+            return res.status(400).json({ error: `Backup is not usable: ${err.message}` });
+          }
+
+          snapshotDatabase('pre-restore', (err, snapshot, snapshotPath) => {
+            if (err) {
+              discard();
+              return res.status(500).json({ error: `Could not snapshot the current database: ${err.message}` });
+            }
+
+            swapDatabase(downloadPath, snapshotPath, (err) => {
+              discard();
+              if (err) {
+                return res.status(500).json({ error: `Restore failed and the previous database was kept: ${err.message}` });
+              }
+
+              recordAudit(req, {
+                entity: 'database',
+                entityId: name,
+                action: 'restore',
+                after: { backup: name, target: target.name, replaced_copy: snapshot, migrations: migrated }
+              }, () => {
+                res.json({ success: true, message: `Restored ${name}`, snapshot });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+// Report Exports (.xlsx workbook and streaming CSV)
+// Each dataset accepts the same filters as its list endpoint: sales, sale items and returns take the
+// GET /api/sales filters (returns apply the date range to the return date), expenses take the
+// GET /api/expenses filters, and products take search and category_id
+const EXPORT_NUMBER_FORMATS = {
+  money: '#,##0.00',
+  number: '#,##0',
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm'
+};
+
+const EXPORT_DATASETS = {
+  sales: {
+    sheet: 'Sales',
+    columns: [
+      { header: 'Invoice', key: 'invoice_number', width: 18 },
+      { header: 'Date', key: 'sale_date', type: 'datetime' },
+      { header: 'Customer', key: 'customer_name', width: 24 },
+      { header: 'Phone', key: 'customer_phone' },
+      { header: 'CNIC', key: 'customer_cnic' },
+      { header: 'Payment', key: 'payment_type' },
+      { header: 'Subtotal', key: 'subtotal', type: 'money', total: true },
+      { header: 'Promotions', key: 'promotion_discount', type: 'money', total: true },
+      { header: 'Coupon', key: 'coupon_code' },
+      { header: 'Discount', key: 'discount_amount', type: 'money', total: true },
+      { header: 'Sales Tax', key: 'tax_amount', type: 'money', total: true },
+      { header: 'Net Total', key: 'net_total', type: 'money', total: true },
+      { header: 'FBR Invoice', key: 'fiscal_invoice_number', width: 22 },
+      { header: 'Profit', key: 'total_profit', type: 'money', total: true }
+    ],
+    query: (filters) => {
+      const { where, params } = salesFilters(filters);
+      return {
+        sql: `SELECT s.* FROM sales s
+              LEFT JOIN sale_items si ON s.id = si.sale_id
+              WHERE 1=1${where}
+              GROUP BY s.id ORDER BY s.sale_date DESC`,
+        params
+      };
+    }
+  },
+  sale_items: {
+    sheet: 'Sale Items',
+    columns: [
+      { header: 'Invoice', key: 'invoice_number', width: 18 },
+      { header: 'Date', key: 'sale_date', type: 'datetime' },
+      { header: 'Customer', key: 'customer_name', width: 24 },
+      { header: 'Product', key: 'product_name', width: 28 },
+      { header: 'IMEI / Serial', key: 'serial_imei', width: 20 },
+      { header: 'Quantity', key: 'quantity', type: 'number', total: true },
+      { header: 'Returned', key: 'returned_quantity', type: 'number', total: true },
+      { header: 'Unit Price', key: 'unit_price', type: 'money' },
+      { header: 'Cost', key: 'purchase_price', type: 'money' },
+      { header: 'Line Total', key: 'line_total', type: 'money', total: true },
+      { header: 'Tax Rate %', key: 'tax_rate', type: 'number' },
+      { header: 'Sales Tax', key: 'tax_amount', type: 'money', total: true },
+      { header: 'Profit', key: 'profit', type: 'money', total: true },
+      { header: 'Warranty Days', key: 'warranty_days', type: 'number' }
+    ],
+    query: (filters) => {
+      const { where, params } = salesFilters(filters);
+      return {
+        sql: `SELECT si.*, s.invoice_number, s.sale_date, s.customer_name
+              FROM sale_items si
+              JOIN sales s ON si.sale_id = s.id
+              WHERE 1=1${where}
+              ORDER BY s.sale_date DESC, si.id`,
+        params
+      };
+    }
+  },
+  returns: {
+    sheet: 'Returns',
+    columns: [
+      { header: 'Date', key: 'return_date', type: 'datetime' },
+      { header: 'Invoice', key: 'invoice_number', width: 18 },
+      { header: 'Customer', key: 'customer_name', width: 24 },
+      { header: 'Phone', key: 'customer_phone' },
+      { header: 'Product', key: 'product_name', width: 28 },
+      { header: 'IMEI / Serial', key: 'serial_imei', width: 20 },
+      { header: 'Quantity', key: 'quantity', type: 'number', total: true },
+      { header: 'Amount', key: 'return_amount', type: 'money', total: true },
+      { header: 'Tax Reversed', key: 'tax_amount', type: 'money', total: true },
+      { header: 'Profit Reversed', key: 'return_profit', type: 'money', total: true },
+      { header: 'Reason', key: 'reason', width: 30 }
+    ],
+    query: (filters) => {
+      const { where, params } = salesFilters(filters, 'r.return_date');
+      return {
+        sql: `SELECT r.*, s.invoice_number, s.customer_name, s.customer_phone, si.product_name, si.serial_imei
+              FROM returns r
+              JOIN sales s ON r.sale_id = s.id
+              JOIN sale_items si ON r.sale_item_id = si.id
+              WHERE 1=1${where}
+              ORDER BY r.return_date DESC`,
+        params
+      };
+    }
+  },
+  payments: {
+    sheet: 'Payments',
+    columns: [
+      { header: 'Date', key: 'created_at', type: 'datetime' },
+      { header: 'Invoice', key: 'invoice_number', width: 18 },
+      { header: 'Customer', key: 'customer_name', width: 24 },
+      { header: 'Method', key: 'method' },
+      { header: 'Type', key: 'entry_type' },
+      { header: 'Amount', key: 'amount', type: 'money', total: true },
+      { header: 'Tendered', key: 'tendered', type: 'money' },
+      { header: 'Change', key: 'change_given', type: 'money', total: true },
+      { header: 'Reference', key: 'reference', width: 22 }
+    ],
+    query: (filters) => {
+      const { where, params } = salesFilters({ ...filters, serial: undefined }, 'sp.created_at');
+      return {
+        sql: `SELECT sp.*, s.invoice_number, s.customer_name,
+                     CASE WHEN sp.return_id IS NULL THEN 'Payment' ELSE 'Refund' END as entry_type
+              FROM sale_payments sp
+              JOIN sales s ON sp.sale_id = s.id
+              WHERE 1=1${where}
+              ORDER BY sp.created_at DESC, sp.id`,
+        params
+      };
+    }
+  },
+  payment_methods: {
+    sheet: 'Payment Methods',
+    columns: [
+      { header: 'Method', key: 'method', width: 18 },
+      { header: 'Received', key: 'received', type: 'money', total: true },
+      { header: 'Refunded', key: 'refunded', type: 'money', total: true },
+      { header: 'Net', key: 'net', type: 'money', total: true }
+    ],
+    query: (filters) => {
+      const { where, params } = salesFilters({ ...filters, serial: undefined }, 'sp.created_at');
+      return { sql: `${PAYMENT_METHOD_TOTALS_SQL} WHERE 1=1${where} GROUP BY sp.method ORDER BY sp.method`, params };
+    }
+  },
+  trade_ins: {
+    sheet: 'Trade-ins',
+    columns: [
+      { header: 'Trade-in', key: 'trade_in_number', width: 18 },
+      { header: 'Date', key: 'created_at', type: 'datetime' },
+      { header: 'Seller', key: 'seller_name', width: 24 },
+      { header: 'Phone', key: 'seller_phone' },
+      { header: 'CNIC', key: 'seller_cnic', width: 16 },
+      { header: 'Address', key: 'seller_address', width: 30 },
+      { header: 'Product', key: 'product_name', width: 28 },
+      { header: 'IMEI 1', key: 'imei1', width: 18 },
+      { header: 'IMEI 2', key: 'imei2', width: 18 },
+      { header: 'Serial', key: 'serial_number' },
+      { header: 'Grade', key: 'grade' },
+      { header: 'Buy Price', key: 'buy_price', type: 'money', total: true },
+      { header: 'Settlement', key: 'settlement' },
+      { header: 'Status', key: 'status' },
+      { header: 'Unit Status', key: 'unit_status' }
+    ],
+    query: (filters) => {
+      const { where, params } = tradeInFilters(filters);
+      return { sql: `${TRADE_IN_REGISTER_QUERY} WHERE 1=1${where} ORDER BY t.created_at DESC, t.id DESC`, params };
+    }
+  },
+  warranty_claims: {
+    sheet: 'Warranty Claims',
+    columns: [
+      { header: 'Claim', key: 'claim_number', width: 18 },
+      { header: 'Date', key: 'created_at', type: 'datetime' },
+      { header: 'Invoice', key: 'invoice_number', width: 18 },
+      { header: 'Customer', key: 'customer_name', width: 24 },
+      { header: 'Phone', key: 'customer_phone' },
+      { header: 'Product', key: 'product_name', width: 28 },
+      { header: 'IMEI 1', key: 'imei1', width: 18 },
+      { header: 'Serial', key: 'serial_number' },
+      { header: 'Qty', key: 'quantity', type: 'number' },
+      { header: 'Fault', key: 'fault', width: 30 },
+      { header: 'Action', key: 'action' },
+      { header: 'Status', key: 'status' },
+      { header: 'Warranty Until', key: 'expires_on', type: 'date' },
+      { header: 'Sent To', key: 'sent_to_type' },
+      { header: 'Supplier', key: 'supplier_name', width: 24 },
+      { header: 'Service Centre', key: 'service_centre', width: 24 },
+      { header: 'Replacement Cost', key: 'replacement_cost', type: 'money', total: true },
+      { header: 'Resolved', key: 'resolved_at', type: 'datetime' }
+    ],
+    query: (filters) => {
+      const { where, params } = warrantyClaimFilters(filters);
+      return { sql: `${WARRANTY_CLAIMS_QUERY} WHERE 1=1${where} ORDER BY c.created_at DESC, c.id DESC`, params };
+    }
+  },
+  expenses: {
+    sheet: 'Expenses',
+    columns: [
+      { header: 'Date', key: 'expense_date', type: 'date' },
+      { header: 'Description', key: 'description', width: 40 },
+      { header: 'Category', key: 'category_name' },
+      { header: 'Payment', key: 'payment_method' },
+      { header: 'Reference', key: 'reference' },
+      { header: 'Amount', key: 'amount', type: 'money', total: true }
+    ],
+    query: (filters) => {
+      const { where, params } = expenseFilters(filters);
+      return { sql: `${EXPENSES_QUERY} WHERE 1=1${where} ORDER BY e.expense_date DESC, e.id DESC`, params };
+    }
+  },
+  products: {
+    sheet: 'Products',
+    columns: [
+      { header: 'Name', key: 'name', width: 28 },
+      { header: 'Category', key: 'category_name' },
+      { header: 'Serial', key: 'serial_number' },
+      { header: 'Condition', key: 'condition' },
+      { header: 'Supplier Phone', key: 'supplier_phone' },
+      { header: 'Purchase Price', key: 'purchase_price', type: 'money' },
+      { header: 'Selling Price', key: 'selling_price', type: 'money' },
+      { header: 'Stock', key: 'quantity', type: 'number', total: true },
+      { header: 'Reorder Level', key: 'reorder_level', type: 'number' },
+      { header: 'Stock Value', key: 'stock_value', type: 'money', total: true },
+      { header: 'Warranty Days', key: 'warranty_days', type: 'number' },
+      { header: 'PTA', key: 'pta' }
+    ],
+    query: (filters) => {
+      const { search, category_id } = filters;
+      let where = '';
+      const params = [];
+      
+      if (search) {
+        where += ' AND (p.name LIKE ? OR p.serial_number LIKE ?)';
+        params.push('%' + search + '%', '%' + search + '%');
+      }
+      
+      if (category_id) {
+        where += ' AND p.category_id = ?';
+        params.push(category_id);
+      }
+      
+      return {
+        sql: `SELECT p.*, c.name as category_name, p.quantity * p.purchase_price as stock_value,
+                     CASE WHEN p.pta_approved THEN 'Yes' ELSE 'No' END as pta
+              FROM products p
+              JOIN categories c ON p.category_id = c.id
+              WHERE 1=1${where}
+              ORDER BY p.name`,
+        params
+      };
+    }
+  },
+  inventory_valuation: {
+    sheet: 'Stock Valuation',
+    columns: [
+      { header: 'Product', key: 'name', width: 28 },
+      { header: 'SKU', key: 'sku' },
+      { header: 'Category', key: 'category_name' },
+      { header: 'Stock', key: 'quantity', type: 'number', total: true },
+      { header: 'Cost Price', key: 'purchase_price', type: 'money' },
+      { header: 'Selling Price', key: 'selling_price', type: 'money' },
+      { header: 'Value at Cost', key: 'cost_value', type: 'money', total: true },
+      { header: 'Value at Retail', key: 'retail_value', type: 'money', total: true }
+    ],
+    query: inventoryValuationQuery
+  }
+};
+
+// Dates are stored as UTC text; they become real dates so Excel can sort and format them
+function exportCellValue(column, value) {
+  if (value === null || value === undefined) return null;
+  if (column.type === 'date' || column.type === 'datetime') {
+    const text = String(value);
+    const parsed = new Date(text.length <= 10 ? `${text}T00:00:00Z` : `${text.replace(' ', 'T')}Z`);
+    return isNaN(parsed) ? text : parsed;
+  }
+  if (column.type === 'money' || column.type === 'number') return Number(value);
+  return value;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Streams one dataset into a worksheet and closes it with a totals row
+function writeExportSheet(workbook, dataset, filters, callback) {
+  const sheet = workbook.addWorksheet(dataset.sheet, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = dataset.columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 14,
+    style: column.type ? { numFmt: EXPORT_NUMBER_FORMATS[column.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  
+  const totals = {};
+  let rowCount = 0;
+  const { sql, params } = dataset.query(filters);
+  
+  db.each(sql, params, (err, row) => {
+    if (err) return;
+    const values = {};
+    dataset.columns.forEach(column => {
+      values[column.key] = exportCellValue(column, row[column.key]);
+      if (column.total) totals[column.key] = (totals[column.key] || 0) + (Number(row[column.key]) || 0);
+    });
+    sheet.addRow(values).commit();
+    rowCount++;
+  }, (err) => {
+    if (err) return callback(err);
+    
+    const totalsRow = { [dataset.columns[0].key]: 'Total' };
+    dataset.columns.forEach((column, index) => {
+      if (!column.total) return;
+      const letter = sheet.getColumn(index + 1).letter;
+      const result = roundMoney(totals[column.key] || 0);
+      totalsRow[column.key] = rowCount > 0 ? { formula: `SUM(${letter}2:${letter}${rowCount + 1})`, result } : result;
+    });
+    const row = sheet.addRow(totalsRow);
+    row.font = { bold: true };
+    row.commit();
+    sheet.commit();
+    callback(null);
+  });
+}
+
+// Workbook with a sheet per dataset; ?datasets=sales,expenses limits the sheets
+app.get('/api/export/excel', requirePermission('database.manage'), (req, res) => {
+  const names = req.query.datasets ? String(req.query.datasets).split(',') : Object.keys(EXPORT_DATASETS);
+  const unknown = names.filter(name => !EXPORT_DATASETS[name]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown dataset: ${unknown.join(', ')}` });
+  }
+  
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="ZamZam_Export_${formatDate(new Date())}.xlsx"`);
+  
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  runEach(names, (name, index, next) => writeExportSheet(workbook, EXPORT_DATASETS[name], req.query, next), (err) => {
+    // Headers are already sent, so a failure can only cut the download short
+    if (err) {
+      console.error('Error exporting workbook:', err);
+      return res.destroy(err);
+    }
+    workbook.commit().catch(err => res.destroy(err));
+  });
+});
+
+app.get('/api/export/csv/:dataset', requirePermission('database.manage'), (req, res) => {
+  const dataset = EXPORT_DATASETS[req.params.dataset];
+  if (!dataset) {
+    return res.status(404).json({ error: 'Unknown dataset' });
+  }
+  
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition',
+    `attachment; filename="${req.params.dataset}_${formatDate(new Date())}.csv"`);
+  
+  // Byte order mark so Excel opens the file as UTF-8
+  res.write('\uFEFF' + dataset.columns.map(column => csvField(column.header)).join(',') + '\r\n');
+  
+  const { sql, params } = dataset.query(req.query);
+  db.each(sql, params, (err, row) => {
+    if (err) return;
+    res.write(dataset.columns.map(column => csvField(row[column.key])).join(',') + '\r\n');
+  }, (err) => {
+    if (err) {
+      console.error('Error exporting CSV:', err);
+      return res.destroy(err);
+    }
+    res.end();
+  });
 });
 
+// Start server
+function startServer() {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    startBackupScheduler();
+    startFiscalQueue();
+    startRecurringExpenses();
+    console.log('Default credentials (must be changed on first login):');
+    console.log('Admin - username: admin, password: admin123');
+    console.log('Superuser - username: superuser, password: admin123');
+  });
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
   db.close((err) => {
@@ -0,0 +1,94 @@
+// Backups to Google Drive through tools/drive-stub.js: upload and verification, retention, and
+// restoring a backup in place of the live database
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, startStub, freePort } = require('./helpers');
+
+// Backups already on the drive, from before the test; their content is never read
+const OLD_BACKUPS = ['backup-2020-01-01T10-00-00-000Z.db', 'backup-2020-01-01T11-00-00-000Z.db',
+                     'backup-2020-01-02T10-00-00-000Z.db'];
+
+describe('backups to Google Drive', () => {
+  let server;
+  let stub;
+  let drivePort;
+  let driveDir;
+  let superuser;
+  let api;
+  let backupName;
+
+  const productNames = async () => (await api('GET', '/api/products')).map(product => product.name).sort();
+
+  before(async () => {
+    drivePort = await freePort();
+    driveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posapp-drive-'));
+    fs.writeFileSync(path.join(driveDir, 'index.json'), JSON.stringify(OLD_BACKUPS.map((name, index) => {
+      fs.writeFileSync(path.join(driveDir, `old-${index}`), 'old backup');
+      return { id: `old-${index}`, name, parents: [], size: '10' };
+    })));
+
+    server = await startServer({ GOOGLE_DRIVE_ROOT_URL: `http://localhost:${drivePort}/` });
+    superuser = await server.superuser();
+    ({ api } = superuser);
+    await api('PUT', '/api/backups/settings', {
+      enabled: false, target: 'google_drive', retention: { hourly: 1, daily: 2, weekly: 0 }
+    });
+    await api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 10
+    });
+  });
+
+  after(async () => {
+    if (stub) await stub.stop();
+    if (server) await server.stop();
+    if (driveDir) fs.rmSync(driveDir, { recursive: true, force: true });
+  });
+
+  it('reports a backup that could not be uploaded', async () => {
+    assert.strictEqual((await api('GET', '/api/backups/status')).last, null);
+
+    const { status, body } = await superuser.request('POST', '/api/backups');
+    assert.strictEqual(status, 500);
+    assert.strictEqual(body.backup.success, false);
+    assert.strictEqual(body.backup.reason, 'manual');
+  });
+
+  it('uploads a verified backup and keeps what the retention rules ask for', async () => {
+    stub = await startStub('drive-stub', { DRIVE_STUB_PORT: String(drivePort), DRIVE_STUB_DIR: driveDir });
+    const { backup } = await api('POST', '/api/backups');
+    backupName = backup.name;
+    assert.strictEqual(backup.success, true);
+    assert.strictEqual(backup.target, 'google_drive');
+    assert.deepStrictEqual(backup.removed.sort(), OLD_BACKUPS.slice(0, 2));
+
+    const listed = await api('GET', '/api/backups');
+    assert.strictEqual(listed.target, 'google_drive');
+    assert.deepStrictEqual(listed.backups.map(entry => entry.name), [backupName, OLD_BACKUPS[2]]);
+    const stored = JSON.parse(fs.readFileSync(path.join(driveDir, 'index.json'), 'utf8'));
+    const copy = stored.find(file => file.name === backupName);
+    assert.strictEqual(Number(copy.size), backup.size);
+  });
+
+  it('restores a backup in place of the live database', async () => {
+    await api('POST', '/api/products', {
+      category_id: 3, name: 'Cable', purchase_price: 100, selling_price: 300, quantity: 10
+    });
+    assert.deepStrictEqual(await productNames(), ['Cable', 'Charger']);
+
+    const restored = await api('POST', `/api/backups/${backupName}/restore`);
+    assert.ok(restored.snapshot.startsWith('pre-restore-'));
+    assert.deepStrictEqual(await productNames(), ['Charger']);
+  });
+
+  it('refuses a backup that is missing or not a database', async () => {
+    const missing = await superuser.request('POST', '/api/backups/backup-2019-01-01T10-00-00-000Z.db/restore');
+    assert.strictEqual(missing.status, 404);
+
+    const broken = await superuser.request('POST', `/api/backups/${OLD_BACKUPS[2]}/restore`);
+    assert.strictEqual(broken.status, 400);
+    assert.strictEqual(broken.body.error, 'Backup is not usable: File is not a SQLite database');
+  });
+});
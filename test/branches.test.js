@@ -0,0 +1,131 @@
+// Branches: stock moving between them, and staff at one branch kept out of another's records
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, today } = require('./helpers');
+
+describe('branches', () => {
+  let server;
+  let superuser;
+  let manager2;
+  let productId;
+  let cashSale;
+  let creditSale;
+  let planId;
+  let documentId;
+  let expenseId;
+  let shiftId;
+
+  before(async () => {
+    server = await startServer();
+    superuser = await server.superuser();
+    const { api } = superuser;
+
+    await api('POST', '/api/branches', { name: 'Saddar', code: 'SDR' });
+    manager2 = await server.user(superuser, { username: 'manager2', role: 'manager', branch_id: 2 });
+
+    shiftId = (await api('POST', '/api/shifts/open', { opening_float: 500 })).id;
+    productId = (await api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 10
+    })).id;
+    cashSale = await api('POST', '/api/sales', {
+      customer_name: 'Walk-in', payment_type: 'cash', items: [{ product_id: productId, quantity: 2 }]
+    });
+    creditSale = await api('POST', '/api/sales', {
+      customer_name: 'Bilal', customer_phone: '03001234567', payment_type: 'credit', amount_paid: 0,
+      items: [{ product_id: productId, quantity: 1 }]
+    });
+    planId = (await api('POST', `/api/sales/${creditSale.saleId}/installment-plan`, { months: 2 })).plan.id;
+
+    const sale = await api('GET', `/api/sales/${cashSale.saleId}`);
+    documentId = (await api('POST', '/api/returns', {
+      sale_id: cashSale.saleId, items: [{ sale_item_id: sale.items[0].id, quantity: 1 }]
+    })).documentId;
+    expenseId = (await api('POST', '/api/expenses', { description: 'Rent', amount: 700, expense_date: today() })).id;
+  });
+
+  after(() => server && server.stop());
+
+  it('moves stock to another branch once the transfer is received', async () => {
+    const transfer = await superuser.api('POST', '/api/transfers', {
+      to_branch_id: 2, items: [{ product_id: productId, quantity: 3 }]
+    });
+    const stock = () => server.query('SELECT branch_id, quantity FROM branch_stock WHERE product_id = ? ORDER BY branch_id',
+      [productId]);
+    assert.deepStrictEqual(await stock(), [{ branch_id: 1, quantity: 5 }]);
+
+    await manager2.api('POST', `/api/transfers/${transfer.id}/receive`);
+    assert.deepStrictEqual(await stock(), [{ branch_id: 1, quantity: 5 }, { branch_id: 2, quantity: 3 }]);
+  });
+
+  it("keeps another branch's sales and returns out of reach", async () => {
+    const { request } = manager2;
+    assert.strictEqual((await request('GET', `/api/sales/${cashSale.saleId}`)).status, 404);
+    assert.strictEqual((await request('GET', `/api/sales/${cashSale.saleId}/invoice.pdf`)).status, 404);
+
+    const sale = await superuser.api('GET', `/api/sales/${cashSale.saleId}`);
+    await manager2.api('POST', '/api/shifts/open', { opening_float: 0 });
+    const returned = await request('POST', '/api/returns', {
+      sale_id: cashSale.saleId, items: [{ sale_item_id: sale.items[0].id, quantity: 1 }]
+    });
+    assert.strictEqual(returned.status, 400);
+    assert.strictEqual(returned.body.error, 'Sale not found');
+    const exchanged = await request('POST', '/api/exchanges', {
+      sale_id: cashSale.saleId, return_items: [{ sale_item_id: sale.items[0].id, quantity: 1 }],
+      items: [{ product_id: productId, quantity: 1 }]
+    });
+    assert.strictEqual(exchanged.status, 400);
+    assert.strictEqual(exchanged.body.error, 'Sale not found');
+
+    for (const url of [`/api/returns/documents/${documentId}`, `/api/returns/documents/${documentId}/receipt`,
+                       `/api/returns/documents/${documentId}/credit-note.pdf`]) {
+      assert.strictEqual((await request('GET', url)).status, 404, url);
+      assert.strictEqual((await superuser.request('GET', url)).status, 200, url);
+    }
+  });
+
+  it("keeps another branch's expenses out of reach", async () => {
+    const { request } = manager2;
+    assert.strictEqual((await request('GET', `/api/expenses/${expenseId}`)).status, 404);
+    assert.strictEqual((await request('DELETE', `/api/expenses/${expenseId}`)).status, 404);
+    assert.strictEqual((await server.query('SELECT id FROM expenses WHERE id = ?', [expenseId])).length, 1);
+    assert.deepStrictEqual(await manager2.api('GET', '/api/expenses'), []);
+    assert.strictEqual((await superuser.api('GET', `/api/expenses/${expenseId}`)).amount, 700);
+  });
+
+  it("keeps another branch's shifts out of reach", async () => {
+    const shifts = await manager2.api('GET', '/api/shifts');
+    assert.ok(shifts.every(shift => shift.branch_id === 2));
+    assert.strictEqual((await manager2.request('GET', `/api/shifts/${shiftId}/report`)).status, 404);
+    assert.strictEqual((await manager2.request('POST', `/api/shifts/${shiftId}/payouts`,
+      { amount: 100, reason: 'Tea' })).status, 404);
+
+    const all = await superuser.api('GET', '/api/shifts?branch_id=all');
+    assert.deepStrictEqual(all.map(shift => shift.branch_id).sort(), [1, 2]);
+    assert.strictEqual((await superuser.api('GET', `/api/shifts/${shiftId}/report`)).cash.opening_float, 500);
+  });
+
+  it("keeps another branch's installment plans and warranty lookups out of reach", async () => {
+    const { request } = manager2;
+    assert.deepStrictEqual(await manager2.api('GET', '/api/installment-plans'), []);
+    assert.strictEqual((await request('GET', `/api/installment-plans/${planId}`)).status, 404);
+    assert.strictEqual((await request('POST', `/api/installment-plans/${planId}/payments`,
+      { amount: 100, method: 'bank_transfer' })).status, 404);
+    assert.strictEqual((await request('GET', `/api/warranty/lookup?invoice=${creditSale.invoiceNumber}`)).status, 404);
+
+    assert.strictEqual((await superuser.api('GET', '/api/installment-plans')).length, 1);
+    assert.strictEqual((await superuser.api('GET', `/api/installment-plans/${planId}`)).sale_id, creditSale.saleId);
+    const items = await superuser.api('GET', `/api/warranty/lookup?invoice=${creditSale.invoiceNumber}`);
+    assert.strictEqual(items[0].sale_id, creditSale.saleId);
+  });
+
+  it('reports each branch on its own', async () => {
+    const own = await manager2.api('GET', '/api/reports/profit-loss');
+    const mine = await superuser.api('GET', '/api/reports/profit-loss');
+    assert.strictEqual(own.branch_id, 2);
+    assert.strictEqual(own.totals.gross_sales, 0);
+    assert.strictEqual(own.totals.expenses, 0);
+    assert.strictEqual(mine.branch_id, 1);
+    assert.strictEqual(mine.totals.gross_sales, 3000);
+    assert.strictEqual(mine.totals.expenses, 700);
+  });
+});
@@ -0,0 +1,104 @@
+// Fiscal invoices reported to tools/fbr-stub.js: retries while the service is down, credit notes for
+// returns, and credit notes that cannot go through
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, startStub, freePort } = require('./helpers');
+
+describe('fiscal invoice queue', () => {
+  let server;
+  let stub;
+  let fbrPort;
+  let api;
+  let productId;
+
+  const sell = (quantity = 2) => api('POST', '/api/sales', {
+    customer_name: 'Walk-in', payment_type: 'cash', items: [{ product_id: productId, quantity }]
+  });
+  const returnOne = async (saleId) => {
+    const sale = await api('GET', `/api/sales/${saleId}`);
+    return api('POST', '/api/returns', { sale_id: saleId, items: [{ sale_item_id: sale.items[0].id, quantity: 1 }] });
+  };
+  const submissions = (saleId) => server.query(`SELECT id, return_id, status, attempts, last_error, fiscal_invoice_number
+                                                  FROM fiscal_submissions WHERE sale_id = ? ORDER BY id`, [saleId]);
+  const reported = async () => (await fetch(`http://localhost:${fbrPort}/invoices`)).json();
+
+  // Sends the queue until check passes on the sale's submissions; the queue may already be running
+  // from the sale itself, in which case a send does nothing
+  async function sendUntil(saleId, check, query = '') {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      await api('POST', `/api/fiscal/submissions/send${query}`);
+      const rows = await submissions(saleId);
+      if (check(rows)) return rows;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.fail(`fiscal submissions of sale ${saleId}: ${JSON.stringify(await submissions(saleId))}`);
+  }
+
+  const settings = (token) => ({
+    enabled: true, pos_id: '123456', url: `http://localhost:${fbrPort}/imsp/v1/api/Live/PostData`, token
+  });
+
+  before(async () => {
+    fbrPort = await freePort();
+    server = await startServer();
+    ({ api } = await server.superuser());
+    await api('POST', '/api/shifts/open', { opening_float: 5000 });
+    productId = (await api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 20
+    })).id;
+  });
+
+  after(async () => {
+    if (stub) await stub.stop();
+    if (server) await server.stop();
+  });
+
+  it('queues no credit note for a sale that was never reported', async () => {
+    const sale = await sell();
+    await api('PUT', '/api/settings/fiscal', settings('secret'));
+    await returnOne(sale.saleId);
+    assert.deepStrictEqual(await submissions(sale.saleId), []);
+  });
+
+  it('retries a sale while the service is down and reports it once it is back', async () => {
+    const sale = await sell();
+    const waiting = await sendUntil(sale.saleId, rows => rows[0].attempts > 0);
+    assert.strictEqual(waiting[0].status, 'pending');
+    assert.match(waiting[0].last_error, /^FBR service unreachable/);
+
+    stub = await startStub('fbr-stub', { FBR_STUB_PORT: String(fbrPort), FBR_STUB_TOKEN: 'secret' });
+    const [submitted] = await sendUntil(sale.saleId, rows => rows[0].status === 'submitted');
+    assert.strictEqual(submitted.last_error, null);
+    const [{ fiscal_invoice_number }] = await server.query('SELECT fiscal_invoice_number FROM sales WHERE id = ?',
+      [sale.saleId]);
+    assert.strictEqual(fiscal_invoice_number, submitted.fiscal_invoice_number);
+
+    const invoice = (await reported()).find(entry => entry.USIN === sale.invoiceNumber);
+    assert.strictEqual(invoice.InvoiceType, 1);
+    assert.strictEqual(invoice.TotalBillAmount, 2000);
+
+    const returned = await returnOne(sale.saleId);
+    const rows = await sendUntil(sale.saleId, rows => rows.length === 2 && rows[1].status === 'submitted');
+    assert.strictEqual(rows[1].return_id, returned.returnId);
+    const creditNote = (await reported()).find(entry => entry.USIN === returned.documentNumber);
+    assert.strictEqual(creditNote.InvoiceType, 3);
+    assert.strictEqual(creditNote.RefUSIN, sale.invoiceNumber);
+    assert.strictEqual(creditNote.TotalBillAmount, 1000);
+  });
+
+  it("fails a credit note with the sale's invoice and retries them together", async () => {
+    await api('PUT', '/api/settings/fiscal', settings('wrong'));
+    const sale = await sell();
+    const [failed] = await sendUntil(sale.saleId, rows => rows[0].status === 'failed');
+    assert.strictEqual(failed.last_error, '401: Unauthorized (Invalid access token)');
+
+    await returnOne(sale.saleId);
+    const rows = await sendUntil(sale.saleId, rows => rows.length === 2 && rows[1].status === 'failed');
+    assert.strictEqual(rows[1].last_error, "The sale's invoice was not accepted");
+    assert.strictEqual(rows[1].attempts, 0);
+
+    await api('PUT', '/api/settings/fiscal', settings('secret'));
+    const retried = await sendUntil(sale.saleId, rows => rows.every(row => row.status === 'submitted'), `?ids=${failed.id}`);
+    assert.strictEqual(retried.length, 2);
+  });
+});
@@ -0,0 +1,160 @@
+// Test helpers: the real server on a scratch data folder and a free port, and API clients that keep
+// their own session cookie the way a browser does
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const TOOLS_DIR = path.join(__dirname, '..', 'tools');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Today, or the day days from now, as the server writes dates (local time)
+function today(days = 0) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function createClient(baseUrl) {
+  let cookie = '';
+
+  // Resolves with { status, headers, body }; body is parsed JSON, or a Buffer for anything else
+  async function request(method, url, body, headers = {}) {
+    const form = body instanceof FormData;
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: { ...(body === undefined || form ? {} : { 'Content-Type': 'application/json' }), Cookie: cookie, ...headers },
+      body: body === undefined || form ? body : JSON.stringify(body)
+    });
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: json ? await response.json() : Buffer.from(await response.arrayBuffer())
+    };
+  }
+
+  // Like request, but fails the test unless the call succeeded, and resolves with the body
+  async function api(method, url, body) {
+    const response = await request(method, url, body);
+    assert.ok(response.status < 400, `${method} ${url}: ${response.status} ${JSON.stringify(response.body.error)}`);
+    return response.body;
+  }
+
+  // Logs in, replacing the one-time password first when the account still has it
+  async function login(username, password, newPassword = `${password}-new`) {
+    const first = await request('POST', '/api/login', { username, password });
+    assert.strictEqual(first.status, 200, `login ${username}: ${JSON.stringify(first.body)}`);
+    if (!first.body.user.must_change_password) return password;
+
+    await api('POST', '/api/change-password', { current_password: password, new_password: newPassword });
+    await api('POST', '/api/login', { username, password: newPassword });
+    return newPassword;
+  }
+
+  return { request, api, login };
+}
+
+// Runs a script with node and waits for it to print ready; resolves with what it has printed so far
+// and a way to stop it
+async function spawnScript(script, env, ready) {
+  let output = '';
+  const child = spawn(process.execPath, [script], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  await new Promise((resolve, reject) => {
+    const collect = (chunk) => {
+      output += chunk;
+      if (output.includes(ready)) resolve();
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    exited.then(code => reject(new Error(`${path.basename(script)} exited with ${code}: ${output}`)));
+  });
+
+  return {
+    child,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await exited;
+      }
+    }
+  };
+}
+
+// Starts one of the stand-ins in tools/ (drive-stub, fbr-stub) with env added to its environment
+function startStub(name, env = {}) {
+  return spawnScript(path.join(TOOLS_DIR, `${name}.js`), env, 'stub running');
+}
+
+// Starts server.js with its data folder in a temporary directory; env adds to the server's environment
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posapp-test-'));
+  const port = await freePort();
+  const baseUrl = `http://localhost:${port}`;
+  const running = await spawnScript(SERVER_PATH, { PORT: String(port), DATA_DIR: dataDir, ...env }, 'Server running');
+
+  const server = {
+    baseUrl,
+    dataDir,
+    dbPath: path.join(dataDir, 'mobile_shop.db'),
+    output: running.output,
+    client: () => createClient(baseUrl),
+
+    // Reads the server's database directly, to check what a route wrote
+    query(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(server.dbPath, sqlite3.OPEN_READONLY, (err) => {
+          if (err) return reject(err);
+          db.all(sql, params, (err, rows) => db.close(() => err ? reject(err) : resolve(rows)));
+        });
+      });
+    },
+
+    // The superuser, logged in with the default password replaced
+    async superuser() {
+      const client = createClient(baseUrl);
+      await client.login('superuser', 'admin123');
+      return client;
+    },
+
+    // Adds a user through the API as creator and resolves with a client logged in as them
+    async user(creator, { username, role, branch_id }) {
+      const password = `${username}-pass1`;
+      await creator.api('POST', '/api/users', { username, password, role, branch_id });
+      const client = createClient(baseUrl);
+      await client.login(username, password);
+      return client;
+    },
+
+    async stop() {
+      await running.stop();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+  return server;
+}
+
+module.exports = { startServer, startStub, createClient, freePort, today };
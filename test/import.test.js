@@ -0,0 +1,74 @@
+// Database import and rollback: the live database is swapped without a restart, with a snapshot to go back to
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+describe('database import and rollback', () => {
+  let server;
+  let superuser;
+  let api;
+  let exportPath;
+
+  const productNames = async () => (await api('GET', '/api/products')).map(product => product.name).sort();
+
+  function databaseForm(file) {
+    const form = new FormData();
+    form.append('database', new Blob([fs.readFileSync(file)]), path.basename(file));
+    return form;
+  }
+
+  before(async () => {
+    server = await startServer();
+    superuser = await server.superuser();
+    ({ api } = superuser);
+    await api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 10
+    });
+    exportPath = path.join(server.dataDir, 'export.db');
+    await server.query('VACUUM INTO ?', [exportPath]);
+    await api('POST', '/api/products', {
+      category_id: 3, name: 'Cable', purchase_price: 100, selling_price: 300, quantity: 10
+    });
+  });
+
+  after(() => server && server.stop());
+
+  it('refuses a file that is not a shop database', async () => {
+    const junk = path.join(server.dataDir, 'junk.db');
+    fs.writeFileSync(junk, 'not a database');
+    const response = await superuser.request('POST', '/api/import/database', databaseForm(junk));
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'File is not a SQLite database');
+    assert.deepStrictEqual(await productNames(), ['Cable', 'Charger']);
+  });
+
+  it('swaps in an imported database while other requests are in flight', async () => {
+    const reads = Array.from({ length: 20 }, () => superuser.request('GET', '/api/products'));
+    const imported = await api('POST', '/api/import/database', databaseForm(exportPath));
+    assert.ok(imported.snapshot.startsWith('pre-import-'));
+
+    // Each read either ran against one of the databases or was turned away while the swap ran
+    for (const response of await Promise.all(reads)) {
+      assert.ok([200, 503].includes(response.status), `status ${response.status}`);
+    }
+    assert.deepStrictEqual(await productNames(), ['Charger']);
+    assert.match(server.output(), /Connected to SQLite database[\s\S]*Connected to SQLite database/);
+  });
+
+  it('rolls back to the database that was replaced', async () => {
+    const rolledBack = await api('POST', '/api/import/rollback');
+    assert.ok(rolledBack.snapshot.startsWith('pre-rollback-'));
+    assert.deepStrictEqual(await productNames(), ['Cable', 'Charger']);
+
+    const snapshots = await api('GET', '/api/import/snapshots');
+    assert.strictEqual(snapshots.length, 2);
+  });
+
+  it('keeps the import to users who manage the database', async () => {
+    const manager = await server.user(superuser, { username: 'manager1', role: 'manager' });
+    const response = await manager.request('POST', '/api/import/database', databaseForm(exportPath));
+    assert.strictEqual(response.status, 403);
+  });
+});
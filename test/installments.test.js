@@ -0,0 +1,148 @@
+// Installment plans: the schedule a credit sale is put on, payments with late fees, and the overdue alerts
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, today } = require('./helpers');
+
+describe('installment plans', () => {
+  let server;
+  let superuser;
+  let api;
+  let productId;
+
+  // A credit sale of one phone at 30000 with 6000 paid at the counter
+  async function creditSale() {
+    return api('POST', '/api/sales', {
+      customer_name: 'Bilal', customer_phone: '03001234567', payment_type: 'credit', amount_paid: 6000,
+      paid_method: 'bank_transfer', items: [{ product_id: productId, quantity: 1 }]
+    });
+  }
+
+  before(async () => {
+    server = await startServer();
+    superuser = await server.superuser();
+    ({ api } = superuser);
+    await api('POST', '/api/shifts/open', { opening_float: 0 });
+    productId = (await api('POST', '/api/products', {
+      category_id: 1, name: 'Phone', purchase_price: 25000, selling_price: 30000, quantity: 10
+    })).id;
+  });
+
+  after(() => server && server.stop());
+
+  it('refuses a first due date that is not a date', async () => {
+    const sale = await creditSale();
+    for (const first_due_date of ['soon', '2026-13-01', '2026-02-30']) {
+      const response = await superuser.request('POST', `/api/sales/${sale.saleId}/installment-plan`,
+        { months: 3, first_due_date });
+      assert.strictEqual(response.status, 400, first_due_date);
+      assert.strictEqual(response.body.error, 'First due date must be a date (YYYY-MM-DD)');
+    }
+    assert.deepStrictEqual(await server.query('SELECT id FROM installment_plans'), []);
+  });
+
+  it('finances the balance with markup over monthly installments', async () => {
+    const sale = await creditSale();
+    const { plan } = await api('POST', `/api/sales/${sale.saleId}/installment-plan`, {
+      months: 3, markup_percent: 10, due_day: 5, first_due_date: '2030-01-05'
+    });
+    assert.strictEqual(plan.down_payment, 6000);
+    assert.strictEqual(plan.financed_amount, 24000);
+    assert.strictEqual(plan.total_payable, 26400);
+    assert.deepStrictEqual(plan.schedule.map(row => [row.due_date, row.amount_due]),
+      [['2030-01-05', 8800], ['2030-02-05', 8800], ['2030-03-05', 8800]]);
+    assert.strictEqual(plan.remaining, 26400);
+
+    const again = await superuser.request('POST', `/api/sales/${sale.saleId}/installment-plan`, { months: 3 });
+    assert.strictEqual(again.body.error, 'This sale already has an installment plan');
+  });
+
+  it('charges a late fee once when two payments come in together', async () => {
+    const sale = await creditSale();
+    const { plan } = await api('POST', `/api/sales/${sale.saleId}/installment-plan`, {
+      months: 2, late_fee: 500, grace_days: 3, first_due_date: today(-10)
+    });
+    assert.strictEqual(plan.overdue_amount, 12000);
+    assert.strictEqual(plan.late_fees_outstanding, 500);
+
+    await Promise.all([1, 2].map(() => api('POST', `/api/installment-plans/${plan.id}/payments`, { amount: 1000 })));
+
+    const updated = await api('GET', `/api/installment-plans/${plan.id}`);
+    assert.strictEqual(updated.schedule[0].late_fee_charged, 500);
+    assert.strictEqual(updated.schedule[0].amount_paid, 1500);
+    assert.strictEqual(updated.late_fees_outstanding, 0);
+    assert.strictEqual(updated.remaining, 22500);
+    const fees = await server.query("SELECT debit FROM customer_ledger WHERE sale_id = ? AND notes LIKE 'Late fee%'",
+      [sale.saleId]);
+    assert.deepStrictEqual(fees, [{ debit: 500 }]);
+    const collections = await server.query("SELECT amount FROM cash_movements WHERE movement_type = 'collection'");
+    assert.deepStrictEqual(collections, [{ amount: 1000 }, { amount: 1000 }]);
+  });
+
+  it('completes the plan once it is paid off and takes no more', async () => {
+    const sale = await creditSale();
+    const { plan } = await api('POST', `/api/sales/${sale.saleId}/installment-plan`, { months: 2 });
+
+    const over = await superuser.request('POST', `/api/installment-plans/${plan.id}/payments`, { amount: 24001 });
+    assert.strictEqual(over.status, 400);
+    assert.strictEqual(over.body.error, 'Payment exceeds the remaining balance of Rs. 24000');
+
+    const paid = await api('POST', `/api/installment-plans/${plan.id}/payments`, { amount: 24000, method: 'card' });
+    assert.strictEqual(paid.plan.status, 'completed');
+    assert.strictEqual(paid.plan.remaining, 0);
+    const more = await superuser.request('POST', `/api/installment-plans/${plan.id}/payments`, { amount: 1 });
+    assert.strictEqual(more.body.error, 'Installment plan is already completed');
+  });
+
+  it('takes a return off the plan from the last installment back', async () => {
+    const sale = await api('POST', '/api/sales', {
+      customer_name: 'Hina', customer_phone: '03211234567', payment_type: 'credit', amount_paid: 6000,
+      paid_method: 'bank_transfer', items: [{ product_id: productId, quantity: 2 }]
+    });
+    const { plan } = await api('POST', `/api/sales/${sale.saleId}/installment-plan`, { months: 3 });
+    const details = await api('GET', `/api/sales/${sale.saleId}`);
+
+    const partial = await api('POST', '/api/returns', {
+      sale_id: sale.saleId, items: [{ sale_item_id: details.items[0].id, quantity: 1 }]
+    });
+    assert.deepStrictEqual(partial.refunds, [{ method: 'account', amount: 27000 }, { method: 'bank_transfer', amount: 3000 }]);
+    let updated = await api('GET', `/api/installment-plans/${plan.id}`);
+    assert.deepStrictEqual(updated.schedule.map(row => row.amount_due), [18000, 9000, 0]);
+    assert.strictEqual(updated.remaining, 27000);
+    assert.strictEqual(updated.status, 'active');
+
+    await api('POST', `/api/installment-plans/${plan.id}/payments`, { amount: 5000, method: 'card' });
+    await api('POST', '/api/returns', { sale_id: sale.saleId, items: [{ sale_item_id: details.items[0].id, quantity: 1 }] });
+    updated = await api('GET', `/api/installment-plans/${plan.id}`);
+    assert.deepStrictEqual(updated.schedule.map(row => row.amount_due), [5000, 0, 0]);
+    assert.strictEqual(updated.remaining, 0);
+    assert.strictEqual(updated.status, 'completed');
+  });
+
+  it("keeps account payments off a customer's installment plans", async () => {
+    const sale = await api('POST', '/api/sales', {
+      customer_name: 'Omar', customer_phone: '03331234567', payment_type: 'credit', amount_paid: 0,
+      items: [{ product_id: productId, quantity: 1 }]
+    });
+    const customerId = (await api('GET', `/api/sales/${sale.saleId}`)).customer_id;
+    await api('POST', '/api/sales', {
+      customer_name: 'Omar', customer_phone: '03331234567', payment_type: 'credit', amount_paid: 0,
+      items: [{ product_id: productId, quantity: 1 }]
+    }).then(other => api('POST', `/api/sales/${other.saleId}/installment-plan`, { months: 2 }));
+
+    const over = await superuser.request('POST', `/api/customers/${customerId}/payments`,
+      { amount: 30001, method: 'bank_transfer' });
+    assert.strictEqual(over.status, 400);
+    assert.strictEqual(over.body.error,
+      'Rs. 30000 is owed outside installment plans; take installment payments on the plan');
+    await api('POST', `/api/customers/${customerId}/payments`, { amount: 30000, method: 'bank_transfer' });
+  });
+
+  it('lists overdue installments on the dashboard for staff who can see it', async () => {
+    const alerts = await api('GET', '/api/dashboard/installments');
+    assert.strictEqual(alerts.overdue.length, 1);
+    assert.strictEqual(alerts.totalOverdue, 10500);
+
+    const cashier = await server.user(superuser, { username: 'cashier1', role: 'cashier' });
+    assert.strictEqual((await cashier.request('GET', '/api/dashboard/installments')).status, 403);
+  });
+});
@@ -0,0 +1,50 @@
+// Runs every migration against an empty database, as a new install does
+const test = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { migrate, loadMigrations } = require('../migrate');
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
+}
+
+function columns(db, table) {
+  return all(db, `PRAGMA table_info(${table})`).then(rows => rows.map(row => row.name));
+}
+
+test('migrations build the schema on an empty database', async (t) => {
+  const db = new sqlite3.Database(':memory:');
+  t.after(() => db.close());
+
+  const result = await new Promise((resolve, reject) => {
+    migrate(db, {}, (err, result) => err ? reject(err) : resolve(result));
+  });
+
+  const versions = loadMigrations().map(migration => migration.version);
+  assert.deepStrictEqual(versions.slice(0, 16), Array.from({ length: 16 }, (_, index) => index + 1));
+  assert.deepStrictEqual(result.applied_now.map(migration => migration.version), versions);
+  const recorded = await all(db, 'SELECT version FROM schema_version ORDER BY version');
+  assert.deepStrictEqual(recorded.map(row => row.version), versions);
+
+  const tables = (await all(db, "SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+  ['products', 'sales', 'sale_items', 'sale_payments', 'returns', 'cash_shifts', 'cash_movements', 'branches',
+   'branch_stock', 'promotions', 'expense_categories', 'schema_version'].forEach(table => {
+    assert.ok(tables.includes(table), `${table} exists`);
+  });
+
+  assert.ok((await columns(db, 'sales')).includes('branch_id'));
+  assert.ok((await columns(db, 'cash_movements')).includes('ledger_entry_id'));
+  assert.deepStrictEqual(await all(db, 'PRAGMA foreign_key_check'), []);
+});
+
+test('migrating an up-to-date database applies nothing', async (t) => {
+  const db = new sqlite3.Database(':memory:');
+  t.after(() => db.close());
+
+  const run = () => new Promise((resolve, reject) => {
+    migrate(db, {}, (err, result) => err ? reject(err) : resolve(result));
+  });
+  await run();
+  const again = await run();
+  assert.deepStrictEqual(again.applied_now, []);
+});
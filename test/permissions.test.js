@@ -0,0 +1,82 @@
+// Users and roles: what each role may reach, the first-login password change, disabled accounts and lockouts
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('users and permissions', () => {
+  let server;
+  let superuser;
+  let cashier;
+  let manager;
+  let saleId;
+
+  before(async () => {
+    server = await startServer();
+    superuser = await server.superuser();
+    cashier = await server.user(superuser, { username: 'cashier1', role: 'cashier' });
+    manager = await server.user(superuser, { username: 'manager1', role: 'manager' });
+    await cashier.api('POST', '/api/shifts/open', { opening_float: 0 });
+    const productId = (await superuser.api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 10
+    })).id;
+    saleId = (await cashier.api('POST', '/api/sales', {
+      customer_name: 'Walk-in', payment_type: 'cash', items: [{ product_id: productId, quantity: 1 }]
+    })).saleId;
+  });
+
+  after(() => server && server.stop());
+
+  it('keeps each role to its own permissions', async () => {
+    const me = await cashier.api('GET', '/api/current-user');
+    assert.deepStrictEqual(me.permissions, ['sales.create', 'customers.manage', 'repairs.manage']);
+
+    assert.strictEqual((await cashier.request('GET', '/api/users')).status, 403);
+    assert.strictEqual((await cashier.request('GET', '/api/dashboard/installments')).status, 403);
+    const sale = await cashier.request('GET', `/api/sales/${saleId}`);
+    assert.strictEqual(sale.body.items[0].product_name, 'Charger');
+    assert.strictEqual(sale.body.total_profit, undefined);
+
+    assert.strictEqual((await manager.request('GET', '/api/users')).status, 403);
+    assert.strictEqual((await manager.api('GET', `/api/sales/${saleId}`)).total_profit, 500);
+    const roles = await superuser.api('GET', '/api/roles');
+    const managerRole = roles.find(entry => entry.role === 'manager');
+    ['database.manage', 'users.manage', 'branches.manage', 'sales.override_price'].forEach(permission => {
+      assert.ok(!managerRole.permissions.includes(permission), permission);
+    });
+  });
+
+  it('holds a new user at the password change until it is made', async () => {
+    await superuser.api('POST', '/api/users', { username: 'stock1', password: 'stock1-pass1', role: 'stock_keeper' });
+    const client = server.client();
+    const first = await client.request('POST', '/api/login', { username: 'stock1', password: 'stock1-pass1' });
+    assert.strictEqual(first.body.user.must_change_password, true);
+    const blocked = await client.request('GET', '/api/products');
+    assert.strictEqual(blocked.status, 403);
+    assert.strictEqual(blocked.body.error, 'Password change required');
+
+    await client.api('POST', '/api/change-password', { current_password: 'stock1-pass1', new_password: 'stock1-pass2' });
+    assert.strictEqual((await client.request('GET', '/api/products')).status, 200);
+  });
+
+  it('signs a disabled user out and keeps them out', async () => {
+    const [{ id }] = await server.query("SELECT id FROM users WHERE username = 'manager1'");
+    await superuser.api('POST', `/api/users/${id}/disable`);
+    assert.strictEqual((await manager.request('GET', '/api/products')).status, 401);
+
+    const again = await server.client().request('POST', '/api/login', {
+      username: 'manager1', password: 'manager1-pass1-new'
+    });
+    assert.strictEqual(again.status, 403);
+    assert.strictEqual(again.body.error, 'Account is disabled');
+  });
+
+  it('locks an account after five wrong passwords', async () => {
+    const client = server.client();
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const response = await client.request('POST', '/api/login', { username: 'cashier1', password: 'wrong' });
+      assert.strictEqual(response.status, 401);
+    }
+    const locked = await client.request('POST', '/api/login', { username: 'cashier1', password: 'cashier1-pass1-new' });
+    assert.strictEqual(locked.status, 423);
+  });
+});
@@ -0,0 +1,55 @@
+// Selling below the listed price, which stays with the superuser, and the customer a sale adds
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('price overrides', () => {
+  let server;
+  let superuser;
+  let manager;
+  let productId;
+
+  const sale = (unit_price, extra = {}) => ({
+    customer_name: 'Walk-in', payment_type: 'cash', items: [{ product_id: productId, quantity: 1, unit_price }], ...extra
+  });
+
+  before(async () => {
+    server = await startServer();
+    superuser = await server.superuser();
+    manager = await server.user(superuser, { username: 'manager1', role: 'manager' });
+    await superuser.api('POST', '/api/shifts/open', { opening_float: 0 });
+    await manager.api('POST', '/api/shifts/open', { opening_float: 0 });
+    productId = (await superuser.api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 10
+    })).id;
+  });
+
+  after(() => server && server.stop());
+
+  it('turns away a price below the list for anyone but the superuser', async () => {
+    const response = await manager.request('POST', '/api/sales', sale(900));
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'Line 1: Price below Rs. 1000 needs superuser approval');
+
+    const above = await manager.api('POST', '/api/sales', sale(1100));
+    assert.strictEqual(above.netTotal, 1100);
+  });
+
+  it('records who sold below the list', async () => {
+    const result = await superuser.api('POST', '/api/sales', sale(900));
+    assert.strictEqual(result.netTotal, 900);
+    const [item] = await server.query('SELECT unit_price, list_price, price_override_by FROM sale_items WHERE sale_id = ?',
+      [result.saleId]);
+    const [{ id }] = await server.query("SELECT id FROM users WHERE username = 'superuser'");
+    assert.deepStrictEqual(item, { unit_price: 900, list_price: 1000, price_override_by: id });
+  });
+
+  it('adds no customer for a sale that fails', async () => {
+    const response = await manager.request('POST', '/api/sales', sale(1000, {
+      customer_name: 'Zara', customer_phone: '03451234567', payments: [{ method: 'store_credit', amount: 1000 }]
+    }));
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'The customer has Rs. 0 of store credit');
+    assert.deepStrictEqual(await server.query("SELECT id FROM customers WHERE phone = '03451234567'"), []);
+  });
+});
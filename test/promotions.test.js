@@ -0,0 +1,62 @@
+// Promotions: the preview the sale screen asks for, and the discounts a sale takes
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('promotions', () => {
+  let server;
+  let superuser;
+  let api;
+  let productId;
+
+  before(async () => {
+    server = await startServer();
+    superuser = await server.superuser();
+    ({ api } = superuser);
+    await api('POST', '/api/shifts/open', { opening_float: 0 });
+    productId = (await api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 10
+    })).id;
+    await api('POST', '/api/promotions', {
+      name: 'Charger week', promotion_type: 'discount', discount_type: 'percentage', discount_value: 10, product_id: productId
+    });
+    await api('POST', '/api/promotions', {
+      name: 'Coupon', promotion_type: 'discount', discount_type: 'flat', discount_value: 100, coupon_code: 'save100',
+      usage_limit: 1
+    });
+  });
+
+  after(() => server && server.stop());
+
+  it('needs items to preview', async () => {
+    for (const body of [{}, { items: [] }, { items: 'charger' }]) {
+      const response = await superuser.request('POST', '/api/promotions/preview', body);
+      assert.strictEqual(response.status, 400, JSON.stringify(body));
+      assert.strictEqual(response.body.error, 'At least one item is required');
+    }
+  });
+
+  it('previews the running promotions and a coupon', async () => {
+    const items = [{ product_id: productId, quantity: 2 }];
+    const plain = await api('POST', '/api/promotions/preview', { items });
+    assert.deepStrictEqual(plain.lines, [{ promotion_amount: 200 }]);
+    assert.strictEqual(plain.total, 200);
+
+    const coupon = await api('POST', '/api/promotions/preview', { items, coupon_code: 'SAVE100' });
+    assert.strictEqual(coupon.total, 300);
+    assert.deepStrictEqual(coupon.promotions.map(promotion => promotion.name), ['Charger week', 'Coupon']);
+  });
+
+  it('takes the promotions off a sale and uses the coupon up', async () => {
+    const sale = await api('POST', '/api/sales', {
+      customer_name: 'Walk-in', payment_type: 'cash', coupon_code: 'SAVE100', items: [{ product_id: productId, quantity: 2 }]
+    });
+    assert.strictEqual(sale.promotions, 300);
+    assert.strictEqual(sale.netTotal, 1700);
+
+    const again = await superuser.request('POST', '/api/promotions/preview', {
+      items: [{ product_id: productId, quantity: 1 }], coupon_code: 'SAVE100'
+    });
+    assert.strictEqual(again.status, 400);
+  });
+});
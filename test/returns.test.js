@@ -0,0 +1,81 @@
+// Returns: each refund goes back the ways the sale was paid, in proportion to what was paid each way
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('refunds', () => {
+  let server;
+  let api;
+  let chargerId;
+  let phoneId;
+
+  // Returns every line of a sale
+  async function returnAll(saleId, settlement) {
+    const sale = await api('GET', `/api/sales/${saleId}`);
+    return api('POST', '/api/returns', {
+      sale_id: saleId, settlement, items: sale.items.map(item => ({ sale_item_id: item.id, quantity: item.quantity }))
+    });
+  }
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = await server.superuser());
+    await api('POST', '/api/shifts/open', { opening_float: 50000 });
+    chargerId = (await api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 20
+    })).id;
+    phoneId = (await api('POST', '/api/products', {
+      category_id: 1, name: 'Phone', purchase_price: 30000, selling_price: 40000, quantity: 5
+    })).id;
+  });
+
+  after(() => server && server.stop());
+
+  it("takes a credit sale's refund off the account only for the part left unpaid", async () => {
+    const sale = await api('POST', '/api/sales', {
+      customer_name: 'Bilal', customer_phone: '03001234567', payment_type: 'credit', amount_paid: 35000,
+      items: [{ product_id: phoneId, quantity: 1 }]
+    });
+    const result = await returnAll(sale.saleId);
+    assert.deepStrictEqual(result.refunds, [{ method: 'account', amount: 5000 }, { method: 'cash', amount: 35000 }]);
+
+    const ledger = await server.query("SELECT credit FROM customer_ledger WHERE sale_id = ? AND entry_type = 'return'",
+      [sale.saleId]);
+    assert.deepStrictEqual(ledger, [{ credit: 5000 }]);
+    const cash = await server.query("SELECT amount FROM cash_movements WHERE sale_id = ? AND movement_type = 'refund'",
+      [sale.saleId]);
+    assert.deepStrictEqual(cash, [{ amount: -35000 }]);
+  });
+
+  it('splits a partial refund across card and cash', async () => {
+    const sale = await api('POST', '/api/sales', {
+      customer_name: 'Walk-in', payment_type: 'cash', items: [{ product_id: chargerId, quantity: 3 }],
+      payments: [{ method: 'card', amount: 1000, reference: 'AUTH1' }, { method: 'cash', amount: 2000 }]
+    });
+    const details = await api('GET', `/api/sales/${sale.saleId}`);
+    const result = await api('POST', '/api/returns', {
+      sale_id: sale.saleId, items: [{ sale_item_id: details.items[0].id, quantity: 1 }]
+    });
+    assert.deepStrictEqual(result.refunds, [{ method: 'card', amount: 333.33 }, { method: 'cash', amount: 666.67 }]);
+  });
+
+  it('puts store credit spent on a sale back as store credit', async () => {
+    const customer = { customer_name: 'Sana', customer_phone: '03111234567' };
+    const first = await api('POST', '/api/sales', {
+      ...customer, payment_type: 'cash', items: [{ product_id: chargerId, quantity: 1 }]
+    });
+    await returnAll(first.saleId, 'store_credit');
+
+    const sale = await api('POST', '/api/sales', {
+      ...customer, payment_type: 'cash', items: [{ product_id: chargerId, quantity: 1 }],
+      payments: [{ method: 'store_credit', amount: 600 }, { method: 'cash', amount: 400 }]
+    });
+    const result = await returnAll(sale.saleId);
+    assert.deepStrictEqual(result.refunds, [{ method: 'store_credit', amount: 600 }, { method: 'cash', amount: 400 }]);
+
+    const ledger = await server.query(`SELECT SUM(credit) - SUM(debit) as balance FROM customer_ledger
+                                       WHERE entry_type = 'store_credit' AND customer_id = ?`,
+      [(await server.query('SELECT customer_id FROM sales WHERE id = ?', [sale.saleId]))[0].customer_id]);
+    assert.deepStrictEqual(ledger, [{ balance: 1000 }]);
+  });
+});
@@ -0,0 +1,75 @@
+// Drives a real server on a scratch database through a shift: a discounted cash sale, a partial
+// return, and the Z-report that closes the till
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('sales, returns and the Z-report', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = await server.superuser());
+  });
+
+  after(() => server && server.stop());
+
+  let shiftId;
+  let productId;
+  let saleId;
+
+  it('opens a shift and stocks a product', async () => {
+    shiftId = (await api('POST', '/api/shifts/open', { opening_float: 1000 })).id;
+    productId = (await api('POST', '/api/products', {
+      category_id: 3, name: 'Charger', purchase_price: 500, selling_price: 1000, quantity: 10
+    })).id;
+    assert.ok(shiftId);
+    assert.ok(productId);
+  });
+
+  it('totals a discounted cash sale', async () => {
+    const sale = await api('POST', '/api/sales', {
+      customer_name: 'Walk-in', payment_type: 'cash', discount_amount: 100, discount_type: 'flat',
+      items: [{ product_id: productId, quantity: 3 }]
+    });
+    saleId = sale.saleId;
+    assert.strictEqual(sale.subtotal, 3000);
+    assert.strictEqual(sale.discount, 100);
+    assert.strictEqual(sale.netTotal, 2900);
+    assert.strictEqual(sale.balanceDue, 0);
+
+    const details = await api('GET', `/api/sales/${saleId}`);
+    assert.strictEqual(details.total_profit, 1400);
+    assert.strictEqual(details.shift_id, shiftId);
+    assert.deepStrictEqual(details.payments.map(payment => [payment.method, payment.amount]), [['cash', 2900]]);
+    assert.strictEqual((await api('GET', `/api/products/${productId}`)).quantity, 7);
+  });
+
+  it('refunds a returned item net of its share of the discount', async () => {
+    const details = await api('GET', `/api/sales/${saleId}`);
+    const result = await api('POST', '/api/returns', {
+      sale_id: saleId, items: [{ sale_item_id: details.items[0].id, quantity: 1 }]
+    });
+    assert.strictEqual(result.amount, 966.67);
+    assert.strictEqual(result.discount, 33.33);
+    assert.deepStrictEqual(result.refunds, [{ method: 'cash', amount: 966.67 }]);
+    assert.strictEqual((await api('GET', `/api/products/${productId}`)).quantity, 8);
+  });
+
+  it('balances the till on the Z-report', async () => {
+    const report = await api('GET', `/api/shifts/${shiftId}/report`);
+    assert.deepStrictEqual(report.totals, {
+      sales: 1, gross: 3000, promotions: 0, discounts: 100, net: 2900, returns: 966.67, net_after_returns: 1933.33
+    });
+    assert.strictEqual(report.cash.opening_float, 1000);
+    assert.strictEqual(report.cash.cash_sales, 2900);
+    assert.strictEqual(report.cash.cash_refunds, -966.67);
+    assert.strictEqual(report.cash.expected, 2933.33);
+
+    const closed = await api('POST', `/api/shifts/${shiftId}/close`, { counted_cash: 2900 });
+    assert.strictEqual(closed.report.shift.status, 'closed');
+    assert.strictEqual(closed.report.shift.expected_cash, 2933.33);
+    assert.strictEqual(closed.report.shift.variance, -33.33);
+  });
+});
@@ -0,0 +1,50 @@
+// Cash shifts: petty-cash payouts from the till and closing it, when requests come in together
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('shift payouts and closing', () => {
+  let server;
+  let superuser;
+  let shiftId;
+
+  const payout = (amount) => superuser.request('POST', `/api/shifts/${shiftId}/payouts`, { amount, reason: 'Tea' });
+
+  before(async () => {
+    server = await startServer();
+    superuser = await server.superuser();
+    shiftId = (await superuser.api('POST', '/api/shifts/open', { opening_float: 1000 })).id;
+  });
+
+  after(() => server && server.stop());
+
+  it('pays out no more than is in the till when payouts come in together', async () => {
+    const results = await Promise.all([payout(600), payout(600)]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), [200, 400]);
+    const refused = results.find(result => result.status === 400);
+    assert.strictEqual(refused.body.error, 'Only Rs. 400 cash is in the till');
+
+    const paid = await server.query("SELECT amount FROM cash_movements WHERE shift_id = ? AND movement_type = 'payout'",
+      [shiftId]);
+    assert.deepStrictEqual(paid, [{ amount: -600 }]);
+  });
+
+  it('counts a payout taken while the shift closes, or refuses it', async () => {
+    const [paid, closed, again] = await Promise.all([
+      payout(100),
+      superuser.request('POST', `/api/shifts/${shiftId}/close`, { counted_cash: 300 }),
+      superuser.request('POST', `/api/shifts/${shiftId}/close`, { counted_cash: 300 })
+    ]);
+    assert.strictEqual(closed.status, 200);
+    assert.strictEqual(again.status, 400);
+    assert.strictEqual(again.body.error, 'Shift is already closed');
+
+    const [shift] = await server.query('SELECT expected_cash, variance FROM cash_shifts WHERE id = ?', [shiftId]);
+    if (paid.status === 200) {
+      assert.deepStrictEqual(shift, { expected_cash: 300, variance: 0 });
+    } else {
+      assert.strictEqual(paid.body.error, 'Shift is closed');
+      assert.deepStrictEqual(shift, { expected_cash: 400, variance: -100 });
+    }
+  });
+});
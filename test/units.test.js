@@ -0,0 +1,56 @@
+// Serialized units: registering phones by IMEI and correcting their codes without clashing with another unit
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+describe('product units', () => {
+  let server;
+  let superuser;
+  let api;
+  let units;
+
+  before(async () => {
+    server = await startServer();
+    superuser = await server.superuser();
+    ({ api } = superuser);
+    const productId = (await api('POST', '/api/products', {
+      category_id: 1, name: 'Phone', purchase_price: 25000, selling_price: 30000, quantity: 0, track_units: true
+    })).id;
+    await api('POST', `/api/products/${productId}/units`, {
+      units: [{ imei1: '350000000000001', imei2: '350000000000002' }, { imei1: '350000000000003' }]
+    });
+    units = await api('GET', `/api/products/${productId}/units`);
+    units.sort((a, b) => a.id - b.id);
+  });
+
+  after(() => server && server.stop());
+
+  it('refuses to register an IMEI twice', async () => {
+    const response = await superuser.request('POST', `/api/products/${units[0].product_id}/units`, {
+      units: [{ imei1: '350000000000002' }]
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'Already registered: 350000000000002');
+  });
+
+  it("refuses to edit a unit onto another unit's IMEI", async () => {
+    for (const body of [{ imei1: '350000000000001' }, { imei1: '350000000000003', imei2: '350000000000002' }]) {
+      const response = await superuser.request('PUT', `/api/units/${units[1].id}`, body);
+      assert.strictEqual(response.status, 409, JSON.stringify(body));
+      assert.match(response.body.error, /^Already registered: 3500000000000(01|02)$/);
+    }
+    const [unit] = await server.query('SELECT imei1, imei2 FROM product_units WHERE id = ?', [units[1].id]);
+    assert.deepStrictEqual(unit, { imei1: '350000000000003', imei2: null });
+  });
+
+  it('lets a unit keep its own codes and take new ones', async () => {
+    await api('PUT', `/api/units/${units[0].id}`, { imei1: '350000000000001', imei2: '350000000000009' });
+    const [unit] = await server.query('SELECT imei1, imei2 FROM product_units WHERE id = ?', [units[0].id]);
+    assert.deepStrictEqual(unit, { imei1: '350000000000001', imei2: '350000000000009' });
+  });
+
+  it('keeps unit edits to staff who manage products', async () => {
+    const cashier = await server.user(superuser, { username: 'cashier1', role: 'cashier' });
+    assert.strictEqual((await cashier.request('PUT', `/api/units/${units[1].id}`, { imei1: '350000000000010' })).status, 403);
+  });
+});
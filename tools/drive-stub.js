@@ -0,0 +1,92 @@
+// Minimal stand-in for the Google Drive v3 endpoints used by the backup target.
+// Run with `npm run drive-stub` and start the server with
+// GOOGLE_DRIVE_ROOT_URL=http://localhost:4010/ to send backups here instead of Drive.
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const app = express();
+const PORT = process.env.DRIVE_STUB_PORT || 4010;
+const STORAGE_DIR = process.env.DRIVE_STUB_DIR || path.join(__dirname, '..', 'backups', 'drive-stub');
+const INDEX_FILE = path.join(STORAGE_DIR, 'index.json');
+
+fs.mkdirSync(STORAGE_DIR, { recursive: true });
+
+function loadIndex() {
+  return fs.existsSync(INDEX_FILE) ? JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8')) : [];
+}
+
+function saveIndex(files) {
+  fs.writeFileSync(INDEX_FILE, JSON.stringify(files, null, 2));
+}
+
+// Splits a multipart/related upload into its JSON metadata and file content
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=("?)([^";]+)\1/.exec(contentType)[2];
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let start = body.indexOf(delimiter) + delimiter.length;
+
+  while (start > delimiter.length - 1) {
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) break;
+    const part = body.subarray(start, end);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      parts.push(part.subarray(headerEnd + 4, part.length - 2));
+    }
+    start = end + delimiter.length;
+  }
+  return { metadata: JSON.parse(parts[0].toString('utf8')), content: parts[1] };
+}
+
+app.post('/upload/drive/v3/files', express.raw({ type: () => true, limit: '1gb' }), (req, res) => {
+  const { metadata, content } = parseMultipart(req.body, req.headers['content-type']);
+  const file = {
+    id: crypto.randomUUID(),
+    name: metadata.name,
+    parents: metadata.parents || [],
+    size: String(content.length)
+  };
+
+  fs.writeFileSync(path.join(STORAGE_DIR, file.id), content);
+  saveIndex([...loadIndex(), file]);
+  res.json(file);
+});
+
+app.get('/drive/v3/files', (req, res) => {
+  const q = req.query.q || '';
+  const nameMatch = /name contains '([^']*)'/.exec(q);
+  const parentMatch = /'([^']*)' in parents/.exec(q);
+
+  const files = loadIndex().filter(file =>
+    (!nameMatch || file.name.includes(nameMatch[1])) &&
+    (!parentMatch || file.parents.includes(parentMatch[1]))
+  );
+  res.json({ files });
+});
+
+app.get('/drive/v3/files/:id', (req, res) => {
+  const file = loadIndex().find(f => f.id === req.params.id);
+  if (!file) return res.status(404).json({ error: { code: 404, message: 'File not found' } });
+
+  if (req.query.alt === 'media') {
+    return res.sendFile(path.join(STORAGE_DIR, file.id));
+  }
+  res.json(file);
+});
+
+app.delete('/drive/v3/files/:id', (req, res) => {
+  const files = loadIndex();
+  const file = files.find(f => f.id === req.params.id);
+  if (!file) return res.status(404).json({ error: { code: 404, message: 'File not found' } });
+
+  fs.unlinkSync(path.join(STORAGE_DIR, file.id));
+  saveIndex(files.filter(f => f.id !== file.id));
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Drive stub running on http://localhost:${PORT} (files in ${STORAGE_DIR})`);
+});
@@ -0,0 +1,64 @@
+// Minimal stand-in for the FBR POS invoice service used by the fiscal invoice queue.
+// Run with `npm run fbr-stub` and set the service URL in the fiscal settings to
+// http://localhost:4020/imsp/v1/api/Live/PostData to report invoices here instead of to FBR.
+// FBR_STUB_TOKEN makes it check the access token; stopping it is the way to test offline retries.
+const express = require('express');
+const crypto = require('crypto');
+
+const app = express();
+const PORT = process.env.FBR_STUB_PORT || 4020;
+const TOKEN = process.env.FBR_STUB_TOKEN || null;
+const invoices = [];
+
+app.use(express.json({ limit: '1mb' }));
+
+function reject(res, code, message) {
+  res.json({ InvoiceNumber: 'Not Available', Code: code, Response: message, Errors: message });
+}
+
+// Checks the fields the real service insists on and that the totals add up to the items
+function invoiceErrors(invoice) {
+  const errors = [];
+  const close = (a, b) => Math.abs(Number(a) - Number(b)) < 1;
+  const sum = (field) => (invoice.Items || []).reduce((total, item) => total + Number(item[field] || 0), 0);
+
+  if (!Number.isInteger(invoice.POSID) || invoice.POSID <= 0) errors.push('POSID is invalid');
+  if (!invoice.USIN) errors.push('USIN is required');
+  if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(invoice.DateTime || '')) errors.push('DateTime is invalid');
+  if (![1, 2, 3].includes(invoice.InvoiceType)) errors.push('InvoiceType is invalid');
+  if (invoice.InvoiceType === 3 && !invoice.RefUSIN) errors.push('RefUSIN is required for a credit note');
+  if (!Array.isArray(invoice.Items) || invoice.Items.length === 0) return errors.concat('Items are required');
+  if (!close(invoice.TotalSaleValue, sum('SaleValue'))) errors.push('TotalSaleValue does not match the items');
+  if (!close(invoice.TotalTaxCharged, sum('TaxCharged'))) errors.push('TotalTaxCharged does not match the items');
+  if (!close(invoice.TotalBillAmount, sum('TotalAmount'))) errors.push('TotalBillAmount does not match the items');
+  if (invoices.some(stored => stored.USIN === invoice.USIN && stored.POSID === invoice.POSID)) {
+    errors.push(`USIN ${invoice.USIN} has already been reported`);
+  }
+  return errors;
+}
+
+function postData(req, res) {
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return res.status(401).json({ Code: '401', Response: 'Unauthorized', Errors: 'Invalid access token' });
+  }
+
+  const errors = invoiceErrors(req.body || {});
+  if (errors.length > 0) return reject(res, '401', errors.join('; '));
+
+  const invoiceNumber = `${req.body.POSID}${Date.now().toString().slice(-10)}${crypto.randomInt(100, 999)}`;
+  invoices.push({ ...req.body, InvoiceNumber: invoiceNumber, received_at: new Date() });
+  console.log(`${req.body.USIN} -> ${invoiceNumber} (Rs. ${req.body.TotalBillAmount}, tax ${req.body.TotalTaxCharged})`);
+  res.json({ InvoiceNumber: invoiceNumber, Code: '100', Response: 'Fiscal Invoice Number generated successfully.', Errors: null });
+}
+
+app.post('/imsp/v1/api/Live/PostData', postData);
+app.post('/imsp/v1/api/Sandbox/PostData', postData);
+
+// What has been reported so far, for checking by hand
+app.get('/invoices', (req, res) => {
+  res.json(invoices);
+});
+
+app.listen(PORT, () => {
+  console.log(`FBR stub running on http://localhost:${PORT}/imsp/v1/api/Live/PostData`);
+});